@@ -75,8 +75,12 @@
 					}
 					setIsLoading( false );
 				} )
-				.catch( function() {
-					setError( __( 'Failed to load address suggestions', 'data-machine-events' ) );
+				.catch( function( err ) {
+					if ( err && err.code === 'geocoding_throttled' ) {
+						setError( __( 'Address search is busy. Please try again in a moment.', 'data-machine-events' ) );
+					} else {
+						setError( __( 'Failed to load address suggestions', 'data-machine-events' ) );
+					}
 					setSuggestions( [] );
 					setIsLoading( false );
 				} );
@@ -0,0 +1,76 @@
+/**
+ * Data Machine Events - Map Tile Providers
+ *
+ * Browser side of the tile provider registry (inc/Core/TileProviders.php),
+ * shared by the Events Map block and the Event Details venue map. The
+ * providers configured on the server arrive as `dataMachineEventsTiles`;
+ * themes can add or replace providers with the
+ * `dataMachineEvents.tileProviders` filter:
+ *
+ *     wp.hooks.addFilter(
+ *         'dataMachineEvents.tileProviders',
+ *         'my-theme/tiles',
+ *         ( providers ) => ( {
+ *             ...providers,
+ *             'osm-standard': {
+ *                 name: 'OpenStreetMap (self-hosted)',
+ *                 url: 'https://tiles.example.com/{z}/{x}/{y}.png',
+ *                 attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+ *                 maxZoom: 19,
+ *             },
+ *         } )
+ *     );
+ *
+ * Filters added before the maps initialize (on DOM ready) apply.
+ *
+ * @package
+ */
+
+( function () {
+	'use strict';
+
+	const config = window.dataMachineEventsTiles || {};
+
+	const FALLBACK_PROVIDER = 'osm-standard';
+
+	/**
+	 * All providers keyed by map type, after the JS filter.
+	 *
+	 * @return {Object} Providers with name, url, attribution, and maxZoom.
+	 */
+	function getProviders() {
+		const providers = Object.assign( {}, config.providers || {} );
+
+		if ( window.wp && window.wp.hooks ) {
+			return window.wp.hooks.applyFilters(
+				'dataMachineEvents.tileProviders',
+				providers
+			);
+		}
+
+		return providers;
+	}
+
+	/**
+	 * Provider for a map type, falling back to the site default and then to
+	 * OpenStreetMap, or null when none is registered.
+	 *
+	 * @param {string} mapType Map type (provider key).
+	 * @return {Object|null} Provider.
+	 */
+	function getProvider( mapType ) {
+		const providers = getProviders();
+
+		return (
+			providers[ mapType ] ||
+			providers[ config.defaultProvider ] ||
+			providers[ FALLBACK_PROVIDER ] ||
+			null
+		);
+	}
+
+	window.dataMachineEventsTileProviders = {
+		getProviders,
+		getProvider,
+	};
+} )();
@@ -1,9 +1,9 @@
 /**
  * Venue Map Display with Leaflet.js
  *
- * Initializes interactive OpenStreetMap displays for venue locations
- * in Event Details blocks. Uses 📍 emoji marker for consistency with
- * venue card icon.
+ * Initializes interactive maps for venue locations in Event Details
+ * blocks. Tiles and attribution come from the shared tile provider
+ * registry. Uses 📍 emoji marker for consistency with venue card icon.
  *
  * @package
  * @since 1.0.0
@@ -61,38 +61,20 @@
             // Create the map
             const map = L.map(container.id).setView([lat, lon], 15);
 
-            // Get tile layer configuration based on map type
-            const tileConfigs = {
-                'osm-standard': {
-                    url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
-                    attribution: 'OpenStreetMap'
-                },
-                'carto-positron': {
-                    url: 'https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}.png',
-                    attribution: 'CartoDB'
-                },
-                'carto-voyager': {
-                    url: 'https://{s}.basemaps.cartocdn.com/rastertiles/voyager/{z}/{x}/{y}.png',
-                    attribution: 'CartoDB'
-                },
-                'carto-dark': {
-                    url: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}.png',
-                    attribution: 'CartoDB'
-                },
-                'humanitarian': {
-                    url: 'https://{s}.tile.openstreetmap.fr/hot/{z}/{x}/{y}.png',
-                    attribution: 'Humanitarian OpenStreetMap'
-                }
-            };
-
-            const tileConfig = tileConfigs[mapType] || tileConfigs['osm-standard'];
-
-            // Add tile layer with selected configuration
-            L.tileLayer(tileConfig.url, {
-                attribution: '', // Attribution handled in template
-                maxZoom: 19,
-                minZoom: 10
-            }).addTo(map);
+            // Tile layer from the shared provider registry (tile-providers.js)
+            const tileProvider = window.dataMachineEventsTileProviders
+                ? window.dataMachineEventsTileProviders.getProvider(mapType)
+                : null;
+
+            if (tileProvider) {
+                L.tileLayer(tileProvider.url, {
+                    attribution: tileProvider.attribution,
+                    maxZoom: tileProvider.maxZoom,
+                    minZoom: 10
+                }).addTo(map);
+            } else {
+                console.error('Tile providers not loaded. Cannot show venue map tiles.');
+            }
 
             // Create custom emoji marker icon
             const emojiIcon = L.divIcon({
@@ -461,15 +461,21 @@ class DATAMACHINE_Events {
 	}
 
 	public function register_blocks() {
-		register_block_type( DATA_MACHINE_EVENTS_PLUGIN_DIR . 'inc/Blocks/Calendar' );
+		$calendar_block = register_block_type( DATA_MACHINE_EVENTS_PLUGIN_DIR . 'inc/Blocks/Calendar' );
 		register_block_type( DATA_MACHINE_EVENTS_PLUGIN_DIR . 'inc/Blocks/EventDetails' );
-		register_block_type( DATA_MACHINE_EVENTS_PLUGIN_DIR . 'inc/Blocks/EventsMap' );
+		$map_block = register_block_type( DATA_MACHINE_EVENTS_PLUGIN_DIR . 'inc/Blocks/EventsMap' );
+
+		$this->set_block_script_translations( $calendar_block );
+		$this->set_block_script_translations( $map_block );
 
 		// Register Leaflet CDN assets for blocks that still use them (event-details).
 		// The events-map block bundles Leaflet via webpack and no longer needs these handles.
 		wp_register_style( 'leaflet', 'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css', array(), '1.9.4' );
 		wp_register_script( 'leaflet', 'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js', array(), '1.9.4', true );
 
+		// Tile provider registry shared by the venue map and the events-map block.
+		\DataMachineEvents\Core\TileProviders::register_script();
+
 		// Initialize calendar cache invalidation hooks
 		\DataMachineEvents\Blocks\Calendar\Cache_Invalidator::init();
 
@@ -478,6 +484,26 @@ class DATAMACHINE_Events {
 		add_action( 'enqueue_block_assets', array( $this, 'enqueue_root_styles' ) );
 	}
 
+	/**
+	 * Load a block's script translations from the plugin's languages folder
+	 *
+	 * Block registration only looks in the global languages directory; the
+	 * view and editor scripts translate their strings with @wordpress/i18n.
+	 *
+	 * @param WP_Block_Type|false $block_type Registered block type
+	 */
+	private function set_block_script_translations( $block_type ) {
+		if ( ! $block_type ) {
+			return;
+		}
+
+		$handles = array_merge( $block_type->view_script_handles, $block_type->editor_script_handles );
+
+		foreach ( $handles as $handle ) {
+			wp_set_script_translations( $handle, 'data-machine-events', DATA_MACHINE_EVENTS_PLUGIN_DIR . 'languages' );
+		}
+	}
+
 	public function enqueue_root_styles() {
 		if ( has_block( 'data-machine-events/calendar' ) || has_block( 'data-machine-events/event-details' ) || has_block( 'data-machine-events/events-map' ) || is_singular( \DataMachineEvents\Core\Event_Post_Type::POST_TYPE ) ) {
 			wp_enqueue_style(
@@ -504,7 +530,7 @@ class DATAMACHINE_Events {
 			wp_enqueue_script(
 				'data-machine-events-venue-map',
 				DATA_MACHINE_EVENTS_PLUGIN_URL . 'assets/js/venue-map.js',
-				array( 'leaflet' ),
+				array( 'leaflet', \DataMachineEvents\Core\TileProviders::SCRIPT_HANDLE ),
 				filemtime( DATA_MACHINE_EVENTS_PLUGIN_DIR . 'assets/js/venue-map.js' ),
 				true
 			);
@@ -15,10 +15,13 @@ use DataMachineEvents\Blocks\Calendar\Query\EventQueryBuilder;
 use DataMachineEvents\Blocks\Calendar\Query\ScopeResolver;
 use DataMachineEvents\Blocks\Calendar\Data\EventHydrator;
 use DataMachineEvents\Blocks\Calendar\Grouping\DateGrouper;
+use DataMachineEvents\Blocks\Calendar\Grouping\MonthGrid;
 use DataMachineEvents\Blocks\Calendar\Display\EventRenderer;
+use DataMachineEvents\Blocks\Calendar\Fixed_Filters;
 use DataMachineEvents\Blocks\Calendar\Pagination;
 use DataMachineEvents\Blocks\Calendar\Pagination\PageBoundary;
 use DataMachineEvents\Blocks\Calendar\Template_Loader;
+use DataMachineEvents\Core\CalendarExport;
 
 if ( ! defined( 'ABSPATH' ) ) {
 	exit;
@@ -26,6 +29,8 @@ if ( ! defined( 'ABSPATH' ) ) {
 
 class CalendarAbilities {
 
+	private const MAX_DAY_COUNT_SPAN = 92;
+
 	private static bool $registered = false;
 
 	public function __construct() {
@@ -78,6 +83,37 @@ class CalendarAbilities {
 								'type'        => 'integer',
 								'description' => 'Archive constraint term ID',
 							),
+							'fixed_tax_filter' => array(
+								'type'        => 'object',
+								'description' => 'Block-level taxonomy constraint [taxonomy => [term_ids]]',
+							),
+							'fixed_geo'        => array(
+								'type'        => 'object',
+								'description' => 'Block-level area constraint {lat, lng, radius, radius_unit}',
+							),
+							'geo_lat'          => array(
+								'type'        => 'number',
+								'minimum'     => -90,
+								'maximum'     => 90,
+								'description' => 'Latitude of the visitor location filter',
+							),
+							'geo_lng'          => array(
+								'type'        => 'number',
+								'minimum'     => -180,
+								'maximum'     => 180,
+								'description' => 'Longitude of the visitor location filter',
+							),
+							'geo_radius'       => array(
+								'type'             => 'number',
+								'minimum'          => 0,
+								'exclusiveMinimum' => true,
+								'description'      => 'Radius around geo_lat/geo_lng (default: 25)',
+							),
+							'geo_radius_unit'  => array(
+								'type'        => 'string',
+								'enum'        => array( 'mi', 'km' ),
+								'description' => 'Unit of geo_radius (default: mi)',
+							),
 							'include_html'     => array(
 								'type'        => 'boolean',
 								'description' => 'Return rendered HTML (default: true)',
@@ -86,10 +122,23 @@ class CalendarAbilities {
 								'type'        => 'boolean',
 								'description' => 'Include time-gap separators (default: true)',
 							),
+							'include_events'   => array(
+								'type'        => 'boolean',
+								'description' => 'Return structured date groups with render-ready event data (default: false)',
+							),
 							'scope'            => array(
 								'type'        => 'string',
 								'description' => 'Time scope: today, tonight, this-weekend, this-week (overrides date_start/date_end when set)',
 							),
+							'event_ids'        => array(
+								'type'        => 'array',
+								'items'       => array( 'type' => 'integer' ),
+								'description' => 'Restrict results to these event post IDs (an empty list matches nothing)',
+							),
+							'url_prefix'       => array(
+								'type'        => 'string',
+								'description' => 'Query param prefix of a namespaced calendar instance, used for pagination and navigation links (default: none)',
+							),
 						),
 					),
 					'output_schema'       => array(
@@ -103,6 +152,10 @@ class CalendarAbilities {
 								'type'        => 'object',
 								'description' => 'Time gaps between dates [date_key => gap_days]',
 							),
+							'date_groups'       => array(
+								'type'        => 'array',
+								'description' => 'Date groups with render-ready event data (when include_events is set)',
+							),
 							'current_page'      => array( 'type' => 'integer' ),
 							'max_pages'         => array( 'type' => 'integer' ),
 							'total_event_count' => array( 'type' => 'integer' ),
@@ -124,10 +177,11 @@ class CalendarAbilities {
 							'html'              => array(
 								'type'       => 'object',
 								'properties' => array(
-									'events'     => array( 'type' => 'string' ),
-									'pagination' => array( 'type' => 'string' ),
-									'counter'    => array( 'type' => 'string' ),
-									'navigation' => array( 'type' => 'string' ),
+									'events'         => array( 'type' => 'string' ),
+									'pagination'     => array( 'type' => 'string' ),
+									'counter'        => array( 'type' => 'string' ),
+									'navigation'     => array( 'type' => 'string' ),
+									'active_filters' => array( 'type' => 'string' ),
 								),
 							),
 						),
@@ -137,6 +191,233 @@ class CalendarAbilities {
 					'meta'                => array( 'show_in_rest' => true ),
 				)
 			);
+
+			wp_register_ability(
+				'data-machine-events/get-calendar-month',
+				array(
+					'label'               => __( 'Get Calendar Month', 'data-machine-events' ),
+					'description'         => __( 'Query a month of calendar events laid out as a month grid, with optional filtering and HTML rendering', 'data-machine-events' ),
+					'category'            => 'datamachine',
+					'input_schema'        => array(
+						'type'       => 'object',
+						'properties' => array(
+							'month'            => array(
+								'type'        => 'string',
+								'description' => 'Month to display (Y-m format, default: current month)',
+							),
+							'event_search'     => array(
+								'type'        => 'string',
+								'description' => 'Search query string',
+							),
+							'tax_filter'       => array(
+								'type'        => 'object',
+								'description' => 'Taxonomy filters [taxonomy => [term_ids]]',
+							),
+							'archive_taxonomy' => array(
+								'type'        => 'string',
+								'description' => 'Archive constraint taxonomy slug',
+							),
+							'archive_term_id'  => array(
+								'type'        => 'integer',
+								'description' => 'Archive constraint term ID',
+							),
+							'fixed_tax_filter' => array(
+								'type'        => 'object',
+								'description' => 'Block-level taxonomy constraint [taxonomy => [term_ids]]',
+							),
+							'fixed_geo'        => array(
+								'type'        => 'object',
+								'description' => 'Block-level area constraint {lat, lng, radius, radius_unit}',
+							),
+							'geo_lat'          => array(
+								'type'        => 'number',
+								'minimum'     => -90,
+								'maximum'     => 90,
+								'description' => 'Latitude of the visitor location filter',
+							),
+							'geo_lng'          => array(
+								'type'        => 'number',
+								'minimum'     => -180,
+								'maximum'     => 180,
+								'description' => 'Longitude of the visitor location filter',
+							),
+							'geo_radius'       => array(
+								'type'             => 'number',
+								'minimum'          => 0,
+								'exclusiveMinimum' => true,
+								'description'      => 'Radius around geo_lat/geo_lng (default: 25)',
+							),
+							'geo_radius_unit'  => array(
+								'type'        => 'string',
+								'enum'        => array( 'mi', 'km' ),
+								'description' => 'Unit of geo_radius (default: mi)',
+							),
+							'include_html'     => array(
+								'type'        => 'boolean',
+								'description' => 'Return rendered HTML (default: true)',
+							),
+							'include_events'   => array(
+								'type'        => 'boolean',
+								'description' => 'Return structured date groups with render-ready event data (default: false)',
+							),
+							'event_ids'        => array(
+								'type'        => 'array',
+								'items'       => array( 'type' => 'integer' ),
+								'description' => 'Restrict results to these event post IDs (an empty list matches nothing)',
+							),
+						),
+					),
+					'output_schema'       => array(
+						'type'       => 'object',
+						'properties' => array(
+							'month'             => array(
+								'type'       => 'object',
+								'properties' => array(
+									'current'    => array( 'type' => 'string' ),
+									'prev'       => array( 'type' => 'string' ),
+									'next'       => array( 'type' => 'string' ),
+									'label'      => array( 'type' => 'string' ),
+									'grid_start' => array( 'type' => 'string' ),
+									'grid_end'   => array( 'type' => 'string' ),
+								),
+							),
+							'paged_date_groups' => array(
+								'type'        => 'array',
+								'description' => 'Date-grouped event data for every day in the grid',
+							),
+							'date_groups'       => array(
+								'type'        => 'array',
+								'description' => 'Date groups with render-ready event data (when include_events is set)',
+							),
+							'current_page'      => array( 'type' => 'integer' ),
+							'max_pages'         => array( 'type' => 'integer' ),
+							'total_event_count' => array( 'type' => 'integer' ),
+							'event_count'       => array( 'type' => 'integer' ),
+							'event_counts'      => array(
+								'type'       => 'object',
+								'properties' => array(
+									'past'   => array( 'type' => 'integer' ),
+									'future' => array( 'type' => 'integer' ),
+								),
+							),
+							'html'              => array(
+								'type'       => 'object',
+								'properties' => array(
+									'events'         => array( 'type' => 'string' ),
+									'pagination'     => array( 'type' => 'string' ),
+									'counter'        => array( 'type' => 'string' ),
+									'navigation'     => array( 'type' => 'string' ),
+									'active_filters' => array( 'type' => 'string' ),
+								),
+							),
+						),
+					),
+					'execute_callback'    => array( $this, 'executeGetCalendarMonth' ),
+					'permission_callback' => '__return_true',
+					'meta'                => array( 'show_in_rest' => true ),
+				)
+			);
+
+			wp_register_ability(
+				'data-machine-events/get-day-counts',
+				array(
+					'label'               => __( 'Get Event Counts per Day', 'data-machine-events' ),
+					'description'         => __( 'Count matching events on each day of a date window, e.g. to mark busy days in a date picker', 'data-machine-events' ),
+					'category'            => 'datamachine',
+					'input_schema'        => array(
+						'type'       => 'object',
+						'required'   => array( 'date_start', 'date_end' ),
+						'properties' => array(
+							'date_start'       => array(
+								'type'        => 'string',
+								'description' => 'First day of the window (Y-m-d)',
+							),
+							'date_end'         => array(
+								'type'        => 'string',
+								'description' => 'Last day of the window (Y-m-d, at most 92 days after date_start)',
+							),
+							'event_search'     => array(
+								'type'        => 'string',
+								'description' => 'Search query string',
+							),
+							'tax_filter'       => array(
+								'type'        => 'object',
+								'description' => 'Taxonomy filters [taxonomy => [term_ids]]',
+							),
+							'archive_taxonomy' => array(
+								'type'        => 'string',
+								'description' => 'Archive constraint taxonomy slug',
+							),
+							'archive_term_id'  => array(
+								'type'        => 'integer',
+								'description' => 'Archive constraint term ID',
+							),
+							'fixed_tax_filter' => array(
+								'type'        => 'object',
+								'description' => 'Block-level taxonomy constraint [taxonomy => [term_ids]]',
+							),
+							'fixed_geo'        => array(
+								'type'        => 'object',
+								'description' => 'Block-level area constraint {lat, lng, radius, radius_unit}',
+							),
+						),
+					),
+					'output_schema'       => array(
+						'type'       => 'object',
+						'properties' => array(
+							'date_start' => array( 'type' => 'string' ),
+							'date_end'   => array( 'type' => 'string' ),
+							'counts'     => array(
+								'type'        => 'object',
+								'description' => 'Event counts keyed by date (Y-m-d); days without events are omitted',
+							),
+						),
+					),
+					'execute_callback'    => array( $this, 'executeGetDayCounts' ),
+					'permission_callback' => '__return_true',
+					'meta'                => array( 'show_in_rest' => true ),
+				)
+			);
+
+			wp_register_ability(
+				'data-machine-events/export-events-ics',
+				array(
+					'label'               => __( 'Export Events as iCalendar', 'data-machine-events' ),
+					'description'         => __( 'Build an .ics file with one VEVENT per published event', 'data-machine-events' ),
+					'category'            => 'datamachine',
+					'input_schema'        => array(
+						'type'       => 'object',
+						'required'   => array( 'event_ids' ),
+						'properties' => array(
+							'event_ids' => array(
+								'type'        => 'array',
+								'items'       => array( 'type' => 'integer' ),
+								'description' => 'Event post IDs (max 100)',
+							),
+						),
+					),
+					'output_schema'       => array(
+						'type'       => 'object',
+						'properties' => array(
+							'ics'         => array(
+								'type'        => 'string',
+								'description' => 'iCalendar document',
+							),
+							'filename'    => array(
+								'type'        => 'string',
+								'description' => 'Suggested download filename',
+							),
+							'event_count' => array(
+								'type'        => 'integer',
+								'description' => 'Number of exported events',
+							),
+						),
+					),
+					'execute_callback'    => array( $this, 'executeExportEventsIcs' ),
+					'permission_callback' => '__return_true',
+					'meta'                => array( 'show_in_rest' => true ),
+				)
+			);
 		};
 
 		if ( did_action( 'wp_abilities_api_init' ) ) {
@@ -188,6 +469,8 @@ class CalendarAbilities {
 			);
 		}
 
+		$tax_query_override = Fixed_Filters::merge_tax_query( $tax_query_override, Fixed_Filters::from_input( $input ) );
+
 		$base_params = array(
 			'show_past'          => $show_past,
 			'search_query'       => $search_query,
@@ -205,6 +488,7 @@ class CalendarAbilities {
 			'geo_lng'            => $input['geo_lng'] ?? '',
 			'geo_radius'         => $input['geo_radius'] ?? 25,
 			'geo_radius_unit'    => $input['geo_radius_unit'] ?? 'mi',
+			'event_ids'          => isset( $input['event_ids'] ) ? (array) $input['event_ids'] : null,
 		);
 
 		$date_data         = PageBoundary::get_unique_event_dates( $base_params );
@@ -273,6 +557,14 @@ class CalendarAbilities {
 			),
 		);
 
+		if ( ! empty( $input['include_events'] ) ) {
+			$result['date_groups'] = EventRenderer::build_date_groups_payload(
+				$paged_date_groups,
+				$gaps_detected,
+				$include_gaps
+			);
+		}
+
 		if ( $include_html ) {
 			Template_Loader::init();
 			$result['html'] = $this->renderHtml(
@@ -285,7 +577,131 @@ class CalendarAbilities {
 				$date_boundaries,
 				$events_query->post_count,
 				$total_event_count,
-				$event_counts
+				$event_counts,
+				sanitize_key( $input['url_prefix'] ?? '' )
+			);
+
+			$result['html']['active_filters'] = $this->renderActiveFilters( $tax_filters, $archive_taxonomy, $archive_term_id );
+		}
+
+		wp_reset_postdata();
+
+		return $result;
+	}
+
+	/**
+	 * Execute get-calendar-month ability
+	 *
+	 * Returns the same shape as get-calendar-page (single page, no
+	 * pagination, counter, or navigation HTML) plus month metadata, so
+	 * callers can swap between list and grid views.
+	 *
+	 * @param array $input Input parameters
+	 * @return array Calendar month data with optional HTML
+	 */
+	public function executeGetCalendarMonth( array $input ): array {
+		$include_html = $input['include_html'] ?? true;
+		$bounds       = MonthGrid::get_bounds( (string) ( $input['month'] ?? '' ) );
+		$tax_filters  = is_array( $input['tax_filter'] ?? null ) ? $input['tax_filter'] : array();
+
+		$archive_taxonomy = sanitize_key( $input['archive_taxonomy'] ?? '' );
+		$archive_term_id  = absint( $input['archive_term_id'] ?? 0 );
+
+		$tax_query_override = null;
+		if ( $archive_taxonomy && $archive_term_id ) {
+			$tax_query_override = array(
+				array(
+					'taxonomy' => $archive_taxonomy,
+					'field'    => 'term_id',
+					'terms'    => $archive_term_id,
+				),
+			);
+		}
+
+		$tax_query_override = Fixed_Filters::merge_tax_query( $tax_query_override, Fixed_Filters::from_input( $input ) );
+
+		// The visible grid is the date range; past/scope/date filters do not apply.
+		$query_args = EventQueryBuilder::build_query_args(
+			array(
+				'show_past'          => false,
+				'search_query'       => $input['event_search'] ?? '',
+				'date_start'         => $bounds['grid_start'],
+				'date_end'           => $bounds['grid_end'],
+				'tax_filters'        => $tax_filters,
+				'tax_query_override' => $tax_query_override,
+				'archive_taxonomy'   => $archive_taxonomy,
+				'archive_term_id'    => $archive_term_id,
+				'source'             => 'ability',
+				'user_date_range'    => true,
+				'geo_lat'            => $input['geo_lat'] ?? '',
+				'geo_lng'            => $input['geo_lng'] ?? '',
+				'geo_radius'         => $input['geo_radius'] ?? 25,
+				'geo_radius_unit'    => $input['geo_radius_unit'] ?? 'mi',
+				'event_ids'          => isset( $input['event_ids'] ) ? (array) $input['event_ids'] : null,
+			)
+		);
+
+		$events_query = new WP_Query( $query_args );
+		$event_counts = EventQueryBuilder::get_event_counts();
+
+		// show_past keeps the already-elapsed days of multi-day events in the grid.
+		$paged_events = DateGrouper::build_paged_events( $events_query );
+		$date_groups  = DateGrouper::group_events_by_date(
+			$paged_events,
+			true,
+			$bounds['grid_start'],
+			$bounds['grid_end']
+		);
+		ksort( $date_groups );
+
+		$result = array(
+			'month'             => array(
+				'current'    => $bounds['month'],
+				'prev'       => $bounds['prev_month'],
+				'next'       => $bounds['next_month'],
+				'label'      => wp_date( 'F Y', $bounds['timestamp'] ),
+				'grid_start' => $bounds['grid_start'],
+				'grid_end'   => $bounds['grid_end'],
+			),
+			'paged_date_groups' => $this->serializeDateGroups( $date_groups ),
+			'current_page'      => 1,
+			'max_pages'         => 1,
+			'total_event_count' => $events_query->post_count,
+			'event_count'       => $events_query->post_count,
+			'event_counts'      => array(
+				'past'   => $event_counts['past'],
+				'future' => $event_counts['future'],
+			),
+		);
+
+		if ( ! empty( $input['include_events'] ) ) {
+			$result['date_groups'] = EventRenderer::build_date_groups_payload( $date_groups, array(), false );
+		}
+
+		if ( $include_html ) {
+			Template_Loader::init();
+
+			/**
+			 * Filter the number of event slots shown per month-grid day cell.
+			 *
+			 * @param int $max_slots Visible slots before the "+N more" popover.
+			 */
+			$max_slots = (int) apply_filters( 'data_machine_events_month_grid_max_slots', MonthGrid::MAX_VISIBLE_SLOTS );
+
+			$result['html'] = array(
+				'events'         => Template_Loader::get_template(
+					'month-grid',
+					array(
+						'weeks'       => MonthGrid::build_weeks( $date_groups, $bounds ),
+						'bounds'      => $bounds,
+						'event_count' => $events_query->post_count,
+						'max_slots'   => $max_slots,
+					)
+				),
+				'pagination'     => '',
+				'counter'        => '',
+				'navigation'     => '',
+				'active_filters' => $this->renderActiveFilters( $tax_filters, $archive_taxonomy, $archive_term_id ),
 			);
 		}
 
@@ -294,6 +710,112 @@ class CalendarAbilities {
 		return $result;
 	}
 
+	/**
+	 * Execute get-day-counts ability
+	 *
+	 * Multi-day events count on every day they span, as in the month grid.
+	 * Invalid dates yield an empty window; windows longer than
+	 * MAX_DAY_COUNT_SPAN days are cut short.
+	 *
+	 * @param array $input Input parameters
+	 * @return array Window bounds and event counts keyed by date
+	 */
+	public function executeGetDayCounts( array $input ): array {
+		$date_start = (string) ( $input['date_start'] ?? '' );
+		$date_end   = (string) ( $input['date_end'] ?? '' );
+		$start      = \DateTimeImmutable::createFromFormat( '!Y-m-d', $date_start, wp_timezone() );
+		$end        = \DateTimeImmutable::createFromFormat( '!Y-m-d', $date_end, wp_timezone() );
+
+		if ( ! $start || ! $end || $start->format( 'Y-m-d' ) !== $date_start || $end->format( 'Y-m-d' ) !== $date_end || $end < $start ) {
+			return array(
+				'date_start' => '',
+				'date_end'   => '',
+				'counts'     => array(),
+			);
+		}
+
+		$max_end = $start->modify( '+' . self::MAX_DAY_COUNT_SPAN . ' days' );
+		if ( $end > $max_end ) {
+			$date_end = $max_end->format( 'Y-m-d' );
+		}
+
+		$archive_taxonomy = sanitize_key( $input['archive_taxonomy'] ?? '' );
+		$archive_term_id  = absint( $input['archive_term_id'] ?? 0 );
+
+		$tax_query_override = null;
+		if ( $archive_taxonomy && $archive_term_id ) {
+			$tax_query_override = array(
+				array(
+					'taxonomy' => $archive_taxonomy,
+					'field'    => 'term_id',
+					'terms'    => $archive_term_id,
+				),
+			);
+		}
+
+		$tax_query_override = Fixed_Filters::merge_tax_query( $tax_query_override, Fixed_Filters::from_input( $input ) );
+
+		// show_past keeps the already-elapsed days of multi-day events.
+		$date_data = PageBoundary::get_unique_event_dates(
+			array(
+				'show_past'          => true,
+				'search_query'       => $input['event_search'] ?? '',
+				'date_start'         => $date_start,
+				'date_end'           => $date_end,
+				'tax_filters'        => is_array( $input['tax_filter'] ?? null ) ? $input['tax_filter'] : array(),
+				'tax_query_override' => $tax_query_override,
+				'archive_taxonomy'   => $archive_taxonomy,
+				'archive_term_id'    => $archive_term_id,
+				'source'             => 'ability',
+				'user_date_range'    => true,
+				'geo_lat'            => $input['geo_lat'] ?? '',
+				'geo_lng'            => $input['geo_lng'] ?? '',
+				'geo_radius'         => $input['geo_radius'] ?? 25,
+				'geo_radius_unit'    => $input['geo_radius_unit'] ?? 'mi',
+			)
+		);
+
+		// Events overlapping the window also count on their days outside it.
+		$counts = array_filter(
+			$date_data['events_per_date'],
+			function ( $date ) use ( $date_start, $date_end ) {
+				return $date >= $date_start && $date <= $date_end;
+			},
+			ARRAY_FILTER_USE_KEY
+		);
+		ksort( $counts );
+
+		return array(
+			'date_start' => $date_start,
+			'date_end'   => $date_end,
+			'counts'     => $counts,
+		);
+	}
+
+	/**
+	 * Execute export-events-ics ability
+	 *
+	 * Unpublished posts and posts without a start date are skipped.
+	 *
+	 * @param array $input Input parameters
+	 * @return array iCalendar document, filename, and event count
+	 */
+	public function executeExportEventsIcs( array $input ): array {
+		$event_ids = array_map( 'absint', (array) ( $input['event_ids'] ?? array() ) );
+		$export    = CalendarExport::build_ics( $event_ids );
+
+		$filename = 'events.ics';
+		if ( 1 === count( $export['event_ids'] ) ) {
+			$filename = sanitize_title( get_the_title( $export['event_ids'][0] ) ) . '.ics';
+		}
+
+		return array(
+			'ics'         => $export['ics'],
+			'filename'    => $filename,
+			'event_count' => count( $export['event_ids'] ),
+		);
+	}
+
 	/**
 	 * Serialize date groups for JSON output
 	 *
@@ -336,6 +858,7 @@ class CalendarAbilities {
 	 * @param int   $event_count Events on this page
 	 * @param int   $total_event_count Total events across all pages
 	 * @param array $event_counts Past/future counts
+	 * @param string $url_prefix Query param prefix of a namespaced calendar
 	 * @return array HTML strings for each component
 	 */
 	private function renderHtml(
@@ -348,11 +871,12 @@ class CalendarAbilities {
 		array $date_boundaries,
 		int $event_count,
 		int $total_event_count,
-		array $event_counts
+		array $event_counts,
+		string $url_prefix = ''
 	): array {
 		$events_html = EventRenderer::render_date_groups( $paged_date_groups, $gaps_detected, $include_gaps );
 
-		$pagination_html = Pagination::render_pagination( $current_page, $max_pages, $show_past );
+		$pagination_html = Pagination::render_pagination( $current_page, $max_pages, $show_past, $url_prefix );
 
 		ob_start();
 		Template_Loader::include_template(
@@ -373,6 +897,7 @@ class CalendarAbilities {
 				'show_past'           => $show_past,
 				'past_events_count'   => $event_counts['past'],
 				'future_events_count' => $event_counts['future'],
+				'url_prefix'          => $url_prefix,
 			)
 		);
 		$navigation_html = ob_get_clean();
@@ -384,4 +909,23 @@ class CalendarAbilities {
 			'navigation' => $navigation_html,
 		);
 	}
+
+	/**
+	 * Render the active-filter chip strip
+	 *
+	 * @param array  $tax_filters      Active taxonomy filters.
+	 * @param string $archive_taxonomy Archive constraint taxonomy slug.
+	 * @param int    $archive_term_id  Archive constraint term ID.
+	 * @return string Chip strip HTML.
+	 */
+	private function renderActiveFilters( array $tax_filters, string $archive_taxonomy, int $archive_term_id ): string {
+		return Template_Loader::get_template(
+			'active-filters',
+			array(
+				'tax_filters'      => $tax_filters,
+				'archive_taxonomy' => $archive_taxonomy,
+				'archive_term_id'  => $archive_term_id,
+			)
+		);
+	}
 }
@@ -4,13 +4,16 @@
  *
  * Query events by venue with filtering options.
  * Provides abilities for CLI/REST/MCP consumption.
- * Chat tool wrapper lives in inc/Api/Chat/Tools/GetVenueEvents.php.
+ * Chat tool wrapper lives in inc/Api/Chat/Tools/GetVenueEvents.php; the
+ * events map venue popups use it in `upcoming` mode through the public
+ * /events/venues/{id}/events route.
  *
  * @package DataMachineEvents\Abilities
  */
 
 namespace DataMachineEvents\Abilities;
 
+use DataMachineEvents\Blocks\Calendar\Query\EventQueryBuilder;
 use DataMachineEvents\Core\Event_Post_Type;
 use DataMachineEvents\Core\Venue_Taxonomy;
 
@@ -69,6 +72,10 @@ class EventQueryAbilities {
 								'type'        => 'boolean',
 								'description' => 'Include full description text in output (default: false)',
 							),
+							'upcoming'            => array(
+								'type'        => 'boolean',
+								'description' => 'Only published events that have not ended, soonest first; total_events then counts them (default: false)',
+							),
 						),
 					),
 					'output_schema'       => array(
@@ -96,6 +103,7 @@ class EventQueryAbilities {
 										'start_date'  => array( 'type' => 'string' ),
 										'end_date'    => array( 'type' => 'string' ),
 										'permalink'   => array( 'type' => 'string' ),
+										'ticket_url'  => array( 'type' => 'string' ),
 										'description' => array( 'type' => 'string' ),
 									),
 								),
@@ -158,21 +166,35 @@ class EventQueryAbilities {
 			);
 		}
 
-		$query_args = array(
-			'post_type'      => Event_Post_Type::POST_TYPE,
-			'post_status'    => $status,
-			'posts_per_page' => $limit,
-			'orderby'        => 'meta_value',
-			'meta_key'       => '_datamachine_event_datetime',
-			'order'          => 'DESC',
-			'tax_query'      => array(
+		$upcoming = ! empty( $input['upcoming'] );
+
+		if ( $upcoming ) {
+			// Same definition of upcoming as the calendar: published, not yet ended.
+			$query_args = EventQueryBuilder::build_query_args(
 				array(
-					'taxonomy' => 'venue',
-					'field'    => 'term_id',
-					'terms'    => $term->term_id,
+					'tax_filters' => array( 'venue' => array( $term->term_id ) ),
+					'source'      => 'ability',
+				)
+			);
+
+			$query_args['posts_per_page'] = $limit;
+		} else {
+			$query_args = array(
+				'post_type'      => Event_Post_Type::POST_TYPE,
+				'post_status'    => $status,
+				'posts_per_page' => $limit,
+				'orderby'        => 'meta_value',
+				'meta_key'       => '_datamachine_event_datetime',
+				'order'          => 'DESC',
+				'tax_query'      => array(
+					array(
+						'taxonomy' => 'venue',
+						'field'    => 'term_id',
+						'terms'    => $term->term_id,
+					),
 				),
-			),
-		);
+			);
+		}
 
 		if ( ! empty( $date_query ) ) {
 			$query_args['date_query'] = $date_query;
@@ -194,6 +216,7 @@ class EventQueryAbilities {
 				'start_date' => $start_date ? $start_date : null,
 				'end_date'   => $end_date ? $end_date : null,
 				'permalink'  => get_permalink( $post->ID ),
+				'ticket_url' => $this->extractTicketUrl( $post ),
 			);
 
 			if ( $include_description ) {
@@ -204,7 +227,7 @@ class EventQueryAbilities {
 		}
 
 		$venue_data  = Venue_Taxonomy::get_venue_data( $term->term_id );
-		$total_count = $term->count;
+		$total_count = $upcoming ? (int) $query->found_posts : $term->count;
 
 		return array(
 			'venue'          => array(
@@ -281,4 +304,27 @@ class EventQueryAbilities {
 
 		return '';
 	}
+
+	/**
+	 * Extract the ticket link shown by the Event Details block.
+	 *
+	 * @param \WP_Post $post Event post.
+	 * @return string Ticket URL, or empty when the block has none or hides it.
+	 */
+	private function extractTicketUrl( \WP_Post $post ): string {
+		foreach ( parse_blocks( $post->post_content ) as $block ) {
+			if ( 'data-machine-events/event-details' !== $block['blockName'] ) {
+				continue;
+			}
+
+			$attrs = $block['attrs'] ?? array();
+			if ( isset( $attrs['showTicketLink'] ) && ! $attrs['showTicketLink'] ) {
+				return '';
+			}
+
+			return (string) ( $attrs['ticketUrl'] ?? '' );
+		}
+
+		return '';
+	}
 }
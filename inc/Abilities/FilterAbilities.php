@@ -9,13 +9,22 @@
  * Consumers: Filters REST controller, render.php (filter-bar visibility),
  * CLI, Chat, MCP — anything that needs to know "what filter options exist?"
  *
+ * Also provides search suggestions (terms and event titles matching a
+ * partial query) for the calendar search typeahead.
+ *
  * @package DataMachineEvents\Abilities
  */
 
 namespace DataMachineEvents\Abilities;
 
+use WP_Query;
+use DataMachineEvents\Blocks\Calendar\Fixed_Filters;
 use DataMachineEvents\Blocks\Calendar\Taxonomy_Helper;
 use DataMachineEvents\Blocks\Calendar\Geo_Query;
+use DataMachineEvents\Blocks\Calendar\Query\EventQueryBuilder;
+use DataMachineEvents\Blocks\Calendar\Query\ScopeResolver;
+use DataMachineEvents\Core\Event_Post_Type;
+use const DataMachineEvents\Core\EVENT_DATETIME_META_KEY;
 
 if ( ! defined( 'ABSPATH' ) ) {
 	exit;
@@ -63,6 +72,14 @@ class FilterAbilities {
 								'type'        => 'integer',
 								'description' => 'Archive constraint term ID',
 							),
+							'fixed_tax_filter' => array(
+								'type'        => 'object',
+								'description' => 'Block-level taxonomy constraint [taxonomy => [term_ids]]',
+							),
+							'fixed_geo'        => array(
+								'type'        => 'object',
+								'description' => 'Block-level area constraint {lat, lng, radius, radius_unit}',
+							),
 							'geo_lat'          => array(
 								'type'        => 'number',
 								'description' => 'Latitude for geo-filtering',
@@ -79,9 +96,13 @@ class FilterAbilities {
 								'type'        => 'string',
 								'description' => 'Radius unit: mi or km (default: mi)',
 							),
+							'event_search'     => array(
+								'type'        => 'string',
+								'description' => 'Free text search applied to scope counts',
+							),
 							'context'          => array(
 								'type'        => 'string',
-								'description' => 'Filter context: modal, inline, badge (default: modal)',
+								'description' => 'Filter context: modal, inline, badge, scopes (default: modal). scopes returns scope_counts instead of taxonomies',
 							),
 						),
 					),
@@ -101,6 +122,10 @@ class FilterAbilities {
 									'term_name' => array( 'type' => 'string' ),
 								),
 							),
+							'scope_counts'    => array(
+								'type'        => 'object',
+								'description' => 'Event counts keyed by time scope (scopes context only)',
+							),
 							'geo_context'     => array(
 								'type'       => 'object',
 								'properties' => array(
@@ -127,6 +152,82 @@ class FilterAbilities {
 					'meta'                => array( 'show_in_rest' => true ),
 				)
 			);
+
+			wp_register_ability(
+				'data-machine-events/get-search-suggestions',
+				array(
+					'label'               => __( 'Get Search Suggestions', 'data-machine-events' ),
+					'description'         => __( 'Get taxonomy terms (venues, promoters, genres, ...) and upcoming event titles matching a partial search query, with upcoming event counts per term', 'data-machine-events' ),
+					'category'            => 'datamachine',
+					'input_schema'        => array(
+						'type'       => 'object',
+						'required'   => array( 'query' ),
+						'properties' => array(
+							'query'            => array(
+								'type'        => 'string',
+								'description' => 'Partial search text (at least 2 characters)',
+							),
+							'limit'            => array(
+								'type'        => 'integer',
+								'description' => 'Maximum suggestions per taxonomy and for event titles (default: 5, max: 10)',
+							),
+							'archive_taxonomy' => array(
+								'type'        => 'string',
+								'description' => 'Archive constraint taxonomy slug',
+							),
+							'archive_term_id'  => array(
+								'type'        => 'integer',
+								'description' => 'Archive constraint term ID',
+							),
+							'fixed_tax_filter' => array(
+								'type'        => 'object',
+								'description' => 'Block-level taxonomy constraint [taxonomy => [term_ids]]',
+							),
+							'fixed_geo'        => array(
+								'type'        => 'object',
+								'description' => 'Block-level area constraint {lat, lng, radius, radius_unit}',
+							),
+						),
+					),
+					'output_schema'       => array(
+						'type'       => 'object',
+						'properties' => array(
+							'success' => array( 'type' => 'boolean' ),
+							'query'   => array( 'type' => 'string' ),
+							'terms'   => array(
+								'type'        => 'array',
+								'description' => 'Matching terms with upcoming event counts, grouped by taxonomy and ordered by count',
+								'items'       => array(
+									'type'       => 'object',
+									'properties' => array(
+										'taxonomy'       => array( 'type' => 'string' ),
+										'taxonomy_label' => array( 'type' => 'string' ),
+										'term_id'        => array( 'type' => 'integer' ),
+										'name'           => array( 'type' => 'string' ),
+										'event_count'    => array( 'type' => 'integer' ),
+									),
+								),
+							),
+							'events'  => array(
+								'type'        => 'array',
+								'description' => 'Upcoming events whose title matches',
+								'items'       => array(
+									'type'       => 'object',
+									'properties' => array(
+										'id'        => array( 'type' => 'integer' ),
+										'title'     => array( 'type' => 'string' ),
+										'permalink' => array( 'type' => 'string' ),
+										'date'      => array( 'type' => 'string' ),
+									),
+								),
+							),
+						),
+					),
+					'execute_callback'    => array( $this, 'executeGetSearchSuggestions' ),
+					'permission_callback' => '__return_true',
+					'meta'                => array( 'show_in_rest' => true ),
+				)
+			);
 		};
 
 		if ( did_action( 'wp_abilities_api_init' ) ) {
@@ -145,6 +246,9 @@ class FilterAbilities {
 	 * - Cross-filtering (selecting one taxonomy recalculates others)
 	 * - Date context (future/past/date range)
 	 *
+	 * The `scopes` context skips taxonomy counts and returns event counts per
+	 * time scope (today, tonight, ...) for the calendar's scope chips instead.
+	 *
 	 * @param array $input Input parameters.
 	 * @return array Filter options data.
 	 */
@@ -182,6 +286,8 @@ class FilterAbilities {
 			);
 		}
 
+		$tax_query_override = Fixed_Filters::merge_tax_query( $tax_query_override, Fixed_Filters::from_input( $input ) );
+
 		// Build geo constraint.
 		$geo_lat    = $input['geo_lat'] ?? '';
 		$geo_lng    = $input['geo_lng'] ?? '';
@@ -228,6 +334,21 @@ class FilterAbilities {
 			}
 		}
 
+		if ( 'scopes' === $context ) {
+			return array(
+				'success'         => true,
+				'taxonomies'      => array(),
+				'scope_counts'    => $this->getScopeCounts( $active_filters, $tax_query_override, $archive_taxonomy, $archive_term_id, sanitize_text_field( $input['event_search'] ?? '' ) ),
+				'archive_context' => $archive_context,
+				'geo_context'     => $geo_context,
+				'meta'            => array(
+					'context'        => $context,
+					'active_filters' => $active_filters,
+					'date_context'   => $date_context,
+				),
+			);
+		}
+
 		$taxonomies_data = Taxonomy_Helper::get_all_taxonomies_with_counts( $active_filters, $date_context, $tax_query_override );
 
 		return array(
@@ -242,4 +363,203 @@ class FilterAbilities {
 			),
 		);
 	}
+
+	/**
+	 * Count events in each time scope under the active filters
+	 *
+	 * Uses the same query builder as the calendar, so a chip's count matches
+	 * what selecting it shows.
+	 *
+	 * @param array      $active_filters     Active taxonomy filters.
+	 * @param array|null $tax_query_override Archive and geo constraints.
+	 * @param string     $archive_taxonomy   Archive taxonomy slug.
+	 * @param int        $archive_term_id    Archive term ID.
+	 * @param string     $search_query       Active free text search.
+	 * @return array Event counts keyed by scope.
+	 */
+	private function getScopeCounts( array $active_filters, ?array $tax_query_override, string $archive_taxonomy, int $archive_term_id, string $search_query = '' ): array {
+		$counts = array();
+
+		foreach ( ScopeResolver::VALID_SCOPES as $scope ) {
+			$resolved = ScopeResolver::resolve( $scope );
+
+			$query_args = EventQueryBuilder::build_query_args(
+				array(
+					'date_start'         => $resolved['date_start'],
+					'date_end'           => $resolved['date_end'],
+					'time_start'         => $resolved['time_start'] ?? '',
+					'time_end'           => $resolved['time_end'] ?? '',
+					'search_query'       => $search_query,
+					'tax_filters'        => $active_filters,
+					'tax_query_override' => $tax_query_override,
+					'archive_taxonomy'   => $archive_taxonomy,
+					'archive_term_id'    => $archive_term_id,
+					'source'             => 'ability',
+					'user_date_range'    => true,
+				)
+			);
+
+			$query_args['fields']        = 'ids';
+			$query_args['no_found_rows'] = true;
+
+			$query            = new WP_Query( $query_args );
+			$counts[ $scope ] = $query->post_count;
+		}
+
+		return $counts;
+	}
+
+	/**
+	 * Execute get-search-suggestions ability
+	 *
+	 * Matches the query against term names in every taxonomy the filter modal
+	 * shows and against upcoming event titles. Terms without upcoming events
+	 * are left out, so picking a suggestion never leads to an empty calendar.
+	 *
+	 * @param array $input Input parameters.
+	 * @return array Matching terms and events.
+	 */
+	public function executeGetSearchSuggestions( array $input ): array {
+		$query = trim( sanitize_text_field( $input['query'] ?? '' ) );
+		$limit = min( max( absint( $input['limit'] ?? 5 ), 1 ), 10 );
+
+		$result = array(
+			'success' => true,
+			'query'   => $query,
+			'terms'   => array(),
+			'events'  => array(),
+		);
+
+		if ( mb_strlen( $query ) < 2 ) {
+			return $result;
+		}
+
+		$archive_taxonomy   = sanitize_key( $input['archive_taxonomy'] ?? '' );
+		$archive_term_id    = absint( $input['archive_term_id'] ?? 0 );
+		$tax_query_override = null;
+
+		if ( $archive_taxonomy && $archive_term_id ) {
+			$tax_query_override = array(
+				array(
+					'taxonomy' => $archive_taxonomy,
+					'field'    => 'term_id',
+					'terms'    => $archive_term_id,
+				),
+			);
+		}
+
+		$tax_query_override = Fixed_Filters::merge_tax_query( $tax_query_override, Fixed_Filters::from_input( $input ) );
+
+		$result['terms']  = $this->getTermSuggestions( $query, $limit, $tax_query_override, $archive_taxonomy );
+		$result['events'] = $this->getEventSuggestions( $query, $limit, $tax_query_override, $archive_taxonomy, $archive_term_id );
+
+		return $result;
+	}
+
+	/**
+	 * Find terms whose name contains the query, with upcoming event counts
+	 *
+	 * @param string     $query              Search text.
+	 * @param int        $limit              Maximum terms per taxonomy.
+	 * @param array|null $tax_query_override Archive constraint.
+	 * @param string     $archive_taxonomy   Archive taxonomy slug (its term is fixed, so not suggested).
+	 * @return array Term suggestions.
+	 */
+	private function getTermSuggestions( string $query, int $limit, ?array $tax_query_override, string $archive_taxonomy ): array {
+		$taxonomies = get_object_taxonomies( Event_Post_Type::POST_TYPE, 'objects' );
+		if ( ! $taxonomies ) {
+			return array();
+		}
+
+		$excluded_taxonomies = apply_filters( 'data_machine_events_excluded_taxonomies', array(), 'modal' );
+		$date_context        = array( 'past' => '' );
+		$suggestions         = array();
+
+		foreach ( $taxonomies as $taxonomy ) {
+			if ( in_array( $taxonomy->name, $excluded_taxonomies, true ) || ! $taxonomy->public || $taxonomy->name === $archive_taxonomy ) {
+				continue;
+			}
+
+			$terms = get_terms(
+				array(
+					'taxonomy'   => $taxonomy->name,
+					'name__like' => $query,
+					'hide_empty' => true,
+				)
+			);
+
+			if ( is_wp_error( $terms ) || empty( $terms ) ) {
+				continue;
+			}
+
+			$counts  = Taxonomy_Helper::get_batch_term_counts( $taxonomy->name, $date_context, array(), $tax_query_override );
+			$matches = array();
+
+			foreach ( $terms as $term ) {
+				$count = $counts[ $term->term_id ] ?? 0;
+				if ( $count > 0 ) {
+					$matches[] = array(
+						'taxonomy'       => $taxonomy->name,
+						'taxonomy_label' => $taxonomy->label,
+						'term_id'        => (int) $term->term_id,
+						'name'           => $term->name,
+						'event_count'    => $count,
+					);
+				}
+			}
+
+			usort(
+				$matches,
+				function ( $a, $b ) {
+					return $b['event_count'] <=> $a['event_count'];
+				}
+			);
+
+			$suggestions = array_merge( $suggestions, array_slice( $matches, 0, $limit ) );
+		}
+
+		return $suggestions;
+	}
+
+	/**
+	 * Find upcoming events whose title contains the query
+	 *
+	 * @param string     $query              Search text.
+	 * @param int        $limit              Maximum events.
+	 * @param array|null $tax_query_override Archive constraint.
+	 * @param string     $archive_taxonomy   Archive taxonomy slug.
+	 * @param int        $archive_term_id    Archive term ID.
+	 * @return array Event suggestions, soonest first.
+	 */
+	private function getEventSuggestions( string $query, int $limit, ?array $tax_query_override, string $archive_taxonomy, int $archive_term_id ): array {
+		$query_args = EventQueryBuilder::build_query_args(
+			array(
+				'search_query'       => $query,
+				'tax_query_override' => $tax_query_override,
+				'archive_taxonomy'   => $archive_taxonomy,
+				'archive_term_id'    => $archive_term_id,
+				'source'             => 'ability',
+			)
+		);
+
+		$query_args['search_columns'] = array( 'post_title' );
+		$query_args['posts_per_page'] = $limit;
+		$query_args['no_found_rows']  = true;
+
+		$events = new WP_Query( $query_args );
+		$result = array();
+
+		foreach ( $events->posts as $post ) {
+			$start_datetime = get_post_meta( $post->ID, EVENT_DATETIME_META_KEY, true );
+
+			$result[] = array(
+				'id'        => $post->ID,
+				'title'     => html_entity_decode( get_the_title( $post ), ENT_QUOTES, 'UTF-8' ),
+				'permalink' => get_permalink( $post ),
+				'date'      => $start_datetime ? date_i18n( get_option( 'date_format' ), strtotime( $start_datetime ) ) : '',
+			);
+		}
+
+		return $result;
+	}
 }
@@ -28,6 +28,11 @@ class GeocodingAbilities {
 	 */
 	private const CACHE_TTL = 30 * DAY_IN_SECONDS;
 
+	/**
+	 * Transient cache TTL for place search results (1 day).
+	 */
+	private const SEARCH_CACHE_TTL = DAY_IN_SECONDS;
+
 	/**
 	 * Transient prefix for cached geocoding results.
 	 */
@@ -38,6 +43,17 @@ class GeocodingAbilities {
 	 */
 	private const RATE_LIMIT_SECONDS = 2;
 
+	/**
+	 * Lock (cache key or option) holding the time of the last place search
+	 * sent to Nominatim.
+	 */
+	private const SEARCH_LOCK_KEY = 'dme_geocode_search_lock';
+
+	/**
+	 * Site-wide minimum seconds between place searches sent to Nominatim.
+	 */
+	private const SEARCH_MIN_INTERVAL = 1;
+
 	private static bool $registered = false;
 
 	public function __construct() {
@@ -182,12 +198,16 @@ class GeocodingAbilities {
 				'output_schema'       => array(
 					'type'       => 'object',
 					'properties' => array(
-						'success' => array( 'type' => 'boolean' ),
-						'results' => array(
+						'success'   => array( 'type' => 'boolean' ),
+						'results'   => array(
 							'type'        => 'array',
 							'description' => 'Array of Nominatim results with lat, lon, display_name, address details',
 						),
-						'error'   => array( 'type' => 'string' ),
+						'throttled' => array(
+							'type'        => 'boolean',
+							'description' => 'True (with success false) when the search was skipped because another one reached Nominatim less than a second ago',
+						),
+						'error'     => array( 'type' => 'string' ),
 					),
 				),
 				'execute_callback'    => array( $this, 'executeGeocodeSearch' ),
@@ -233,6 +253,28 @@ class GeocodingAbilities {
 			$url_args['countrycodes'] = sanitize_text_field( $input['countrycodes'] );
 		}
 
+		// Autocomplete UIs repeat the same prefixes; keep Nominatim traffic down.
+		$cache_key = self::CACHE_PREFIX . 'search_' . md5( strtolower( $query ) . '|' . $limit . '|' . ( $url_args['countrycodes'] ?? '' ) );
+		$cached    = get_transient( $cache_key );
+
+		if ( false !== $cached && is_array( $cached ) ) {
+			return array(
+				'success' => true,
+				'results' => $cached,
+			);
+		}
+
+		// Public Nominatim allows about one request per second per site, so
+		// searches from every visitor share that budget.
+		if ( ! $this->claimSearchSlot() ) {
+			return array(
+				'success'   => false,
+				'error'     => 'Too many place searches right now. Please try again in a moment.',
+				'results'   => array(),
+				'throttled' => true,
+			);
+		}
+
 		$url = add_query_arg( $url_args, 'https://nominatim.openstreetmap.org/search' );
 
 		$response = wp_remote_get(
@@ -271,12 +313,53 @@ class GeocodingAbilities {
 			);
 		}
 
+		set_transient( $cache_key, $data, self::SEARCH_CACHE_TTL );
+
 		return array(
 			'success' => true,
 			'results' => $data,
 		);
 	}
 
+	/**
+	 * Claim the site-wide slot for one Nominatim place search.
+	 *
+	 * The claim is atomic so concurrent requests cannot all pass: a
+	 * persistent object cache's add() succeeds for one caller only, and
+	 * without one the options table's unique key plays the same role.
+	 *
+	 * @return bool False when a search went upstream less than
+	 *              SEARCH_MIN_INTERVAL seconds ago.
+	 */
+	private function claimSearchSlot(): bool {
+		if ( wp_using_ext_object_cache() ) {
+			return wp_cache_add( self::SEARCH_LOCK_KEY, time(), 'data-machine-events', self::SEARCH_MIN_INTERVAL );
+		}
+
+		global $wpdb;
+
+		$now = microtime( true );
+
+		// Release a claim that has run its course.
+		$wpdb->query(
+			$wpdb->prepare(
+				"DELETE FROM {$wpdb->options} WHERE option_name = %s AND CAST( option_value AS DECIMAL( 16, 4 ) ) <= %f",
+				self::SEARCH_LOCK_KEY,
+				$now - self::SEARCH_MIN_INTERVAL
+			)
+		);
+
+		$claimed = $wpdb->query(
+			$wpdb->prepare(
+				"INSERT IGNORE INTO {$wpdb->options} ( option_name, option_value, autoload ) VALUES ( %s, %s, 'no' )",
+				self::SEARCH_LOCK_KEY,
+				sprintf( '%.4F', $now )
+			)
+		);
+
+		return 1 === $claimed;
+	}
+
 	// -------------------------------------------------------------------------
 	// Ability: geocode-venues
 	// -------------------------------------------------------------------------
@@ -15,6 +15,7 @@
 namespace DataMachineEvents\Abilities;
 
 use DataMachineEvents\Admin\Settings_Page;
+use DataMachineEvents\Core\TileProviders;
 
 if ( ! defined( 'ABSPATH' ) ) {
 	exit;
@@ -25,20 +26,16 @@ class SettingsAbilities {
 	private const OPTION_KEY = 'data_machine_events_settings';
 
 	private const DEFAULTS = array(
-		'include_in_archives'  => false,
-		'include_in_search'    => true,
-		'main_events_page_url' => '',
-		'map_display_type'     => 'osm-standard',
-		'geonames_username'    => '',
-		'next_day_cutoff'      => '05:00',
-	);
-
-	private const ALLOWED_MAP_TYPES = array(
-		'osm-standard',
-		'carto-positron',
-		'carto-voyager',
-		'carto-dark',
-		'humanitarian',
+		'include_in_archives'     => false,
+		'include_in_search'       => true,
+		'main_events_page_url'    => '',
+		'map_display_type'        => 'osm-standard',
+		'tile_custom_url'         => '',
+		'tile_custom_attribution' => '',
+		'tile_custom_max_zoom'    => 19,
+		'tile_api_key'            => '',
+		'geonames_username'       => '',
+		'next_day_cutoff'         => '05:00',
 	);
 
 	private static bool $registered = false;
@@ -247,14 +244,35 @@ class SettingsAbilities {
 				return ! empty( $value ) ? esc_url_raw( (string) $value ) : '';
 
 			case 'map_display_type':
-				if ( ! in_array( $value, self::ALLOWED_MAP_TYPES, true ) ) {
+				$allowed_map_types = TileProviders::get_provider_ids();
+				if ( ! in_array( $value, $allowed_map_types, true ) ) {
 					return new \WP_Error(
 						'invalid_value',
-						"Invalid map type: {$value}. Allowed: " . implode( ', ', self::ALLOWED_MAP_TYPES )
+						"Invalid map type: {$value}. Allowed: " . implode( ', ', $allowed_map_types )
 					);
 				}
 				return $value;
 
+			case 'tile_custom_url':
+				$value = trim( sanitize_text_field( (string) $value ) );
+				if ( '' !== $value && ! TileProviders::is_valid_url_template( $value ) ) {
+					return new \WP_Error( 'invalid_value', "Invalid tile URL template: {$value}. Expected an http(s) URL containing {z}, {x}, and {y}." );
+				}
+				return $value;
+
+			case 'tile_custom_attribution':
+				return wp_kses( (string) $value, Settings_Page::get_attribution_allowed_html() );
+
+			case 'tile_custom_max_zoom':
+				$value = absint( $value );
+				if ( $value < 1 || $value > TileProviders::MAX_ZOOM_LIMIT ) {
+					return new \WP_Error( 'invalid_value', "Invalid max zoom: {$value}. Expected 1-" . TileProviders::MAX_ZOOM_LIMIT . '.' );
+				}
+				return $value;
+
+			case 'tile_api_key':
+				return sanitize_text_field( (string) $value );
+
 			case 'geonames_username':
 				return sanitize_text_field( (string) $value );
 
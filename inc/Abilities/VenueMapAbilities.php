@@ -6,12 +6,18 @@
  * by geo proximity or map viewport bounds. Powers the events-map block
  * frontend via the REST API.
  *
+ * The calendar's event filters (taxonomy terms, date range, scope, search)
+ * narrow the list to venues with matching events, and event counts then
+ * count only those events.
+ *
  * @package DataMachineEvents\Abilities
  */
 
 namespace DataMachineEvents\Abilities;
 
 use DataMachineEvents\Blocks\Calendar\Geo_Query;
+use DataMachineEvents\Blocks\Calendar\Query\EventQueryBuilder;
+use DataMachineEvents\Blocks\Calendar\Query\ScopeResolver;
 use DataMachineEvents\Core\Event_Post_Type;
 use DataMachineEvents\Core\Venue_Taxonomy;
 
@@ -47,40 +53,60 @@ class VenueMapAbilities {
 			'data-machine-events/list-venues',
 			array(
 				'label'               => __( 'List Venues', 'data-machine-events' ),
-				'description'         => __( 'List venues with coordinates for map rendering. Supports geo proximity and viewport bounds filtering.', 'data-machine-events' ),
+				'description'         => __( 'List venues with coordinates for map rendering. Supports geo proximity, viewport bounds, and calendar event filters.', 'data-machine-events' ),
 				'category'            => 'datamachine',
 				'input_schema'        => array(
 					'type'       => 'object',
 					'properties' => array(
-						'lat'         => array(
+						'lat'          => array(
 							'type'        => 'number',
 							'description' => 'Center latitude for proximity filtering',
 						),
-						'lng'         => array(
+						'lng'          => array(
 							'type'        => 'number',
 							'description' => 'Center longitude for proximity filtering',
 						),
-						'radius'      => array(
+						'radius'       => array(
 							'type'        => 'integer',
 							'description' => 'Search radius (default 25, max 500)',
 						),
-						'radius_unit' => array(
+						'radius_unit'  => array(
 							'type'        => 'string',
 							'description' => 'mi or km (default mi)',
 							'enum'        => array( 'mi', 'km' ),
 						),
-						'bounds'      => array(
+						'bounds'       => array(
 							'type'        => 'string',
 							'description' => 'Map viewport bounds as sw_lat,sw_lng,ne_lat,ne_lng',
 						),
-						'taxonomy'    => array(
+						'taxonomy'     => array(
 							'type'        => 'string',
 							'description' => 'Filter by taxonomy slug (e.g. location)',
 						),
-						'term_id'     => array(
+						'term_id'      => array(
 							'type'        => 'integer',
 							'description' => 'Filter by taxonomy term ID',
 						),
+						'tax_filter'   => array(
+							'type'        => 'object',
+							'description' => 'Calendar taxonomy filters as { taxonomy: [term IDs] }',
+						),
+						'date_start'   => array(
+							'type'        => 'string',
+							'description' => 'Only events from this date (Y-m-d)',
+						),
+						'date_end'     => array(
+							'type'        => 'string',
+							'description' => 'Only events up to this date (Y-m-d)',
+						),
+						'scope'        => array(
+							'type'        => 'string',
+							'description' => 'Time scope: today, tonight, this-weekend, this-week (ignored with date_start/date_end)',
+						),
+						'event_search' => array(
+							'type'        => 'string',
+							'description' => 'Only events matching this search text',
+						),
 					),
 				),
 				'output_schema'       => array(
@@ -98,7 +124,10 @@ class VenueMapAbilities {
 									'lon'         => array( 'type' => 'number' ),
 									'address'     => array( 'type' => 'string' ),
 									'url'         => array( 'type' => 'string' ),
-									'event_count' => array( 'type' => 'integer' ),
+									'event_count' => array(
+										'type'        => 'integer',
+										'description' => 'Upcoming events at the venue matching the event filters (events in the date range or scope when one is given)',
+									),
 									'distance'    => array( 'type' => 'number' ),
 								),
 							),
@@ -136,6 +165,10 @@ class VenueMapAbilities {
 		$taxonomy    = $input['taxonomy'] ?? '';
 		$term_id     = isset( $input['term_id'] ) ? (int) $input['term_id'] : 0;
 
+		// Event counts per venue under the calendar filters.
+		$event_counts     = $this->getEventCounts( $input, $taxonomy, $term_id );
+		$has_event_filter = $this->hasEventFilter( $input );
+
 		$has_geo    = null !== $lat && null !== $lng && Geo_Query::validate_params( $lat, $lng, $radius );
 		$has_bounds = ! empty( $bounds );
 
@@ -240,6 +273,11 @@ class VenueMapAbilities {
 				continue;
 			}
 
+			// Calendar filters: venues without matching events are hidden.
+			if ( $has_event_filter && empty( $event_counts[ $venue->term_id ] ) ) {
+				continue;
+			}
+
 			$address = Venue_Taxonomy::get_formatted_address( $venue->term_id );
 			$url     = get_term_link( $venue );
 
@@ -251,7 +289,7 @@ class VenueMapAbilities {
 				'lon'         => $venue_lon,
 				'address'     => $address,
 				'url'         => is_string( $url ) ? $url : '',
-				'event_count' => $venue->count,
+				'event_count' => $event_counts[ $venue->term_id ] ?? 0,
 			);
 
 			if ( isset( $distance_map[ $venue->term_id ] ) ) {
@@ -280,6 +318,101 @@ class VenueMapAbilities {
 		);
 	}
 
+	/**
+	 * Count the events matching the calendar filters at each venue.
+	 *
+	 * Uses the same query builder as the calendar, so a venue's count matches
+	 * what the calendar lists for it. Without date_start, date_end or scope
+	 * the count covers upcoming events, like the calendar's default view.
+	 *
+	 * @param array  $input    Ability input.
+	 * @param string $taxonomy Archive taxonomy slug.
+	 * @param int    $term_id  Archive term ID.
+	 * @return array Event counts keyed by venue term ID (venues without events are omitted).
+	 */
+	private function getEventCounts( array $input, string $taxonomy, int $term_id ): array {
+		$tax_filters  = is_array( $input['tax_filter'] ?? null ) ? array_filter( $input['tax_filter'] ) : array();
+		$date_start   = $input['date_start'] ?? '';
+		$date_end     = $input['date_end'] ?? '';
+		$scope        = $input['scope'] ?? '';
+		$search_query = $input['event_search'] ?? '';
+
+		// Resolve scope to date boundaries when no explicit dates are set.
+		$scope_resolved = null;
+		if ( $scope && empty( $date_start ) && empty( $date_end ) ) {
+			$scope_resolved = ScopeResolver::resolve( $scope );
+			if ( $scope_resolved ) {
+				$date_start = $scope_resolved['date_start'];
+				$date_end   = $scope_resolved['date_end'];
+			}
+		}
+
+		$tax_query_override = null;
+		if ( $taxonomy && $term_id > 0 ) {
+			$tax_query_override = array(
+				array(
+					'taxonomy' => $taxonomy,
+					'field'    => 'term_id',
+					'terms'    => $term_id,
+				),
+			);
+		}
+
+		$query_args = EventQueryBuilder::build_query_args(
+			array(
+				'search_query'       => $search_query,
+				'date_start'         => $date_start,
+				'date_end'           => $date_end,
+				'time_start'         => $scope_resolved['time_start'] ?? '',
+				'time_end'           => $scope_resolved['time_end'] ?? '',
+				'tax_filters'        => $tax_filters,
+				'tax_query_override' => $tax_query_override,
+				'archive_taxonomy'   => $taxonomy,
+				'archive_term_id'    => $term_id,
+				'source'             => 'ability',
+				'user_date_range'    => ! empty( $date_start ) || ! empty( $date_end ),
+			)
+		);
+
+		$query_args['fields']        = 'ids';
+		$query_args['no_found_rows'] = true;
+
+		$query = new \WP_Query( $query_args );
+		if ( empty( $query->posts ) ) {
+			return array();
+		}
+
+		$terms = wp_get_object_terms( $query->posts, 'venue', array( 'fields' => 'all_with_object_id' ) );
+		if ( is_wp_error( $terms ) ) {
+			return array();
+		}
+
+		$counts = array();
+		foreach ( $terms as $term ) {
+			$counts[ $term->term_id ] = ( $counts[ $term->term_id ] ?? 0 ) + 1;
+		}
+
+		return $counts;
+	}
+
+	/**
+	 * Whether any calendar event filter is set, so venues without matching
+	 * events should be left off the map.
+	 *
+	 * @param array $input Ability input.
+	 * @return bool
+	 */
+	private function hasEventFilter( array $input ): bool {
+		$tax_filters = is_array( $input['tax_filter'] ?? null ) ? array_filter( $input['tax_filter'] ) : array();
+		$scope       = $input['scope'] ?? '';
+
+		return ! empty( $tax_filters )
+			|| ! empty( $input['date_start'] )
+			|| ! empty( $input['date_end'] )
+			|| ( $scope && ScopeResolver::resolve( $scope ) )
+			|| '' !== ( $input['event_search'] ?? '' );
+	}
+
 	/**
 	 * Get venue term IDs that have events matching a taxonomy term.
 	 *
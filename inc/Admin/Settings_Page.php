@@ -9,6 +9,7 @@
 namespace DataMachineEvents\Admin;
 
 use DataMachineEvents\Core\Event_Post_Type;
+use DataMachineEvents\Core\TileProviders;
 
 if ( ! defined( 'ABSPATH' ) ) {
 	exit;
@@ -24,12 +25,16 @@ class Settings_Page {
 	const PAGE_SLUG = 'data-machine-events-settings';
 
 	private $defaults = array(
-		'include_in_archives'  => false,
-		'include_in_search'    => true,
-		'main_events_page_url' => '',
-		'map_display_type'     => 'osm-standard',
-		'geonames_username'    => '',
-		'next_day_cutoff'      => '05:00',
+		'include_in_archives'     => false,
+		'include_in_search'       => true,
+		'main_events_page_url'    => '',
+		'map_display_type'        => 'osm-standard',
+		'tile_custom_url'         => '',
+		'tile_custom_attribution' => '',
+		'tile_custom_max_zoom'    => 19,
+		'tile_api_key'            => '',
+		'geonames_username'       => '',
+		'next_day_cutoff'         => '05:00',
 	);
 
 	public function __construct() {
@@ -109,11 +114,33 @@ class Settings_Page {
 			: '';
 
 		// Map display type
-		$allowed_map_types             = array( 'osm-standard', 'carto-positron', 'carto-voyager', 'carto-dark', 'humanitarian' );
-		$sanitized['map_display_type'] = in_array( $input['map_display_type'], $allowed_map_types, true )
+		$allowed_map_types             = TileProviders::get_provider_ids();
+		$sanitized['map_display_type'] = in_array( $input['map_display_type'] ?? '', $allowed_map_types, true )
 			? $input['map_display_type']
 			: 'osm-standard';
 
+		// Custom tile server
+		$tile_custom_url              = trim( sanitize_text_field( $input['tile_custom_url'] ?? '' ) );
+		$sanitized['tile_custom_url'] = TileProviders::is_valid_url_template( $tile_custom_url ) ? $tile_custom_url : '';
+
+		if ( '' !== $tile_custom_url && '' === $sanitized['tile_custom_url'] ) {
+			add_settings_error(
+				'data_machine_events_messages',
+				'data_machine_events_tile_url',
+				__( 'The tile URL template must be an http(s) URL containing {z}, {x}, and {y}.', 'data-machine-events' )
+			);
+		}
+
+		$sanitized['tile_custom_attribution'] = wp_kses( $input['tile_custom_attribution'] ?? '', self::get_attribution_allowed_html() );
+
+		$sanitized['tile_custom_max_zoom'] = ! empty( $input['tile_custom_max_zoom'] )
+			? min( TileProviders::MAX_ZOOM_LIMIT, max( 1, absint( $input['tile_custom_max_zoom'] ) ) )
+			: 19;
+
+		$sanitized['tile_api_key'] = ! empty( $input['tile_api_key'] )
+			? sanitize_text_field( $input['tile_api_key'] )
+			: '';
+
 		// GeoNames username
 		$sanitized['geonames_username'] = ! empty( $input['geonames_username'] )
 			? sanitize_text_field( $input['geonames_username'] )
@@ -198,12 +225,27 @@ class Settings_Page {
 	/**
 	 * Get map display type setting
 	 *
-	 * @return string Map display type (osm-standard, carto-positron, carto-voyager, carto-dark, humanitarian)
+	 * @return string Map display type (a TileProviders key, e.g. osm-standard or custom)
 	 */
 	public static function get_map_display_type() {
 		return self::get_setting( 'map_display_type', 'osm-standard' );
 	}
 
+	/**
+	 * HTML allowed in tile attribution (links only)
+	 *
+	 * @return array Allowed tags for wp_kses()
+	 */
+	public static function get_attribution_allowed_html(): array {
+		return array(
+			'a' => array(
+				'href'   => array(),
+				'target' => array(),
+				'rel'    => array(),
+			),
+		);
+	}
+
 	/**
 	 * Get next day cutoff time setting
 	 *
@@ -26,7 +26,13 @@ class Calendar {
 	 */
 	public function calendar( WP_REST_Request $request ) {
 		$abilities = new CalendarAbilities();
-		$result    = $abilities->executeGetCalendarPage(
+		$is_json   = 'json' === $request->get_param( 'format' );
+
+		if ( 'grid' === $request->get_param( 'view' ) ) {
+			return $this->month( $request, $abilities );
+		}
+
+		$result = $abilities->executeGetCalendarPage(
 			array(
 				'paged'            => $request->get_param( 'paged' ) ?? 1,
 				'past'             => '1' === $request->get_param( 'past' ),
@@ -37,32 +43,152 @@ class Calendar {
 				'tax_filter'       => $request->get_param( 'tax_filter' ) ?? array(),
 				'archive_taxonomy' => $request->get_param( 'archive_taxonomy' ) ?? '',
 				'archive_term_id'  => $request->get_param( 'archive_term_id' ) ?? 0,
+				'fixed_tax_filter' => $request->get_param( 'fixed_tax_filter' ) ?? array(),
+				'fixed_geo'        => $request->get_param( 'fixed_geo' ) ?? array(),
 				'geo_lat'          => $request->get_param( 'lat' ) ?? '',
 				'geo_lng'          => $request->get_param( 'lng' ) ?? '',
 				'geo_radius'       => $request->get_param( 'radius' ) ?? 25,
 				'geo_radius_unit'  => $request->get_param( 'radius_unit' ) ?? 'mi',
-				'include_html'     => true,
+				'event_ids'        => $request->get_param( 'event_ids' ),
+				'url_prefix'       => $request->get_param( 'url_prefix' ) ?? '',
+				'include_html'     => ! $is_json,
 				'include_gaps'     => true,
+				'include_events'   => $is_json,
 			)
 		);
 
+		if ( $is_json ) {
+			return rest_ensure_response(
+				array(
+					'success'     => true,
+					'format'      => 'json',
+					'date_groups' => $result['date_groups'],
+					'pagination'  => array(
+						'current_page' => $result['current_page'],
+						'max_pages'    => $result['max_pages'],
+						'total_events' => $result['total_event_count'],
+					),
+					'navigation'  => array(
+						'past_count'   => $result['event_counts']['past'],
+						'future_count' => $result['event_counts']['future'],
+						'show_past'    => ! empty( $request->get_param( 'past' ) ),
+					),
+				)
+			);
+		}
+
 		return rest_ensure_response(
 			array(
-				'success'    => true,
-				'html'       => $result['html']['events'],
-				'pagination' => array(
+				'success'        => true,
+				'html'           => $result['html']['events'],
+				'pagination'     => array(
 					'html'         => $result['html']['pagination'],
 					'current_page' => $result['current_page'],
 					'max_pages'    => $result['max_pages'],
 					'total_events' => $result['total_event_count'],
 				),
-				'counter'    => $result['html']['counter'],
-				'navigation' => array(
+				'counter'        => $result['html']['counter'],
+				'navigation'     => array(
 					'html'         => $result['html']['navigation'],
 					'past_count'   => $result['event_counts']['past'],
 					'future_count' => $result['event_counts']['future'],
 					'show_past'    => ! empty( $request->get_param( 'past' ) ),
 				),
+				'active_filters' => $result['html']['active_filters'],
+			)
+		);
+	}
+
+	/**
+	 * Per-day event counts endpoint implementation
+	 *
+	 * @param WP_REST_Request $request REST request object
+	 * @return \WP_REST_Response
+	 */
+	public function day_counts( WP_REST_Request $request ) {
+		$abilities = new CalendarAbilities();
+
+		$result = $abilities->executeGetDayCounts(
+			array(
+				'date_start'       => $request->get_param( 'date_start' ),
+				'date_end'         => $request->get_param( 'date_end' ),
+				'event_search'     => $request->get_param( 'event_search' ) ?? '',
+				'tax_filter'       => $request->get_param( 'tax_filter' ) ?? array(),
+				'archive_taxonomy' => $request->get_param( 'archive_taxonomy' ) ?? '',
+				'archive_term_id'  => $request->get_param( 'archive_term_id' ) ?? 0,
+				'fixed_tax_filter' => $request->get_param( 'fixed_tax_filter' ) ?? array(),
+				'fixed_geo'        => $request->get_param( 'fixed_geo' ) ?? array(),
+				'geo_lat'          => $request->get_param( 'lat' ) ?? '',
+				'geo_lng'          => $request->get_param( 'lng' ) ?? '',
+				'geo_radius'       => $request->get_param( 'radius' ) ?? 25,
+				'geo_radius_unit'  => $request->get_param( 'radius_unit' ) ?? 'mi',
+			)
+		);
+
+		return rest_ensure_response(
+			array(
+				'success'    => true,
+				'date_start' => $result['date_start'],
+				'date_end'   => $result['date_end'],
+				// An object even when empty, so clients can index it by date.
+				'counts'     => (object) $result['counts'],
+			)
+		);
+	}
+
+	/**
+	 * Month-grid variant of the calendar endpoint
+	 *
+	 * Pagination, counter, and navigation fragments are null since the grid
+	 * shows a whole month; `month` carries the prev/next keys instead. With
+	 * `format=json` the rendered grid is replaced by structured date groups.
+	 *
+	 * @param WP_REST_Request   $request   REST request object
+	 * @param CalendarAbilities $abilities Calendar abilities instance
+	 * @return \WP_REST_Response
+	 */
+	private function month( WP_REST_Request $request, CalendarAbilities $abilities ) {
+		$is_json = 'json' === $request->get_param( 'format' );
+
+		$result = $abilities->executeGetCalendarMonth(
+			array(
+				'month'            => $request->get_param( 'month' ) ?? '',
+				'event_search'     => $request->get_param( 'event_search' ) ?? '',
+				'tax_filter'       => $request->get_param( 'tax_filter' ) ?? array(),
+				'archive_taxonomy' => $request->get_param( 'archive_taxonomy' ) ?? '',
+				'archive_term_id'  => $request->get_param( 'archive_term_id' ) ?? 0,
+				'fixed_tax_filter' => $request->get_param( 'fixed_tax_filter' ) ?? array(),
+				'fixed_geo'        => $request->get_param( 'fixed_geo' ) ?? array(),
+				'geo_lat'          => $request->get_param( 'lat' ) ?? '',
+				'geo_lng'          => $request->get_param( 'lng' ) ?? '',
+				'geo_radius'       => $request->get_param( 'radius' ) ?? 25,
+				'geo_radius_unit'  => $request->get_param( 'radius_unit' ) ?? 'mi',
+				'event_ids'        => $request->get_param( 'event_ids' ),
+				'include_html'     => ! $is_json,
+				'include_events'   => $is_json,
+			)
+		);
+
+		if ( $is_json ) {
+			return rest_ensure_response(
+				array(
+					'success'     => true,
+					'format'      => 'json',
+					'date_groups' => $result['date_groups'],
+					'month'       => $result['month'],
+				)
+			);
+		}
+
+		return rest_ensure_response(
+			array(
+				'success'        => true,
+				'html'           => $result['html']['events'],
+				'pagination'     => null,
+				'counter'        => null,
+				'navigation'     => null,
+				'active_filters' => $result['html']['active_filters'],
+				'month'          => $result['month'],
 			)
 		);
 	}
@@ -0,0 +1,83 @@
+<?php
+/**
+ * Calendar Export REST API Controller
+ *
+ * Public endpoint that downloads events as an iCalendar (.ics) file.
+ * Thin wrapper around the export-events-ics ability in CalendarAbilities.
+ *
+ * @package DataMachineEvents\Api\Controllers
+ * @since   0.15.0
+ */
+
+namespace DataMachineEvents\Api\Controllers;
+
+defined( 'ABSPATH' ) || exit;
+
+use WP_Error;
+use WP_REST_Request;
+use WP_REST_Response;
+use WP_REST_Server;
+use DataMachineEvents\Abilities\CalendarAbilities;
+
+/**
+ * Calendar export API controller
+ */
+class CalendarExport {
+
+	/**
+	 * Build an .ics file for the requested events.
+	 *
+	 * The response data is the raw iCalendar document; serve_ics() sends it
+	 * as-is instead of JSON-encoding it.
+	 *
+	 * @param WP_REST_Request $request REST request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function ics( WP_REST_Request $request ) {
+		$abilities = new CalendarAbilities();
+		$result    = $abilities->executeExportEventsIcs(
+			array(
+				'event_ids' => $request->get_param( 'event_ids' ) ?? array(),
+			)
+		);
+
+		if ( 0 === $result['event_count'] ) {
+			return new WP_Error(
+				'no_events',
+				__( 'No exportable events found.', 'data-machine-events' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		$response = new WP_REST_Response( $result['ics'] );
+		$response->header( 'Content-Type', 'text/calendar; charset=utf-8' );
+		$response->header( 'Content-Disposition', 'attachment; filename="' . $result['filename'] . '"' );
+
+		return $response;
+	}
+
+	/**
+	 * Send .ics responses as raw text instead of JSON.
+	 *
+	 * Hooked to `rest_pre_serve_request`.
+	 *
+	 * @param bool             $served  Whether the request has already been served.
+	 * @param mixed            $result  Response object.
+	 * @param WP_REST_Request  $request Request object.
+	 * @param WP_REST_Server   $server  Server instance.
+	 * @return bool Whether the request was served.
+	 */
+	public static function serve_ics( $served, $result, $request, $server ) {
+		if ( $served || '/datamachine/v1/events/ics' !== $request->get_route() ) {
+			return $served;
+		}
+
+		if ( ! $result instanceof \WP_HTTP_Response || 200 !== $result->get_status() || ! is_string( $result->get_data() ) ) {
+			return $served;
+		}
+
+		echo $result->get_data(); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- iCalendar document, not HTML.
+
+		return true;
+	}
+}
@@ -40,10 +40,36 @@ class Filters {
 				),
 				'archive_taxonomy' => $request->get_param( 'archive_taxonomy' ) ?? '',
 				'archive_term_id'  => $request->get_param( 'archive_term_id' ) ?? 0,
+				'fixed_tax_filter' => $request->get_param( 'fixed_tax_filter' ) ?? array(),
+				'fixed_geo'        => $request->get_param( 'fixed_geo' ) ?? array(),
 				'geo_lat'          => $request->get_param( 'lat' ) ?? '',
 				'geo_lng'          => $request->get_param( 'lng' ) ?? '',
 				'geo_radius'       => $request->get_param( 'radius' ) ?? 25,
 				'geo_radius_unit'  => $request->get_param( 'radius_unit' ) ?? 'mi',
+				'event_search'     => $request->get_param( 'event_search' ) ?? '',
+			)
+		);
+
+		return rest_ensure_response( $result );
+	}
+
+	/**
+	 * Get search suggestions (matching terms and event titles) for the search typeahead
+	 *
+	 * @param WP_REST_Request $request Request object with query, limit, and optional archive context.
+	 * @return \WP_REST_Response
+	 */
+	public function suggest( WP_REST_Request $request ) {
+		$abilities = new FilterAbilities();
+
+		$result = $abilities->executeGetSearchSuggestions(
+			array(
+				'query'            => $request->get_param( 'q' ) ?? '',
+				'limit'            => $request->get_param( 'limit' ) ?? 5,
+				'archive_taxonomy' => $request->get_param( 'archive_taxonomy' ) ?? '',
+				'archive_term_id'  => $request->get_param( 'archive_term_id' ) ?? 0,
+				'fixed_tax_filter' => $request->get_param( 'fixed_tax_filter' ) ?? array(),
+				'fixed_geo'        => $request->get_param( 'fixed_geo' ) ?? array(),
 			)
 		);
 
@@ -32,6 +32,14 @@ class Geocoding {
 			)
 		);
 
+		if ( ! empty( $result['throttled'] ) ) {
+			return new \WP_Error(
+				'geocoding_throttled',
+				$result['error'],
+				array( 'status' => 429 )
+			);
+		}
+
 		if ( ! empty( $result['error'] ) ) {
 			return new \WP_Error(
 				'geocoding_failed',
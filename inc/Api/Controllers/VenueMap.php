@@ -2,8 +2,9 @@
 /**
  * Venue Map REST API Controller
  *
- * Public endpoint for listing venues with coordinates.
- * Thin wrapper around VenueMapAbilities.
+ * Public endpoints for listing venues with coordinates and a venue's
+ * upcoming events. Thin wrappers around VenueMapAbilities and
+ * EventQueryAbilities.
  *
  * @package DataMachineEvents\Api\Controllers
  */
@@ -13,6 +14,7 @@ namespace DataMachineEvents\Api\Controllers;
 defined( 'ABSPATH' ) || exit;
 
 use WP_REST_Request;
+use DataMachineEvents\Abilities\EventQueryAbilities;
 use DataMachineEvents\Abilities\VenueMapAbilities;
 
 /**
@@ -30,16 +32,71 @@ class VenueMap {
 		$abilities = new VenueMapAbilities();
 		$result    = $abilities->executeListVenues(
 			array(
-				'lat'         => $request->get_param( 'lat' ),
-				'lng'         => $request->get_param( 'lng' ),
-				'radius'      => $request->get_param( 'radius' ) ?? 25,
-				'radius_unit' => $request->get_param( 'radius_unit' ) ?? 'mi',
-				'bounds'      => $request->get_param( 'bounds' ) ?? '',
-				'taxonomy'    => $request->get_param( 'taxonomy' ) ?? '',
-				'term_id'     => $request->get_param( 'term_id' ) ?? 0,
+				'lat'          => $request->get_param( 'lat' ),
+				'lng'          => $request->get_param( 'lng' ),
+				'radius'       => $request->get_param( 'radius' ) ?? 25,
+				'radius_unit'  => $request->get_param( 'radius_unit' ) ?? 'mi',
+				'bounds'       => $request->get_param( 'bounds' ) ?? '',
+				'taxonomy'     => $request->get_param( 'taxonomy' ) ?? '',
+				'term_id'      => $request->get_param( 'term_id' ) ?? 0,
+				'tax_filter'   => $request->get_param( 'tax_filter' ) ?? array(),
+				'date_start'   => $request->get_param( 'date_start' ) ?? '',
+				'date_end'     => $request->get_param( 'date_end' ) ?? '',
+				'scope'        => $request->get_param( 'scope' ) ?? '',
+				'event_search' => $request->get_param( 'event_search' ) ?? '',
 			)
 		);
 
 		return rest_ensure_response( $result );
 	}
+
+	/**
+	 * List a venue's next upcoming events for the map popup.
+	 *
+	 * Only public fields leave the ability's output.
+	 *
+	 * @param WP_REST_Request $request REST request object.
+	 * @return \WP_REST_Response|\WP_Error
+	 */
+	public function venue_events( WP_REST_Request $request ) {
+		$abilities = new EventQueryAbilities();
+		$result    = $abilities->executeGetVenueEvents(
+			array(
+				'venue'    => (string) $request->get_param( 'id' ),
+				'limit'    => $request->get_param( 'limit' ),
+				'upcoming' => true,
+			)
+		);
+
+		if ( isset( $result['error'] ) ) {
+			return new \WP_Error( 'venue_not_found', $result['error'], array( 'status' => 404 ) );
+		}
+
+		$venue_url = get_term_link( $result['venue']['term_id'], 'venue' );
+
+		return rest_ensure_response(
+			array(
+				'success' => true,
+				'venue'   => array(
+					'term_id'      => $result['venue']['term_id'],
+					'name'         => $result['venue']['name'],
+					'url'          => is_wp_error( $venue_url ) ? '' : $venue_url,
+					'total_events' => $result['venue']['total_events'],
+				),
+				'events'  => array_map(
+					function ( $event ) {
+						return array(
+							'id'         => $event['post_id'],
+							'title'      => html_entity_decode( $event['title'], ENT_QUOTES, 'UTF-8' ),
+							'permalink'  => $event['permalink'],
+							'start_date' => $event['start_date'],
+							'end_date'   => $event['end_date'],
+							'ticket_url' => $event['ticket_url'],
+						);
+					},
+					$result['events']
+				),
+			)
+		);
+	}
 }
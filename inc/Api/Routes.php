@@ -14,6 +14,7 @@ if ( defined( 'DATA_MACHINE_EVENTS_PLUGIN_DIR' ) ) {
 		DATA_MACHINE_EVENTS_PLUGIN_DIR . 'inc/Api/Controllers/Filters.php',
 		DATA_MACHINE_EVENTS_PLUGIN_DIR . 'inc/Api/Controllers/Geocoding.php',
 		DATA_MACHINE_EVENTS_PLUGIN_DIR . 'inc/Api/Controllers/VenueMap.php',
+		DATA_MACHINE_EVENTS_PLUGIN_DIR . 'inc/Api/Controllers/CalendarExport.php',
 	);
 	foreach ( $controllers as $file ) {
 		if ( file_exists( $file ) ) {
@@ -27,6 +28,7 @@ use DataMachineEvents\Api\Controllers\Venues;
 use DataMachineEvents\Api\Controllers\Filters;
 use DataMachineEvents\Api\Controllers\Geocoding;
 use DataMachineEvents\Api\Controllers\VenueMap;
+use DataMachineEvents\Api\Controllers\CalendarExport;
 
 /**
  * Register REST API routes for Data Machine Events
@@ -82,6 +84,14 @@ function register_routes() {
 					'type'              => 'integer',
 					'sanitize_callback' => 'absint',
 				),
+				'fixed_tax_filter' => array(
+					'type'        => 'object',
+					'description' => 'Block-level taxonomy constraint [taxonomy => [term_ids]]',
+				),
+				'fixed_geo'        => array(
+					'type'        => 'object',
+					'description' => 'Block-level area constraint: lat, lng, radius, radius_unit',
+				),
 				'paged'            => array(
 					'type'              => 'integer',
 					'default'           => 1,
@@ -91,6 +101,91 @@ function register_routes() {
 					'type'              => 'string',
 					'sanitize_callback' => 'sanitize_text_field',
 				),
+				'view'             => array(
+					'type'        => 'string',
+					'enum'        => array( 'list', 'grid' ),
+					'description' => 'Calendar view: list (date-grouped pages) or grid (month grid)',
+				),
+				'month'            => array(
+					'type'        => 'string',
+					'pattern'     => '^\\d{4}-\\d{2}$',
+					'description' => 'Month for the grid view (Y-m, default: current month)',
+				),
+				'format'           => array(
+					'type'        => 'string',
+					'enum'        => array( 'html', 'json' ),
+					'default'     => 'html',
+					'description' => 'Response format: html (rendered fragments) or json (structured date groups)',
+				),
+				'event_ids'        => array(
+					'type'              => 'array',
+					'items'             => array( 'type' => 'integer' ),
+					'sanitize_callback' => 'wp_parse_id_list',
+					'description'       => 'Only return these events (comma-separated or array; saved and shared lists)',
+				),
+				'url_prefix'       => array(
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+					'description'       => 'Query param prefix of a namespaced calendar, used in pagination and navigation links',
+				),
+			),
+		)
+	);
+
+	register_rest_route(
+		API_NAMESPACE,
+		'/events/calendar/day-counts',
+		array(
+			'methods'             => 'GET',
+			'callback'            => array( $calendar, 'day_counts' ),
+			'permission_callback' => '__return_true',
+			'args'                => array(
+				'date_start'       => array(
+					'required'    => true,
+					'type'        => 'string',
+					'pattern'     => '^\\d{4}-\\d{2}-\\d{2}$',
+					'description' => 'First day of the window (Y-m-d)',
+				),
+				'date_end'         => array(
+					'required'    => true,
+					'type'        => 'string',
+					'pattern'     => '^\\d{4}-\\d{2}-\\d{2}$',
+					'description' => 'Last day of the window (Y-m-d, at most 92 days after date_start)',
+				),
+				'event_search'     => array(
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_text_field',
+				),
+				'tax_filter'       => array(
+					'type'              => 'object',
+					'sanitize_callback' => function ( $value ) {
+						if ( ! is_array( $value ) ) {
+							return array();
+						}
+						$sanitized = array();
+						foreach ( $value as $taxonomy => $term_ids ) {
+							$taxonomy = sanitize_key( $taxonomy );
+							$sanitized[ $taxonomy ] = array_map( 'absint', (array) $term_ids );
+						}
+						return $sanitized;
+					},
+				),
+				'archive_taxonomy' => array(
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				),
+				'archive_term_id'  => array(
+					'type'              => 'integer',
+					'sanitize_callback' => 'absint',
+				),
+				'fixed_tax_filter' => array(
+					'type'        => 'object',
+					'description' => 'Block-level taxonomy constraint [taxonomy => [term_ids]]',
+				),
+				'fixed_geo'        => array(
+					'type'        => 'object',
+					'description' => 'Block-level area constraint: lat, lng, radius, radius_unit',
+				),
 			),
 		)
 	);
@@ -136,6 +231,28 @@ function register_routes() {
 		)
 	);
 
+	$calendar_export = new CalendarExport();
+
+	register_rest_route(
+		API_NAMESPACE,
+		'/events/ics',
+		array(
+			'methods'             => 'GET',
+			'callback'            => array( $calendar_export, 'ics' ),
+			'permission_callback' => '__return_true',
+			'args'                => array(
+				'event_ids' => array(
+					'required'          => true,
+					'type'              => 'array',
+					'items'             => array( 'type' => 'integer' ),
+					'sanitize_callback' => function ( $value ) {
+						return array_values( array_filter( wp_parse_id_list( $value ) ) );
+					},
+				),
+			),
+		)
+	);
+
 	$venue_map = new VenueMap();
 
 	register_rest_route(
@@ -146,34 +263,90 @@ function register_routes() {
 			'callback'            => array( $venue_map, 'list_venues' ),
 			'permission_callback' => '__return_true',
 			'args'                => array(
-				'lat'         => array(
+				'lat'          => array(
 					'type'              => 'number',
 					'sanitize_callback' => 'floatval',
 				),
-				'lng'         => array(
+				'lng'          => array(
 					'type'              => 'number',
 					'sanitize_callback' => 'floatval',
 				),
-				'radius'      => array(
+				'radius'       => array(
 					'type'              => 'integer',
 					'default'           => 25,
 					'sanitize_callback' => 'absint',
 				),
-				'radius_unit' => array(
+				'radius_unit'  => array(
 					'type'              => 'string',
 					'default'           => 'mi',
 					'sanitize_callback' => 'sanitize_text_field',
 				),
-				'bounds'      => array(
+				'bounds'       => array(
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_text_field',
+				),
+				'taxonomy'     => array(
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				),
+				'term_id'      => array(
+					'type'              => 'integer',
+					'sanitize_callback' => 'absint',
+				),
+				'tax_filter'   => array(
+					'type'              => 'object',
+					'sanitize_callback' => function ( $value ) {
+						if ( ! is_array( $value ) ) {
+							return array();
+						}
+						$sanitized = array();
+						foreach ( $value as $taxonomy => $term_ids ) {
+							$taxonomy = sanitize_key( $taxonomy );
+							$sanitized[ $taxonomy ] = array_map( 'absint', (array) $term_ids );
+						}
+						return $sanitized;
+					},
+				),
+				'date_start'   => array(
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_text_field',
+				),
+				'date_end'     => array(
 					'type'              => 'string',
 					'sanitize_callback' => 'sanitize_text_field',
 				),
-				'taxonomy'    => array(
+				'scope'        => array(
 					'type'              => 'string',
 					'sanitize_callback' => 'sanitize_key',
+					'description'       => 'Time scope: today, tonight, this-weekend, this-week',
+				),
+				'event_search' => array(
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_text_field',
+				),
+			),
+		)
+	);
+
+	register_rest_route(
+		API_NAMESPACE,
+		'/events/venues/(?P<id>\d+)/events',
+		array(
+			'methods'             => 'GET',
+			'callback'            => array( $venue_map, 'venue_events' ),
+			'permission_callback' => '__return_true',
+			'args'                => array(
+				'id'    => array(
+					'validate_callback' => function ( $param ) {
+						return is_numeric( $param );
+					},
+					'sanitize_callback' => 'absint',
 				),
-				'term_id'     => array(
+				'limit' => array(
 					'type'              => 'integer',
+					'default'           => 3,
+					'minimum'           => 1,
+					'maximum'           => 10,
 					'sanitize_callback' => 'absint',
 				),
 			),
@@ -190,7 +363,7 @@ function register_routes() {
 			'callback'            => array( $filters, 'get' ),
 			'permission_callback' => '__return_true',
 			'args'                => array(
-				'active'     => array(
+				'active'       => array(
 					'type'              => 'object',
 					'default'           => array(),
 					'sanitize_callback' => function ( $value ) {
@@ -205,23 +378,68 @@ function register_routes() {
 						return $sanitized;
 					},
 				),
-				'context'    => array(
+				'context'      => array(
 					'type'              => 'string',
 					'default'           => 'modal',
 					'sanitize_callback' => 'sanitize_text_field',
 				),
-				'date_start' => array(
+				'date_start'   => array(
 					'type'              => 'string',
 					'sanitize_callback' => 'sanitize_text_field',
 				),
-				'date_end'   => array(
+				'date_end'     => array(
 					'type'              => 'string',
 					'sanitize_callback' => 'sanitize_text_field',
 				),
-				'past'       => array(
+				'past'         => array(
 					'type'              => 'string',
 					'sanitize_callback' => 'sanitize_text_field',
 				),
+				'event_search' => array(
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_text_field',
+					'description'       => 'Free text search applied to scope counts',
+				),
+			),
+		)
+	);
+
+	register_rest_route(
+		API_NAMESPACE,
+		'/events/suggest',
+		array(
+			'methods'             => 'GET',
+			'callback'            => array( $filters, 'suggest' ),
+			'permission_callback' => '__return_true',
+			'args'                => array(
+				'q'                => array(
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_text_field',
+				),
+				'limit'            => array(
+					'type'              => 'integer',
+					'default'           => 5,
+					'minimum'           => 1,
+					'maximum'           => 10,
+					'sanitize_callback' => 'absint',
+				),
+				'archive_taxonomy' => array(
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				),
+				'archive_term_id'  => array(
+					'type'              => 'integer',
+					'sanitize_callback' => 'absint',
+				),
+				'fixed_tax_filter' => array(
+					'type'        => 'object',
+					'description' => 'Block-level taxonomy constraint [taxonomy => [term_ids]]',
+				),
+				'fixed_geo'        => array(
+					'type'        => 'object',
+					'description' => 'Block-level area constraint: lat, lng, radius, radius_unit',
+				),
 			),
 		)
 	);
@@ -247,3 +465,4 @@ function register_routes() {
 }
 
 add_action( 'rest_api_init', __NAMESPACE__ . '\\register_routes' );
+add_filter( 'rest_pre_serve_request', array( CalendarExport::class, 'serve_ics' ), 10, 4 );
@@ -59,6 +59,7 @@ class CalendarCache {
 			'tax_filters'  => $params['tax_filters'] ?? array(),
 			'archive_tax'  => $params['archive_taxonomy'] ?? '',
 			'archive_term' => $params['archive_term_id'] ?? 0,
+			'event_ids'    => $params['event_ids'] ?? null,
 		);
 
 		return self::PREFIX . $prefix . '_' . md5( wp_json_encode( $key_data ) );
@@ -59,6 +59,8 @@ class EventHydrator {
 	 * @param array $event_data Event data array (modified by reference).
 	 */
 	private static function hydrate_datetime_from_meta( int $post_id, array &$event_data ): void {
+		$has_start_time = ! empty( $event_data['startTime'] );
+
 		$start_datetime = get_post_meta( $post_id, EVENT_DATETIME_META_KEY, true );
 		if ( $start_datetime ) {
 			$date_obj = date_create( $start_datetime );
@@ -68,6 +70,12 @@ class EventHydrator {
 			}
 		}
 
+		// Meta stores midnight when the block has no start time; keep telling
+		// those all-day events apart from ones that really start at midnight.
+		if ( ! $has_start_time && '00:00:00' === ( $event_data['startTime'] ?? '00:00:00' ) ) {
+			$event_data['allDay'] = true;
+		}
+
 		$end_datetime = get_post_meta( $post_id, EVENT_END_DATETIME_META_KEY, true );
 		if ( $end_datetime ) {
 			$date_obj = date_create( $end_datetime );
@@ -100,6 +108,7 @@ class EventHydrator {
 		$venue_term = $venue_terms[0];
 		$venue_data = Venue_Taxonomy::get_venue_data( $venue_term->term_id );
 
+		$event_data['venueId'] = $venue_term->term_id;
 		$event_data['venue']   = $venue_data['name'];
 		$event_data['address'] = Venue_Taxonomy::get_formatted_address( $venue_term->term_id, $venue_data );
 
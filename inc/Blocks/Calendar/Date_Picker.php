@@ -0,0 +1,119 @@
+<?php
+/**
+ * Date range picker settings for Calendar blocks
+ *
+ * The filter bar's flatpickr range picker follows the site: month and
+ * weekday names from the WordPress locale, the "Week Starts On" setting,
+ * and the site date format for the visible value. The settings travel to
+ * the client as the date input's `data-picker-config` JSON.
+ *
+ * @package DataMachineEvents\Blocks\Calendar
+ */
+
+namespace DataMachineEvents\Blocks\Calendar;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+class Date_Picker {
+
+	/**
+	 * Date format tokens that PHP and flatpickr read the same way
+	 */
+	private const SHARED_TOKENS = 'dDjlFMmnYy';
+
+	/**
+	 * Fallback display format when the site format has no date left
+	 */
+	private const DEFAULT_DISPLAY_FORMAT = 'F j, Y';
+
+	/**
+	 * Build the picker configuration
+	 *
+	 * @return array {
+	 *     @type array  $locale       flatpickr locale object.
+	 *     @type string $altFormat    flatpickr format of the visible value.
+	 *     @type array  $presets      Quick-range labels keyed by preset slug.
+	 *     @type string $presetsLabel Accessible name of the presets group.
+	 * }
+	 */
+	public static function get_config(): array {
+		global $wp_locale;
+
+		return array(
+			'locale'       => array(
+				'firstDayOfWeek' => (int) get_option( 'start_of_week', 0 ),
+				'weekdays'       => array(
+					'shorthand' => array_values( $wp_locale->weekday_abbrev ),
+					'longhand'  => array_values( $wp_locale->weekday ),
+				),
+				'months'         => array(
+					'shorthand' => array_values( $wp_locale->month_abbrev ),
+					'longhand'  => array_values( $wp_locale->month ),
+				),
+				'rangeSeparator' => __( ' to ', 'data-machine-events' ),
+				'scrollTitle'    => __( 'Scroll to increment', 'data-machine-events' ),
+				'toggleTitle'    => __( 'Click to toggle', 'data-machine-events' ),
+			),
+			'altFormat'    => self::get_display_format(),
+			'presets'      => array(
+				'this-weekend' => __( 'This weekend', 'data-machine-events' ),
+				'next-7-days'  => __( 'Next 7 days', 'data-machine-events' ),
+				'next-30-days' => __( 'Next 30 days', 'data-machine-events' ),
+				'this-month'   => __( 'This month', 'data-machine-events' ),
+			),
+			'presetsLabel' => __( 'Quick ranges', 'data-machine-events' ),
+		);
+	}
+
+	/**
+	 * Convert the site date format to a flatpickr format
+	 *
+	 * Day, month, and year tokens carry over, `jS` becomes flatpickr's
+	 * ordinal day `J`, and escaped characters stay literal. Time and other
+	 * tokens flatpickr can't show are dropped.
+	 *
+	 * @param string|null $php_format PHP date format, or null for the site setting.
+	 * @return string flatpickr date format.
+	 */
+	public static function get_display_format( ?string $php_format = null ): string {
+		$php_format = $php_format ?? (string) get_option( 'date_format', self::DEFAULT_DISPLAY_FORMAT );
+		$php_format = str_replace( 'jS', 'J', $php_format );
+
+		$format   = '';
+		$has_date = false;
+		$dropped  = false;
+		$length   = strlen( $php_format );
+
+		for ( $i = 0; $i < $length; $i++ ) {
+			$char = $php_format[ $i ];
+
+			if ( '\\' === $char ) {
+				if ( $i + 1 < $length ) {
+					$format .= '\\' . $php_format[ ++$i ];
+				}
+				continue;
+			}
+
+			if ( 'J' === $char || false !== strpos( self::SHARED_TOKENS, $char ) ) {
+				$format  .= $char;
+				$has_date = true;
+				continue;
+			}
+
+			if ( ctype_alpha( $char ) ) {
+				$dropped = true;
+			} else {
+				$format .= $char;
+			}
+		}
+
+		// Separators left behind by dropped tokens, e.g. the " :" of "F j, Y g:i".
+		if ( $dropped ) {
+			$format = trim( preg_replace( '/[\s:.,\-\/@]+$/', '', $format ) );
+		}
+
+		return $has_date ? $format : self::DEFAULT_DISPLAY_FORMAT;
+	}
+}
@@ -37,6 +37,9 @@ class DisplayVars {
 
 		$formatted_time_display = '';
 		$iso_start_date         = '';
+		$iso_end_date           = '';
+		$timezone               = '';
+		$timezone_abbr          = '';
 		$multi_day_label        = '';
 
 		if ( $start_date ) {
@@ -67,13 +70,24 @@ class DisplayVars {
 			} else {
 				$formatted_time_display = self::format_time_range( $start_datetime_obj, $end_date, $end_time, $event_tz );
 			}
+
+			// Clock times (not continuation date spans) can be shown in the visitor's timezone.
+			if ( ! $is_continuation && '' !== $start_time ) {
+				$iso_end_date  = self::get_iso_end( $start_datetime_obj, $end_date, $end_time, $event_tz );
+				$timezone      = $event_tz->getName();
+				$timezone_abbr = $start_datetime_obj->format( 'T' );
+			}
 		}
 
 		return array(
 			'formatted_time_display' => $formatted_time_display,
 			'venue_name'             => self::decode_unicode( $event_data['venue'] ?? '' ),
+			'venue_id'               => (int) ( $event_data['venueId'] ?? 0 ),
 			'performer_name'         => self::decode_unicode( $event_data['performer'] ?? '' ),
 			'iso_start_date'         => $iso_start_date,
+			'iso_end_date'           => $iso_end_date,
+			'timezone'               => $timezone,
+			'timezone_abbr'          => $timezone_abbr,
 			'show_performer'         => false,
 			'show_price'             => $event_data['showPrice'] ?? true,
 			'show_ticket_link'       => $event_data['showTicketLink'] ?? true,
@@ -122,6 +136,31 @@ class DisplayVars {
 		return $start_formatted_full . ' - ' . $end_formatted_full;
 	}
 
+	/**
+	 * Get the end instant shown in the time range.
+	 *
+	 * Mirrors format_time_range(): only a same-day end time is displayed.
+	 *
+	 * @param DateTime     $start_datetime_obj Start datetime object.
+	 * @param string       $end_date           End date (Y-m-d format).
+	 * @param string       $end_time           End time (H:i:s format).
+	 * @param DateTimeZone $event_tz           Event timezone.
+	 * @return string ISO 8601 end with offset, or '' when no end is shown.
+	 */
+	public static function get_iso_end( DateTime $start_datetime_obj, string $end_date, string $end_time, DateTimeZone $event_tz ): string {
+		if ( empty( $end_date ) || empty( $end_time ) || self::is_sentinel_end_time( $end_time ) ) {
+			return '';
+		}
+
+		$end_datetime_obj = new DateTime( $end_date . ' ' . $end_time, $event_tz );
+
+		if ( $start_datetime_obj->format( 'Y-m-d' ) !== $end_datetime_obj->format( 'Y-m-d' ) ) {
+			return '';
+		}
+
+		return $end_datetime_obj->format( 'c' );
+	}
+
 	/**
 	 * Check if end time is the sentinel value used for SQL date range queries.
 	 *
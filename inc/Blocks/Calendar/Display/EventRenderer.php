@@ -13,6 +13,7 @@ namespace DataMachineEvents\Blocks\Calendar\Display;
 
 use DataMachineEvents\Blocks\Calendar\Template_Loader;
 use DataMachineEvents\Blocks\Calendar\Taxonomy_Badges;
+use DataMachineEvents\Core\CalendarExport;
 
 if ( ! defined( 'ABSPATH' ) ) {
 	exit;
@@ -114,6 +115,137 @@ class EventRenderer {
 		return ob_get_clean();
 	}
 
+	/**
+	 * Build date groups as structured data for JSON consumers.
+	 *
+	 * Mirrors render_date_groups(): one entry per date with the labels the
+	 * date-group template prints, the preceding time gap (if any), and every
+	 * event as a build_event_payload() object.
+	 *
+	 * @param array $paged_date_groups Date-grouped events from DateGrouper.
+	 * @param array $gaps_detected     Time gaps from DateGrouper::detect_time_gaps().
+	 * @param bool  $include_gaps      Whether to include time-gap data.
+	 * @return array Date group payloads.
+	 */
+	public static function build_date_groups_payload(
+		array $paged_date_groups,
+		array $gaps_detected = array(),
+		bool $include_gaps = true
+	): array {
+		$payload = array();
+
+		foreach ( $paged_date_groups as $date_key => $date_group ) {
+			$date_obj        = $date_group['date_obj'];
+			$events_for_date = $date_group['events'];
+			$events_count    = count( $events_for_date );
+			$gap_days        = ( $include_gaps && isset( $gaps_detected[ $date_key ] ) ) ? (int) $gaps_detected[ $date_key ] : 0;
+
+			$events = array();
+			foreach ( $events_for_date as $event_item ) {
+				$display_context = $event_item['display_context'] ?? array();
+
+				$events[] = self::build_event_payload(
+					$event_item['post'],
+					$event_item['event_data'],
+					DisplayVars::build( $event_item['event_data'], $display_context ),
+					$display_context
+				);
+			}
+
+			$payload[] = array(
+				'date'                 => $date_obj->format( 'Y-m-d' ),
+				'day_of_week'          => strtolower( $date_obj->format( 'l' ) ),
+				'formatted_date_label' => $date_obj->format( 'l, F jS' ),
+				'events_count'         => $events_count,
+				/* translators: %d: number of events */
+				'events_count_label'   => sprintf( _n( '%d event', '%d events', $events_count, 'data-machine-events' ), $events_count ),
+				'gap_days'             => $gap_days,
+				'gap_label'            => $gap_days ? self::get_gap_label( $gap_days ) : '',
+				'events'               => $events,
+			);
+		}
+
+		return $payload;
+	}
+
+	/**
+	 * Build the structured data for a single event.
+	 *
+	 * Shared by lazy-render placeholders and the JSON calendar response, and
+	 * rendered client-side by the frontend event renderer.
+	 *
+	 * @param \WP_Post $event_post      Event post object.
+	 * @param array    $event_data      Event data from block attributes.
+	 * @param array    $display_vars    Processed display variables.
+	 * @param array    $display_context Display context for multi-day events.
+	 * @return array Event payload.
+	 */
+	public static function build_event_payload(
+		\WP_Post $event_post,
+		array $event_data,
+		array $display_vars,
+		array $display_context
+	): array {
+		return array(
+			'id'                   => $event_post->ID,
+			'title'                => get_the_title( $event_post ),
+			'permalink'            => get_the_permalink( $event_post ),
+			'event_data'           => $event_data,
+			'display_vars'         => $display_vars,
+			'display_context'      => $display_context,
+			'badges_html'          => Taxonomy_Badges::render_taxonomy_badges( $event_post->ID ),
+			'button_classes'       => implode( ' ', apply_filters( 'data_machine_events_more_info_button_classes', array( 'data-machine-more-info-button' ) ) ),
+			'more_info_label'      => __( 'More Info', 'data-machine-events' ),
+			'add_to_calendar_html' => self::render_add_to_calendar( $event_post, $event_data ),
+		);
+	}
+
+	/**
+	 * Render the add-to-calendar menu for an event.
+	 *
+	 * Shared by calendar cards, their JSON payloads, and the Event Details block.
+	 * Calendar cards also get the save toggle and the multi-select checkbox.
+	 *
+	 * @param \WP_Post   $event_post    Event post object.
+	 * @param array|null $event_data    Hydrated event data (parsed from the post when null).
+	 * @param bool       $card_controls Whether to include the save toggle and multi-select checkbox.
+	 * @return string Menu HTML, or empty string when the event has no date.
+	 */
+	public static function render_add_to_calendar( \WP_Post $event_post, ?array $event_data = null, bool $card_controls = true ): string {
+		$details = CalendarExport::get_event_details( $event_post, $event_data );
+		if ( ! $details ) {
+			return '';
+		}
+
+		Template_Loader::init();
+
+		return Template_Loader::get_template(
+			'add-to-calendar',
+			array(
+				'event_id'       => $event_post->ID,
+				'event_title'    => get_the_title( $event_post ),
+				'event_end'      => $details['end']->format( 'c' ),
+				'calendar_links' => CalendarExport::get_links_for_details( $details ),
+				'card_controls'  => $card_controls,
+			)
+		);
+	}
+
+	/**
+	 * Get the label shown by the time-gap separator.
+	 *
+	 * @param int $gap_days Days between the two dates.
+	 * @return string Translated label.
+	 */
+	public static function get_gap_label( int $gap_days ): string {
+		if ( 2 === $gap_days ) {
+			return __( '1 day later', 'data-machine-events' );
+		}
+
+		/* translators: %d: number of days */
+		return sprintf( __( '%d days later', 'data-machine-events' ), $gap_days - 1 );
+	}
+
 	/**
 	 * Render an event placeholder for lazy loading.
 	 *
@@ -130,16 +262,7 @@ class EventRenderer {
 		array $display_vars,
 		array $display_context
 	): void {
-		$placeholder_data = array(
-			'id'              => $event_post->ID,
-			'title'           => get_the_title( $event_post ),
-			'permalink'       => get_the_permalink( $event_post ),
-			'event_data'      => $event_data,
-			'display_vars'    => $display_vars,
-			'display_context' => $display_context,
-			'badges_html'     => Taxonomy_Badges::render_taxonomy_badges( $event_post->ID ),
-			'button_classes'  => implode( ' ', apply_filters( 'data_machine_events_more_info_button_classes', array( 'data-machine-more-info-button' ) ) ),
-		);
+		$placeholder_data = self::build_event_payload( $event_post, $event_data, $display_vars, $display_context );
 
 		$item_classes = array( 'data-machine-event-item', 'data-machine-event-placeholder' );
 		if ( ! empty( $display_vars['is_continuation'] ) ) {
@@ -150,7 +273,7 @@ class EventRenderer {
 		}
 
 		printf(
-			'<div class="%s" data-event-json="%s">
+			'<div class="%s" data-event-id="%d" data-event-json="%s">
 				<div class="data-machine-placeholder-skeleton">
 					<div class="data-machine-skeleton-badges"></div>
 					<div class="data-machine-skeleton-title"></div>
@@ -159,6 +282,7 @@ class EventRenderer {
 				</div>
 			</div>',
 			esc_attr( implode( ' ', $item_classes ) ),
+			(int) $event_post->ID,
 			esc_attr( wp_json_encode( $placeholder_data ) )
 		);
 	}
@@ -0,0 +1,143 @@
+<?php
+/**
+ * Fixed (block-level) filters for Calendar blocks
+ *
+ * Editors can pin a calendar to taxonomy terms (e.g. a single venue) and to
+ * an area around a point. Unlike visitor filters, these never show up in the
+ * URL or the filter bar: they narrow every query the block makes, whether
+ * server-rendered or through the REST API, the way an archive page's term
+ * does. The client sends them back as `fixed_tax_filter` and `fixed_geo`.
+ *
+ * @package DataMachineEvents\Blocks\Calendar
+ */
+
+namespace DataMachineEvents\Blocks\Calendar;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+class Fixed_Filters {
+
+	/**
+	 * Read a block's fixed filters from its attributes
+	 *
+	 * @param array $attributes Block attributes.
+	 * @return array Sanitized filters, see sanitize().
+	 */
+	public static function from_attributes( array $attributes ): array {
+		return self::sanitize( $attributes['fixedTaxFilter'] ?? array(), $attributes['fixedGeo'] ?? array() );
+	}
+
+	/**
+	 * Read fixed filters from ability input
+	 *
+	 * @param array $input Ability input with optional `fixed_tax_filter` and `fixed_geo`.
+	 * @return array Sanitized filters, see sanitize().
+	 */
+	public static function from_input( array $input ): array {
+		return self::sanitize( $input['fixed_tax_filter'] ?? array(), $input['fixed_geo'] ?? array() );
+	}
+
+	/**
+	 * Sanitize fixed filters
+	 *
+	 * @param mixed $tax_filter Term IDs keyed by taxonomy slug.
+	 * @param mixed $geo        Area with lat, lng, radius, and radius_unit.
+	 * @return array {
+	 *     @type array      $tax_filter Term IDs keyed by taxonomy slug.
+	 *     @type array|null $geo        Valid area, or null for none.
+	 * }
+	 */
+	public static function sanitize( $tax_filter, $geo ): array {
+		$clean_tax_filter = array();
+		if ( is_array( $tax_filter ) ) {
+			foreach ( $tax_filter as $taxonomy => $term_ids ) {
+				$taxonomy = sanitize_key( $taxonomy );
+				$term_ids = array_values( array_filter( array_map( 'absint', (array) $term_ids ) ) );
+				if ( '' !== $taxonomy && ! empty( $term_ids ) ) {
+					$clean_tax_filter[ $taxonomy ] = $term_ids;
+				}
+			}
+		}
+
+		$clean_geo = null;
+		if ( is_array( $geo ) && is_numeric( $geo['lat'] ?? '' ) && is_numeric( $geo['lng'] ?? '' ) ) {
+			$radius = absint( $geo['radius'] ?? 25 );
+			$radius = $radius > 0 ? $radius : 25;
+
+			if ( Geo_Query::validate_params( (float) $geo['lat'], (float) $geo['lng'], $radius ) ) {
+				$clean_geo = array(
+					'lat'         => (float) $geo['lat'],
+					'lng'         => (float) $geo['lng'],
+					'radius'      => $radius,
+					'radius_unit' => 'km' === ( $geo['radius_unit'] ?? 'mi' ) ? 'km' : 'mi',
+				);
+			}
+		}
+
+		return array(
+			'tax_filter' => $clean_tax_filter,
+			'geo'        => $clean_geo,
+		);
+	}
+
+	/**
+	 * Add fixed filters to a base tax_query constraint
+	 *
+	 * The area resolves to the venues inside it; an area without venues
+	 * matches no events.
+	 *
+	 * @param array|null $tax_query_override Base constraint (e.g. the archive term), or null.
+	 * @param array      $fixed              Filters from sanitize().
+	 * @return array|null Constraint including the fixed filters, or the base one when there are none.
+	 */
+	public static function merge_tax_query( ?array $tax_query_override, array $fixed ): ?array {
+		$clauses = array();
+
+		foreach ( $fixed['tax_filter'] ?? array() as $taxonomy => $term_ids ) {
+			$clauses[] = array(
+				'taxonomy' => $taxonomy,
+				'field'    => 'term_id',
+				'terms'    => $term_ids,
+				'operator' => 'IN',
+			);
+		}
+
+		if ( ! empty( $fixed['geo'] ) ) {
+			$geo       = $fixed['geo'];
+			$venue_ids = Geo_Query::get_venue_ids_within_radius( $geo['lat'], $geo['lng'], $geo['radius'], $geo['radius_unit'] );
+			$clauses[] = array(
+				'taxonomy' => 'venue',
+				'field'    => 'term_id',
+				'terms'    => ! empty( $venue_ids ) ? $venue_ids : array( 0 ),
+				'operator' => 'IN',
+			);
+		}
+
+		if ( empty( $clauses ) ) {
+			return $tax_query_override;
+		}
+
+		return array_merge( $tax_query_override ?? array(), $clauses );
+	}
+
+	/**
+	 * Encode fixed filters as the query string the client adds to its requests
+	 *
+	 * @param array $fixed Filters from sanitize().
+	 * @return string Query string, or '' when there are no fixed filters.
+	 */
+	public static function to_query_string( array $fixed ): string {
+		$params = array();
+
+		if ( ! empty( $fixed['tax_filter'] ) ) {
+			$params['fixed_tax_filter'] = $fixed['tax_filter'];
+		}
+		if ( ! empty( $fixed['geo'] ) ) {
+			$params['fixed_geo'] = $fixed['geo'];
+		}
+
+		return http_build_query( $params );
+	}
+}
@@ -0,0 +1,223 @@
+<?php
+/**
+ * Month Grid Builder
+ *
+ * Lays out date-grouped events as a month grid: full weeks starting on the
+ * site's start_of_week, with multi-day events assigned to stable lanes so
+ * they line up as continuous bars across the cells of each week.
+ *
+ * @package DataMachineEvents\Blocks\Calendar\Grouping
+ * @since   0.15.0
+ */
+
+namespace DataMachineEvents\Blocks\Calendar\Grouping;
+
+use DateTime;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+class MonthGrid {
+
+	/**
+	 * Number of event slots shown per day cell before the "+N more" popover.
+	 */
+	const MAX_VISIBLE_SLOTS = 3;
+
+	/**
+	 * Normalize a month string to Y-m, falling back to the current month.
+	 *
+	 * @param string $month Month in Y-m format.
+	 * @return string Valid Y-m month.
+	 */
+	public static function normalize_month( string $month ): string {
+		if ( preg_match( '/^(\d{4})-(\d{2})$/', $month, $matches ) ) {
+			$month_number = (int) $matches[2];
+			if ( $month_number >= 1 && $month_number <= 12 ) {
+				return $month;
+			}
+		}
+
+		return current_time( 'Y-m' );
+	}
+
+	/**
+	 * Get the month and visible grid boundaries for a month.
+	 *
+	 * The grid is padded to whole weeks, so it can start in the previous
+	 * month and end in the next.
+	 *
+	 * @param string $month Month in Y-m format.
+	 * @return array Month boundaries (Y-m-d) plus previous/next month keys.
+	 */
+	public static function get_bounds( string $month ): array {
+		$month       = self::normalize_month( $month );
+		$month_start = new DateTime( $month . '-01', wp_timezone() );
+		$month_end   = ( clone $month_start )->modify( 'last day of this month' );
+
+		$start_of_week = (int) get_option( 'start_of_week', 0 );
+
+		$lead_days  = ( (int) $month_start->format( 'w' ) - $start_of_week + 7 ) % 7;
+		$grid_start = ( clone $month_start )->modify( "-{$lead_days} days" );
+
+		$trail_days = ( $start_of_week + 6 - (int) $month_end->format( 'w' ) + 7 ) % 7;
+		$grid_end   = ( clone $month_end )->modify( "+{$trail_days} days" );
+
+		return array(
+			'month'       => $month,
+			'month_start' => $month_start->format( 'Y-m-d' ),
+			'month_end'   => $month_end->format( 'Y-m-d' ),
+			'grid_start'  => $grid_start->format( 'Y-m-d' ),
+			'grid_end'    => $grid_end->format( 'Y-m-d' ),
+			'prev_month'  => ( clone $month_start )->modify( '-1 month' )->format( 'Y-m' ),
+			'next_month'  => ( clone $month_start )->modify( '+1 month' )->format( 'Y-m' ),
+			'timestamp'   => $month_start->getTimestamp(),
+		);
+	}
+
+	/**
+	 * Build the weeks of a month grid from date groups.
+	 *
+	 * Each day holds an ordered list of slots. Multi-day events keep the
+	 * same slot index on every day of a week; a null slot is a spacer that
+	 * keeps the lanes below it aligned. Single-day events fill spacers
+	 * first, then follow the lanes.
+	 *
+	 * @param array $date_groups Date-grouped events from DateGrouper.
+	 * @param array $bounds      Grid boundaries from get_bounds().
+	 * @return array Weeks, each an array of seven day arrays.
+	 */
+	public static function build_weeks( array $date_groups, array $bounds ): array {
+		$today   = current_time( 'Y-m-d' );
+		$current = new DateTime( $bounds['grid_start'], wp_timezone() );
+		$weeks   = array();
+
+		while ( $current->format( 'Y-m-d' ) <= $bounds['grid_end'] ) {
+			$week_dates = array();
+			for ( $i = 0; $i < 7; $i++ ) {
+				$week_dates[] = $current->format( 'Y-m-d' );
+				$current->modify( '+1 day' );
+			}
+
+			$weeks[] = self::build_week( $week_dates, $date_groups, $bounds, $today );
+		}
+
+		return $weeks;
+	}
+
+	/**
+	 * Build a single week row.
+	 *
+	 * @param string[] $week_dates  Seven Y-m-d dates.
+	 * @param array    $date_groups Date-grouped events.
+	 * @param array    $bounds      Grid boundaries.
+	 * @param string   $today       Current date (Y-m-d).
+	 * @return array Seven day arrays.
+	 */
+	private static function build_week( array $week_dates, array $date_groups, array $bounds, string $today ): array {
+		$spans   = array();
+		$singles = array_fill( 0, 7, array() );
+
+		foreach ( $week_dates as $column => $date ) {
+			$events = $date_groups[ $date ]['events'] ?? array();
+
+			foreach ( $events as $event_item ) {
+				if ( empty( $event_item['display_context']['is_multi_day'] ) ) {
+					$singles[ $column ][] = $event_item;
+					continue;
+				}
+
+				$event_id = $event_item['post']->ID;
+				if ( ! isset( $spans[ $event_id ] ) ) {
+					$spans[ $event_id ] = array(
+						'first' => $column,
+						'last'  => $column,
+						'items' => array(),
+					);
+				}
+
+				$spans[ $event_id ]['last']             = $column;
+				$spans[ $event_id ]['items'][ $column ] = $event_item;
+			}
+		}
+
+		// Earliest segments first, longer segments first on ties.
+		uasort(
+			$spans,
+			function ( $a, $b ) {
+				if ( $a['first'] !== $b['first'] ) {
+					return $a['first'] - $b['first'];
+				}
+				return ( $b['last'] - $b['first'] ) - ( $a['last'] - $a['first'] );
+			}
+		);
+
+		$slots = array_fill( 0, 7, array() );
+
+		foreach ( $spans as $span ) {
+			$lane = 0;
+			while ( ! self::lane_is_free( $slots, $lane, $span['first'], $span['last'] ) ) {
+				++$lane;
+			}
+
+			foreach ( $span['items'] as $column => $event_item ) {
+				$event_item['grid_context'] = array(
+					'is_segment_start' => $column === $span['first'],
+					'is_segment_end'   => $column === $span['last'],
+				);
+
+				$slots[ $column ][ $lane ] = $event_item;
+			}
+		}
+
+		$days = array();
+
+		foreach ( $week_dates as $column => $date ) {
+			$day_slots = array();
+			$max_lane  = empty( $slots[ $column ] ) ? -1 : max( array_keys( $slots[ $column ] ) );
+			$queue     = $singles[ $column ];
+
+			for ( $lane = 0; $lane <= $max_lane; $lane++ ) {
+				if ( isset( $slots[ $column ][ $lane ] ) ) {
+					$day_slots[] = $slots[ $column ][ $lane ];
+				} else {
+					$day_slots[] = array_shift( $queue );
+				}
+			}
+
+			$day_slots = array_merge( $day_slots, $queue );
+
+			$days[] = array(
+				'date'        => $date,
+				'day_number'  => (int) substr( $date, 8, 2 ),
+				'in_month'    => $date >= $bounds['month_start'] && $date <= $bounds['month_end'],
+				'is_today'    => $date === $today,
+				'is_past'     => $date < $today,
+				'slots'       => $day_slots,
+				'event_count' => count( array_filter( $day_slots ) ),
+			);
+		}
+
+		return $days;
+	}
+
+	/**
+	 * Check whether a lane is unoccupied between two columns.
+	 *
+	 * @param array $slots Slots per column, keyed by lane.
+	 * @param int   $lane  Lane index.
+	 * @param int   $first First column.
+	 * @param int   $last  Last column.
+	 * @return bool
+	 */
+	private static function lane_is_free( array $slots, int $lane, int $first, int $last ): bool {
+		for ( $column = $first; $column <= $last; $column++ ) {
+			if ( isset( $slots[ $column ][ $lane ] ) ) {
+				return false;
+			}
+		}
+
+		return true;
+	}
+}
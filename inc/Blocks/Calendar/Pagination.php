@@ -28,19 +28,21 @@ class Pagination {
 	 * @param int $current_page Current page number
 	 * @param int $max_pages Total number of pages
 	 * @param bool $show_past Whether currently showing past events
+	 * @param string $url_prefix Query param prefix of a namespaced calendar (see Url_Namespace)
 	 * @return string Pagination HTML or empty string if not needed
 	 */
-	public static function render_pagination( $current_page, $max_pages, $show_past = false ) {
+	public static function render_pagination( $current_page, $max_pages, $show_past = false, $url_prefix = '' ) {
 		if ( $max_pages <= 1 ) {
 			return '';
 		}
 
-		// Preserve all GET parameters except 'paged'
+		// Preserve all GET parameters (including other calendars') except this calendar's page
+		$paged_key  = $url_prefix . 'paged';
 		$get_params = isset( $_GET ) ? self::sanitize_query_params( wp_unslash( $_GET ) ) : array();
-		unset( $get_params['paged'] );
+		unset( $get_params[ $paged_key ] );
 		// Build default pagination arguments
 		$pagination_args = array(
-			'base'      => add_query_arg( 'paged', '%#%' ),
+			'base'      => add_query_arg( $paged_key, '%#%' ),
 			'format'    => '',
 			'current'   => $current_page,
 			'total'     => $max_pages,
@@ -48,6 +48,7 @@ class EventQueryBuilder {
 			'geo_lng'            => '',
 			'geo_radius'         => 25,
 			'geo_radius_unit'    => 'mi',
+			'event_ids'          => null,
 		);
 
 		$params = wp_parse_args( $params, $defaults );
@@ -197,6 +198,12 @@ class EventQueryBuilder {
 			$query_args['s'] = $params['search_query'];
 		}
 
+		// Restrict to specific events (saved or shared lists). An empty list matches nothing.
+		if ( is_array( $params['event_ids'] ) ) {
+			$event_ids              = array_values( array_filter( array_map( 'absint', $params['event_ids'] ) ) );
+			$query_args['post__in'] = ! empty( $event_ids ) ? $event_ids : array( 0 );
+		}
+
 		return apply_filters( 'data_machine_events_calendar_query_args', $query_args, $params );
 	}
 
@@ -0,0 +1,103 @@
+<?php
+/**
+ * Per-instance URL namespacing for Calendar blocks
+ *
+ * Two calendars on one page would otherwise read and write the same query
+ * params. A calendar with `namespaceUrl` enabled prefixes its params
+ * (`cal2_event_search`, `cal2_tax_filter[venue][]`), so each instance keeps
+ * its own filters, page, and view in a shareable URL. The prefix is the
+ * block's `urlNamespace` attribute, or else derived from its instance ID.
+ *
+ * @package DataMachineEvents\Blocks\Calendar
+ */
+
+namespace DataMachineEvents\Blocks\Calendar;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+class Url_Namespace {
+
+	/**
+	 * Query params owned by a calendar instance. `tax_filter` is an array.
+	 */
+	public const PARAM_KEYS = array(
+		'event_search',
+		'date_start',
+		'date_end',
+		'past',
+		'scope',
+		'tax_filter',
+		'lat',
+		'lng',
+		'radius',
+		'radius_unit',
+		'paged',
+		'view',
+		'month',
+		'saved',
+		'event_ids',
+	);
+
+	/**
+	 * Calendars rendered so far in this request.
+	 *
+	 * @var int
+	 */
+	private static $instance_count = 0;
+
+	/**
+	 * Get the next calendar instance ID
+	 *
+	 * IDs follow the order of calendars on the page, so they (and prefixes
+	 * derived from them) stay the same across requests.
+	 *
+	 * @return string Instance ID, e.g. 'data-machine-calendar-2'.
+	 */
+	public static function next_instance_id(): string {
+		++self::$instance_count;
+
+		return 'data-machine-calendar-' . self::$instance_count;
+	}
+
+	/**
+	 * Get the URL param prefix of a calendar instance
+	 *
+	 * @param array  $attributes  Block attributes.
+	 * @param string $instance_id Instance ID from next_instance_id().
+	 * @return string Prefix including the trailing underscore, or '' when the block does not namespace its params.
+	 */
+	public static function get_prefix( array $attributes, string $instance_id ): string {
+		if ( empty( $attributes['namespaceUrl'] ) ) {
+			return '';
+		}
+
+		$namespace = sanitize_key( $attributes['urlNamespace'] ?? '' );
+		if ( '' === $namespace ) {
+			$namespace = 'cal' . preg_replace( '/[^a-z0-9]/', '', str_replace( 'data-machine-calendar-', '', $instance_id ) );
+		}
+
+		return $namespace . '_';
+	}
+
+	/**
+	 * Read a calendar instance's params from the current request
+	 *
+	 * Params of other instances and unrelated params are left out.
+	 *
+	 * @param string $prefix Prefix from get_prefix().
+	 * @return array Unslashed, unsanitized params keyed without the prefix.
+	 */
+	public static function get_params( string $prefix = '' ): array {
+		$params = array();
+
+		foreach ( self::PARAM_KEYS as $key ) {
+			if ( isset( $_GET[ $prefix . $key ] ) ) {
+				$params[ $key ] = wp_unslash( $_GET[ $prefix . $key ] );
+			}
+		}
+
+		return $params;
+	}
+}
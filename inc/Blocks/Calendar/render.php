@@ -17,32 +17,58 @@ if ( ! defined( 'ABSPATH' ) ) {
 
 use DataMachineEvents\Abilities\CalendarAbilities;
 use DataMachineEvents\Abilities\FilterAbilities;
+use DataMachineEvents\Blocks\Calendar\Fixed_Filters;
 use DataMachineEvents\Blocks\Calendar\Taxonomy_Helper;
+use DataMachineEvents\Blocks\Calendar\Url_Namespace;
 use DataMachineEvents\Blocks\Calendar\Query\ScopeResolver;
 
-if ( wp_is_json_request() || ( defined( 'REST_REQUEST' ) && REST_REQUEST ) ) {
+// The editor previews the block through the block renderer endpoint; other
+// REST and JSON requests (e.g. post content in API responses) skip it.
+$is_editor_preview = defined( 'REST_REQUEST' ) && REST_REQUEST
+	&& 0 === strpos( (string) ( $GLOBALS['wp']->query_vars['rest_route'] ?? '' ), '/wp/v2/block-renderer/' );
+
+if ( ! $is_editor_preview && ( wp_is_json_request() || ( defined( 'REST_REQUEST' ) && REST_REQUEST ) ) ) {
 	return '';
 }
 
-$show_search = $attributes['showSearch'] ?? true;
+// Namespaced calendars read and write prefixed params (see Url_Namespace).
+$instance_id  = Url_Namespace::next_instance_id();
+$url_prefix   = Url_Namespace::get_prefix( $attributes, $instance_id );
+$query_params = Url_Namespace::get_params( $url_prefix );
+
+$show_search     = $attributes['showSearch'] ?? true;
+$pagination_mode = $attributes['paginationMode'] ?? 'pages';
+if ( ! in_array( $pagination_mode, array( 'pages', 'load-more', 'infinite' ), true ) ) {
+	$pagination_mode = 'pages';
+}
+
+// Resolve view: URL ?view= param takes priority, then block attribute.
+$default_view = ( $attributes['defaultView'] ?? 'list' ) === 'grid' ? 'grid' : 'list';
+$view         = $default_view;
+if ( isset( $query_params['view'] ) && in_array( $query_params['view'], array( 'list', 'grid' ), true ) ) {
+	$view = sanitize_key( $query_params['view'] );
+}
+$month = isset( $query_params['month'] ) ? sanitize_text_field( $query_params['month'] ) : '';
 
 $current_page = 1;
-if ( isset( $_GET['paged'] ) && absint( $_GET['paged'] ) > 0 ) {
-	$current_page = absint( $_GET['paged'] );
-} elseif ( get_query_var( 'paged' ) ) {
+if ( isset( $query_params['paged'] ) && absint( $query_params['paged'] ) > 0 ) {
+	$current_page = absint( $query_params['paged'] );
+} elseif ( '' === $url_prefix && get_query_var( 'paged' ) ) {
 	$current_page = max( 1, (int) get_query_var( 'paged' ) );
 }
 
-$show_past = isset( $_GET['past'] ) && '1' === $_GET['past'];
+// With the past-events link turned off, the block only shows upcoming events.
+$allow_past = $attributes['showPastEvents'] ?? true;
+$show_past  = $allow_past && isset( $query_params['past'] ) && '1' === $query_params['past'];
 
-$search_query    = isset( $_GET['event_search'] ) ? sanitize_text_field( wp_unslash( $_GET['event_search'] ) ) : '';
-$date_start      = isset( $_GET['date_start'] ) ? sanitize_text_field( wp_unslash( $_GET['date_start'] ) ) : '';
-$date_end        = isset( $_GET['date_end'] ) ? sanitize_text_field( wp_unslash( $_GET['date_end'] ) ) : '';
-$geo_lat         = isset( $_GET['lat'] ) ? sanitize_text_field( wp_unslash( $_GET['lat'] ) ) : '';
-$geo_lng         = isset( $_GET['lng'] ) ? sanitize_text_field( wp_unslash( $_GET['lng'] ) ) : '';
-$geo_radius      = isset( $_GET['radius'] ) ? absint( $_GET['radius'] ) : 25;
-$geo_radius_unit = isset( $_GET['radius_unit'] ) ? sanitize_key( wp_unslash( $_GET['radius_unit'] ) ) : 'mi';
-$tax_filters_raw = isset( $_GET['tax_filter'] ) ? wp_unslash( $_GET['tax_filter'] ) : array();
+$search_query    = isset( $query_params['event_search'] ) ? sanitize_text_field( $query_params['event_search'] ) : '';
+$date_start      = isset( $query_params['date_start'] ) ? sanitize_text_field( $query_params['date_start'] ) : '';
+$date_end        = isset( $query_params['date_end'] ) ? sanitize_text_field( $query_params['date_end'] ) : '';
+$geo_lat         = isset( $query_params['lat'] ) ? sanitize_text_field( $query_params['lat'] ) : '';
+$geo_lng         = isset( $query_params['lng'] ) ? sanitize_text_field( $query_params['lng'] ) : '';
+$geo_radius      = isset( $query_params['radius'] ) ? absint( $query_params['radius'] ) : 25;
+$geo_radius_unit = isset( $query_params['radius_unit'] ) ? sanitize_key( $query_params['radius_unit'] ) : 'mi';
+$tax_filters_raw = $query_params['tax_filter'] ?? array();
 $tax_filters     = array();
 
 if ( is_array( $tax_filters_raw ) ) {
@@ -62,14 +88,25 @@ if ( is_array( $tax_filters_raw ) ) {
 	}
 }
 
+// Shared lists link to specific events; saved lists live in the browser and are applied client-side.
+$shared_event_ids = isset( $query_params['event_ids'] ) ? array_values( array_filter( wp_parse_id_list( $query_params['event_ids'] ) ) ) : null;
+$saved_only       = isset( $query_params['saved'] ) && '1' === $query_params['saved'];
+
 // Resolve scope: URL ?scope= param takes priority, then block attribute, then empty (default).
-$scope = '';
-if ( isset( $_GET['scope'] ) ) {
-	$scope = sanitize_key( wp_unslash( $_GET['scope'] ) );
-} elseif ( ! empty( $attributes['defaultDateRange'] ) && 'current' !== $attributes['defaultDateRange'] ) {
-	$scope = $attributes['defaultDateRange'];
+// `scope=current` in the URL switches a block default scope off.
+$default_scope = '';
+if ( ! empty( $attributes['defaultDateRange'] ) && 'current' !== $attributes['defaultDateRange'] ) {
+	$default_scope = $attributes['defaultDateRange'];
+}
+
+$scope = $default_scope;
+if ( isset( $query_params['scope'] ) ) {
+	$scope = sanitize_key( $query_params['scope'] );
 }
 
+// Terms and area the editor pinned the block to (see Fixed_Filters).
+$fixed_filters = Fixed_Filters::from_attributes( $attributes );
+
 $archive_context = array(
 	'taxonomy'  => '',
 	'term_id'   => 0,
@@ -88,25 +125,50 @@ if ( is_tax() ) {
 }
 
 $abilities = new CalendarAbilities();
-$result    = $abilities->executeGetCalendarPage(
-	array(
-		'paged'            => $current_page,
-		'past'             => $show_past,
-		'event_search'     => $search_query,
-		'date_start'       => $date_start,
-		'date_end'         => $date_end,
-		'scope'            => $scope,
-		'tax_filter'       => $tax_filters,
-		'archive_taxonomy' => $archive_context['taxonomy'],
-		'archive_term_id'  => $archive_context['term_id'],
-		'geo_lat'          => $geo_lat,
-		'geo_lng'          => $geo_lng,
-		'geo_radius'       => $geo_radius,
-		'geo_radius_unit'  => $geo_radius_unit,
-		'include_html'     => true,
-		'include_gaps'     => true,
-	)
-);
+
+if ( 'grid' === $view ) {
+	$result = $abilities->executeGetCalendarMonth(
+		array(
+			'month'            => $month,
+			'event_search'     => $search_query,
+			'tax_filter'       => $tax_filters,
+			'archive_taxonomy' => $archive_context['taxonomy'],
+			'archive_term_id'  => $archive_context['term_id'],
+			'fixed_tax_filter' => $fixed_filters['tax_filter'],
+			'fixed_geo'        => $fixed_filters['geo'] ?? array(),
+			'geo_lat'          => $geo_lat,
+			'geo_lng'          => $geo_lng,
+			'geo_radius'       => $geo_radius,
+			'geo_radius_unit'  => $geo_radius_unit,
+			'event_ids'        => $shared_event_ids,
+			'include_html'     => true,
+		)
+	);
+} else {
+	$result = $abilities->executeGetCalendarPage(
+		array(
+			'paged'            => $current_page,
+			'past'             => $show_past,
+			'event_search'     => $search_query,
+			'date_start'       => $date_start,
+			'date_end'         => $date_end,
+			'scope'            => $scope,
+			'tax_filter'       => $tax_filters,
+			'archive_taxonomy' => $archive_context['taxonomy'],
+			'archive_term_id'  => $archive_context['term_id'],
+			'fixed_tax_filter' => $fixed_filters['tax_filter'],
+			'fixed_geo'        => $fixed_filters['geo'] ?? array(),
+			'geo_lat'          => $geo_lat,
+			'geo_lng'          => $geo_lng,
+			'geo_radius'       => $geo_radius,
+			'geo_radius_unit'  => $geo_radius_unit,
+			'event_ids'        => $shared_event_ids,
+			'include_html'     => true,
+			'include_gaps'     => true,
+			'url_prefix'       => $url_prefix,
+		)
+	);
+}
 
 $current_page        = $result['current_page'];
 $max_pages           = $result['max_pages'];
@@ -132,6 +194,8 @@ if ( ! empty( $archive_context['taxonomy'] ) && ! empty( $archive_context['term_
 			'date_context'     => $date_context,
 			'archive_taxonomy' => $archive_context['taxonomy'],
 			'archive_term_id'  => $archive_context['term_id'],
+			'fixed_tax_filter' => $fixed_filters['tax_filter'],
+			'fixed_geo'        => $fixed_filters['geo'] ?? array(),
 			'geo_lat'          => $geo_lat,
 			'geo_lng'          => $geo_lng,
 			'geo_radius'       => $geo_radius,
@@ -168,11 +232,14 @@ if ( ! empty( $archive_context['taxonomy'] ) && ! empty( $archive_context['term_
 
 \DataMachineEvents\Blocks\Calendar\Template_Loader::init();
 
-$block_id           = isset( $block ) && isset( $block->clientId ) ? (string) $block->clientId : uniqid( 'dm', true );
-$instance_id        = 'data-machine-calendar-' . substr( preg_replace( '/[^a-z0-9]/', '', strtolower( $block_id ) ), 0, 12 );
+$wrapper_classes = 'data-machine-events-calendar data-machine-events-date-grouped';
+if ( ! $allow_past ) {
+	$wrapper_classes .= ' data-machine-events-no-past';
+}
+
 $wrapper_attributes = get_block_wrapper_attributes(
 	array(
-		'class' => 'data-machine-events-calendar data-machine-events-date-grouped',
+		'class' => $wrapper_classes,
 	)
 );
 
@@ -197,13 +264,43 @@ if ( ! empty( $geo_lat ) && ! empty( $geo_lng ) ) {
 	);
 }
 
+// Block default only; the client applies it when the URL has no scope or dates.
 $scope_data_attr = '';
-if ( ! empty( $scope ) ) {
-	$scope_data_attr = sprintf( ' data-scope="%s"', esc_attr( $scope ) );
+if ( ! empty( $default_scope ) ) {
+	$scope_data_attr = sprintf( ' data-scope="%s"', esc_attr( $default_scope ) );
+}
+
+$view_data_attrs = sprintf(
+	' data-view="%s" data-default-view="%s"',
+	esc_attr( $view ),
+	esc_attr( $default_view )
+);
+if ( 'grid' === $view && ! empty( $result['month']['current'] ) && ! empty( $month ) ) {
+	$view_data_attrs .= sprintf( ' data-month="%s"', esc_attr( $result['month']['current'] ) );
+}
+
+// The client keeps this instance's params (and storage) under the same prefix.
+$url_prefix_data_attr = '';
+if ( '' !== $url_prefix ) {
+	$url_prefix_data_attr = sprintf( ' data-url-prefix="%s"', esc_attr( $url_prefix ) );
 }
+
+// The client sends the fixed filters back with its REST requests.
+$fixed_query           = Fixed_Filters::to_query_string( $fixed_filters );
+$fixed_query_data_attr = '';
+if ( '' !== $fixed_query ) {
+	$fixed_query_data_attr = sprintf( ' data-fixed-query="%s"', esc_attr( $fixed_query ) );
+}
+
+$pagination_data_attrs = sprintf(
+	' data-pagination-mode="%s" data-current-page="%d" data-max-pages="%d"',
+	esc_attr( $pagination_mode ),
+	(int) $current_page,
+	(int) $max_pages
+);
 ?>
 
-<div data-instance-id="<?php echo esc_attr( $instance_id ); ?>"<?php echo $archive_data_attrs; ?><?php echo $geo_data_attrs; ?><?php echo $scope_data_attr; ?> <?php echo $wrapper_attributes; ?>>
+<div data-instance-id="<?php echo esc_attr( $instance_id ); ?>"<?php echo $archive_data_attrs; ?><?php echo $geo_data_attrs; ?><?php echo $scope_data_attr; ?><?php echo $url_prefix_data_attr; ?><?php echo $fixed_query_data_attr; ?><?php echo $pagination_data_attrs; ?><?php echo $view_data_attrs; ?> <?php echo $wrapper_attributes; ?>>
 	<?php
 	\DataMachineEvents\Blocks\Calendar\Template_Loader::include_template(
 		'filter-bar',
@@ -216,13 +313,29 @@ if ( ! empty( $scope ) ) {
 			'date_end'                         => $date_end,
 			'filter_count'                     => $filter_count,
 			'archive_context'                  => $archive_context,
+			'fixed_query'                      => $fixed_query,
 			'hide_filter_button_when_inactive' => $hide_filter_button_when_inactive,
 			'geo_lat'                          => $geo_lat,
 			'geo_lng'                          => $geo_lng,
 			'geo_radius'                       => $geo_radius,
 			'geo_radius_unit'                  => $geo_radius_unit,
+			'view'                             => $view,
+			'shared_event_ids'                 => $shared_event_ids ?? array(),
+			'saved_only'                       => $saved_only,
+			'scope'                            => $scope,
+			'ics_url'                          => rest_url( 'datamachine/v1/events/ics' ),
 		)
 	);
+
+	\DataMachineEvents\Blocks\Calendar\Template_Loader::include_template(
+		'export-bar',
+		array(
+			'ics_url' => rest_url( 'datamachine/v1/events/ics' ),
+		)
+	);
+
+	// phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- HTML generated by Template_Loader
+	echo $result['html']['active_filters'];
 	?>
 
 	<div class="data-machine-events-content">
@@ -237,6 +350,14 @@ if ( ! empty( $scope ) ) {
 	echo $result['html']['counter'];
 	// phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- HTML generated by Pagination::render_pagination
 	echo $result['html']['pagination'];
+
+	\DataMachineEvents\Blocks\Calendar\Template_Loader::include_template(
+		'load-more',
+		array(
+			'pagination_mode' => $pagination_mode,
+		)
+	);
+
 	// phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- HTML generated by Template_Loader
 	echo $result['html']['navigation'];
 	?>
@@ -0,0 +1,208 @@
+/**
+ * Pick the fixed area of a calendar: a centre and a radius.
+ *
+ * The centre can be looked up by place name through the plugin's geocoding
+ * route (the same one the frontend location filter uses) or entered as
+ * coordinates.
+ */
+
+import { __, sprintf } from '@wordpress/i18n';
+import {
+	Button,
+	RangeControl,
+	SelectControl,
+	TextControl,
+} from '@wordpress/components';
+import { useState } from '@wordpress/element';
+import apiFetch from '@wordpress/api-fetch';
+
+import type { FixedGeo, GeocodeResponse, GeocodeResult } from '../types';
+
+interface AreaControlProps {
+	value: FixedGeo;
+	onChange: ( value: FixedGeo ) => void;
+}
+
+export function AreaControl( { value, onChange }: AreaControlProps ) {
+	const [ query, setQuery ] = useState( '' );
+	const [ results, setResults ] = useState< GeocodeResult[] >( [] );
+	const [ status, setStatus ] = useState( '' );
+	const [ isSearching, setIsSearching ] = useState( false );
+
+	const hasArea = !! ( value.lat && value.lng );
+	const radius = value.radius || 25;
+	const radiusUnit = value.radius_unit === 'km' ? 'km' : 'mi';
+
+	function lookUp() {
+		if ( query.trim().length < 2 ) {
+			return;
+		}
+
+		setIsSearching( true );
+		setStatus( '' );
+
+		apiFetch< GeocodeResponse >( {
+			path:
+				'/datamachine/v1/events/geocode/search?query=' +
+				encodeURIComponent( query.trim() ),
+		} )
+			.then( ( response: GeocodeResponse ) => {
+				const places = response.results || [];
+				setResults( places );
+				if ( places.length === 0 ) {
+					setStatus( __( 'No matching places', 'data-machine-events' ) );
+				}
+			} )
+			.catch( ( error: { code?: string } ) => {
+				setResults( [] );
+				setStatus(
+					error?.code === 'geocoding_throttled'
+						? __(
+								'Place search is busy. Please try again in a moment.',
+								'data-machine-events'
+						  )
+						: __(
+								'Could not look up places. Please try again.',
+								'data-machine-events'
+						  )
+				);
+			} )
+			.finally( () => setIsSearching( false ) );
+	}
+
+	function pick( place: GeocodeResult ) {
+		onChange( {
+			lat: place.lat,
+			lng: place.lon,
+			radius,
+			radius_unit: radiusUnit,
+			label: place.name || place.display_name,
+		} );
+		setResults( [] );
+		setQuery( '' );
+	}
+
+	return (
+		<div className="data-machine-events-area-control">
+			<div className="data-machine-events-area-search">
+				<TextControl
+					label={ __( 'Find a place', 'data-machine-events' ) }
+					value={ query }
+					onChange={ setQuery }
+					onKeyDown={ ( event: KeyboardEvent ) => {
+						if ( event.key === 'Enter' ) {
+							event.preventDefault();
+							lookUp();
+						}
+					} }
+					placeholder={ __(
+						'City or address...',
+						'data-machine-events'
+					) }
+					__next40pxDefaultSize
+					__nextHasNoMarginBottom
+				/>
+				<Button
+					variant="secondary"
+					onClick={ lookUp }
+					isBusy={ isSearching }
+					disabled={ isSearching }
+					__next40pxDefaultSize
+				>
+					{ __( 'Search', 'data-machine-events' ) }
+				</Button>
+			</div>
+
+			{ results.length > 0 && (
+				<ul className="data-machine-events-area-results">
+					{ results.map( ( place: GeocodeResult ) => (
+						<li key={ `${ place.lat },${ place.lon }` }>
+							<Button variant="link" onClick={ () => pick( place ) }>
+								{ place.display_name }
+							</Button>
+						</li>
+					) ) }
+				</ul>
+			) }
+
+			{ status && (
+				<p className="data-machine-events-area-status" role="status">
+					{ status }
+				</p>
+			) }
+
+			{ hasArea && value.label && (
+				<p className="data-machine-events-area-label">
+					{ sprintf(
+						/* translators: %s: place name */
+						__( 'Centre: %s', 'data-machine-events' ),
+						value.label
+					) }
+				</p>
+			) }
+
+			<div className="data-machine-events-area-coordinates">
+				<TextControl
+					label={ __( 'Latitude', 'data-machine-events' ) }
+					value={ value.lat || '' }
+					onChange={ ( lat: string ) =>
+						onChange( { ...value, lat, label: '' } )
+					}
+					__next40pxDefaultSize
+					__nextHasNoMarginBottom
+				/>
+				<TextControl
+					label={ __( 'Longitude', 'data-machine-events' ) }
+					value={ value.lng || '' }
+					onChange={ ( lng: string ) =>
+						onChange( { ...value, lng, label: '' } )
+					}
+					__next40pxDefaultSize
+					__nextHasNoMarginBottom
+				/>
+			</div>
+
+			{ hasArea && (
+				<>
+					<RangeControl
+						label={ __( 'Radius', 'data-machine-events' ) }
+						value={ radius }
+						onChange={ ( next?: number ) =>
+							onChange( { ...value, radius: next || 25 } )
+						}
+						min={ 1 }
+						max={ 200 }
+						__next40pxDefaultSize
+						__nextHasNoMarginBottom
+					/>
+					<SelectControl
+						label={ __( 'Unit', 'data-machine-events' ) }
+						value={ radiusUnit }
+						options={ [
+							{
+								label: __( 'Miles', 'data-machine-events' ),
+								value: 'mi',
+							},
+							{
+								label: __( 'Kilometers', 'data-machine-events' ),
+								value: 'km',
+							},
+						] }
+						onChange={ ( unit: string ) =>
+							onChange( { ...value, radius_unit: unit } )
+						}
+						__next40pxDefaultSize
+						__nextHasNoMarginBottom
+					/>
+					<Button
+						variant="link"
+						isDestructive
+						onClick={ () => onChange( {} ) }
+					>
+						{ __( 'Remove area', 'data-machine-events' ) }
+					</Button>
+				</>
+			) }
+		</div>
+	);
+}
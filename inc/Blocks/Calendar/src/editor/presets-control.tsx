@@ -0,0 +1,73 @@
+/**
+ * Edit the site-defined filter presets ("Suggested" saved searches).
+ *
+ * A preset is a label and a calendar query string; the filter bar keeps
+ * only its filter params (see templates/filter-bar.php).
+ */
+
+import { __ } from '@wordpress/i18n';
+import { Button, TextControl } from '@wordpress/components';
+
+import type { SitePreset } from '../types';
+
+interface PresetsControlProps {
+	value: SitePreset[];
+	onChange: ( presets: SitePreset[] ) => void;
+}
+
+export function PresetsControl( { value, onChange }: PresetsControlProps ) {
+	function update( index: number, changes: Partial< SitePreset > ) {
+		onChange(
+			value.map( ( preset, i ) =>
+				i === index ? { ...preset, ...changes } : preset
+			)
+		);
+	}
+
+	return (
+		<div className="data-machine-events-presets-control">
+			{ value.map( ( preset, index ) => (
+				<div className="data-machine-events-preset-row" key={ index }>
+					<TextControl
+						label={ __( 'Label', 'data-machine-events' ) }
+						value={ preset.label }
+						onChange={ ( label: string ) =>
+							update( index, { label } )
+						}
+						__next40pxDefaultSize
+						__nextHasNoMarginBottom
+					/>
+					<TextControl
+						label={ __( 'Filters', 'data-machine-events' ) }
+						help={ __(
+							'Query string from a calendar URL, e.g. scope=this-weekend&tax_filter[venue][]=12',
+							'data-machine-events'
+						) }
+						value={ preset.query }
+						onChange={ ( query: string ) =>
+							update( index, { query } )
+						}
+						__next40pxDefaultSize
+						__nextHasNoMarginBottom
+					/>
+					<Button
+						variant="link"
+						isDestructive
+						onClick={ () =>
+							onChange( value.filter( ( _, i ) => i !== index ) )
+						}
+					>
+						{ __( 'Remove preset', 'data-machine-events' ) }
+					</Button>
+				</div>
+			) ) }
+
+			<Button
+				variant="secondary"
+				onClick={ () => onChange( [ ...value, { label: '', query: '' } ] ) }
+			>
+				{ __( 'Add preset', 'data-machine-events' ) }
+			</Button>
+		</div>
+	);
+}
@@ -0,0 +1,104 @@
+/**
+ * Pick fixed terms of one taxonomy (e.g. a venue) by name.
+ *
+ * Suggestions follow what the editor types; the block attribute stores
+ * term IDs, so renamed terms keep working.
+ */
+
+import { __ } from '@wordpress/i18n';
+import { FormTokenField } from '@wordpress/components';
+import { useSelect } from '@wordpress/data';
+import { useState } from '@wordpress/element';
+import { store as coreStore } from '@wordpress/core-data';
+import { decodeEntities } from '@wordpress/html-entities';
+
+interface Term {
+	id: number;
+	name: string;
+}
+
+interface TermFilterControlProps {
+	taxonomy: string;
+	label: string;
+	value: number[];
+	onChange: ( termIds: number[] ) => void;
+}
+
+const SUGGESTION_LIMIT = 20;
+
+export function TermFilterControl( {
+	taxonomy,
+	label,
+	value,
+	onChange,
+}: TermFilterControlProps ) {
+	const [ search, setSearch ] = useState( '' );
+
+	const { selectedTerms, suggestedTerms } = useSelect(
+		( select: any ) => {
+			const { getEntityRecords } = select( coreStore );
+
+			return {
+				selectedTerms: ( value.length
+					? getEntityRecords( 'taxonomy', taxonomy, {
+							include: value,
+							per_page: value.length,
+							_fields: 'id,name',
+							context: 'view',
+					  } )
+					: [] ) as Term[] | null,
+				suggestedTerms: getEntityRecords( 'taxonomy', taxonomy, {
+					search,
+					per_page: SUGGESTION_LIMIT,
+					orderby: 'count',
+					order: 'desc',
+					_fields: 'id,name',
+					context: 'view',
+				} ) as Term[] | null,
+			};
+		},
+		[ taxonomy, value, search ]
+	);
+
+	const knownTerms: Term[] = [
+		...( selectedTerms || [] ),
+		...( suggestedTerms || [] ),
+	];
+
+	function handleChange( tokens: ( string | { value: string } )[] ) {
+		const names = tokens.map( ( token ) =>
+			typeof token === 'string' ? token : token.value
+		);
+
+		// Typed names that match no term are dropped.
+		const termIds = names
+			.map(
+				( name ) =>
+					knownTerms.find(
+						( term ) => decodeEntities( term.name ) === name
+					)?.id
+			)
+			.filter( ( id ): id is number => !! id );
+
+		onChange( Array.from( new Set( termIds ) ) );
+	}
+
+	return (
+		<FormTokenField
+			label={ label }
+			value={ ( selectedTerms || [] ).map( ( term: Term ) =>
+				decodeEntities( term.name )
+			) }
+			suggestions={ ( suggestedTerms || [] ).map( ( term: Term ) =>
+				decodeEntities( term.name )
+			) }
+			onInputChange={ setSearch }
+			onChange={ handleChange }
+			maxSuggestions={ SUGGESTION_LIMIT }
+			__experimentalShowHowTo={ false }
+			__next40pxDefaultSize
+			__nextHasNoMarginBottom
+			placeholder={ __( 'Any', 'data-machine-events' ) }
+		/>
+	);
+}
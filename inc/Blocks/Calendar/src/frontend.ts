@@ -1,10 +1,18 @@
 /**
  * Data Machine Events Calendar Frontend
  *
- * Module orchestration for calendar blocks. Supports two modes:
- * - Page navigation (default): filter/pagination changes trigger full reload
- * - Geo sync (automatic): when an events-map block is present on the page,
- *   the calendar listens for map bounds changes and re-fetches via REST API
+ * Module orchestration for calendar blocks. Filter, pagination, and
+ * past/upcoming changes re-fetch via the REST API and swap the DOM in-place,
+ * pushing the new state to the URL. Back/forward navigation replays the URL
+ * state without a reload.
+ *
+ * Geo sync (automatic): when an events-map block is present on the page,
+ * the calendar also listens for map bounds changes and re-fetches, its
+ * cards and the map's venue markers are linked (modules/venue-link.ts), and
+ * the map follows its event filters (modules/map-filters.ts).
+ *
+ * `window.DataMachineEvents` (modules/public-api.ts) lets other scripts
+ * read and drive calendars through the same navigation path.
  */
 
 /**
@@ -22,15 +30,70 @@ import {
 	initDatePicker,
 	destroyDatePicker,
 	getDatePicker,
+	setDatePickerRange,
 } from './modules/date-picker';
 import { initFilterModal, destroyFilterModal } from './modules/filter-modal';
+import { initActiveFilters } from './modules/active-filters';
+import {
+	initFilterPresets,
+	destroyFilterPresets,
+	syncPresetSelect,
+} from './modules/filter-presets';
+import {
+	initLocationSearch,
+	destroyLocationSearch,
+	syncLocationFromUrl,
+} from './modules/location-search';
+import { initNearMe } from './modules/near-me';
+import { initTimeZoneToggle } from './modules/time-zone';
 import { initNavigation } from './modules/navigation';
 import { getFilterState, destroyFilterState } from './modules/filter-state';
 import { initLazyRender, destroyLazyRender } from './modules/lazy-render';
 import { initGeoSync, destroyGeoSync } from './modules/geo-sync';
+import { initVenueLink, destroyVenueLink } from './modules/venue-link';
+import { initMapFilters, destroyMapFilters } from './modules/map-filters';
+import { initMonthGrid, destroyMonthGrid } from './modules/month-grid';
+import {
+	initCalendarExport,
+	destroyCalendarExport,
+} from './modules/calendar-export';
+import {
+	initScopeChips,
+	clearScopeChips,
+	syncScopeChipsFromUrl,
+} from './modules/scope-chips';
+import {
+	initSearchSuggest,
+	destroySearchSuggest,
+} from './modules/search-suggest';
+import {
+	initSavedEvents,
+	destroySavedEvents,
+	syncSavedControlsFromUrl,
+} from './modules/saved-events';
+import {
+	initInfiniteScroll,
+	destroyInfiniteScroll,
+	updateInfiniteScroll,
+} from './modules/infinite-scroll';
+import {
+	startRefresh,
+	getRenderedQuery,
+	setRenderedQuery,
+} from './modules/calendar-refresh';
+
+import { initPublicApi } from './modules/public-api';
 
+import type { RefreshOptions } from './modules/calendar-refresh';
 import type { FlatpickrInstance } from './types';
 
+initPublicApi( {
+	navigate( calendar: HTMLElement, params: URLSearchParams ) {
+		navigateCalendar( calendar, params );
+	},
+	syncControls: syncControlsFromUrl,
+} );
+
 document.addEventListener( 'DOMContentLoaded', function () {
 	document
 		.querySelectorAll< HTMLElement >( '.data-machine-events-calendar' )
@@ -45,12 +108,23 @@ function initCalendarInstance( calendar: HTMLElement ): void {
 
 	const filterState = getFilterState( calendar );
 
-	filterState.restoreFromStorage();
+	// The server rendered whatever the URL held before storage restore.
+	setRenderedQuery( calendar, filterState.getUrlParams().toString() );
+
+	const restored = filterState.restoreFromStorage();
 
 	initLazyRender( calendar );
 	initCarousel( calendar );
 
-	initDatePicker( calendar, function () {
+	initDatePicker( calendar, function ( selectedDates?: Date[] ) {
+		// A picked range replaces any active scope chip.
+		if ( selectedDates && selectedDates.length > 0 ) {
+			clearScopeChips( calendar );
+		}
+		handleFilterChange( calendar );
+	} );
+
+	initScopeChips( calendar, function () {
 		handleFilterChange( calendar );
 	} );
 
@@ -60,23 +134,80 @@ function initCalendarInstance( calendar: HTMLElement ): void {
 			handleFilterChange( calendar );
 		},
 		function ( params: URLSearchParams ) {
-			navigateToUrl( params );
+			navigateCalendar( calendar, params );
 		}
 	);
 
-	initNavigation( calendar, function ( params: URLSearchParams ) {
-		navigateToUrl( params );
+	initActiveFilters( calendar, function ( params: URLSearchParams ) {
+		navigateCalendar( calendar, params );
+	} );
+
+	initLocationSearch( calendar, function () {
+		handleFilterChange( calendar );
 	} );
 
+	initNearMe( calendar, function ( params: URLSearchParams ) {
+		navigateCalendar( calendar, params );
+	} );
+
+	initFilterPresets( calendar, function ( params: URLSearchParams ) {
+		navigateCalendar( calendar, params );
+		syncControlsFromUrl( calendar );
+	} );
+
+	initNavigation(
+		calendar,
+		function ( params: URLSearchParams, options?: RefreshOptions ) {
+			navigateCalendar( calendar, params, options );
+		}
+	);
+
+	initMonthGrid( calendar, function ( params: URLSearchParams ) {
+		navigateCalendar( calendar, params );
+	} );
+
+	initCalendarExport( calendar );
+
+	initTimeZoneToggle( calendar );
+
+	initSavedEvents(
+		calendar,
+		function () {
+			handleFilterChange( calendar );
+		},
+		function () {
+			startRefresh(
+				calendar,
+				new URLSearchParams( getRenderedQuery( calendar ) ),
+				{ history: 'none' }
+			);
+		}
+	);
+
 	initSearchInput( calendar );
 
-	// Auto-detect map block on page and enable geo sync.
+	initInfiniteScroll( calendar );
+
+	// Auto-detect map block on page and enable geo sync, venue linking, and
+	// filter sharing.
 	if ( hasMapBlockOnPage() ) {
 		initGeoSync( calendar );
+		initVenueLink( calendar, function ( params: URLSearchParams ) {
+			navigateCalendar( calendar, params );
+		} );
+		initMapFilters( calendar );
 	}
 
 	filterState.updateFilterCountBadge();
 
+	// Apply taxonomy filters restored from localStorage to the rendered content.
+	// The saved filter always needs this: the server cannot see saved events.
+	if ( restored || filterState.isSavedOnly() ) {
+		startRefresh( calendar, filterState.getUrlParams(), {
+			history: 'none',
+		} );
+	}
+
 	// Listen for external content updates (e.g., discovery page scope switching).
 	calendar.addEventListener(
 		'data-machine-calendar-content-updated',
@@ -85,6 +216,7 @@ function initCalendarInstance( calendar: HTMLElement ): void {
 			destroyCarousel( calendar );
 			initLazyRender( calendar );
 			initCarousel( calendar );
+			updateInfiniteScroll( calendar );
 		}
 	);
 }
@@ -110,11 +242,24 @@ function initSearchInput( calendar: HTMLElement ): void {
 		}, 500 );
 	} );
 
+	initSearchSuggest( calendar, searchInput, {
+		onSearch() {
+			clearTimeout( searchTimeout );
+			handleFilterChange( calendar );
+		},
+		onTermPick( params: URLSearchParams ) {
+			// The picked term replaces the free text that found it.
+			clearTimeout( searchTimeout );
+			navigateCalendar( calendar, params );
+		},
+	} );
+
 	const searchBtn = calendar.querySelector< HTMLElement >(
 		'.data-machine-events-search-btn'
 	);
 	if ( searchBtn ) {
 		searchBtn.addEventListener( 'click', function () {
+			clearTimeout( searchTimeout );
 			handleFilterChange( calendar );
 			searchInput.focus();
 		} );
@@ -129,21 +274,83 @@ function handleFilterChange( calendar: HTMLElement ): void {
 	const datePicker: FlatpickrInstance | null = getDatePicker( calendar );
 	const params = filterState.buildParams( datePicker );
 
-	filterState.saveToStorage( params );
+	if ( params.toString() === getRenderedQuery( calendar ) ) {
+		return;
+	}
+
+	navigateCalendar( calendar, params );
+}
+
+/**
+ * Navigate the calendar to new params in-place (no page reload).
+ *
+ * Pushes a history entry; the popstate handler replays it on back/forward.
+ */
+function navigateCalendar(
+	calendar: HTMLElement,
+	params: URLSearchParams,
+	options: RefreshOptions = {}
+): void {
+	startRefresh( calendar, params, { history: 'push', ...options } );
+	syncPresetSelect( calendar );
+}
+
+/**
+ * Rebuild a calendar's UI state from the current URL and re-fetch.
+ *
+ * Runs on back/forward navigation. Skips calendars already showing the
+ * URL's state (e.g. hash-only changes).
+ */
+function syncCalendarFromUrl( calendar: HTMLElement ): void {
+	if ( calendar.dataset.dmInitialized !== 'true' ) {
+		return;
+	}
 
-	navigateToUrl( params );
+	const params = getFilterState( calendar ).getUrlParams();
+	if ( params.toString() === getRenderedQuery( calendar ) ) {
+		return;
+	}
+
+	syncControlsFromUrl( calendar );
+
+	startRefresh( calendar, params, { history: 'none' } );
 }
 
 /**
- * Navigate to URL with params (full page reload).
+ * Reflect URL state in the search input, scope chips, date picker, filter
+ * checkboxes, saved/shared list controls, location filter, and the preset
+ * dropdown.
  */
-function navigateToUrl( params: URLSearchParams ): void {
-	const queryString = params.toString();
-	const newUrl = queryString
-		? `${ window.location.pathname }?${ queryString }`
-		: window.location.pathname;
+function syncControlsFromUrl( calendar: HTMLElement ): void {
+	const filterState = getFilterState( calendar );
 
-	window.location.href = newUrl;
+	const searchInput = calendar.querySelector< HTMLInputElement >(
+		'.data-machine-events-search-input'
+	);
+	if ( searchInput ) {
+		searchInput.value = filterState.getSearchQuery();
+	}
+
+	const dateContext = filterState.getDateContext();
+	setDatePickerRange( calendar, dateContext.date_start, dateContext.date_end );
+
+	const taxFilters = filterState.getTaxFilters();
+	calendar
+		.querySelectorAll< HTMLInputElement >(
+			'.data-machine-taxonomy-modal input[type="checkbox"]:not([data-locked="true"]), .data-machine-taxonomy-filters-inline input[type="checkbox"]:not([data-locked="true"])'
+		)
+		.forEach( function ( checkbox ) {
+			const taxonomy = checkbox.dataset.taxonomy || '';
+			const termId = parseInt( checkbox.value, 10 );
+			checkbox.checked = ( taxFilters[ taxonomy ] || [] ).includes(
+				termId
+			);
+		} );
+
+	syncScopeChipsFromUrl( calendar );
+	syncSavedControlsFromUrl( calendar );
+	syncLocationFromUrl( calendar );
+	syncPresetSelect( calendar );
 }
 
 /**
@@ -154,6 +361,12 @@ function hasMapBlockOnPage(): boolean {
 	return document.querySelector( '.data-machine-events-map-root' ) !== null;
 }
 
+window.addEventListener( 'popstate', function () {
+	document
+		.querySelectorAll< HTMLElement >( '.data-machine-events-calendar' )
+		.forEach( syncCalendarFromUrl );
+} );
+
 window.addEventListener( 'beforeunload', function () {
 	document
 		.querySelectorAll< HTMLElement >( '.data-machine-events-calendar' )
@@ -161,7 +374,16 @@ window.addEventListener( 'beforeunload', function () {
 			destroyDatePicker( calendar );
 			destroyCarousel( calendar );
 			destroyLazyRender( calendar );
+			destroyInfiniteScroll( calendar );
+			destroyMonthGrid( calendar );
+			destroyCalendarExport( calendar );
+			destroySavedEvents( calendar );
+			destroySearchSuggest( calendar );
+			destroyFilterPresets( calendar );
+			destroyLocationSearch( calendar );
 			destroyGeoSync( calendar );
+			destroyVenueLink( calendar );
+			destroyMapFilters( calendar );
 			destroyFilterState( calendar );
 		} );
 } );
@@ -4,30 +4,99 @@
 import { registerBlockType } from '@wordpress/blocks';
 import { __ } from '@wordpress/i18n';
 import { InspectorControls, useBlockProps } from '@wordpress/block-editor';
-import { PanelBody, SelectControl, ToggleControl } from '@wordpress/components';
-
-interface CalendarBlockAttributes {
-	defaultView: string;
-	showSearch: boolean;
-	showPastEvents: boolean;
-	showFilters: boolean;
-	showDateFilter: boolean;
-	defaultDateRange: string;
-}
+import {
+	Disabled,
+	PanelBody,
+	SelectControl,
+	TextControl,
+	ToggleControl,
+} from '@wordpress/components';
+import { useSelect } from '@wordpress/data';
+import { store as coreStore } from '@wordpress/core-data';
+import ServerSideRender from '@wordpress/server-side-render';
+
+import { TermFilterControl } from './editor/term-filter-control';
+import { AreaControl } from './editor/area-control';
+import { PresetsControl } from './editor/presets-control';
+
+import type { CalendarBlockAttributes } from './types';
 
 interface EditProps {
 	attributes: CalendarBlockAttributes;
 	setAttributes: ( attrs: Partial< CalendarBlockAttributes > ) => void;
 }
 
+interface Taxonomy {
+	slug: string;
+	name: string;
+}
+
+const EVENT_POST_TYPE = 'data_machine_events';
+
+function Placeholder( { message }: { message: string } ) {
+	return (
+		<div className="data-machine-events-calendar-placeholder">
+			<div className="data-machine-events-calendar-icon">
+				{ '\uD83D\uDCC5' }
+			</div>
+			<h3>
+				{ __( 'Data Machine Events Calendar', 'data-machine-events' ) }
+			</h3>
+			<p>{ message }</p>
+		</div>
+	);
+}
+
 registerBlockType( 'data-machine-events/calendar', {
 	edit: function Edit( { attributes, setAttributes }: EditProps ) {
-		const { defaultView, showSearch } = attributes;
+		const {
+			defaultView,
+			showSearch,
+			showPastEvents,
+			showFilters,
+			showDateFilter,
+			showLocationFilter,
+			defaultDateRange,
+			paginationMode,
+			fixedTaxFilter,
+			fixedGeo,
+			namespaceUrl,
+			urlNamespace,
+			filterPresets,
+		} = attributes;
 
 		const blockProps = useBlockProps( {
 			className: 'data-machine-events-calendar-editor',
 		} );
 
+		// Venues first: pinning a calendar to one venue is the common case.
+		const taxonomies: Taxonomy[] = useSelect(
+			( select: any ) =>
+				(
+					( select( coreStore ).getTaxonomies( {
+						type: EVENT_POST_TYPE,
+						per_page: -1,
+					} ) || [] ) as Taxonomy[]
+				)
+					.slice()
+					.sort(
+						( a, b ) =>
+							Number( b.slug === 'venue' ) -
+							Number( a.slug === 'venue' )
+					),
+			[]
+		);
+
+		function setFixedTerms( taxonomy: string, termIds: number[] ) {
+			const next = { ...fixedTaxFilter };
+			if ( termIds.length ) {
+				next[ taxonomy ] = termIds;
+			} else {
+				delete next[ taxonomy ];
+			}
+			setAttributes( { fixedTaxFilter: next } );
+		}
+
 		return (
 			<>
 				<InspectorControls>
@@ -59,59 +128,278 @@ registerBlockType( 'data-machine-events/calendar', {
 									value: 'grid',
 								},
 							] }
-							onChange={ ( value ) =>
+							onChange={ ( value: 'list' | 'grid' ) =>
 								setAttributes( { defaultView: value } )
 							}
 						/>
 
+						<SelectControl
+							label={ __(
+								'Default Date Range',
+								'data-machine-events'
+							) }
+							help={ __(
+								'Visitors can still pick other dates.',
+								'data-machine-events'
+							) }
+							value={ defaultDateRange }
+							options={ [
+								{
+									label: __(
+										'All upcoming events',
+										'data-machine-events'
+									),
+									value: 'current',
+								},
+								{
+									label: __( 'Today', 'data-machine-events' ),
+									value: 'today',
+								},
+								{
+									label: __(
+										'Tonight',
+										'data-machine-events'
+									),
+									value: 'tonight',
+								},
+								{
+									label: __(
+										'This weekend',
+										'data-machine-events'
+									),
+									value: 'this-weekend',
+								},
+								{
+									label: __(
+										'This week',
+										'data-machine-events'
+									),
+									value: 'this-week',
+								},
+							] }
+							onChange={ ( value: string ) =>
+								setAttributes( { defaultDateRange: value } )
+							}
+						/>
+
+						<SelectControl
+							label={ __( 'Pagination', 'data-machine-events' ) }
+							value={ paginationMode }
+							options={ [
+								{
+									label: __(
+										'Numbered pages',
+										'data-machine-events'
+									),
+									value: 'pages',
+								},
+								{
+									label: __(
+										'Load more button',
+										'data-machine-events'
+									),
+									value: 'load-more',
+								},
+								{
+									label: __(
+										'Infinite scroll',
+										'data-machine-events'
+									),
+									value: 'infinite',
+								},
+							] }
+							onChange={ (
+								value: CalendarBlockAttributes[ 'paginationMode' ]
+							) => setAttributes( { paginationMode: value } ) }
+						/>
+
+						<ToggleControl
+							label={ __(
+								'Show Past Events Link',
+								'data-machine-events'
+							) }
+							help={ __(
+								'Off: the calendar only shows upcoming events.',
+								'data-machine-events'
+							) }
+							checked={ showPastEvents }
+							onChange={ ( value: boolean ) =>
+								setAttributes( { showPastEvents: value } )
+							}
+						/>
+					</PanelBody>
+
+					<PanelBody
+						title={ __( 'Filter Bar', 'data-machine-events' ) }
+						initialOpen={ false }
+					>
 						<ToggleControl
 							label={ __(
 								'Show Search Box',
 								'data-machine-events'
 							) }
+							help={ __(
+								'Off: hides the whole filter bar.',
+								'data-machine-events'
+							) }
 							checked={ showSearch }
-							onChange={ ( value ) =>
+							onChange={ ( value: boolean ) =>
 								setAttributes( { showSearch: value } )
 							}
 						/>
+
+						{ showSearch && (
+							<>
+								<ToggleControl
+									label={ __(
+										'Show Date Filter',
+										'data-machine-events'
+									) }
+									checked={ showDateFilter }
+									onChange={ ( value: boolean ) =>
+										setAttributes( {
+											showDateFilter: value,
+										} )
+									}
+								/>
+								<ToggleControl
+									label={ __(
+										'Show Location Filter',
+										'data-machine-events'
+									) }
+									checked={ showLocationFilter }
+									onChange={ ( value: boolean ) =>
+										setAttributes( {
+											showLocationFilter: value,
+										} )
+									}
+								/>
+								<ToggleControl
+									label={ __(
+										'Show Taxonomy Filters',
+										'data-machine-events'
+									) }
+									checked={ showFilters }
+									onChange={ ( value: boolean ) =>
+										setAttributes( { showFilters: value } )
+									}
+								/>
+							</>
+						) }
 					</PanelBody>
-				</InspectorControls>
 
-				<div { ...blockProps }>
-					<div className="data-machine-events-calendar-placeholder">
-						<div className="data-machine-events-calendar-icon">
-							{ '\uD83D\uDCC5' }
-						</div>
-						<h3>
+					<PanelBody
+						title={ __( 'Event Selection', 'data-machine-events' ) }
+						initialOpen={ false }
+					>
+						<p className="components-base-control__help">
 							{ __(
-								'Data Machine Events Calendar',
+								'Only show events matching these terms. Visitors filter within them.',
 								'data-machine-events'
 							) }
-						</h3>
-						<p>
-							{ __(
-								'Displaying upcoming events in',
-								'data-machine-events'
-							) }{ ' ' }
-							{ defaultView }{ ' ' }
+						</p>
+						{ taxonomies.map( ( taxonomy ) => (
+							<TermFilterControl
+								key={ taxonomy.slug }
+								taxonomy={ taxonomy.slug }
+								label={ taxonomy.name }
+								value={ fixedTaxFilter[ taxonomy.slug ] || [] }
+								onChange={ ( termIds ) =>
+									setFixedTerms( taxonomy.slug, termIds )
+								}
+							/>
+						) ) }
+					</PanelBody>
+
+					<PanelBody
+						title={ __( 'Area', 'data-machine-events' ) }
+						initialOpen={ false }
+					>
+						<p className="components-base-control__help">
 							{ __(
-								'view with chronological pagination',
+								'Only show events at venues within a radius of a point.',
 								'data-machine-events'
 							) }
 						</p>
-						{ showSearch && (
-							<div className="data-machine-events-calendar-filters-preview">
-								<p>
-									<strong>
-										{ __(
-											'Search enabled for filtering events',
-											'data-machine-events'
-										) }
-									</strong>
-								</p>
-							</div>
+						<AreaControl
+							value={ fixedGeo }
+							onChange={ ( value ) =>
+								setAttributes( { fixedGeo: value } )
+							}
+						/>
+					</PanelBody>
+
+					<PanelBody
+						title={ __( 'Saved Searches', 'data-machine-events' ) }
+						initialOpen={ false }
+					>
+						<PresetsControl
+							value={ filterPresets }
+							onChange={ ( value ) =>
+								setAttributes( { filterPresets: value } )
+							}
+						/>
+					</PanelBody>
+
+					<PanelBody
+						title={ __( 'URL Parameters', 'data-machine-events' ) }
+						initialOpen={ false }
+					>
+						<ToggleControl
+							label={ __(
+								'Namespace URL Parameters',
+								'data-machine-events'
+							) }
+							help={ __(
+								'Keeps filters separate when a page has more than one calendar.',
+								'data-machine-events'
+							) }
+							checked={ namespaceUrl }
+							onChange={ ( value: boolean ) =>
+								setAttributes( { namespaceUrl: value } )
+							}
+						/>
+						{ namespaceUrl && (
+							<TextControl
+								label={ __( 'Prefix', 'data-machine-events' ) }
+								help={ __(
+									'Lowercase letters, numbers, dashes, and underscores. Leave empty to number calendars in page order.',
+									'data-machine-events'
+								) }
+								value={ urlNamespace }
+								onChange={ ( value: string ) =>
+									setAttributes( { urlNamespace: value } )
+								}
+								__nextHasNoMarginBottom
+							/>
 						) }
-					</div>
+					</PanelBody>
+				</InspectorControls>
+
+				<div { ...blockProps }>
+					<Disabled>
+						<ServerSideRender
+							block="data-machine-events/calendar"
+							attributes={ attributes }
+							skipBlockSupportAttributes
+							EmptyResponsePlaceholder={ () => (
+								<Placeholder
+									message={ __(
+										'The calendar renders on the frontend.',
+										'data-machine-events'
+									) }
+								/>
+							) }
+							ErrorResponsePlaceholder={ () => (
+								<Placeholder
+									message={ __(
+										'The preview could not be loaded. The calendar still renders on the frontend.',
+										'data-machine-events'
+									) }
+								/>
+							) }
+						/>
+					</Disabled>
 				</div>
 			</>
 		);
@@ -0,0 +1,102 @@
+/**
+ * Active-filter chip strip.
+ *
+ * The strip (`templates/active-filters.php`) is rendered by the server and
+ * swapped in from every calendar response, so it always names exactly the
+ * `tax_filter` terms in the URL. This module only handles removal: a chip's
+ * button drops its term, "Clear all" drops every term, and the calendar
+ * re-fetches in place.
+ */
+
+import { getFilterState } from './filter-state';
+import { getDatePicker } from './date-picker';
+
+const initialized = new WeakSet< HTMLElement >();
+
+export function initActiveFilters(
+	calendar: HTMLElement,
+	onNavigate: ( params: URLSearchParams ) => void
+): void {
+	if ( initialized.has( calendar ) ) {
+		return;
+	}
+
+	calendar.addEventListener( 'click', function ( e: Event ) {
+		const target = e.target as HTMLElement;
+
+		const removeBtn = target.closest(
+			'.data-machine-events-active-filter-remove'
+		);
+		if ( removeBtn ) {
+			const chip = removeBtn.closest< HTMLElement >(
+				'.data-machine-events-active-filter'
+			);
+			if ( chip ) {
+				removeFilters(
+					calendar,
+					onNavigate,
+					chip.dataset.taxonomy || '',
+					chip.dataset.termId || ''
+				);
+			}
+			return;
+		}
+
+		if ( target.closest( '.data-machine-events-active-filters-clear' ) ) {
+			removeFilters( calendar, onNavigate );
+		}
+	} );
+
+	initialized.add( calendar );
+}
+
+/**
+ * Drop one term (or, without arguments, every term) from the taxonomy
+ * filters and navigate.
+ */
+function removeFilters(
+	calendar: HTMLElement,
+	onNavigate: ( params: URLSearchParams ) => void,
+	taxonomy: string = '',
+	termId: string = ''
+): void {
+	const matches = function (
+		filterTaxonomy: string,
+		value: string
+	): boolean {
+		return (
+			! taxonomy || ( filterTaxonomy === taxonomy && value === termId )
+		);
+	};
+
+	// Keep the filter modal (if loaded) in step.
+	calendar
+		.querySelectorAll< HTMLInputElement >(
+			'.data-machine-taxonomy-modal input[type="checkbox"]:not([data-locked="true"])'
+		)
+		.forEach( function ( checkbox ) {
+			if ( matches( checkbox.dataset.taxonomy || '', checkbox.value ) ) {
+				checkbox.checked = false;
+			}
+		} );
+
+	const built = getFilterState( calendar ).buildParams(
+		getDatePicker( calendar )
+	);
+
+	const params = new URLSearchParams();
+	built.forEach( function ( value, key ) {
+		const match = key.match( /^tax_filter\[([^\]]+)\]\[\d*\]$/ );
+		if ( match && matches( match[ 1 ], value ) ) {
+			return;
+		}
+		params.append( key, value );
+	} );
+
+	// The strip is about to be replaced; keep focus somewhere stable.
+	calendar
+		.querySelector< HTMLElement >( '.data-machine-events-filter-btn' )
+		?.focus();
+
+	onNavigate( params );
+}
@@ -1,16 +1,84 @@
 /**
  * REST API communication and calendar DOM updates.
+ *
+ * Responses are kept in an in-memory LRU cache keyed by normalized params,
+ * so returning to a recently viewed filter combination renders instantly.
+ * Stale entries are rendered immediately and revalidated in the background.
+ * Starting a new request for a calendar (or filter modal) aborts the one
+ * still in flight, so a slow earlier response can never overwrite a newer one.
  */
 
+import { __ } from '@wordpress/i18n';
+
+import { ResponseCache, normalizeParams } from './response-cache';
+import { escapeHtml } from './event-renderer';
+
 import type {
 	ArchiveContext,
+	CalendarJsonResponse,
+	CalendarPagination,
 	CalendarResponse,
 	DateContext,
+	DayCountsResponse,
 	FilterResponse,
 	GeoContext,
+	GeocodeResponse,
+	SuggestResponse,
 	TaxFilters,
 } from '../types';
 
+const CALENDAR_ENDPOINT = '/wp-json/datamachine/v1/events/calendar';
+const FILTERS_ENDPOINT = '/wp-json/datamachine/v1/events/filters';
+const SUGGEST_ENDPOINT = '/wp-json/datamachine/v1/events/suggest';
+const GEOCODE_ENDPOINT = '/wp-json/datamachine/v1/events/geocode/search';
+const DAY_COUNTS_ENDPOINT = '/wp-json/datamachine/v1/events/calendar/day-counts';
+
+const calendarCache = new ResponseCache< CalendarResponse >();
+const calendarDataCache = new ResponseCache< CalendarJsonResponse >();
+const filtersCache = new ResponseCache< FilterResponse >();
+const suggestCache = new ResponseCache< SuggestResponse >( 50 );
+const dayCountsCache = new ResponseCache< DayCountsResponse >( 50 );
+// Places do not move: keep lookups for the whole visit.
+const geocodeCache = new ResponseCache< GeocodeResponse >(
+	50,
+	Infinity,
+	Infinity
+);
+
+const calendarRequests = new WeakMap< HTMLElement, AbortController >();
+const filterRequests = new WeakMap< HTMLElement, AbortController >();
+const suggestRequests = new WeakMap< HTMLElement, AbortController >();
+const geocodeRequests = new WeakMap< HTMLElement, AbortController >();
+const dayCountsRequests = new WeakMap< HTMLElement, AbortController >();
+
+const EMPTY_RESPONSE: CalendarResponse = {
+	success: false,
+	html: '',
+	pagination: null,
+	counter: null,
+	navigation: null,
+};
+
+/**
+ * Whether an error comes from an aborted (superseded) request.
+ */
+export function isAbortError( error: unknown ): boolean {
+	return error instanceof DOMException && error.name === 'AbortError';
+}
+
+/**
+ * Whether an error comes from a request the server turned away with a 429.
+ */
+export function isRateLimitError( error: unknown ): boolean {
+	return error instanceof ResponseError && error.status === 429;
+}
+
+/**
+ * Fetch a calendar page and swap it into the calendar.
+ *
+ * Resolves with an unsuccessful, empty response (and leaves the DOM alone)
+ * when a newer request for the same calendar supersedes this one.
+ */
 export async function fetchCalendarEvents(
 	calendar: HTMLElement,
 	params: URLSearchParams,
@@ -21,68 +89,187 @@ export async function fetchCalendarEvents(
 	);
 
 	if ( ! content ) {
-		return { success: false, html: '', pagination: null, counter: null, navigation: null };
-	}
-
-	content.classList.add( 'loading' );
-
-	if ( archiveContext.taxonomy && archiveContext.term_id ) {
-		params.set( 'archive_taxonomy', archiveContext.taxonomy );
-		params.set( 'archive_term_id', String( archiveContext.term_id ) );
+		return EMPTY_RESPONSE;
 	}
 
-	try {
-		const apiUrl = `/wp-json/datamachine/v1/events/calendar?${ params.toString() }`;
+	addArchiveParams( params, archiveContext );
 
-		const response = await fetch( apiUrl, {
-			method: 'GET',
-			headers: {
-				'Content-Type': 'application/json',
-			},
-		} );
+	const key = normalizeParams( params );
+	const controller = startRequest( calendarRequests, calendar );
+	const cached = calendarCache.get( key );
 
-		if ( ! response.ok ) {
-			throw new Error( 'Network response was not ok' );
+	if ( cached ) {
+		applyCalendarResponse( calendar, content, cached.data );
+		if ( cached.stale ) {
+			revalidateCalendar( calendar, key, cached.data, controller );
 		}
+		return cached.data;
+	}
+
+	content.classList.add( 'loading' );
 
-		const data: CalendarResponse = await response.json();
+	try {
+		const data = await getJson< CalendarResponse >(
+			`${ CALENDAR_ENDPOINT }?${ key }`,
+			controller.signal
+		);
 
 		if ( data.success ) {
-			content.innerHTML = data.html;
-			updatePagination( calendar, data.pagination );
-			updateCounter( calendar, content, data.counter );
-			updateNavigation( calendar, content, data.navigation );
+			calendarCache.set( key, data );
+			applyCalendarResponse( calendar, content, data );
 		}
 
 		return data;
 	} catch ( error ) {
+		if ( isAbortError( error ) ) {
+			return EMPTY_RESPONSE;
+		}
+
 		console.error( 'Error fetching filtered events:', error );
-		content.innerHTML =
-			'<div class="data-machine-events-error"><p>Error loading events. Please try again.</p></div>';
-		return {
-			success: false,
-			html: '',
-			pagination: null,
-			counter: null,
-			navigation: null,
-		};
+		showCalendarError( calendar );
+		return EMPTY_RESPONSE;
 	} finally {
-		content.classList.remove( 'loading' );
+		// A newer request owns the loading state once this one is superseded.
+		if ( ! controller.signal.aborted ) {
+			content.classList.remove( 'loading' );
+		}
+	}
+}
+
+/**
+ * Replace the calendar's results with the loading error message.
+ */
+export function showCalendarError( calendar: HTMLElement ): void {
+	const content = calendar.querySelector< HTMLElement >(
+		'.data-machine-events-content'
+	);
+	if ( ! content ) {
+		return;
+	}
+
+	content.classList.remove( 'loading' );
+	content.innerHTML =
+		'<div class="data-machine-events-error"><p>' +
+		escapeHtml(
+			__( 'Error loading events. Please try again.', 'data-machine-events' )
+		) +
+		'</p></div>';
+}
+
+/**
+ * Drop cached calendar responses, so the next request hits the server.
+ */
+export function clearCalendarCache(): void {
+	calendarCache.clear();
+	calendarDataCache.clear();
+}
+
+/**
+ * Request a calendar page from the REST API without touching the DOM.
+ *
+ * Serves fresh cache hits; does not take part in per-calendar cancellation,
+ * callers discard results that no longer match what they render.
+ */
+export async function requestCalendarPage(
+	params: URLSearchParams,
+	archiveContext: Partial< ArchiveContext > = {}
+): Promise< CalendarResponse > {
+	addArchiveParams( params, archiveContext );
+
+	const key = normalizeParams( params );
+	const cached = calendarCache.get( key );
+	if ( cached && ! cached.stale ) {
+		return cached.data;
+	}
+
+	const data = await getJson< CalendarResponse >(
+		`${ CALENDAR_ENDPOINT }?${ key }`
+	);
+
+	if ( data.success ) {
+		calendarCache.set( key, data );
+	}
+
+	return data;
+}
+
+/**
+ * Request structured calendar data (`format=json`) without touching the DOM.
+ *
+ * Date groups render with the shared event renderer, so custom frontends
+ * produce the same markup as the server templates.
+ */
+export async function requestCalendarData(
+	params: URLSearchParams,
+	archiveContext: Partial< ArchiveContext > = {},
+	signal?: AbortSignal
+): Promise< CalendarJsonResponse > {
+	const requestParams = new URLSearchParams( params );
+	requestParams.set( 'format', 'json' );
+	addArchiveParams( requestParams, archiveContext );
+
+	const key = normalizeParams( requestParams );
+	const cached = calendarDataCache.get( key );
+	if ( cached && ! cached.stale ) {
+		return cached.data;
+	}
+
+	const data = await getJson< CalendarJsonResponse >(
+		`${ CALENDAR_ENDPOINT }?${ key }`,
+		signal
+	);
+
+	if ( data.success ) {
+		calendarDataCache.set( key, data );
+	}
+
+	return data;
+}
+
+/**
+ * Mirror the page position from a REST response onto the calendar root.
+ */
+export function updatePaginationState(
+	calendar: HTMLElement,
+	pagination: CalendarPagination | null
+): void {
+	if ( ! pagination ) {
+		return;
+	}
+
+	if ( pagination.current_page !== undefined ) {
+		calendar.dataset.currentPage = String( pagination.current_page );
+	}
+	if ( pagination.max_pages !== undefined ) {
+		calendar.dataset.maxPages = String( pagination.max_pages );
 	}
 }
 
 /**
  * Fetch filter options from REST API with active filters, date context,
  * archive context, and geo context.
+ *
+ * The `scopes` context returns per-scope event counts instead of taxonomies.
  */
 export async function fetchFilters(
 	activeFilters: TaxFilters = {},
 	dateContext: Partial< DateContext > = {},
 	archiveContext: Partial< ArchiveContext > = {},
-	geoContext: Partial< GeoContext > = {}
+	geoContext: Partial< GeoContext > = {},
+	owner: HTMLElement | null = null,
+	context: string = '',
+	eventSearch: string = ''
 ): Promise< FilterResponse > {
 	const params = new URLSearchParams();
 
+	if ( context ) {
+		params.set( 'context', context );
+	}
+
+	if ( eventSearch ) {
+		params.set( 'event_search', eventSearch );
+	}
+
 	Object.entries( activeFilters ).forEach( ( [ taxonomy, termIds ] ) => {
 		if ( Array.isArray( termIds ) && termIds.length > 0 ) {
 			termIds.forEach( ( id ) => {
@@ -101,10 +288,7 @@ export async function fetchFilters(
 		params.set( 'past', dateContext.past );
 	}
 
-	if ( archiveContext.taxonomy && archiveContext.term_id ) {
-		params.set( 'archive_taxonomy', archiveContext.taxonomy );
-		params.set( 'archive_term_id', String( archiveContext.term_id ) );
-	}
+	addArchiveParams( params, archiveContext );
 
 	if ( geoContext.lat && geoContext.lng ) {
 		params.set( 'lat', geoContext.lat );
@@ -117,29 +301,285 @@ export async function fetchFilters(
 		}
 	}
 
-	const apiUrl = `/wp-json/datamachine/v1/events/filters?${ params.toString() }`;
+	const key = normalizeParams( params );
+	const controller = owner ? startRequest( filterRequests, owner ) : null;
+	const cached = filtersCache.get( key );
+
+	if ( cached ) {
+		if ( cached.stale ) {
+			// Refresh in the background for the next time the modal opens.
+			getJson< FilterResponse >( `${ FILTERS_ENDPOINT }?${ key }` )
+				.then( ( data ) => {
+					if ( data.success ) {
+						filtersCache.set( key, data );
+					}
+				} )
+				.catch( () => {} );
+		}
+		return cached.data;
+	}
+
+	const data = await getJson< FilterResponse >(
+		`${ FILTERS_ENDPOINT }?${ key }`,
+		controller?.signal
+	);
+
+	if ( data.success ) {
+		filtersCache.set( key, data );
+	}
+
+	return data;
+}
+
+/**
+ * Fetch search suggestions (matching terms and event titles) for a query.
+ *
+ * Each keystroke supersedes the owner's previous request; any cache hit is
+ * served as is, since suggestions only guide the user to a real query.
+ */
+export async function fetchSuggestions(
+	query: string,
+	archiveContext: Partial< ArchiveContext > = {},
+	owner: HTMLElement | null = null
+): Promise< SuggestResponse > {
+	const params = new URLSearchParams();
+	params.set( 'q', query );
+	addArchiveParams( params, archiveContext );
+
+	const key = normalizeParams( params );
+	const cached = suggestCache.get( key );
+	if ( cached ) {
+		// A slower request for an earlier query must not overwrite this.
+		if ( owner ) {
+			suggestRequests.get( owner )?.abort();
+		}
+		return cached.data;
+	}
+
+	const controller = owner ? startRequest( suggestRequests, owner ) : null;
+
+	const data = await getJson< SuggestResponse >(
+		`${ SUGGEST_ENDPOINT }?${ key }`,
+		controller?.signal
+	);
+
+	if ( data.success ) {
+		suggestCache.set( key, data );
+	}
+
+	return data;
+}
+
+/**
+ * Look up places matching a query through the plugin's geocoding route.
+ *
+ * Same supersede-and-cache behavior as `fetchSuggestions()`.
+ */
+export async function fetchPlaces(
+	query: string,
+	owner: HTMLElement | null = null
+): Promise< GeocodeResponse > {
+	const params = new URLSearchParams();
+	params.set( 'query', query );
+
+	const key = normalizeParams( params );
+	const cached = geocodeCache.get( key );
+	if ( cached ) {
+		if ( owner ) {
+			geocodeRequests.get( owner )?.abort();
+		}
+		return cached.data;
+	}
+
+	const controller = owner ? startRequest( geocodeRequests, owner ) : null;
+
+	const data = await getJson< GeocodeResponse >(
+		`${ GEOCODE_ENDPOINT }?${ key }`,
+		controller?.signal
+	);
+
+	if ( data.success ) {
+		geocodeCache.set( key, data );
+	}
+
+	return data;
+}
+
+/**
+ * Fetch event counts per day for the date picker.
+ *
+ * `params` carries the window (`date_start`, `date_end`) and the active
+ * search, taxonomy, and geo filters. Same supersede-and-cache behavior as
+ * `fetchSuggestions()`: the dots are a hint, so cached counts are not
+ * revalidated.
+ */
+export async function fetchDayCounts(
+	params: URLSearchParams,
+	archiveContext: Partial< ArchiveContext > = {},
+	owner: HTMLElement | null = null
+): Promise< DayCountsResponse > {
+	addArchiveParams( params, archiveContext );
+
+	const key = normalizeParams( params );
+	const cached = dayCountsCache.get( key );
+	if ( cached ) {
+		if ( owner ) {
+			dayCountsRequests.get( owner )?.abort();
+		}
+		return cached.data;
+	}
+
+	const controller = owner ? startRequest( dayCountsRequests, owner ) : null;
+
+	const data = await getJson< DayCountsResponse >(
+		`${ DAY_COUNTS_ENDPOINT }?${ key }`,
+		controller?.signal
+	);
+
+	if ( data.success ) {
+		dayCountsCache.set( key, data );
+	}
+
+	return data;
+}
+
+/* ------------------------------------------------------------------ */
+/*  Request helpers                                                    */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Error thrown for a non-2xx response, carrying its HTTP status.
+ */
+class ResponseError extends Error {
+	status: number;
 
-	const response = await fetch( apiUrl, {
+	constructor( status: number ) {
+		super( 'Network response was not ok' );
+		this.status = status;
+	}
+}
+
+async function getJson< T >( url: string, signal?: AbortSignal ): Promise< T > {
+	const response = await fetch( url, {
 		method: 'GET',
 		headers: {
 			'Content-Type': 'application/json',
 		},
+		signal,
 	} );
 
 	if ( ! response.ok ) {
-		throw new Error( 'Failed to fetch filters' );
+		throw new ResponseError( response.status );
 	}
 
 	return response.json();
 }
 
+/**
+ * Abort the owner's in-flight request and register a new controller.
+ */
+function startRequest(
+	registry: WeakMap< HTMLElement, AbortController >,
+	owner: HTMLElement
+): AbortController {
+	registry.get( owner )?.abort();
+
+	const controller = new AbortController();
+	registry.set( owner, controller );
+
+	return controller;
+}
+
+function addArchiveParams(
+	params: URLSearchParams,
+	archiveContext: Partial< ArchiveContext >
+): void {
+	if ( archiveContext.taxonomy && archiveContext.term_id ) {
+		params.set( 'archive_taxonomy', archiveContext.taxonomy );
+		params.set( 'archive_term_id', String( archiveContext.term_id ) );
+	}
+
+	// Block pre-filters narrow every request the calendar makes.
+	if ( archiveContext.fixed_query ) {
+		Array.from( params.keys() )
+			.filter( ( key ) => key.startsWith( 'fixed_' ) )
+			.forEach( ( key ) => params.delete( key ) );
+
+		new URLSearchParams( archiveContext.fixed_query ).forEach(
+			( value, key ) => params.append( key, value )
+		);
+	}
+}
+
+/**
+ * Re-fetch a stale calendar response and re-render if it changed.
+ *
+ * Dispatches `data-machine-calendar-content-updated` so dynamic UI
+ * (lazy render, carousel) re-initializes on the new markup.
+ */
+function revalidateCalendar(
+	calendar: HTMLElement,
+	key: string,
+	stale: CalendarResponse,
+	controller: AbortController
+): void {
+	getJson< CalendarResponse >(
+		`${ CALENDAR_ENDPOINT }?${ key }`,
+		controller.signal
+	)
+		.then( function ( data ) {
+			if ( ! data.success ) {
+				return;
+			}
+
+			calendarCache.set( key, data );
+
+			if (
+				controller.signal.aborted ||
+				JSON.stringify( data ) === JSON.stringify( stale )
+			) {
+				return;
+			}
+
+			const content = calendar.querySelector< HTMLElement >(
+				'.data-machine-events-content'
+			);
+			if ( ! content ) {
+				return;
+			}
+
+			applyCalendarResponse( calendar, content, data );
+			calendar.dispatchEvent(
+				new CustomEvent( 'data-machine-calendar-content-updated' )
+			);
+		} )
+		.catch( function ( error ) {
+			if ( ! isAbortError( error ) ) {
+				console.error( 'Error revalidating events:', error );
+			}
+		} );
+}
+
 /* ------------------------------------------------------------------ */
 /*  DOM update helpers                                                 */
 /* ------------------------------------------------------------------ */
 
+function applyCalendarResponse(
+	calendar: HTMLElement,
+	content: HTMLElement,
+	data: CalendarResponse
+): void {
+	content.innerHTML = data.html;
+	updatePaginationState( calendar, data.pagination );
+	updatePagination( calendar, data.pagination );
+	updateCounter( calendar, content, data.counter );
+	updateNavigation( calendar, content, data.navigation );
+	updateActiveFilters( calendar, data.active_filters );
+}
+
 function updatePagination(
 	calendar: HTMLElement,
-	pagination: { html: string } | null
+	pagination: CalendarPagination | null
 ): void {
 	const paginationContainer = calendar.querySelector(
 		'.data-machine-events-pagination'
@@ -190,3 +630,16 @@ function updateNavigation(
 		calendar.insertAdjacentHTML( 'beforeend', navigation.html );
 	}
 }
+
+function updateActiveFilters(
+	calendar: HTMLElement,
+	html: string | null | undefined
+): void {
+	const container = calendar.querySelector(
+		'.data-machine-events-active-filters'
+	);
+
+	if ( container && typeof html === 'string' ) {
+		container.outerHTML = html;
+	}
+}
@@ -0,0 +1,89 @@
+/**
+ * Event bus behind `window.DataMachineEvents.on()`.
+ *
+ * - change: a calendar starts showing different params (filter change,
+ *   pagination, back/forward, or the public API)
+ * - loaded: the refreshed results are in the DOM
+ * - error: a refresh failed
+ *
+ * Every event carries the calendar's handle with its current filter state,
+ * so listeners never have to read the URL or the markup.
+ */
+
+import { getFilterState } from './filter-state';
+
+import type {
+	CalendarEventListener,
+	CalendarEventName,
+	CalendarHandle,
+	CalendarResponse,
+} from '../types';
+
+const listeners = new Map< CalendarEventName, Set< CalendarEventListener > >();
+
+/**
+ * Describe a calendar for API consumers.
+ *
+ * @param calendar Calendar root element.
+ * @param params   Params the calendar shows (unprefixed).
+ */
+export function getCalendarHandle(
+	calendar: HTMLElement,
+	params: URLSearchParams
+): CalendarHandle {
+	return {
+		id: calendar.dataset.instanceId || '',
+		element: calendar,
+		state: getFilterState( calendar ).getState( params ),
+	};
+}
+
+export function onCalendarEvent(
+	name: CalendarEventName,
+	listener: CalendarEventListener
+): () => void {
+	if ( ! listeners.has( name ) ) {
+		listeners.set( name, new Set() );
+	}
+	listeners.get( name )!.add( listener );
+
+	return function () {
+		offCalendarEvent( name, listener );
+	};
+}
+
+export function offCalendarEvent(
+	name: CalendarEventName,
+	listener: CalendarEventListener
+): void {
+	listeners.get( name )?.delete( listener );
+}
+
+/**
+ * Notify listeners. A throwing listener is logged and does not stop the
+ * others (or the calendar).
+ */
+export function emitCalendarEvent(
+	name: CalendarEventName,
+	calendar: HTMLElement,
+	params: URLSearchParams,
+	response?: CalendarResponse
+): void {
+	const registered = listeners.get( name );
+	if ( ! registered || registered.size === 0 ) {
+		return;
+	}
+
+	const detail = {
+		calendar: getCalendarHandle( calendar, params ),
+		...( response ? { response } : {} ),
+	};
+
+	registered.forEach( function ( listener ) {
+		try {
+			listener( detail );
+		} catch ( error ) {
+			console.error( `Error in calendar "${ name }" listener:`, error );
+		}
+	} );
+}
@@ -0,0 +1,231 @@
+/**
+ * Add-to-calendar menus and multi-select .ics export.
+ *
+ * Each card's menu is a native <details> disclosure rendered by
+ * `templates/add-to-calendar.php`, so it works without JavaScript; this
+ * module keeps only one menu open at a time and closes it on Escape or an
+ * outside click. The export bar (`templates/export-bar.php`) toggles
+ * selection mode, which reveals a checkbox on every card, and points its
+ * download link at the .ics endpoint with every selected event ID.
+ *
+ * Selection survives in-place refreshes, load-more, and lazy hydration:
+ * a MutationObserver re-checks the boxes of selected events whenever cards
+ * are (re)rendered.
+ */
+
+interface ExportState {
+	selected: Set< string >;
+	observer: MutationObserver | null;
+	documentClickHandler: ( e: Event ) => void;
+	keydownHandler: ( e: KeyboardEvent ) => void;
+}
+
+const instances = new WeakMap< HTMLElement, ExportState >();
+
+export function initCalendarExport( calendar: HTMLElement ): void {
+	if ( instances.has( calendar ) ) {
+		return;
+	}
+
+	const bar = calendar.querySelector< HTMLElement >(
+		'.data-machine-events-export-bar'
+	);
+	if ( bar ) {
+		bar.hidden = false;
+	}
+
+	const state: ExportState = {
+		selected: new Set(),
+		observer: null,
+		documentClickHandler( e: Event ) {
+			const target = e.target as HTMLElement;
+			if ( ! target.closest( '.data-machine-add-to-calendar-menu' ) ) {
+				closeMenus( calendar, null );
+			}
+		},
+		keydownHandler( e: KeyboardEvent ) {
+			if ( e.key !== 'Escape' ) {
+				return;
+			}
+			const open = calendar.querySelector< HTMLDetailsElement >(
+				'.data-machine-add-to-calendar-menu[open]'
+			);
+			if ( open ) {
+				open.open = false;
+				open.querySelector< HTMLElement >( 'summary' )?.focus();
+			}
+		},
+	};
+
+	calendar.addEventListener( 'click', function ( e: Event ) {
+		const target = e.target as HTMLElement;
+
+		const summary = target.closest( '.data-machine-add-to-calendar-toggle' );
+		if ( summary ) {
+			closeMenus( calendar, summary.parentElement );
+			return;
+		}
+
+		if ( target.closest( '.data-machine-events-select-toggle' ) ) {
+			setSelecting( calendar, ! isSelecting( calendar ) );
+			return;
+		}
+
+		if ( target.closest( '.data-machine-events-selection-clear' ) ) {
+			state.selected.clear();
+			syncSelection( calendar, state );
+			return;
+		}
+
+		const exportLink = target.closest( '.data-machine-events-export-ics' );
+		if (
+			exportLink &&
+			exportLink.getAttribute( 'aria-disabled' ) === 'true'
+		) {
+			e.preventDefault();
+		}
+	} );
+
+	calendar.addEventListener( 'change', function ( e: Event ) {
+		const input = e.target as HTMLInputElement;
+		if ( ! input.matches( '.data-machine-event-select-input' ) ) {
+			return;
+		}
+
+		if ( input.checked ) {
+			state.selected.add( input.value );
+		} else {
+			state.selected.delete( input.value );
+		}
+
+		// Multi-day events render a card per day; keep them in step.
+		syncSelection( calendar, state );
+	} );
+
+	document.addEventListener( 'click', state.documentClickHandler );
+	document.addEventListener( 'keydown', state.keydownHandler );
+
+	const content = calendar.querySelector(
+		'.data-machine-events-content'
+	);
+	if ( content && typeof MutationObserver !== 'undefined' ) {
+		state.observer = new MutationObserver( function () {
+			if ( state.selected.size > 0 ) {
+				syncCheckboxes( calendar, state.selected );
+			}
+		} );
+		state.observer.observe( content, { childList: true, subtree: true } );
+	}
+
+	instances.set( calendar, state );
+}
+
+export function destroyCalendarExport( calendar: HTMLElement ): void {
+	const state = instances.get( calendar );
+	if ( ! state ) {
+		return;
+	}
+
+	document.removeEventListener( 'click', state.documentClickHandler );
+	document.removeEventListener( 'keydown', state.keydownHandler );
+	state.observer?.disconnect();
+
+	instances.delete( calendar );
+}
+
+/**
+ * Get the IDs of events currently selected for export.
+ */
+export function getSelectedEventIds( calendar: HTMLElement ): number[] {
+	const state = instances.get( calendar );
+	return state ? Array.from( state.selected, Number ) : [];
+}
+
+/* ------------------------------------------------------------------ */
+/*  Internal helpers                                                   */
+/* ------------------------------------------------------------------ */
+
+function isSelecting( calendar: HTMLElement ): boolean {
+	return calendar.classList.contains( 'data-machine-events-selecting' );
+}
+
+function setSelecting( calendar: HTMLElement, selecting: boolean ): void {
+	calendar.classList.toggle( 'data-machine-events-selecting', selecting );
+
+	calendar
+		.querySelector( '.data-machine-events-select-toggle' )
+		?.setAttribute( 'aria-pressed', selecting ? 'true' : 'false' );
+
+	const actions = calendar.querySelector< HTMLElement >(
+		'.data-machine-events-export-actions'
+	);
+	if ( actions ) {
+		actions.hidden = ! selecting;
+	}
+}
+
+/**
+ * Close every open menu in the calendar except `keep`.
+ */
+function closeMenus( calendar: HTMLElement, keep: Element | null ): void {
+	calendar
+		.querySelectorAll< HTMLDetailsElement >(
+			'.data-machine-add-to-calendar-menu[open]'
+		)
+		.forEach( function ( menu ) {
+			if ( menu !== keep ) {
+				menu.open = false;
+			}
+		} );
+}
+
+function syncCheckboxes( calendar: HTMLElement, selected: Set< string > ): void {
+	calendar
+		.querySelectorAll< HTMLInputElement >(
+			'.data-machine-event-select-input'
+		)
+		.forEach( function ( input ) {
+			const checked = selected.has( input.value );
+			if ( input.checked !== checked ) {
+				input.checked = checked;
+			}
+		} );
+}
+
+/**
+ * Mirror the selection onto the checkboxes and the export bar.
+ */
+function syncSelection( calendar: HTMLElement, state: ExportState ): void {
+	syncCheckboxes( calendar, state.selected );
+
+	const count = calendar.querySelector(
+		'.data-machine-events-selection-count'
+	);
+	if ( count ) {
+		count.textContent = String( state.selected.size );
+	}
+
+	const bar = calendar.querySelector< HTMLElement >(
+		'.data-machine-events-export-bar'
+	);
+	const link = calendar.querySelector< HTMLAnchorElement >(
+		'.data-machine-events-export-ics'
+	);
+	if ( ! bar || ! link ) {
+		return;
+	}
+
+	if ( state.selected.size === 0 ) {
+		link.href = '#';
+		link.setAttribute( 'aria-disabled', 'true' );
+		return;
+	}
+
+	const url = new URL( bar.dataset.icsUrl || '', window.location.href );
+	state.selected.forEach( function ( id ) {
+		url.searchParams.append( 'event_ids[]', id );
+	} );
+
+	link.href = url.toString();
+	link.setAttribute( 'aria-disabled', 'false' );
+}
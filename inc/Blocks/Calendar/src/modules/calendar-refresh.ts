@@ -0,0 +1,204 @@
+/**
+ * In-place calendar refresh.
+ *
+ * Fetches a calendar page via the REST API and swaps it into the DOM
+ * without a page reload. Tears down and re-initializes the dynamic UI
+ * (lazy render, carousel) around the swap and keeps the URL in sync
+ * through the History API.
+ */
+
+import { fetchCalendarEvents, showCalendarError } from './api-client';
+import { getFilterState } from './filter-state';
+import { initLazyRender, destroyLazyRender } from './lazy-render';
+import { initCarousel, destroyCarousel } from './carousel';
+import { updateInfiniteScroll } from './infinite-scroll';
+import { applyCalendarView, getDefaultView } from './month-grid';
+import { updateScopeCounts } from './scope-chips';
+import { emitCalendarEvent } from './calendar-events';
+
+import type { CalendarResponse } from '../types';
+
+/**
+ * How the refresh should be recorded in browser history.
+ *
+ * - push: new history entry (user-initiated filter/pagination change)
+ * - replace: rewrite the current entry
+ * - none: leave history untouched (popstate replay)
+ */
+export type HistoryMode = 'push' | 'replace' | 'none';
+
+export interface RefreshOptions {
+	history?: HistoryMode;
+	scrollToTop?: boolean;
+}
+
+/**
+ * Query string currently rendered by each calendar instance.
+ */
+const renderedQueries = new WeakMap< HTMLElement, string >();
+
+/**
+ * Sequence number of the latest refresh started for each calendar.
+ */
+const refreshTokens = new WeakMap< HTMLElement, number >();
+
+/**
+ * Record the query string a calendar is currently displaying.
+ */
+export function setRenderedQuery( calendar: HTMLElement, query: string ): void {
+	renderedQueries.set( calendar, query );
+}
+
+/**
+ * Get the query string a calendar is currently displaying.
+ */
+export function getRenderedQuery( calendar: HTMLElement ): string {
+	return renderedQueries.get( calendar ) ?? '';
+}
+
+/**
+ * Build the REST request params for a calendar from its URL params.
+ *
+ * Returns a copy so request-only params never leak into the URL.
+ */
+export function buildRequestParams(
+	calendar: HTMLElement,
+	params: URLSearchParams
+): URLSearchParams {
+	const requestParams = new URLSearchParams( params );
+
+	// Block-level default scope only applies when the user has not picked dates.
+	const defaultScope = calendar.dataset.scope || '';
+	if (
+		defaultScope &&
+		! requestParams.has( 'scope' ) &&
+		! requestParams.has( 'date_start' ) &&
+		! requestParams.has( 'date_end' )
+	) {
+		requestParams.set( 'scope', defaultScope );
+	}
+
+	// Saved events live in localStorage; request them by ID. An empty list
+	// sends `0`, which matches nothing rather than every event.
+	if ( requestParams.get( 'saved' ) === '1' ) {
+		const savedIds = getFilterState( calendar )
+			.getSavedEvents()
+			.map( ( event ) => event.id );
+		requestParams.delete( 'saved' );
+		requestParams.set( 'event_ids', savedIds.join( ',' ) || '0' );
+	}
+
+	// The URL omits the view when it matches the block default.
+	if ( ! requestParams.has( 'view' ) && getDefaultView( calendar ) === 'grid' ) {
+		requestParams.set( 'view', 'grid' );
+	}
+
+	// Pagination and navigation links rendered by the REST route use the
+	// instance's prefixed params, like the server-rendered ones.
+	const urlPrefix = getFilterState( calendar ).getUrlPrefix();
+	if ( urlPrefix ) {
+		requestParams.set( 'url_prefix', urlPrefix );
+	}
+
+	return requestParams;
+}
+
+/**
+ * Re-fetch the calendar for the given params and swap the DOM in-place.
+ */
+export async function refreshCalendar(
+	calendar: HTMLElement,
+	params: URLSearchParams,
+	options: RefreshOptions = {}
+): Promise< CalendarResponse > {
+	const { history = 'push', scrollToTop = false } = options;
+	const filterState = getFilterState( calendar );
+
+	if ( history !== 'none' ) {
+		filterState.updateUrl( params, history === 'replace' );
+	}
+
+	const changed = params.toString() !== getRenderedQuery( calendar );
+	setRenderedQuery( calendar, params.toString() );
+
+	if ( changed ) {
+		emitCalendarEvent( 'change', calendar, params );
+	}
+
+	const token = ( refreshTokens.get( calendar ) ?? 0 ) + 1;
+	refreshTokens.set( calendar, token );
+
+	const requestParams = buildRequestParams( calendar, params );
+
+	applyCalendarView( calendar, requestParams );
+
+	destroyLazyRender( calendar );
+	destroyCarousel( calendar );
+
+	const data = await fetchCalendarEvents(
+		calendar,
+		requestParams,
+		filterState.getArchiveContext()
+	);
+
+	// A newer refresh took over while this one was in flight.
+	if ( refreshTokens.get( calendar ) !== token ) {
+		return data;
+	}
+
+	initLazyRender( calendar );
+	initCarousel( calendar );
+	updateInfiniteScroll( calendar );
+
+	filterState.updateFilterCountBadge();
+	updateScopeCounts( calendar );
+
+	if ( scrollToTop ) {
+		scrollCalendarIntoView( calendar );
+	}
+
+	emitCalendarEvent(
+		data.success ? 'loaded' : 'error',
+		calendar,
+		params,
+		data.success ? data : undefined
+	);
+
+	return data;
+}
+
+/**
+ * Start a refresh from an event handler without awaiting it.
+ *
+ * A failed refresh shows the calendar's error state (unless a newer refresh
+ * took over) instead of surfacing as an unhandled rejection.
+ */
+export function startRefresh(
+	calendar: HTMLElement,
+	params: URLSearchParams,
+	options: RefreshOptions = {}
+): void {
+	const refresh = refreshCalendar( calendar, params, options );
+	// refreshCalendar() takes its token before its first await.
+	const token = refreshTokens.get( calendar );
+
+	refresh.catch( function ( error ) {
+		console.error( 'Error refreshing calendar:', error );
+
+		if ( refreshTokens.get( calendar ) === token ) {
+			showCalendarError( calendar );
+			emitCalendarEvent( 'error', calendar, params );
+		}
+	} );
+}
+
+/**
+ * Scroll the top of the calendar into view when it is above the viewport.
+ */
+function scrollCalendarIntoView( calendar: HTMLElement ): void {
+	if ( calendar.getBoundingClientRect().top >= 0 ) {
+		return;
+	}
+
+	calendar.scrollIntoView( { behavior: 'smooth', block: 'start' } );
+}
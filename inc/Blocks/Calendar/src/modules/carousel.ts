@@ -1,7 +1,15 @@
 /**
  * Carousel overflow detection, indicators, and chevron navigation.
+ *
+ * Chevrons are buttons and dots jump to their card. Within a date group,
+ * arrow keys (plus Home/End) move focus between cards. After each of these
+ * moves a polite live region announces the visible range ("Showing 3–5 of
+ * 12 events on Friday, October 17th"). Visitors who prefer reduced motion
+ * get instant scrolling.
  */
 
+import { __, _n, sprintf } from '@wordpress/i18n';
+
 import type { CarouselObserverEntry } from '../types';
 
 const observers = new Map< HTMLElement, CarouselObserverEntry[] >();
@@ -9,13 +17,23 @@ const MAX_VISIBLE_DOTS = 12;
 const DESKTOP_MAX_VISIBLE_DOTS = 36;
 const DOT_WIDTH = 7;
 const DOT_GAP = 8;
+const ANNOUNCE_DELAY = 250;
 
-export function initCarousel( calendar: HTMLElement ): void {
-	const groups = calendar.querySelectorAll< HTMLElement >(
-		'.data-machine-date-group'
-	);
+const CARD_SELECTOR = '.data-machine-event-item';
+const CARD_FOCUS_SELECTOR =
+	'.data-machine-event-title a, a[href], button:not([disabled])';
 
-	groups.forEach( function ( group ) {
+/**
+ * Set up carousels for every date group in the calendar, or only the given
+ * groups (e.g. groups appended by infinite scroll).
+ */
+export function initCarousel(
+	calendar: HTMLElement,
+	groups: ArrayLike< HTMLElement > = calendar.querySelectorAll< HTMLElement >(
+		'.data-machine-date-group'
+	)
+): void {
+	Array.from( groups ).forEach( function ( group ) {
 		const wrapper = group.querySelector< HTMLElement >(
 			'.data-machine-events-wrapper'
 		);
@@ -37,6 +55,75 @@ export function initCarousel( calendar: HTMLElement ): void {
 		let chevronLeft: HTMLElement | null = null;
 		let chevronRight: HTMLElement | null = null;
 		let scrollHandler: ( () => void ) | null = null;
+		let announceTimeout: ReturnType< typeof setTimeout > | undefined;
+		let announcePending = false;
+
+		const status = getStatusRegion( group );
+
+		/**
+		 * Announce the visible range once the scroll started by a
+		 * chevron, dot, or arrow key has settled.
+		 */
+		const scheduleAnnouncement = function (): void {
+			announcePending = true;
+			clearTimeout( announceTimeout );
+			announceTimeout = setTimeout( function () {
+				announcePending = false;
+				status.textContent = describeVisibleRange( group, wrapper );
+			}, ANNOUNCE_DELAY );
+		};
+
+		const keydownHandler = function ( e: KeyboardEvent ): void {
+			const target = e.target as HTMLElement;
+			if (
+				e.altKey ||
+				e.ctrlKey ||
+				e.metaKey ||
+				target.matches( 'input, select, textarea' )
+			) {
+				return;
+			}
+
+			const card = target.closest< HTMLElement >( CARD_SELECTOR );
+			if ( ! card || ! wrapper.contains( card ) ) {
+				return;
+			}
+
+			const cards = getCards( wrapper );
+			const index = cards.indexOf( card );
+			let next = -1;
+
+			switch ( e.key ) {
+				case 'ArrowRight':
+					next = index + 1;
+					break;
+				case 'ArrowLeft':
+					next = index - 1;
+					break;
+				case 'Home':
+					next = 0;
+					break;
+				case 'End':
+					next = cards.length - 1;
+					break;
+				default:
+					return;
+			}
+
+			if ( next < 0 || next >= cards.length || next === index ) {
+				return;
+			}
+
+			e.preventDefault();
+			focusCard( cards[ next ] );
+			cards[ next ].scrollIntoView( {
+				behavior: getScrollBehavior(),
+				block: 'nearest',
+				inline: 'nearest',
+			} );
+			scheduleAnnouncement();
+		};
+		wrapper.addEventListener( 'keydown', keydownHandler );
 
 		const updateIndicators = function (): void {
 			if ( ! indicators ) {
@@ -188,8 +275,8 @@ export function initCarousel( calendar: HTMLElement ): void {
 			const atEnd =
 				wrapper.scrollLeft + wrapper.clientWidth >=
 				wrapper.scrollWidth - 5;
-			chevronLeft?.classList.toggle( 'hidden', atStart );
-			chevronRight?.classList.toggle( 'hidden', atEnd );
+			setChevronHidden( chevronLeft, atStart, chevronRight );
+			setChevronHidden( chevronRight, atEnd, chevronLeft );
 		};
 
 		const setupIndicators = function (): void {
@@ -257,111 +344,75 @@ export function initCarousel( calendar: HTMLElement ): void {
 			trackParent.appendChild( track );
 
 			for ( let i = 0; i < eventCount; i++ ) {
-				const dot = document.createElement( 'span' );
+				// Out of the tab order: arrow keys cover keyboard use.
+				const dot = document.createElement( 'button' );
+				dot.type = 'button';
+				dot.tabIndex = -1;
 				dot.className = 'data-machine-carousel-dot';
 				dot.dataset.index = String( i );
+				dot.setAttribute(
+					'aria-label',
+					sprintf(
+						/* translators: 1: event position, 2: number of events in the day */
+						__( 'Go to event %1$d of %2$d', 'data-machine-events' ),
+						i + 1,
+						eventCount
+					)
+				);
 				track.appendChild( dot );
 			}
 
-			if ( ! chevronLeft ) {
-				chevronLeft = document.createElement( 'span' );
-				chevronLeft.className =
-					'data-machine-carousel-chevron data-machine-carousel-chevron-left';
-				chevronLeft.textContent = '\u2039';
-				group.appendChild( chevronLeft );
-			}
+			if ( ! indicators.dataset.dotsBound ) {
+				indicators.dataset.dotsBound = '1';
+				indicators.addEventListener( 'click', function ( e ) {
+					const dot = ( e.target as HTMLElement ).closest<
+						HTMLElement
+					>( '.data-machine-carousel-dot' );
+					if ( ! dot ) {
+						return;
+					}
 
-			if ( ! chevronRight ) {
-				chevronRight = document.createElement( 'span' );
-				chevronRight.className =
-					'data-machine-carousel-chevron data-machine-carousel-chevron-right';
-				chevronRight.textContent = '\u203A';
-				group.appendChild( chevronRight );
+					const card =
+						getCards( wrapper )[
+							parseInt( dot.dataset.index || '0', 10 )
+						];
+					if ( card ) {
+						scrollToCard( wrapper, card );
+						scheduleAnnouncement();
+					}
+				} );
 			}
 
 			// Chevron click/hold navigation
-			let holdInterval: ReturnType< typeof setInterval > | null =
-				null;
-
 			const scrollByCard = function ( direction: number ): void {
 				const cardWidth =
-					events[ 0 ]?.getBoundingClientRect().width || 300;
+					getCards( wrapper )[ 0 ]?.getBoundingClientRect().width ||
+					300;
 				wrapper.scrollBy( {
 					left: cardWidth * direction,
-					behavior: 'smooth',
+					behavior: getScrollBehavior(),
 				} );
+				scheduleAnnouncement();
 			};
 
-			const startHold = function ( direction: number ): void {
-				scrollByCard( direction );
-				holdInterval = setInterval( function () {
-					scrollByCard( direction );
-				}, 300 );
-			};
-
-			const stopHold = function (): void {
-				if ( holdInterval ) {
-					clearInterval( holdInterval );
-					holdInterval = null;
-				}
-			};
-
-			// Click handlers
-			chevronLeft.addEventListener( 'click', function ( e ) {
-				e.preventDefault();
-				if ( ! holdInterval ) {
-					scrollByCard( -1 );
-				}
-			} );
-			chevronRight!.addEventListener( 'click', function ( e ) {
-				e.preventDefault();
-				if ( ! holdInterval ) {
-					scrollByCard( 1 );
-				}
-			} );
-
-			// Hold handlers (mouse)
-			chevronLeft.addEventListener( 'mousedown', function () {
-				startHold( -1 );
-			} );
-			chevronRight!.addEventListener( 'mousedown', function () {
-				startHold( 1 );
-			} );
-
-			// Hold handlers (touch)
-			chevronLeft.addEventListener(
-				'touchstart',
-				function ( e ) {
-					e.preventDefault();
-					startHold( -1 );
-				},
-				{ passive: false }
-			);
-			chevronRight!.addEventListener(
-				'touchstart',
-				function ( e ) {
-					e.preventDefault();
-					startHold( 1 );
-				},
-				{ passive: false }
-			);
+			if ( ! chevronLeft ) {
+				chevronLeft = createChevron( 'left', scrollByCard );
+				group.appendChild( chevronLeft );
+			}
 
-			// Stop handlers
-			( [ 'mouseup', 'mouseleave' ] as const ).forEach(
-				function ( event ) {
-					chevronLeft!.addEventListener( event, stopHold );
-					chevronRight!.addEventListener( event, stopHold );
-				}
-			);
-			( [ 'touchend', 'touchcancel' ] as const ).forEach(
-				function ( event ) {
-					chevronLeft!.addEventListener( event, stopHold );
-					chevronRight!.addEventListener( event, stopHold );
-				}
-			);
+			if ( ! chevronRight ) {
+				chevronRight = createChevron( 'right', scrollByCard );
+				group.appendChild( chevronRight );
+			}
 
 			if ( ! scrollHandler ) {
-				scrollHandler = updateIndicators;
+				scrollHandler = function (): void {
+					updateIndicators();
+					// Keep waiting while a smooth scroll is still moving.
+					if ( announcePending ) {
+						scheduleAnnouncement();
+					}
+				};
 				wrapper.addEventListener( 'scroll', scrollHandler );
 			}
 
@@ -370,42 +421,315 @@ export function initCarousel( calendar: HTMLElement ): void {
 
 		requestAnimationFrame( setupIndicators );
 
+		let observer: ResizeObserver | null = null;
 		if ( typeof ResizeObserver !== 'undefined' ) {
-			const observer = new ResizeObserver( function () {
+			observer = new ResizeObserver( function () {
 				requestAnimationFrame( setupIndicators );
 			} );
 			observer.observe( wrapper );
 			if ( events[ 0 ] ) {
 				observer.observe( events[ 0 ] );
 			}
-
-			const existing = observers.get( calendar ) || [];
-			existing.push( { observer, wrapper, events } );
-			observers.set( calendar, existing );
 		}
+
+		const existing = observers.get( calendar ) || [];
+		existing.push( {
+			observer,
+			wrapper,
+			events,
+			cleanup() {
+				clearTimeout( announceTimeout );
+				wrapper.removeEventListener( 'keydown', keydownHandler );
+				if ( scrollHandler ) {
+					wrapper.removeEventListener( 'scroll', scrollHandler );
+				}
+			},
+		} );
+		observers.set( calendar, existing );
 	} );
 }
 
-export function destroyCarousel( calendar: HTMLElement ): void {
+/**
+ * Tear down carousels for the calendar, or only for the given date groups.
+ */
+export function destroyCarousel(
+	calendar: HTMLElement,
+	groups?: ArrayLike< HTMLElement >
+): void {
+	const scopes: HTMLElement[] = groups ? Array.from( groups ) : [ calendar ];
 	const entries = observers.get( calendar );
+
 	if ( entries ) {
-		entries.forEach( function ( { observer, wrapper, events } ) {
-			observer.unobserve( wrapper );
-			if ( events && events[ 0 ] ) {
-				observer.unobserve( events[ 0 ] );
+		const remaining = entries.filter( function ( entry ) {
+			const inScope = scopes.some( ( scope ) =>
+				scope.contains( entry.wrapper )
+			);
+			if ( ! inScope ) {
+				return true;
 			}
-			observer.disconnect();
+
+			entry.cleanup();
+			if ( entry.observer ) {
+				entry.observer.unobserve( entry.wrapper );
+				if ( entry.events && entry.events[ 0 ] ) {
+					entry.observer.unobserve( entry.events[ 0 ] );
+				}
+				entry.observer.disconnect();
+			}
+			return false;
 		} );
-		observers.delete( calendar );
+
+		if ( remaining.length > 0 ) {
+			observers.set( calendar, remaining );
+		} else {
+			observers.delete( calendar );
+		}
 	}
 
-	const indicatorEls = calendar.querySelectorAll(
-		'.data-machine-carousel-indicators'
+	scopes.forEach( function ( scope ) {
+		scope
+			.querySelectorAll(
+				'.data-machine-carousel-indicators, .data-machine-carousel-chevron, .data-machine-carousel-status'
+			)
+			.forEach( ( el ) => el.remove() );
+	} );
+}
+
+/* ------------------------------------------------------------------ */
+/*  Internal helpers                                                   */
+/* ------------------------------------------------------------------ */
+
+function getScrollBehavior(): ScrollBehavior {
+	return window.matchMedia( '(prefers-reduced-motion: reduce)' ).matches
+		? 'auto'
+		: 'smooth';
+}
+
+/**
+ * Cards are re-queried on use: lazy render swaps placeholders for real cards.
+ */
+function getCards( wrapper: HTMLElement ): HTMLElement[] {
+	return Array.from(
+		wrapper.querySelectorAll< HTMLElement >( CARD_SELECTOR )
 	);
-	const chevronEls = calendar.querySelectorAll(
-		'.data-machine-carousel-chevron'
+}
+
+function focusCard( card: HTMLElement ): void {
+	const target = card.querySelector< HTMLElement >( CARD_FOCUS_SELECTOR );
+	if ( target ) {
+		target.focus( { preventScroll: true } );
+		return;
+	}
+
+	// Placeholders without links still take focus.
+	card.tabIndex = -1;
+	card.focus( { preventScroll: true } );
+}
+
+/**
+ * Scroll a card to the start of the wrapper, past the wrapper's padding.
+ */
+function scrollToCard( wrapper: HTMLElement, card: HTMLElement ): void {
+	const paddingLeft =
+		parseFloat( window.getComputedStyle( wrapper ).paddingLeft ) || 0;
+	const offset =
+		card.getBoundingClientRect().left -
+		wrapper.getBoundingClientRect().left -
+		paddingLeft;
+
+	wrapper.scrollTo( {
+		left: wrapper.scrollLeft + offset,
+		behavior: getScrollBehavior(),
+	} );
+}
+
+/**
+ * "Showing 3–5 of 12 events on <day>", counting cards at least half visible.
+ */
+function describeVisibleRange(
+	group: HTMLElement,
+	wrapper: HTMLElement
+): string {
+	const cards = getCards( wrapper );
+	const wrapperRect = wrapper.getBoundingClientRect();
+
+	let first = -1;
+	let last = -1;
+	cards.forEach( function ( card, index ) {
+		const rect = card.getBoundingClientRect();
+		const visible =
+			Math.min( rect.right, wrapperRect.right ) -
+			Math.max( rect.left, wrapperRect.left );
+
+		if ( rect.width > 0 && visible >= rect.width / 2 ) {
+			if ( first === -1 ) {
+				first = index;
+			}
+			last = index;
+		}
+	} );
+
+	if ( first === -1 ) {
+		return '';
+	}
+
+	const range =
+		first === last ? `${ first + 1 }` : `${ first + 1 }\u2013${ last + 1 }`;
+	const day =
+		group.querySelector< HTMLElement >( '.data-machine-day-badge' )?.dataset
+			.dateLabel || '';
+
+	if ( day ) {
+		return sprintf(
+			/* translators: 1: visible positions, e.g. "3–5", 2: number of events, 3: day label */
+			_n(
+				'Showing %1$s of %2$d event on %3$s',
+				'Showing %1$s of %2$d events on %3$s',
+				cards.length,
+				'data-machine-events'
+			),
+			range,
+			cards.length,
+			day
+		);
+	}
+
+	return sprintf(
+		/* translators: 1: visible positions, e.g. "3–5", 2: number of events */
+		_n(
+			'Showing %1$s of %2$d event',
+			'Showing %1$s of %2$d events',
+			cards.length,
+			'data-machine-events'
+		),
+		range,
+		cards.length
 	);
+}
+
+function getStatusRegion( group: HTMLElement ): HTMLElement {
+	let status = group.querySelector< HTMLElement >(
+		'.data-machine-carousel-status'
+	);
+	if ( ! status ) {
+		status = document.createElement( 'div' );
+		status.className = 'data-machine-carousel-status screen-reader-text';
+		status.setAttribute( 'role', 'status' );
+		status.setAttribute( 'aria-live', 'polite' );
+		group.appendChild( status );
+	}
+	return status;
+}
+
+/**
+ * Build a chevron button. A press scrolls one card; holding the mouse or a
+ * finger on it keeps scrolling.
+ */
+function createChevron(
+	side: 'left' | 'right',
+	scrollByCard: ( direction: number ) => void
+): HTMLButtonElement {
+	const direction = side === 'left' ? -1 : 1;
+
+	const chevron = document.createElement( 'button' );
+	chevron.type = 'button';
+	chevron.className = `data-machine-carousel-chevron data-machine-carousel-chevron-${ side }`;
+	chevron.setAttribute(
+		'aria-label',
+		side === 'left'
+			? __( 'Previous events', 'data-machine-events' )
+			: __( 'Next events', 'data-machine-events' )
+	);
+	chevron.innerHTML =
+		'<span aria-hidden="true">' +
+		( side === 'left' ? '\u2039' : '\u203A' ) +
+		'</span>';
+
+	let holdInterval: ReturnType< typeof setInterval > | null = null;
+	// A mouse press already scrolled; skip the click that follows it.
+	let pressScrolled = false;
+
+	const stopHold = function (): void {
+		if ( holdInterval ) {
+			clearInterval( holdInterval );
+			holdInterval = null;
+		}
+	};
+
+	const startHold = function (): void {
+		stopHold();
+		pressScrolled = true;
+		scrollByCard( direction );
+		holdInterval = setInterval( function () {
+			// The chevron goes away when the calendar re-renders mid-hold.
+			if ( ! chevron.isConnected ) {
+				stopHold();
+				return;
+			}
+			scrollByCard( direction );
+		}, 300 );
+	};
+
+	// Keyboard activation (Enter/Space) only fires click.
+	chevron.addEventListener( 'click', function ( e ) {
+		e.preventDefault();
+		if ( pressScrolled ) {
+			pressScrolled = false;
+			return;
+		}
+		scrollByCard( direction );
+	} );
+
+	// Hold handlers (mouse)
+	chevron.addEventListener( 'mousedown', function ( e ) {
+		if ( e.button === 0 ) {
+			startHold();
+		}
+	} );
+
+	// Hold handlers (touch)
+	chevron.addEventListener(
+		'touchstart',
+		function ( e ) {
+			e.preventDefault();
+			startHold();
+		},
+		{ passive: false }
+	);
+
+	// Stop handlers
+	(
+		[ 'mouseup', 'mouseleave', 'touchend', 'touchcancel', 'blur' ] as const
+	 ).forEach( function ( event ) {
+		chevron.addEventListener( event, stopHold );
+	} );
+
+	// Dragging off the chevron before release never produces a click.
+	chevron.addEventListener( 'mouseleave', function () {
+		pressScrolled = false;
+	} );
+
+	return chevron;
+}
+
+/**
+ * Hide a chevron at the end of the track, handing focus to the other one
+ * so keyboard users are not stranded on an invisible button.
+ */
+function setChevronHidden(
+	chevron: HTMLElement | null,
+	hidden: boolean,
+	other: HTMLElement | null
+): void {
+	if ( ! chevron ) {
+		return;
+	}
+
+	if ( hidden && document.activeElement === chevron && other ) {
+		other.focus( { preventScroll: true } );
+	}
 
-	indicatorEls.forEach( ( el ) => el.remove() );
-	chevronEls.forEach( ( el ) => el.remove() );
+	chevron.classList.toggle( 'hidden', hidden );
+	chevron.tabIndex = hidden ? -1 : 0;
+	chevron.setAttribute( 'aria-hidden', hidden ? 'true' : 'false' );
 }
@@ -1,13 +1,26 @@
 /**
  * Flatpickr date range picker integration.
+ *
+ * The picker follows the site's locale, week start, and date format (the
+ * input's `data-picker-config`, see Date_Picker.php), offers quick ranges
+ * in a sidebar, and marks days that have events under the calendar's
+ * current search, taxonomy, and geo filters.
  */
 
 /**
  * External dependencies
  */
 import flatpickr from 'flatpickr';
+import { _n, sprintf } from '@wordpress/i18n';
 
-import type { FlatpickrInstance } from '../types';
+import { fetchDayCounts, isAbortError } from './api-client';
+import { getFilterState } from './filter-state';
+
+import type {
+	DatePickerConfig,
+	FlatpickrDayElement,
+	FlatpickrInstance,
+} from '../types';
 
 interface DatePickerData {
 	picker: FlatpickrInstance;
@@ -15,6 +28,9 @@ interface DatePickerData {
 	clearHandler: () => void;
 }
 
+/** Most dots drawn under a day; busier days still show three. */
+const MAX_DAY_DOTS = 3;
+
 const datePickers = new Map< HTMLElement, DatePickerData >();
 
 export function initDatePicker(
@@ -47,24 +63,33 @@ export function initDatePicker(
 			: initialStart;
 	}
 
+	const config = readPickerConfig( dateRangeInput );
+	let dayCounts: Record< string, number > = {};
+
 	const picker = flatpickr( dateRangeInput, {
 		mode: 'range',
 		dateFormat: 'Y-m-d',
-		placeholder: 'Select date range...',
+		altInput: !! config.altFormat,
+		altFormat: config.altFormat,
+		locale: config.locale as any,
 		allowInput: false,
 		clickOpens: true,
 		defaultDate,
-		onChange( selectedDates: Date[] ) {
-			if ( onChange ) {
+		onReady( _selectedDates: Date[], _dateStr: string, instance: any ) {
+			renderPresets( instance as FlatpickrInstance, config );
+		},
+		onChange( selectedDates: Date[], _dateStr: string, instance: any ) {
+			// Wait for the second click of a range; onClose commits a single day.
+			if ( onChange && selectedDates.length !== 1 ) {
 				onChange( selectedDates );
 			}
 
-			if ( clearBtn ) {
-				if ( selectedDates && selectedDates.length > 0 ) {
-					clearBtn.classList.add( 'visible' );
-				} else {
-					clearBtn.classList.remove( 'visible' );
-				}
+			updateClearButton( clearBtn, selectedDates );
+			updatePresetButtons( instance as FlatpickrInstance );
+		},
+		onClose( selectedDates: Date[] ) {
+			if ( onChange && selectedDates.length === 1 ) {
+				onChange( selectedDates );
 			}
 		},
 		onClear() {
@@ -75,21 +100,82 @@ export function initDatePicker(
 				clearBtn.classList.remove( 'visible' );
 			}
 		},
+		// Counts follow the filters, which may have changed since the last open.
+		onOpen( _selectedDates: Date[], _dateStr: string, instance: any ) {
+			loadDayCounts( instance as FlatpickrInstance );
+		},
+		onMonthChange( _selectedDates: Date[], _dateStr: string, instance: any ) {
+			loadDayCounts( instance as FlatpickrInstance );
+		},
+		onYearChange( _selectedDates: Date[], _dateStr: string, instance: any ) {
+			loadDayCounts( instance as FlatpickrInstance );
+		},
+		onDayCreate(
+			_selectedDates: Date[],
+			_dateStr: string,
+			_instance: any,
+			dayElem: HTMLElement
+		) {
+			markDay( dayElem as FlatpickrDayElement, dayCounts );
+		},
 	} ) as unknown as FlatpickrInstance;
 
+	function loadDayCounts( instance: FlatpickrInstance ): void {
+		const days = getDayElements( instance );
+		if ( ! days.length ) {
+			return;
+		}
+
+		const filterState = getFilterState( calendar );
+		const state = filterState.getState();
+		const params = new URLSearchParams();
+
+		params.set( 'date_start', toDateKey( days[ 0 ].dateObj ) );
+		params.set(
+			'date_end',
+			toDateKey( days[ days.length - 1 ].dateObj )
+		);
+		if ( state.event_search ) {
+			params.set( 'event_search', state.event_search );
+		}
+		Object.entries( state.tax_filter ).forEach( ( [ taxonomy, ids ] ) => {
+			ids.forEach( ( id ) =>
+				params.append( `tax_filter[${ taxonomy }][]`, String( id ) )
+			);
+		} );
+		if ( state.geo ) {
+			params.set( 'lat', state.geo.lat );
+			params.set( 'lng', state.geo.lng );
+			params.set( 'radius', String( state.geo.radius ) );
+			params.set( 'radius_unit', state.geo.radius_unit );
+		}
+
+		fetchDayCounts( params, filterState.getArchiveContext(), calendar )
+			.then( ( data ) => {
+				if ( ! data.success ) {
+					return;
+				}
+
+				dayCounts = data.counts;
+				getDayElements( instance ).forEach( ( dayElem ) =>
+					markDay( dayElem, dayCounts )
+				);
+			} )
+			.catch( ( error: unknown ) => {
+				if ( ! isAbortError( error ) ) {
+					console.error( 'Error loading event counts:', error );
+				}
+			} );
+	}
+
 	const clearHandler = function (): void {
 		picker.clear();
 	};
 
 	datePickers.set( calendar, { picker, clearBtn, clearHandler } );
 
-	if (
-		picker.selectedDates &&
-		picker.selectedDates.length > 0 &&
-		clearBtn
-	) {
-		clearBtn.classList.add( 'visible' );
-	}
+	updateClearButton( clearBtn, picker.selectedDates );
+	updatePresetButtons( picker );
 
 	if ( clearBtn ) {
 		clearBtn.addEventListener( 'click', clearHandler );
@@ -124,3 +210,235 @@ export function getDatePicker(
 	const data = datePickers.get( calendar );
 	return data ? data.picker : null;
 }
+
+/**
+ * Set the picker range without firing its change callback.
+ *
+ * Used to reflect URL state (e.g. after back/forward navigation).
+ */
+export function setDatePickerRange(
+	calendar: HTMLElement,
+	dateStart: string,
+	dateEnd: string
+): void {
+	const data = datePickers.get( calendar );
+	if ( ! data ) {
+		return;
+	}
+
+	const { picker, clearBtn } = data;
+
+	if ( dateStart ) {
+		picker.setDate(
+			dateEnd ? [ dateStart, dateEnd ] : dateStart,
+			false
+		);
+	} else {
+		picker.clear( false );
+	}
+
+	updateClearButton( clearBtn, picker.selectedDates );
+	updatePresetButtons( picker );
+}
+
+/**
+ * Resolve a quick range to its first and last day.
+ *
+ * "This weekend" matches the server's `this-weekend` scope: the coming
+ * Friday to Sunday, or today to Sunday once the weekend has started.
+ */
+function getPresetRange(
+	preset: string,
+	today: Date = new Date()
+): [ Date, Date ] | null {
+	const start = new Date(
+		today.getFullYear(),
+		today.getMonth(),
+		today.getDate()
+	);
+	// ISO weekday: Monday = 1 … Sunday = 7.
+	const weekday = start.getDay() || 7;
+
+	switch ( preset ) {
+		case 'this-weekend':
+			return [
+				weekday >= 5 ? start : addDays( start, 5 - weekday ),
+				addDays( start, 7 - weekday ),
+			];
+		case 'next-7-days':
+			return [ start, addDays( start, 6 ) ];
+		case 'next-30-days':
+			return [ start, addDays( start, 29 ) ];
+		case 'this-month':
+			return [
+				start,
+				new Date( start.getFullYear(), start.getMonth() + 1, 0 ),
+			];
+		default:
+			return null;
+	}
+}
+
+function readPickerConfig( input: HTMLInputElement ): DatePickerConfig {
+	try {
+		return JSON.parse( input.dataset.pickerConfig || '{}' );
+	} catch {
+		return {};
+	}
+}
+
+/**
+ * Add the quick-range sidebar to the picker's popup.
+ */
+function renderPresets(
+	picker: FlatpickrInstance,
+	config: DatePickerConfig
+): void {
+	const presets = Object.entries( config.presets || {} );
+	if ( ! presets.length ) {
+		return;
+	}
+
+	const group = document.createElement( 'div' );
+	group.className = 'data-machine-events-date-presets';
+	group.setAttribute( 'role', 'group' );
+	if ( config.presetsLabel ) {
+		group.setAttribute( 'aria-label', config.presetsLabel );
+	}
+
+	presets.forEach( ( [ preset, label ] ) => {
+		const button = document.createElement( 'button' );
+		button.type = 'button';
+		button.className = 'data-machine-events-date-preset';
+		button.dataset.preset = preset;
+		button.textContent = label;
+		button.setAttribute( 'aria-pressed', 'false' );
+		group.appendChild( button );
+	} );
+
+	group.addEventListener( 'click', function ( e: Event ) {
+		const button = ( e.target as HTMLElement ).closest< HTMLElement >(
+			'.data-machine-events-date-preset'
+		);
+		const range = button
+			? getPresetRange( button.dataset.preset || '' )
+			: null;
+
+		if ( range ) {
+			picker.setDate( range, true );
+			picker.close();
+		}
+	} );
+
+	picker.calendarContainer.classList.add(
+		'data-machine-events-has-presets'
+	);
+	picker.calendarContainer.appendChild( group );
+}
+
+/**
+ * Mark the quick range matching the selection as pressed.
+ */
+function updatePresetButtons( picker: FlatpickrInstance ): void {
+	const selected = picker.selectedDates.map( toDateKey );
+	const buttons =
+		picker.calendarContainer.querySelectorAll< HTMLElement >(
+			'.data-machine-events-date-preset'
+		);
+
+	buttons.forEach( ( button ) => {
+		const range = getPresetRange( button.dataset.preset || '' );
+		const matches =
+			!! range &&
+			selected.length === 2 &&
+			selected[ 0 ] === toDateKey( range[ 0 ] ) &&
+			selected[ 1 ] === toDateKey( range[ 1 ] );
+
+		button.setAttribute( 'aria-pressed', matches ? 'true' : 'false' );
+	} );
+}
+
+function getDayElements( picker: FlatpickrInstance ): FlatpickrDayElement[] {
+	return Array.from(
+		picker.days?.children || []
+	) as FlatpickrDayElement[];
+}
+
+/**
+ * Draw a day's event dots and add its count to the day's accessible name.
+ */
+function markDay(
+	dayElem: FlatpickrDayElement,
+	counts: Record< string, number >
+): void {
+	if ( ! dayElem.dateObj ) {
+		return;
+	}
+
+	if ( dayElem.dataset.baseLabel === undefined ) {
+		dayElem.dataset.baseLabel = dayElem.getAttribute( 'aria-label' ) || '';
+	}
+
+	dayElem.querySelector( '.data-machine-events-day-dots' )?.remove();
+
+	const count = counts[ toDateKey( dayElem.dateObj ) ] || 0;
+	const baseLabel = dayElem.dataset.baseLabel;
+
+	dayElem.classList.toggle( 'data-machine-events-has-events', count > 0 );
+
+	if ( ! count ) {
+		dayElem.setAttribute( 'aria-label', baseLabel );
+		return;
+	}
+
+	const dots = document.createElement( 'span' );
+	dots.className = 'data-machine-events-day-dots';
+	dots.setAttribute( 'aria-hidden', 'true' );
+	for ( let i = 0; i < Math.min( count, MAX_DAY_DOTS ); i++ ) {
+		const dot = document.createElement( 'span' );
+		dot.className = 'data-machine-events-day-dot';
+		dots.appendChild( dot );
+	}
+	dayElem.appendChild( dots );
+
+	dayElem.setAttribute(
+		'aria-label',
+		`${ baseLabel }, ${ sprintf(
+			/* translators: %d: number of events on a day */
+			_n( '%d event', '%d events', count, 'data-machine-events' ),
+			count
+		) }`
+	);
+}
+
+function addDays( date: Date, days: number ): Date {
+	return new Date(
+		date.getFullYear(),
+		date.getMonth(),
+		date.getDate() + days
+	);
+}
+
+/**
+ * Format a local date as Y-m-d.
+ */
+function toDateKey( date: Date ): string {
+	const month = String( date.getMonth() + 1 ).padStart( 2, '0' );
+	const day = String( date.getDate() ).padStart( 2, '0' );
+
+	return `${ date.getFullYear() }-${ month }-${ day }`;
+}
+
+function updateClearButton(
+	clearBtn: HTMLElement | null,
+	selectedDates: Date[]
+): void {
+	if ( ! clearBtn ) {
+		return;
+	}
+
+	clearBtn.classList.toggle(
+		'visible',
+		!! selectedDates && selectedDates.length > 0
+	);
+}
@@ -0,0 +1,254 @@
+/**
+ * Client-side event renderer.
+ *
+ * Produces the same markup as `templates/event-item.php`,
+ * `templates/date-group.php`, and `templates/time-gap-separator.php` from
+ * the structured payloads returned by the calendar endpoint with
+ * `format=json` (and embedded in lazy-render placeholders), so custom
+ * frontends and the server templates stay visually identical.
+ */
+
+import { __ } from '@wordpress/i18n';
+
+import type {
+	DateGroupPayload,
+	EventDisplayVars,
+	EventPlaceholderData,
+} from '../types';
+
+/**
+ * Attributes set on the outer `.data-machine-event-item` element.
+ */
+export function getEventItemAttributes(
+	data: EventPlaceholderData
+): Record< string, string > {
+	const displayVars: Partial< EventDisplayVars > = data.display_vars || {};
+	const ticketUrl = displayVars.ticket_url || '';
+	const showTicketLink = displayVars.show_ticket_link !== false;
+
+	const itemClasses = [ 'data-machine-event-item' ];
+	if ( displayVars.is_continuation ) {
+		itemClasses.push( 'data-machine-event-continuation' );
+	}
+	if ( displayVars.is_multi_day ) {
+		itemClasses.push( 'data-machine-event-multi-day' );
+	}
+
+	const attributes: Record< string, string > = {
+		class: itemClasses.join( ' ' ),
+		'data-event-id': data.id ? String( data.id ) : '',
+		'data-title': data.title || '',
+		'data-venue': displayVars.venue_name || '',
+		'data-performer': displayVars.performer_name || '',
+		'data-date': displayVars.iso_start_date || '',
+		'data-ticket-url': ticketUrl,
+		'data-has-tickets': showTicketLink && ticketUrl ? 'true' : 'false',
+	};
+
+	if ( displayVars.venue_id ) {
+		attributes[ 'data-venue-id' ] = String( displayVars.venue_id );
+	}
+
+	return attributes;
+}
+
+/**
+ * Inner markup of an event item (everything inside the outer element).
+ */
+export function renderEventItemInner( data: EventPlaceholderData ): string {
+	const displayVars: Partial< EventDisplayVars > = data.display_vars || {};
+	const formattedTimeDisplay = displayVars.formatted_time_display || '';
+	const performerName = displayVars.performer_name || '';
+	const showPerformer = displayVars.show_performer !== false;
+	const multiDayLabel = displayVars.multi_day_label || '';
+	const timezone = displayVars.timezone || '';
+
+	let timeHtml = '';
+	if ( formattedTimeDisplay ) {
+		timeHtml =
+			'<div class="data-machine-event-time"' +
+			( timezone
+				? ' data-start="' +
+				  escapeAttr( displayVars.iso_start_date || '' ) +
+				  '" data-end="' +
+				  escapeAttr( displayVars.iso_end_date || '' ) +
+				  '"'
+				: '' ) +
+			'>' +
+			'<span class="dashicons dashicons-clock"></span>' +
+			'<span class="data-machine-event-time-text">' +
+			escapeHtml( formattedTimeDisplay ) +
+			'</span>';
+		if ( timezone ) {
+			timeHtml +=
+				'<abbr class="data-machine-event-timezone" title="' +
+				escapeAttr( timezone ) +
+				'">' +
+				escapeHtml( displayVars.timezone_abbr || '' ) +
+				'</abbr>';
+		}
+		if ( multiDayLabel ) {
+			timeHtml +=
+				'<span class="data-machine-event-multi-day-label">' +
+				escapeHtml( multiDayLabel ) +
+				'</span>';
+		}
+		timeHtml += '</div>';
+	}
+
+	let performerHtml = '';
+	if ( showPerformer && performerName ) {
+		performerHtml =
+			'<div class="data-machine-event-performer">' +
+			'<span class="dashicons dashicons-admin-users"></span>' +
+			escapeHtml( performerName ) +
+			'</div>';
+	}
+
+	return (
+		'<div class="data-machine-event-link">' +
+		( data.badges_html || '' ) +
+		'<h4 class="data-machine-event-title">' +
+		'<a href="' +
+		escapeAttr( data.permalink ) +
+		'">' +
+		escapeHtml( data.title ) +
+		'</a>' +
+		'</h4>' +
+		'<div class="data-machine-event-meta">' +
+		timeHtml +
+		performerHtml +
+		'<a href="' +
+		escapeAttr( data.permalink ) +
+		'" class="' +
+		escapeAttr( data.button_classes || 'data-machine-more-info-button' ) +
+		'">' +
+		escapeHtml(
+			data.more_info_label || __( 'More Info', 'data-machine-events' )
+		) +
+		'</a>' +
+		( data.add_to_calendar_html || '' ) +
+		'</div>' +
+		'</div>'
+	);
+}
+
+/**
+ * Full markup for a single event item.
+ */
+export function renderEventItem( data: EventPlaceholderData ): string {
+	const attributes = getEventItemAttributes( data );
+	const attributeHtml = Object.keys( attributes )
+		.map( ( name ) => name + '="' + escapeAttr( attributes[ name ] ) + '"' )
+		.join( ' ' );
+
+	return (
+		'<div ' + attributeHtml + '>' + renderEventItemInner( data ) + '</div>'
+	);
+}
+
+/**
+ * Markup for the time-gap separator shown before a date group.
+ */
+export function renderTimeGap( label: string ): string {
+	return (
+		'<div class="data-machine-time-gap-separator">' +
+		'<div class="data-machine-gap-line"></div>' +
+		'<div class="data-machine-gap-text">' +
+		'<span class="data-machine-gap-indicator">• • •</span>' +
+		'<span class="data-machine-gap-label">' +
+		escapeHtml( label ) +
+		'</span>' +
+		'</div>' +
+		'<div class="data-machine-gap-line"></div>' +
+		'</div>'
+	);
+}
+
+/**
+ * Markup for a date group, preceded by its time-gap separator (if any).
+ */
+export function renderDateGroup( group: DateGroupPayload ): string {
+	const dayOfWeek = escapeAttr( group.day_of_week );
+	const label = group.formatted_date_label;
+
+	let html = '';
+	if ( group.gap_days && group.gap_label ) {
+		html += renderTimeGap( group.gap_label );
+	}
+
+	html +=
+		'<div class="data-machine-date-group data-machine-day-' +
+		dayOfWeek +
+		'" data-date="' +
+		escapeAttr( group.date ) +
+		'" data-event-count="' +
+		String( group.events_count ) +
+		'">' +
+		'<div class="data-machine-day-header">' +
+		'<div class="data-machine-day-badge data-machine-day-badge-' +
+		dayOfWeek +
+		'" data-date-label="' +
+		escapeAttr( label ) +
+		'" data-day-name="' +
+		dayOfWeek +
+		'">' +
+		escapeHtml( label ) +
+		'</div>' +
+		'<span class="data-machine-day-event-count">' +
+		escapeHtml( group.events_count_label ) +
+		'</span>' +
+		'</div>' +
+		'<div class="data-machine-events-wrapper">' +
+		group.events.map( renderEventItem ).join( '' ) +
+		'</div>' +
+		'</div>';
+
+	return html;
+}
+
+/**
+ * Markup for a list of date groups.
+ */
+export function renderDateGroups( groups: DateGroupPayload[] ): string {
+	return groups.map( renderDateGroup ).join( '' );
+}
+
+export function escapeHtml( str: string ): string {
+	if ( ! str ) {
+		return '';
+	}
+	const div = document.createElement( 'div' );
+	div.textContent = str;
+	return div.innerHTML;
+}
+
+export function escapeAttr( str: string ): string {
+	if ( ! str ) {
+		return '';
+	}
+	return str
+		.replace( /&/g, '&amp;' )
+		.replace( /"/g, '&quot;' )
+		.replace( /'/g, '&#39;' )
+		.replace( /</g, '&lt;' )
+		.replace( />/g, '&gt;' );
+}
+
+/**
+ * Escape a name and wrap the first case-insensitive match of the query.
+ */
+export function highlightMatch( name: string, query: string ): string {
+	const index = name.toLowerCase().indexOf( query.toLowerCase() );
+	if ( index === -1 ) {
+		return escapeHtml( name );
+	}
+
+	return (
+		escapeHtml( name.slice( 0, index ) ) +
+		'<mark>' +
+		escapeHtml( name.slice( index, index + query.length ) ) +
+		'</mark>' +
+		escapeHtml( name.slice( index + query.length ) )
+	);
+}
@@ -1,12 +1,21 @@
 /**
  * Taxonomy filter modal UI with REST API integration for dynamic filter loading.
+ *
+ * Long term lists stay manageable: a search box across all taxonomies (and
+ * one per large taxonomy) narrows the checkboxes as you type and highlights
+ * matches, and parent terms collapse their children behind a toggle.
+ * Queries and expanded parents survive the re-render that follows every
+ * checkbox change (cross-filtered counts).
  */
 
 /**
  * Internal dependencies
  */
-import { fetchFilters } from './api-client';
+import { __, _n, sprintf } from '@wordpress/i18n';
+
+import { fetchFilters, isAbortError } from './api-client';
 import { getFilterState } from './filter-state';
+import { escapeHtml, highlightMatch } from './event-renderer';
 import type {
 	ArchiveContext,
 	DateContext,
@@ -29,8 +38,20 @@ interface ModalElement extends HTMLElement {
 	_applyBtn?: HTMLElement;
 	_resetHandler?: () => void;
 	_resetBtn?: HTMLElement;
+	_searchHandler?: ( e: Event ) => void;
+	_searchKeydownHandler?: ( e: KeyboardEvent ) => void;
+	_toggleHandler?: ( e: MouseEvent ) => void;
+	/** Search queries keyed by taxonomy slug ('' = all taxonomies). */
+	_filterQueries?: Map< string, string >;
+	/** Expanded parent terms as `taxonomy:termId`. */
+	_expandedTerms?: Set< string >;
 }
 
+/**
+ * Taxonomies with at least this many terms get their own search box.
+ */
+const TAXONOMY_SEARCH_MIN_TERMS = 10;
+
 export function initFilterModal(
 	calendar: HTMLElement,
 	onApply: () => void,
@@ -130,7 +151,6 @@ export function initFilterModal(
 
 	const resetHandler = function (): void {
 		filterState.clearStorage();
-		window.history.pushState( {}, '', window.location.pathname );
 
 		const checkboxes = modal.querySelectorAll< HTMLInputElement >(
 			'input[type="checkbox"]:checked'
@@ -179,6 +199,67 @@ export function initFilterModal(
 		modal._resetBtn = resetBtn;
 	}
 
+	modal._filterQueries = new Map();
+	modal._expandedTerms = new Set();
+
+	const searchHandler = function ( e: Event ): void {
+		const input = e.target as HTMLInputElement;
+		if (
+			! input.matches(
+				'.data-machine-filter-search-input, .data-machine-taxonomy-search'
+			)
+		) {
+			return;
+		}
+
+		modal._filterQueries?.set(
+			input.dataset.taxonomy || '',
+			input.value.trim().toLowerCase()
+		);
+		applyTermVisibility( modal );
+	};
+
+	// Escape clears a search box before it closes the modal.
+	const searchKeydownHandler = function ( e: KeyboardEvent ): void {
+		const input = e.target as HTMLInputElement;
+		if (
+			( e.key === 'Escape' || e.key === 'Esc' ) &&
+			input.matches(
+				'.data-machine-filter-search-input, .data-machine-taxonomy-search'
+			) &&
+			input.value
+		) {
+			e.preventDefault();
+			e.stopPropagation();
+			input.value = '';
+			input.dispatchEvent( new Event( 'input', { bubbles: true } ) );
+		}
+	};
+
+	const toggleHandler = function ( e: MouseEvent ): void {
+		const toggle = ( e.target as HTMLElement ).closest< HTMLElement >(
+			'.data-machine-term-toggle'
+		);
+		if ( ! toggle || ! modal._expandedTerms ) {
+			return;
+		}
+
+		const key = toggle.dataset.termKey || '';
+		if ( modal._expandedTerms.has( key ) ) {
+			modal._expandedTerms.delete( key );
+		} else {
+			modal._expandedTerms.add( key );
+		}
+		applyTermVisibility( modal );
+	};
+
+	modal.addEventListener( 'input', searchHandler );
+	modal.addEventListener( 'keydown', searchKeydownHandler );
+	modal.addEventListener( 'click', toggleHandler );
+	modal._searchHandler = searchHandler;
+	modal._searchKeydownHandler = searchKeydownHandler;
+	modal._toggleHandler = toggleHandler;
+
 	filterState.updateFilterCountBadge();
 }
 
@@ -236,6 +317,18 @@ export function destroyFilterModal( calendar: HTMLElement ): void {
 		);
 	}
 
+	if ( modal._searchHandler ) {
+		modal.removeEventListener( 'input', modal._searchHandler );
+	}
+
+	if ( modal._searchKeydownHandler ) {
+		modal.removeEventListener( 'keydown', modal._searchKeydownHandler );
+	}
+
+	if ( modal._toggleHandler ) {
+		modal.removeEventListener( 'click', modal._toggleHandler );
+	}
+
 	delete modal._openModalHandler;
 	delete modal._closeModalHandler;
 	delete modal._closeBtns;
@@ -245,6 +338,11 @@ export function destroyFilterModal( calendar: HTMLElement ): void {
 	delete modal._applyBtn;
 	delete modal._resetHandler;
 	delete modal._resetBtn;
+	delete modal._searchHandler;
+	delete modal._searchKeydownHandler;
+	delete modal._toggleHandler;
+	delete modal._filterQueries;
+	delete modal._expandedTerms;
 
 	modal.dataset.dmListenersAttached = 'false';
 }
@@ -259,11 +357,17 @@ function getArchiveContextFromModal(
 	const taxonomy = modal.dataset.archiveTaxonomy || '';
 	const termId = parseInt( modal.dataset.archiveTermId || '0', 10 ) || 0;
 	const termName = modal.dataset.archiveTermName || '';
+	const fixedQuery = modal.dataset.fixedQuery || '';
 
 	if ( taxonomy && termId ) {
-		return { taxonomy, term_id: termId, term_name: termName };
+		return {
+			taxonomy,
+			term_id: termId,
+			term_name: termName,
+			fixed_query: fixedQuery,
+		};
 	}
-	return {};
+	return fixedQuery ? { fixed_query: fixedQuery } : {};
 }
 
 async function loadFilters(
@@ -288,11 +392,15 @@ async function loadFilters(
 	}
 	container.innerHTML = '';
 
+	let superseded = false;
+
 	try {
 		const data = await fetchFilters(
 			activeFilters,
 			dateContext,
-			archiveContext
+			archiveContext,
+			{},
+			modal
 		);
 
 		if ( ! data.success ) {
@@ -300,23 +408,39 @@ async function loadFilters(
 		}
 
 		renderTaxonomies(
+			modal,
 			container,
 			data.taxonomies,
 			activeFilters,
 			data.archive_context || {}
 		);
+		applyTermVisibility( modal );
 		attachFilterChangeListeners( modal, dateContext, archiveContext );
-	} catch {
+	} catch ( error ) {
+		// A newer load for this modal is in flight and owns the container.
+		if ( isAbortError( error ) ) {
+			superseded = true;
+			return;
+		}
+
 		container.innerHTML =
-			'<div class="data-machine-filter-error"><p>Error loading filters. Please try again.</p></div>';
+			'<div class="data-machine-filter-error"><p>' +
+			escapeHtml(
+				__(
+					'Error loading filters. Please try again.',
+					'data-machine-events'
+				)
+			) +
+			'</p></div>';
 	} finally {
-		if ( loading ) {
+		if ( loading && ! superseded ) {
 			loading.style.display = 'none';
 		}
 	}
 }
 
 function renderTaxonomies(
+	modal: ModalElement,
 	container: HTMLElement,
 	taxonomies: Record< string, TaxonomyData >,
 	activeFilters: TaxFilters,
@@ -342,15 +466,39 @@ function renderTaxonomies(
 		label.textContent = taxonomy.label;
 		section.appendChild( label );
 
-		const termsContainer = document.createElement( 'div' );
-		termsContainer.className = 'data-machine-taxonomy-terms';
-
 		const flatTerms = flattenHierarchy( taxonomy.terms );
 		const selectedTerms = activeFilters[ slug ] || [];
 
+		if ( flatTerms.length >= TAXONOMY_SEARCH_MIN_TERMS ) {
+			const search = document.createElement( 'input' );
+			search.type = 'search';
+			search.className = 'data-machine-taxonomy-search';
+			search.dataset.taxonomy = slug;
+			search.placeholder = sprintf(
+				/* translators: %s: taxonomy name, e.g. "venues" */
+				__( 'Search %s...', 'data-machine-events' ),
+				taxonomy.label.toLowerCase()
+			);
+			search.setAttribute(
+				'aria-label',
+				sprintf(
+					/* translators: %s: taxonomy name, e.g. "Venues" */
+					__( 'Search %s', 'data-machine-events' ),
+					taxonomy.label
+				)
+			);
+			search.value = modal._filterQueries?.get( slug ) || '';
+			section.appendChild( search );
+		}
+
+		const termsContainer = document.createElement( 'div' );
+		termsContainer.className = 'data-machine-taxonomy-terms';
+
 		flatTerms.forEach( ( term ) => {
 			const termDiv = document.createElement( 'div' );
 			termDiv.className = 'data-machine-taxonomy-term';
+			termDiv.dataset.termId = String( term.term_id );
+			termDiv.dataset.ancestors = term.ancestors.join( ',' );
 
 			const isLocked = isLockedTerm( slug, term.term_id );
 			if ( isLocked ) {
@@ -364,6 +512,43 @@ function renderTaxonomies(
 				termDiv.style.marginLeft = `${ term.level * 20 }px`;
 			}
 
+			const isSelected =
+				isLocked || selectedTerms.includes( term.term_id );
+
+			// Keep selected terms in view: expand their ancestors.
+			if ( isSelected ) {
+				term.ancestors.forEach( ( ancestorId ) => {
+					modal._expandedTerms?.add( `${ slug }:${ ancestorId }` );
+				} );
+			}
+
+			if ( term.children && term.children.length > 0 ) {
+				termDiv.classList.add( 'data-machine-term-has-children' );
+
+				const toggle = document.createElement( 'button' );
+				toggle.type = 'button';
+				toggle.className = 'data-machine-term-toggle';
+				toggle.dataset.termKey = `${ slug }:${ term.term_id }`;
+				toggle.setAttribute( 'aria-expanded', 'false' );
+				toggle.setAttribute(
+					'aria-label',
+					sprintf(
+						/* translators: 1: filter term name, 2: number of child terms */
+						_n(
+							'%1$s: show %2$d more',
+							'%1$s: show %2$d more',
+							term.children.length,
+							'data-machine-events'
+						),
+						term.name,
+						term.children.length
+					)
+				);
+				toggle.innerHTML =
+					'<span class="dashicons dashicons-arrow-right-alt2" aria-hidden="true"></span>';
+				termDiv.appendChild( toggle );
+			}
+
 			const labelEl = document.createElement( 'label' );
 			labelEl.className = 'data-machine-term-checkbox-label';
 
@@ -374,8 +559,7 @@ function renderTaxonomies(
 			checkbox.value = String( term.term_id );
 			checkbox.dataset.taxonomy = slug;
 			checkbox.dataset.termSlug = term.slug;
-			checkbox.checked =
-				isLocked || selectedTerms.includes( term.term_id );
+			checkbox.checked = isSelected;
 
 			if ( isLocked ) {
 				checkbox.disabled = true;
@@ -384,13 +568,21 @@ function renderTaxonomies(
 
 			const nameSpan = document.createElement( 'span' );
 			nameSpan.className = 'data-machine-term-name';
+			nameSpan.dataset.name = term.name;
 			nameSpan.textContent = term.name;
 
 			const countSpan = document.createElement( 'span' );
 			countSpan.className = 'data-machine-term-count';
-			countSpan.textContent = `(${ term.event_count } ${
-				term.event_count === 1 ? 'event' : 'events'
-			})`;
+			countSpan.textContent = sprintf(
+				/* translators: %d: number of events for a filter term */
+				_n(
+					'(%d event)',
+					'(%d events)',
+					term.event_count,
+					'data-machine-events'
+				),
+				term.event_count
+			);
 
 			labelEl.appendChild( checkbox );
 			labelEl.appendChild( nameSpan );
@@ -411,17 +603,138 @@ function renderTaxonomies(
 	} );
 }
 
+/**
+ * Show or hide term rows for the current search queries and expanded
+ * parents, and highlight matches.
+ *
+ * While searching, a term shows when its name matches every active query
+ * (all-taxonomies box plus its own taxonomy's box), together with its
+ * ancestors so the match keeps its context. Otherwise a term shows when all
+ * of its ancestors are expanded.
+ */
+function applyTermVisibility( modal: ModalElement ): void {
+	const queries = modal._filterQueries || new Map< string, string >();
+	const expanded = modal._expandedTerms || new Set< string >();
+	const globalQuery = queries.get( '' ) || '';
+	let anyVisible = false;
+	let anySearching = false;
+
+	modal
+		.querySelectorAll< HTMLElement >( '.data-machine-taxonomy-section' )
+		.forEach( function ( section ) {
+			const slug = section.dataset.taxonomy || '';
+			const sectionQueries = [ globalQuery, queries.get( slug ) || '' ].filter(
+				Boolean
+			);
+			const searching = sectionQueries.length > 0;
+			anySearching = anySearching || searching;
+
+			const rows = Array.from(
+				section.querySelectorAll< HTMLElement >(
+					'.data-machine-taxonomy-term'
+				)
+			);
+
+			// Matches plus their ancestors.
+			const shown = new Set< string >();
+			if ( searching ) {
+				rows.forEach( function ( row ) {
+					const name = (
+						row.querySelector< HTMLElement >(
+							'.data-machine-term-name'
+						)?.dataset.name || ''
+					).toLowerCase();
+
+					if ( sectionQueries.every( ( q ) => name.includes( q ) ) ) {
+						shown.add( row.dataset.termId || '' );
+						( row.dataset.ancestors || '' )
+							.split( ',' )
+							.filter( Boolean )
+							.forEach( ( id ) => shown.add( id ) );
+					}
+				} );
+			}
+
+			let sectionVisible = false;
+
+			rows.forEach( function ( row ) {
+				const termId = row.dataset.termId || '';
+				const ancestors = ( row.dataset.ancestors || '' )
+					.split( ',' )
+					.filter( Boolean );
+
+				const visible = searching
+					? shown.has( termId )
+					: ancestors.every( ( id ) => expanded.has( `${ slug }:${ id }` ) );
+
+				row.hidden = ! visible;
+				sectionVisible = sectionVisible || visible;
+
+				const toggle = row.querySelector< HTMLButtonElement >(
+					'.data-machine-term-toggle'
+				);
+				if ( toggle ) {
+					// Search results decide what is open; toggling waits until the search is cleared.
+					const open = searching
+						? hasShownDescendant( rows, termId, shown )
+						: expanded.has( `${ slug }:${ termId }` );
+					toggle.setAttribute( 'aria-expanded', open ? 'true' : 'false' );
+					toggle.disabled = searching;
+				}
+
+				const nameSpan = row.querySelector< HTMLElement >(
+					'.data-machine-term-name'
+				);
+				if ( nameSpan ) {
+					const name = nameSpan.dataset.name || '';
+					const highlight = sectionQueries[ sectionQueries.length - 1 ];
+					if ( highlight ) {
+						nameSpan.innerHTML = highlightMatch( name, highlight );
+					} else {
+						nameSpan.textContent = name;
+					}
+				}
+			} );
+
+			section.hidden = searching && ! sectionVisible;
+			anyVisible = anyVisible || sectionVisible;
+		} );
+
+	const noMatches = modal.querySelector< HTMLElement >(
+		'.data-machine-filter-no-matches'
+	);
+	if ( noMatches ) {
+		noMatches.hidden = ! anySearching || anyVisible;
+	}
+}
+
+function hasShownDescendant(
+	rows: HTMLElement[],
+	termId: string,
+	shown: Set< string >
+): boolean {
+	return rows.some(
+		( row ) =>
+			shown.has( row.dataset.termId || '' ) &&
+			( row.dataset.ancestors || '' ).split( ',' ).includes( termId )
+	);
+}
+
 function flattenHierarchy(
 	terms: TaxonomyTerm[],
-	level: number = 0
+	level: number = 0,
+	ancestors: number[] = []
 ): FlatTaxonomyTerm[] {
 	let flat: FlatTaxonomyTerm[] = [];
 
 	terms.forEach( ( term ) => {
-		flat.push( { ...term, level } );
+		flat.push( { ...term, level, ancestors } );
 		if ( term.children && term.children.length > 0 ) {
 			flat = flat.concat(
-				flattenHierarchy( term.children, level + 1 )
+				flattenHierarchy( term.children, level + 1, [
+					...ancestors,
+					term.term_id,
+				] )
 			);
 		}
 	} );
@@ -0,0 +1,365 @@
+/**
+ * Named filter presets ("Saved searches").
+ *
+ * A preset is the filter part of a calendar query: search, dates or scope,
+ * taxonomy filters, and geo (see `isPresetParam()`). Site-defined presets
+ * come from the block's `filterPresets` attribute and are rendered by
+ * `templates/filter-bar.php`; visitors save their own under a name, kept in
+ * localStorage by FilterStateManager. Picking a preset from the dropdown
+ * applies it on top of the current view, and "Copy link" shares it as a
+ * plain calendar URL.
+ *
+ * The dropdown follows the URL: it shows the preset matching the current
+ * filters, or the placeholder when none does. Visitor presets stay in sync
+ * across every calendar on the page and other tabs (`storage` event).
+ */
+
+import {
+	getFilterState,
+	isPresetParam,
+	PRESETS_STORAGE_KEY,
+} from './filter-state';
+import { getDatePicker } from './date-picker';
+import { applyLocation } from './location-search';
+
+import type { FilterPreset } from '../types';
+
+/**
+ * Window event dispatched whenever the visitor's presets change.
+ */
+const CHANGE_EVENT = 'data-machine-filter-presets-changed';
+
+const USER_PRESET_PREFIX = 'user-';
+
+interface FilterPresetsState {
+	group: HTMLElement;
+	select: HTMLSelectElement;
+	copyTimeout: ReturnType< typeof setTimeout > | undefined;
+	changeHandler: () => void;
+	storageHandler: ( e: StorageEvent ) => void;
+}
+
+const instances = new WeakMap< HTMLElement, FilterPresetsState >();
+
+/**
+ * @param calendar Calendar root element.
+ * @param onApply  Navigate to the params of a picked preset.
+ */
+export function initFilterPresets(
+	calendar: HTMLElement,
+	onApply: ( params: URLSearchParams ) => void
+): void {
+	if ( instances.has( calendar ) ) {
+		return;
+	}
+
+	const group = calendar.querySelector< HTMLElement >(
+		'.data-machine-events-presets'
+	);
+	const select = group?.querySelector< HTMLSelectElement >(
+		'.data-machine-events-preset-select'
+	);
+	if ( ! group || ! select ) {
+		return;
+	}
+
+	const state: FilterPresetsState = {
+		group,
+		select,
+		copyTimeout: undefined,
+		changeHandler() {
+			renderUserPresets( calendar, state );
+			syncPresetSelect( calendar );
+		},
+		storageHandler( e: StorageEvent ) {
+			if ( e.key === null || e.key === PRESETS_STORAGE_KEY ) {
+				state.changeHandler();
+			}
+		},
+	};
+
+	select.addEventListener( 'change', function () {
+		const option = select.selectedOptions[ 0 ];
+		if ( option && option.value ) {
+			onApply( buildPresetParams( calendar, option.dataset.query || '' ) );
+		}
+		updateButtons( state );
+	} );
+
+	group.addEventListener( 'click', function ( e: Event ) {
+		const target = e.target as HTMLElement;
+
+		if ( target.closest( '.data-machine-events-preset-save' ) ) {
+			savePreset( calendar, state );
+			return;
+		}
+
+		const copyButton = target.closest< HTMLButtonElement >(
+			'.data-machine-events-preset-copy'
+		);
+		if ( copyButton ) {
+			copyPresetLink( calendar, state, copyButton );
+			return;
+		}
+
+		if ( target.closest( '.data-machine-events-preset-delete' ) ) {
+			deletePreset( calendar, state );
+		}
+	} );
+
+	window.addEventListener( CHANGE_EVENT, state.changeHandler );
+	window.addEventListener( 'storage', state.storageHandler );
+
+	instances.set( calendar, state );
+
+	renderUserPresets( calendar, state );
+	syncPresetSelect( calendar );
+	group.hidden = false;
+}
+
+export function destroyFilterPresets( calendar: HTMLElement ): void {
+	const state = instances.get( calendar );
+	if ( ! state ) {
+		return;
+	}
+
+	window.removeEventListener( CHANGE_EVENT, state.changeHandler );
+	window.removeEventListener( 'storage', state.storageHandler );
+	clearTimeout( state.copyTimeout );
+
+	instances.delete( calendar );
+}
+
+/**
+ * Select the preset matching the URL's filters, or the placeholder.
+ */
+export function syncPresetSelect( calendar: HTMLElement ): void {
+	const state = instances.get( calendar );
+	if ( ! state ) {
+		return;
+	}
+
+	const filterState = getFilterState( calendar );
+	const current = filterState.getPresetQuery( filterState.getUrlParams() );
+
+	const match = Array.from( state.select.options ).find(
+		( option ) =>
+			option.value !== '' &&
+			filterState.getPresetQuery(
+				new URLSearchParams( option.dataset.query || '' )
+			) === current
+	);
+
+	state.select.value = match ? match.value : '';
+	updateButtons( state );
+}
+
+/* ------------------------------------------------------------------ */
+/*  Internal helpers                                                   */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Replace the filter params of the current view with a preset's.
+ *
+ * The saved filter and shared lists are dropped: a preset describes which
+ * events to show on its own.
+ */
+function buildPresetParams(
+	calendar: HTMLElement,
+	query: string
+): URLSearchParams {
+	const built = getFilterState( calendar ).buildParams(
+		getDatePicker( calendar )
+	);
+
+	const params = new URLSearchParams();
+	built.forEach( function ( value, key ) {
+		if (
+			! isPresetParam( key ) &&
+			key !== 'saved' &&
+			key !== 'event_ids' &&
+			key !== 'paged'
+		) {
+			params.append( key, value );
+		}
+	} );
+
+	new URLSearchParams( query ).forEach( function ( value, key ) {
+		if ( isPresetParam( key ) ) {
+			params.append( key, value );
+		}
+	} );
+
+	// Point the location control at the preset's geo (or clear it), so the
+	// next filter change keeps it.
+	const lat = params.get( 'lat' ) || '';
+	const lng = params.get( 'lng' ) || '';
+	applyLocation(
+		calendar,
+		lat && lng
+			? {
+					lat,
+					lng,
+					radius:
+						parseInt( params.get( 'radius' ) || '', 10 ) ||
+						undefined,
+			  }
+			: null
+	);
+
+	return params;
+}
+
+/**
+ * Rebuild the "My searches" group from storage.
+ */
+function renderUserPresets(
+	calendar: HTMLElement,
+	state: FilterPresetsState
+): void {
+	const userGroup = state.select.querySelector< HTMLOptGroupElement >(
+		'.data-machine-events-preset-user-group'
+	);
+	if ( ! userGroup ) {
+		return;
+	}
+
+	const presets = getFilterState( calendar ).getPresets();
+
+	userGroup.replaceChildren(
+		...presets.map( function ( preset ) {
+			const option = document.createElement( 'option' );
+			option.value = USER_PRESET_PREFIX + preset.id;
+			option.dataset.query = preset.query;
+			option.textContent = preset.name;
+			return option;
+		} )
+	);
+	userGroup.hidden = presets.length === 0;
+}
+
+/**
+ * Save the URL's current filters under a name the visitor picks. Saving
+ * under an existing name overwrites that preset.
+ */
+function savePreset( calendar: HTMLElement, state: FilterPresetsState ): void {
+	const filterState = getFilterState( calendar );
+	const query = filterState.getPresetQuery( filterState.getUrlParams() );
+
+	const selected = state.select.selectedOptions[ 0 ];
+	const name = window
+		.prompt(
+			state.group.dataset.savePrompt || '',
+			selected && selected.value ? selected.textContent || '' : ''
+		)
+		?.trim();
+	if ( ! name ) {
+		return;
+	}
+
+	const presets = filterState.getPresets();
+	const existing = presets.find( ( preset ) => preset.name === name );
+
+	if ( existing ) {
+		existing.query = query;
+	} else {
+		presets.push( {
+			id: Date.now().toString( 36 ),
+			name,
+			query,
+		} );
+	}
+
+	filterState.savePresets( presets );
+	window.dispatchEvent( new CustomEvent( CHANGE_EVENT ) );
+}
+
+function deletePreset(
+	calendar: HTMLElement,
+	state: FilterPresetsState
+): void {
+	const id = getSelectedUserPresetId( state );
+	if ( ! id ) {
+		return;
+	}
+
+	if (
+		state.group.dataset.deleteConfirm &&
+		! window.confirm( state.group.dataset.deleteConfirm )
+	) {
+		return;
+	}
+
+	const filterState = getFilterState( calendar );
+	filterState.savePresets(
+		filterState
+			.getPresets()
+			.filter( ( preset: FilterPreset ) => preset.id !== id )
+	);
+	window.dispatchEvent( new CustomEvent( CHANGE_EVENT ) );
+}
+
+/**
+ * Copy a link to this page with the selected preset's filters.
+ */
+function copyPresetLink(
+	calendar: HTMLElement,
+	state: FilterPresetsState,
+	button: HTMLButtonElement
+): void {
+	const selected = state.select.selectedOptions[ 0 ];
+	if ( ! selected || ! selected.value ) {
+		return;
+	}
+
+	const shareUrl = getFilterState( calendar ).getShareUrl(
+		new URLSearchParams( selected.dataset.query || '' )
+	);
+
+	if ( ! navigator.clipboard ) {
+		window.prompt( button.textContent?.trim() || '', shareUrl );
+		return;
+	}
+
+	navigator.clipboard
+		.writeText( shareUrl )
+		.then( function () {
+			const label = button.dataset.label || button.textContent?.trim() || '';
+			button.dataset.label = label;
+			button.textContent = button.dataset.copiedLabel || label;
+
+			clearTimeout( state.copyTimeout );
+			state.copyTimeout = setTimeout( function () {
+				button.textContent = label;
+			}, 2000 );
+		} )
+		.catch( function () {
+			window.prompt( button.textContent?.trim() || '', shareUrl );
+		} );
+}
+
+function getSelectedUserPresetId( state: FilterPresetsState ): string {
+	const value = state.select.value;
+	return value.startsWith( USER_PRESET_PREFIX )
+		? value.slice( USER_PRESET_PREFIX.length )
+		: '';
+}
+
+/**
+ * Copy link applies to any selected preset; delete to the visitor's own.
+ */
+function updateButtons( state: FilterPresetsState ): void {
+	const copyButton = state.group.querySelector< HTMLElement >(
+		'.data-machine-events-preset-copy'
+	);
+	const deleteButton = state.group.querySelector< HTMLElement >(
+		'.data-machine-events-preset-delete'
+	);
+
+	if ( copyButton ) {
+		copyButton.hidden = state.select.value === '';
+	}
+	if ( deleteButton ) {
+		deleteButton.hidden = getSelectedUserPresetId( state ) === '';
+	}
+}
@@ -5,28 +5,85 @@
  * 1. URL params (explicit, shareable)
  * 2. localStorage (persistence for taxonomy filters + geo location)
  *
+ * Saved events also live in localStorage; the URL only carries `saved=1`
+ * and the request layer swaps in the stored IDs.
+ *
  * Archive context is read from DOM data attributes (page-level, not user state).
+ *
+ * A calendar rendered with a URL prefix (`data-url-prefix`, see
+ * Url_Namespace.php) keeps its params under that prefix, e.g.
+ * `cal2_tax_filter[venue][]`, and its taxonomy/geo storage under scoped keys,
+ * so several calendars on one page never share state. Callers always work
+ * with unprefixed params; only the URL and storage see the prefix.
  */
 
 import type {
 	ArchiveContext,
+	CalendarFilterState,
 	DateContext,
+	FilterPreset,
 	FlatpickrInstance,
 	GeoContext,
+	SavedEvent,
 	StoredGeo,
 	TaxFilters,
 } from '../types';
 
 const STORAGE_KEY = 'data_machine_events_calendar_state';
 const GEO_STORAGE_KEY = 'data_machine_events_geo_state';
+export const SAVED_STORAGE_KEY = 'data_machine_events_saved_events';
+export const PRESETS_STORAGE_KEY = 'data_machine_events_filter_presets';
+
+/** Params a filter preset captures; view, month, and paging are left out. */
+const PRESET_PARAM_KEYS = [
+	'event_search',
+	'date_start',
+	'date_end',
+	'past',
+	'scope',
+	'lat',
+	'lng',
+	'radius',
+	'radius_unit',
+];
+
+/** Params a calendar instance owns in the URL, matching Url_Namespace.php. */
+const INSTANCE_PARAM_KEYS = [
+	...PRESET_PARAM_KEYS,
+	'paged',
+	'view',
+	'month',
+	'saved',
+	'event_ids',
+];
+
+/**
+ * Whether a query param belongs in a filter preset.
+ */
+export function isPresetParam( key: string ): boolean {
+	return (
+		PRESET_PARAM_KEYS.includes( key ) || key.startsWith( 'tax_filter[' )
+	);
+}
+
+/**
+ * Whether an (unprefixed) query param belongs to a calendar instance.
+ */
+function isInstanceParam( key: string ): boolean {
+	return (
+		INSTANCE_PARAM_KEYS.includes( key ) || key.startsWith( 'tax_filter[' )
+	);
+}
 
 class FilterStateManager {
 	private calendar: HTMLElement;
 	private archiveContext: ArchiveContext;
+	private urlPrefix: string;
 
 	constructor( calendar: HTMLElement ) {
 		this.calendar = calendar;
 		this.archiveContext = this.readArchiveContext();
+		this.urlPrefix = calendar.dataset.urlPrefix || '';
 	}
 
 	/**
@@ -38,6 +95,7 @@ class FilterStateManager {
 			taxonomy: dataset.archiveTaxonomy || '',
 			term_id: parseInt( dataset.archiveTermId || '0', 10 ) || 0,
 			term_name: dataset.archiveTermName || '',
+			fixed_query: dataset.fixedQuery || '',
 		};
 	}
 
@@ -49,10 +107,41 @@ class FilterStateManager {
 	}
 
 	/**
-	 * Parse taxonomy filters from URL.
+	 * Get the prefix of this calendar's URL params ('' when not namespaced).
 	 */
-	getTaxFilters(): TaxFilters {
-		const params = new URLSearchParams( window.location.search );
+	getUrlPrefix(): string {
+		return this.urlPrefix;
+	}
+
+	/**
+	 * Get this calendar's params, unprefixed, from a query string (default:
+	 * the current URL). Other calendars' and unrelated params are left out.
+	 */
+	getUrlParams( search: string = window.location.search ): URLSearchParams {
+		const params = new URLSearchParams();
+
+		new URLSearchParams( search ).forEach( ( value, key ) => {
+			if ( this.ownsUrlParam( key ) ) {
+				params.append( key.slice( this.urlPrefix.length ), value );
+			}
+		} );
+
+		return params;
+	}
+
+	/**
+	 * Build a link to this page showing the given (unprefixed) params.
+	 */
+	getShareUrl( params: URLSearchParams ): string {
+		const url = new URL( window.location.pathname, window.location.origin );
+		url.search = this.prefixParams( params ).toString();
+		return url.toString();
+	}
+
+	/**
+	 * Parse taxonomy filters from URL (or the given params).
+	 */
+	getTaxFilters( params: URLSearchParams = this.getUrlParams() ): TaxFilters {
 		const filters: TaxFilters = {};
 
 		params.forEach( ( value, key ) => {
@@ -78,7 +167,7 @@ class FilterStateManager {
 	 * Get date context from URL.
 	 */
 	getDateContext(): DateContext {
-		const params = new URLSearchParams( window.location.search );
+		const params = this.getUrlParams();
 		return {
 			date_start: params.get( 'date_start' ) || '',
 			date_end: params.get( 'date_end' ) || '',
@@ -90,7 +179,7 @@ class FilterStateManager {
 	 * Get geo context from URL, falling back to data attributes, then localStorage.
 	 */
 	getGeoContext(): GeoContext {
-		const params = new URLSearchParams( window.location.search );
+		const params = this.getUrlParams();
 
 		// Priority 1: URL params (shareable links)
 		const urlLat = params.get( 'lat' ) || '';
@@ -126,6 +215,47 @@ class FilterStateManager {
 		return this.getStoredGeo();
 	}
 
+	/**
+	 * Describe the filters in a set of params (default: the URL's), for the
+	 * public API and its events.
+	 */
+	getState(
+		params: URLSearchParams = this.getUrlParams()
+	): CalendarFilterState {
+		const lat = params.get( 'lat' ) || '';
+		const lng = params.get( 'lng' ) || '';
+
+		return {
+			event_search: params.get( 'event_search' ) || '',
+			scope: params.get( 'scope' ) || '',
+			date_start: params.get( 'date_start' ) || '',
+			date_end: params.get( 'date_end' ) || '',
+			past: params.get( 'past' ) === '1',
+			tax_filter: this.getTaxFilters( params ),
+			geo:
+				lat && lng
+					? {
+							lat,
+							lng,
+							radius:
+								parseInt( params.get( 'radius' ) || '25', 10 ) ||
+								25,
+							radius_unit:
+								params.get( 'radius_unit' ) === 'km' ? 'km' : 'mi',
+					  }
+					: null,
+			view:
+				( params.get( 'view' ) || this.calendar.dataset.defaultView ) ===
+				'grid'
+					? 'grid'
+					: 'list',
+			month: params.get( 'month' ) || '',
+			paged: parseInt( params.get( 'paged' ) || '1', 10 ) || 1,
+			saved: params.get( 'saved' ) === '1',
+			query: params.toString(),
+		};
+	}
+
 	/**
 	 * Check if geo filter is active.
 	 */
@@ -138,15 +268,34 @@ class FilterStateManager {
 	 * Get search query from URL.
 	 */
 	getSearchQuery(): string {
-		const params = new URLSearchParams( window.location.search );
+		const params = this.getUrlParams();
 		return params.get( 'event_search' ) || '';
 	}
 
+	/**
+	 * Get the event IDs of a shared list link from URL.
+	 */
+	getSharedEventIds(): number[] {
+		const params = this.getUrlParams();
+		return ( params.get( 'event_ids' ) || '' )
+			.split( ',' )
+			.map( ( id ) => parseInt( id, 10 ) )
+			.filter( ( id ) => id > 0 );
+	}
+
+	/**
+	 * Check if the "Saved" filter is active in URL.
+	 */
+	isSavedOnly(): boolean {
+		const params = this.getUrlParams();
+		return params.get( 'saved' ) === '1';
+	}
+
 	/**
 	 * Get current page from URL.
 	 */
 	getCurrentPage(): number {
-		const params = new URLSearchParams( window.location.search );
+		const params = this.getUrlParams();
 		return parseInt( params.get( 'paged' ) || '1', 10 ) || 1;
 	}
 
@@ -165,7 +314,7 @@ class FilterStateManager {
 	 * Check if URL has any taxonomy filter params.
 	 */
 	hasUrlFilters(): boolean {
-		const params = new URLSearchParams( window.location.search );
+		const params = this.getUrlParams();
 		for ( const key of params.keys() ) {
 			if ( key.startsWith( 'tax_filter[' ) ) {
 				return true;
@@ -176,7 +325,8 @@ class FilterStateManager {
 
 	/**
 	 * Build URLSearchParams from current UI state.
-	 * Reads from: search input, date picker, filter checkboxes, location input.
+	 * Reads from: search input, scope chips, date picker, filter checkboxes,
+	 * location input.
 	 */
 	buildParams( datePicker: FlatpickrInstance | null = null ): URLSearchParams {
 		const params = new URLSearchParams();
@@ -189,7 +339,13 @@ class FilterStateManager {
 			params.set( 'event_search', searchInput.value );
 		}
 
-		if ( datePicker?.selectedDates?.length && datePicker.selectedDates.length > 0 ) {
+		// Scope chips and the date range are mutually exclusive; a chip wins.
+		const scopeChip = this.calendar.querySelector< HTMLElement >(
+			'.data-machine-events-scope-chip[aria-pressed="true"]'
+		);
+		if ( scopeChip?.dataset.scope ) {
+			params.set( 'scope', scopeChip.dataset.scope );
+		} else if ( datePicker?.selectedDates?.length && datePicker.selectedDates.length > 0 ) {
 			const startDate = datePicker.selectedDates[ 0 ];
 			const endDate = datePicker.selectedDates[ 1 ] || startDate;
 
@@ -208,6 +364,9 @@ class FilterStateManager {
 			if ( endOfRange < now ) {
 				params.set( 'past', '1' );
 			}
+		} else if ( this.calendar.dataset.scope ) {
+			// No chip and no dates: switch the block's default scope off.
+			params.set( 'scope', 'current' );
 		}
 
 		// Taxonomy filters — read from inline collapsible (or modal for backward compat)
@@ -218,7 +377,21 @@ class FilterStateManager {
 			this.calendar.querySelector< HTMLElement >(
 				'.data-machine-taxonomy-modal'
 			);
-		if ( filtersContainer ) {
+		if (
+			! filtersContainer?.querySelector( 'input[type="checkbox"]' )
+		) {
+			// The modal loads its checkboxes on first open; until then the URL holds the selection.
+			Object.entries( this.getTaxFilters() ).forEach(
+				( [ taxonomy, termIds ] ) => {
+					termIds.forEach( ( termId ) => {
+						params.append(
+							`tax_filter[${ taxonomy }][]`,
+							String( termId )
+						);
+					} );
+				}
+			);
+		} else {
 			const checkboxes =
 				filtersContainer.querySelectorAll< HTMLInputElement >(
 					'input[type="checkbox"]:checked'
@@ -255,6 +428,41 @@ class FilterStateManager {
 					);
 				}
 			}
+		} else {
+			// No location control: keep geo from the URL (map sync, presets).
+			const urlParams = this.getUrlParams();
+			if ( urlParams.get( 'lat' ) && urlParams.get( 'lng' ) ) {
+				[ 'lat', 'lng', 'radius', 'radius_unit' ].forEach( ( key ) => {
+					const value = urlParams.get( key );
+					if ( value ) {
+						params.set( key, value );
+					}
+				} );
+			}
+		}
+
+		// Saved filter and shared list — see saved-events.ts
+		const savedToggle = this.calendar.querySelector< HTMLElement >(
+			'.data-machine-events-saved-toggle'
+		);
+		if ( savedToggle?.getAttribute( 'aria-pressed' ) === 'true' ) {
+			params.set( 'saved', '1' );
+		}
+
+		const sharedList = this.calendar.querySelector< HTMLElement >(
+			'.data-machine-events-shared-list'
+		);
+		if ( sharedList && ! sharedList.hidden && sharedList.dataset.eventIds ) {
+			params.set( 'event_ids', sharedList.dataset.eventIds );
+		}
+
+		// View and month — mirrored onto the calendar root by applyCalendarView()
+		const view = this.calendar.dataset.view || 'list';
+		if ( view !== ( this.calendar.dataset.defaultView || 'list' ) ) {
+			params.set( 'view', view );
+		}
+		if ( view === 'grid' && this.calendar.dataset.month ) {
+			params.set( 'month', this.calendar.dataset.month );
 		}
 
 		return params;
@@ -262,13 +470,17 @@ class FilterStateManager {
 
 	/**
 	 * Update URL via History API and save state to localStorage.
+	 *
+	 * Pushes a new history entry unless `replace` is set.
 	 */
-	updateUrl( params: URLSearchParams ): void {
-		const queryString = params.toString();
-		const newUrl = queryString
-			? `${ window.location.pathname }?${ queryString }`
-			: window.location.pathname;
-		window.history.pushState( {}, '', newUrl );
+	updateUrl( params: URLSearchParams, replace: boolean = false ): void {
+		const newUrl = this.buildUrl( params );
+
+		if ( replace ) {
+			window.history.replaceState( {}, '', newUrl );
+		} else {
+			window.history.pushState( {}, '', newUrl );
+		}
 
 		this.saveToStorage( params );
 	}
@@ -292,11 +504,11 @@ class FilterStateManager {
 
 			if ( Object.keys( taxFilters ).length > 0 ) {
 				localStorage.setItem(
-					STORAGE_KEY,
+					this.getStorageKey( STORAGE_KEY ),
 					JSON.stringify( taxFilters )
 				);
 			} else {
-				localStorage.removeItem( STORAGE_KEY );
+				localStorage.removeItem( this.getStorageKey( STORAGE_KEY ) );
 			}
 		} catch {
 			// localStorage unavailable
@@ -310,11 +522,11 @@ class FilterStateManager {
 		try {
 			if ( geo.lat && geo.lng ) {
 				localStorage.setItem(
-					GEO_STORAGE_KEY,
+					this.getStorageKey( GEO_STORAGE_KEY ),
 					JSON.stringify( geo )
 				);
 			} else {
-				localStorage.removeItem( GEO_STORAGE_KEY );
+				localStorage.removeItem( this.getStorageKey( GEO_STORAGE_KEY ) );
 			}
 		} catch {
 			// localStorage unavailable
@@ -326,7 +538,9 @@ class FilterStateManager {
 	 */
 	getStoredGeo(): StoredGeo {
 		try {
-			const stored = localStorage.getItem( GEO_STORAGE_KEY );
+			const stored = localStorage.getItem(
+				this.getStorageKey( GEO_STORAGE_KEY )
+			);
 			if ( stored ) {
 				return JSON.parse( stored ) as StoredGeo;
 			}
@@ -341,7 +555,115 @@ class FilterStateManager {
 	 */
 	clearGeoStorage(): void {
 		try {
-			localStorage.removeItem( GEO_STORAGE_KEY );
+			localStorage.removeItem( this.getStorageKey( GEO_STORAGE_KEY ) );
+		} catch {
+			// localStorage unavailable
+		}
+	}
+
+	/**
+	 * Get saved events from localStorage, pruning events that have ended.
+	 */
+	getSavedEvents(): SavedEvent[] {
+		let saved: SavedEvent[] = [];
+		try {
+			const stored = localStorage.getItem( SAVED_STORAGE_KEY );
+			if ( stored ) {
+				saved = JSON.parse( stored ) as SavedEvent[];
+			}
+		} catch {
+			// localStorage unavailable or corrupted
+		}
+
+		if ( ! Array.isArray( saved ) ) {
+			return [];
+		}
+
+		const now = Date.now();
+		const upcoming = saved.filter( ( event ) => {
+			const end = Date.parse( event.end );
+			return event.id > 0 && ( isNaN( end ) || end >= now );
+		} );
+
+		if ( upcoming.length !== saved.length ) {
+			this.saveSavedEvents( upcoming );
+		}
+
+		return upcoming;
+	}
+
+	/**
+	 * Save the saved-events list to localStorage.
+	 */
+	saveSavedEvents( events: SavedEvent[] ): void {
+		try {
+			if ( events.length > 0 ) {
+				localStorage.setItem(
+					SAVED_STORAGE_KEY,
+					JSON.stringify( events )
+				);
+			} else {
+				localStorage.removeItem( SAVED_STORAGE_KEY );
+			}
+		} catch {
+			// localStorage unavailable
+		}
+	}
+
+	/**
+	 * Reduce params to the ones a preset captures, in a stable order, so two
+	 * equivalent filter combinations produce the same query string.
+	 */
+	getPresetQuery( params: URLSearchParams ): string {
+		const entries: [ string, string ][] = [];
+		params.forEach( ( value, key ) => {
+			if ( value !== '' && isPresetParam( key ) ) {
+				entries.push( [ key.replace( /\[\d+\]$/, '[]' ), value ] );
+			}
+		} );
+
+		entries.sort( ( a, b ) =>
+			a[ 0 ] === b[ 0 ]
+				? a[ 1 ].localeCompare( b[ 1 ] )
+				: a[ 0 ].localeCompare( b[ 0 ] )
+		);
+
+		return new URLSearchParams( entries ).toString();
+	}
+
+	/**
+	 * Get the visitor's named filter presets from localStorage.
+	 */
+	getPresets(): FilterPreset[] {
+		try {
+			const stored = localStorage.getItem( PRESETS_STORAGE_KEY );
+			if ( stored ) {
+				const presets = JSON.parse( stored ) as FilterPreset[];
+				if ( Array.isArray( presets ) ) {
+					return presets.filter(
+						( preset ) => preset && preset.id && preset.name
+					);
+				}
+			}
+		} catch {
+			// localStorage unavailable or corrupted
+		}
+		return [];
+	}
+
+	/**
+	 * Save the visitor's named filter presets to localStorage.
+	 */
+	savePresets( presets: FilterPreset[] ): void {
+		try {
+			if ( presets.length > 0 ) {
+				localStorage.setItem(
+					PRESETS_STORAGE_KEY,
+					JSON.stringify( presets )
+				);
+			} else {
+				localStorage.removeItem( PRESETS_STORAGE_KEY );
+			}
 		} catch {
 			// localStorage unavailable
 		}
@@ -356,13 +678,16 @@ class FilterStateManager {
 		}
 
 		try {
-			const stored = localStorage.getItem( STORAGE_KEY );
+			const stored = localStorage.getItem(
+				this.getStorageKey( STORAGE_KEY )
+			);
 			if ( ! stored ) {
 				return false;
 			}
 
 			const taxFilters: Record< string, string[] > = JSON.parse( stored );
-			const params = new URLSearchParams( window.location.search );
+			const current = this.getUrlParams();
+			const params = new URLSearchParams( current );
 
 			Object.entries( taxFilters ).forEach( ( [ key, values ] ) => {
 				if ( Array.isArray( values ) ) {
@@ -370,9 +695,8 @@ class FilterStateManager {
 				}
 			} );
 
-			if ( params.toString() !== window.location.search.slice( 1 ) ) {
-				const newUrl = `${ window.location.pathname }?${ params.toString() }`;
-				window.history.replaceState( {}, '', newUrl );
+			if ( params.toString() !== current.toString() ) {
+				window.history.replaceState( {}, '', this.buildUrl( params ) );
 				return true;
 			}
 		} catch {
@@ -386,7 +710,7 @@ class FilterStateManager {
 	 * Clear localStorage.
 	 */
 	clearStorage(): void {
-		localStorage.removeItem( STORAGE_KEY );
+		localStorage.removeItem( this.getStorageKey( STORAGE_KEY ) );
 	}
 
 	/**
@@ -423,6 +747,60 @@ class FilterStateManager {
 		}
 	}
 
+	/**
+	 * Whether a URL param (as it appears in the URL) belongs to this calendar.
+	 */
+	private ownsUrlParam( key: string ): boolean {
+		return (
+			key.startsWith( this.urlPrefix ) &&
+			isInstanceParam( key.slice( this.urlPrefix.length ) )
+		);
+	}
+
+	/**
+	 * Copy params with this calendar's prefix applied to each key.
+	 */
+	private prefixParams( params: URLSearchParams ): URLSearchParams {
+		const prefixed = new URLSearchParams();
+		params.forEach( ( value, key ) => {
+			prefixed.append( this.urlPrefix + key, value );
+		} );
+		return prefixed;
+	}
+
+	/**
+	 * Build the page URL for this calendar's params, keeping every param
+	 * that belongs to another calendar or to the page itself.
+	 */
+	private buildUrl( params: URLSearchParams ): string {
+		const query = new URLSearchParams();
+		new URLSearchParams( window.location.search ).forEach(
+			( value, key ) => {
+				if ( ! this.ownsUrlParam( key ) ) {
+					query.append( key, value );
+				}
+			}
+		);
+		this.prefixParams( params ).forEach( ( value, key ) => {
+			query.append( key, value );
+		} );
+
+		const queryString = query.toString();
+		return queryString
+			? `${ window.location.pathname }?${ queryString }`
+			: window.location.pathname;
+	}
+
+	/**
+	 * Scope a per-calendar storage key to this calendar's URL prefix. Saved
+	 * events and presets stay shared by every calendar on the site.
+	 */
+	private getStorageKey( key: string ): string {
+		return this.urlPrefix
+			? `${ key }_${ this.urlPrefix.replace( /_$/, '' ) }`
+			: key;
+	}
+
 	/**
 	 * Format date as YYYY-MM-DD.
 	 */
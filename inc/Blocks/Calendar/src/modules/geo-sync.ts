@@ -13,10 +13,9 @@
  * @since 0.14.0
  */
 
-import { fetchCalendarEvents } from './api-client';
 import { getFilterState } from './filter-state';
-import { initLazyRender, destroyLazyRender } from './lazy-render';
-import { initCarousel, destroyCarousel } from './carousel';
+import { startRefresh } from './calendar-refresh';
+import { applyLocation } from './location-search';
 
 import type { GeoContext } from '../types';
 
@@ -89,7 +88,8 @@ export function destroyGeoSync( calendar: HTMLElement ): void {
  * Programmatically update the calendar's geo context and re-fetch.
  *
  * Used by external orchestrators (e.g. near-me page) to push geo
- * updates without waiting for a map bounds-changed event.
+ * updates without waiting for a map bounds-changed event. Scripts outside
+ * the bundle use `window.DataMachineEvents.setGeo()` instead.
  */
 export function updateCalendarGeo(
 	calendar: HTMLElement,
@@ -144,12 +144,8 @@ function createBoundsHandler(
 /**
  * Fetch calendar data via REST API and update the DOM.
  */
-async function fetchAndUpdate(
-	calendar: HTMLElement,
-	geo: GeoContext
-): Promise< void > {
+function fetchAndUpdate( calendar: HTMLElement, geo: GeoContext ): void {
 	const filterState = getFilterState( calendar );
-	const archiveContext = filterState.getArchiveContext();
 
 	const params = new URLSearchParams();
 
@@ -162,7 +158,7 @@ async function fetchAndUpdate(
 	}
 
 	// Preserve existing filters from URL.
-	const urlParams = new URLSearchParams( window.location.search );
+	const urlParams = filterState.getUrlParams();
 
 	const passthroughKeys = [
 		'event_search',
@@ -188,8 +184,8 @@ async function fetchAndUpdate(
 	// Reset to page 1 on geo change.
 	params.delete( 'paged' );
 
-	// Update URL via History API (so the state is shareable).
-	filterState.updateUrl( params );
+	// The map viewport is now the location filter.
+	applyLocation( calendar, geo );
 
 	// Save geo to storage for persistence.
 	filterState.saveGeoToStorage( {
@@ -200,18 +196,9 @@ async function fetchAndUpdate(
 		label: '',
 	} );
 
-	// Clean up existing dynamic UI before re-fetch.
-	destroyLazyRender( calendar );
-	destroyCarousel( calendar );
-
-	await fetchCalendarEvents( calendar, params, archiveContext );
-
-	// Re-initialize dynamic UI on new DOM.
-	initLazyRender( calendar );
-	initCarousel( calendar );
-
-	// Re-bind pagination links for REST fetching.
-	rebindPagination( calendar, geo );
+	// Update URL via History API (so the state is shareable) and re-fetch.
+	// Pagination links carry the geo params and are handled by navigation.
+	startRefresh( calendar, params );
 }
 
 /**
@@ -250,57 +237,3 @@ function boundsToRadius(
 	// Clamp to reasonable range.
 	return Math.max( 1, Math.min( 500, Math.round( distance ) ) );
 }
-
-/**
- * Re-bind pagination links after a REST update so they also fetch
- * via REST instead of triggering a page reload.
- */
-function rebindPagination(
-	calendar: HTMLElement,
-	geo: GeoContext
-): void {
-	const paginationContainer = calendar.querySelector< HTMLElement >(
-		'.data-machine-events-pagination'
-	);
-	if ( ! paginationContainer ) {
-		return;
-	}
-
-	paginationContainer.addEventListener( 'click', function ( e: Event ) {
-		const target = e.target as HTMLElement;
-		const link = target.closest< HTMLAnchorElement >( 'a' );
-		if ( ! link ) {
-			return;
-		}
-
-		e.preventDefault();
-		e.stopPropagation();
-
-		const url = new URL( link.href );
-		const linkParams = new URLSearchParams( url.search );
-
-		// Inject current geo into the pagination request.
-		if ( geo.lat && geo.lng ) {
-			linkParams.set( 'lat', geo.lat );
-			linkParams.set( 'lng', geo.lng );
-			linkParams.set( 'radius', String( geo.radius ) );
-			linkParams.set( 'radius_unit', geo.radius_unit );
-		}
-
-		const filterState = getFilterState( calendar );
-		filterState.updateUrl( linkParams );
-
-		destroyLazyRender( calendar );
-		destroyCarousel( calendar );
-
-		fetchCalendarEvents(
-			calendar,
-			linkParams,
-			filterState.getArchiveContext()
-		).then( () => {
-			initLazyRender( calendar );
-			initCarousel( calendar );
-			rebindPagination( calendar, geo );
-		} );
-	} );
-}
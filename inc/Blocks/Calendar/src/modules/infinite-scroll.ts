@@ -0,0 +1,284 @@
+/**
+ * Load-more and infinite scroll pagination.
+ *
+ * Opt-in via the block's `paginationMode` attribute (`load-more` or
+ * `infinite`). Instead of replacing `.data-machine-events-content`, the
+ * next page is fetched from the calendar REST route and its date groups
+ * are appended. A group that spans the page boundary is merged into the
+ * existing group for that date. Lazy render and carousel are initialized
+ * only on the groups that were added or changed.
+ *
+ * The server-rendered pagination links stay in the markup as the no-JS
+ * fallback and are hidden once this module takes over.
+ */
+
+import { _n, sprintf } from '@wordpress/i18n';
+
+import { requestCalendarPage, updatePaginationState } from './api-client';
+import { getFilterState } from './filter-state';
+import { getRenderedQuery, buildRequestParams } from './calendar-refresh';
+import { initLazyRender, destroyLazyRender } from './lazy-render';
+import { initCarousel, destroyCarousel } from './carousel';
+
+interface InfiniteScrollState {
+	container: HTMLElement;
+	button: HTMLButtonElement | null;
+	sentinel: HTMLElement | null;
+	observer: IntersectionObserver | null;
+	clickHandler: () => void;
+	loading: boolean;
+}
+
+const instances = new WeakMap< HTMLElement, InfiniteScrollState >();
+const ROOT_MARGIN = '600px';
+
+export function initInfiniteScroll( calendar: HTMLElement ): void {
+	const mode = calendar.dataset.paginationMode || 'pages';
+	if ( mode === 'pages' || instances.has( calendar ) ) {
+		return;
+	}
+
+	const container = calendar.querySelector< HTMLElement >(
+		'.data-machine-events-load-more'
+	);
+	if ( ! container ) {
+		return;
+	}
+
+	const button = container.querySelector< HTMLButtonElement >(
+		'.data-machine-events-load-more-btn'
+	);
+	const sentinel = container.querySelector< HTMLElement >(
+		'.data-machine-events-load-more-sentinel'
+	);
+
+	const state: InfiniteScrollState = {
+		container,
+		button,
+		sentinel,
+		observer: null,
+		clickHandler() {
+			loadNextPage( calendar );
+		},
+		loading: false,
+	};
+
+	if ( button ) {
+		button.addEventListener( 'click', state.clickHandler );
+	}
+
+	if (
+		mode === 'infinite' &&
+		sentinel &&
+		typeof IntersectionObserver !== 'undefined'
+	) {
+		state.observer = new IntersectionObserver(
+			function ( entries ) {
+				if ( entries.some( ( entry ) => entry.isIntersecting ) ) {
+					loadNextPage( calendar );
+				}
+			},
+			{ rootMargin: ROOT_MARGIN }
+		);
+		state.observer.observe( sentinel );
+	}
+
+	instances.set( calendar, state );
+
+	calendar.classList.add( 'data-machine-events-load-more-active' );
+	updateInfiniteScroll( calendar );
+}
+
+export function destroyInfiniteScroll( calendar: HTMLElement ): void {
+	const state = instances.get( calendar );
+	if ( ! state ) {
+		return;
+	}
+
+	state.observer?.disconnect();
+	state.button?.removeEventListener( 'click', state.clickHandler );
+
+	calendar.classList.remove( 'data-machine-events-load-more-active' );
+	instances.delete( calendar );
+}
+
+/**
+ * Show or hide the load-more control based on the remaining pages.
+ *
+ * Called after every in-place refresh, since filter changes reset the
+ * calendar to page 1.
+ */
+export function updateInfiniteScroll( calendar: HTMLElement ): void {
+	const state = instances.get( calendar );
+	if ( ! state ) {
+		return;
+	}
+
+	state.container.hidden = ! hasMorePages( calendar );
+}
+
+/* ------------------------------------------------------------------ */
+/*  Internal helpers                                                   */
+/* ------------------------------------------------------------------ */
+
+function hasMorePages( calendar: HTMLElement ): boolean {
+	const currentPage = parseInt( calendar.dataset.currentPage || '1', 10 );
+	const maxPages = parseInt( calendar.dataset.maxPages || '1', 10 );
+	return currentPage < maxPages;
+}
+
+async function loadNextPage( calendar: HTMLElement ): Promise< void > {
+	const state = instances.get( calendar );
+	if (
+		! state ||
+		state.loading ||
+		calendar.dataset.view === 'grid' ||
+		! hasMorePages( calendar )
+	) {
+		return;
+	}
+
+	const content = calendar.querySelector< HTMLElement >(
+		'.data-machine-events-content'
+	);
+	if ( ! content ) {
+		return;
+	}
+
+	const renderedQuery = getRenderedQuery( calendar );
+	const nextPage =
+		parseInt( calendar.dataset.currentPage || '1', 10 ) + 1;
+
+	const params = buildRequestParams(
+		calendar,
+		new URLSearchParams( renderedQuery )
+	);
+	params.set( 'paged', String( nextPage ) );
+
+	setLoading( state, true );
+
+	try {
+		const data = await requestCalendarPage(
+			params,
+			getFilterState( calendar ).getArchiveContext()
+		);
+
+		// Filters changed while this page was in flight.
+		if ( getRenderedQuery( calendar ) !== renderedQuery ) {
+			return;
+		}
+
+		if ( data.success ) {
+			const groups = appendDateGroups( calendar, content, data.html );
+
+			initLazyRender( calendar, groups );
+			initCarousel( calendar, groups );
+
+			updatePaginationState( calendar, data.pagination );
+
+			// The counter describes a single page; drop it once pages stack.
+			calendar
+				.querySelector( '.data-machine-events-results-counter' )
+				?.remove();
+		}
+	} catch ( error ) {
+		console.error( 'Error loading more events:', error );
+	} finally {
+		setLoading( state, false );
+		updateInfiniteScroll( calendar );
+
+		// Re-observing fires a fresh entry, so short pages keep loading.
+		if ( state.observer && state.sentinel ) {
+			state.observer.unobserve( state.sentinel );
+			state.observer.observe( state.sentinel );
+		}
+	}
+}
+
+function setLoading( state: InfiniteScrollState, loading: boolean ): void {
+	state.loading = loading;
+	state.container.classList.toggle( 'loading', loading );
+	if ( state.button ) {
+		state.button.disabled = loading;
+		state.button.setAttribute( 'aria-busy', loading ? 'true' : 'false' );
+	}
+}
+
+/**
+ * Append the date groups from a calendar page to the content container.
+ *
+ * Returns the groups that were added or merged into, for re-initialization.
+ */
+function appendDateGroups(
+	calendar: HTMLElement,
+	content: HTMLElement,
+	html: string
+): HTMLElement[] {
+	const template = document.createElement( 'template' );
+	template.innerHTML = html;
+
+	const incoming = Array.from( template.content.children ).filter(
+		( el ): el is HTMLElement =>
+			el.classList.contains( 'data-machine-date-group' )
+	);
+
+	if ( incoming.length === 0 ) {
+		return [];
+	}
+
+	const touched: HTMLElement[] = [];
+	const existingGroups = content.querySelectorAll< HTMLElement >(
+		'.data-machine-date-group'
+	);
+	const lastGroup = existingGroups[ existingGroups.length - 1 ];
+	const firstIncoming = incoming[ 0 ];
+
+	if ( lastGroup && lastGroup.dataset.date === firstIncoming.dataset.date ) {
+		destroyLazyRender( calendar, [ lastGroup ] );
+		destroyCarousel( calendar, [ lastGroup ] );
+
+		mergeDateGroup( lastGroup, firstIncoming );
+		firstIncoming.remove();
+		incoming.shift();
+		touched.push( lastGroup );
+	}
+
+	content.appendChild( template.content );
+
+	return touched.concat( incoming );
+}
+
+/**
+ * Move the events of `source` into `target` (same date) and update counts.
+ */
+function mergeDateGroup( target: HTMLElement, source: HTMLElement ): void {
+	const targetWrapper = target.querySelector< HTMLElement >(
+		'.data-machine-events-wrapper'
+	);
+	const sourceWrapper = source.querySelector< HTMLElement >(
+		'.data-machine-events-wrapper'
+	);
+	if ( ! targetWrapper || ! sourceWrapper ) {
+		return;
+	}
+
+	while ( sourceWrapper.firstChild ) {
+		targetWrapper.appendChild( sourceWrapper.firstChild );
+	}
+
+	const count =
+		( parseInt( target.dataset.eventCount || '0', 10 ) || 0 ) +
+		( parseInt( source.dataset.eventCount || '0', 10 ) || 0 );
+	target.dataset.eventCount = String( count );
+
+	const countLabel = target.querySelector< HTMLElement >(
+		'.data-machine-day-event-count'
+	);
+	if ( countLabel ) {
+		countLabel.textContent = sprintf(
+			/* translators: %d: number of events in a date group */
+			_n( '%d event', '%d events', count, 'data-machine-events' ),
+			count
+		);
+	}
+}
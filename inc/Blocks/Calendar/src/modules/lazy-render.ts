@@ -5,7 +5,13 @@
  * approach the viewport during horizontal scroll.
  */
 
-import type { EventDisplayVars, EventPlaceholderData } from '../types';
+import {
+	getEventItemAttributes,
+	renderEventItemInner,
+} from './event-renderer';
+import { applyTimeZone } from './time-zone';
+
+import type { EventPlaceholderData } from '../types';
 
 interface LazyObserverEntry {
 	observer: IntersectionObserver;
@@ -15,16 +21,26 @@ interface LazyObserverEntry {
 const observers = new Map< HTMLElement, LazyObserverEntry[] >();
 const ROOT_MARGIN = '200px';
 
-export function initLazyRender( calendar: HTMLElement ): void {
+/**
+ * Observe placeholders in the calendar, or only in the given date groups
+ * (e.g. groups appended by infinite scroll).
+ */
+export function initLazyRender(
+	calendar: HTMLElement,
+	groups?: ArrayLike< HTMLElement >
+): void {
+	const wrappers = getWrappers( calendar, groups );
+
+	// Every content swap passes through here; rendered cards follow the time toggle.
+	( groups ? Array.from( groups ) : [ calendar ] ).forEach( ( root ) =>
+		applyTimeZone( root )
+	);
+
 	if ( typeof IntersectionObserver === 'undefined' ) {
-		hydrateAllPlaceholders( calendar );
+		wrappers.forEach( hydrateAllPlaceholders );
 		return;
 	}
 
-	const wrappers = calendar.querySelectorAll< HTMLElement >(
-		'.data-machine-events-wrapper'
-	);
-
 	wrappers.forEach( function ( wrapper ) {
 		const observer = new IntersectionObserver(
 			function ( entries ) {
@@ -57,18 +73,58 @@ export function initLazyRender( calendar: HTMLElement ): void {
 	} );
 }
 
-export function destroyLazyRender( calendar: HTMLElement ): void {
+/**
+ * Disconnect observers for the calendar, or only for the given date groups.
+ */
+export function destroyLazyRender(
+	calendar: HTMLElement,
+	groups?: ArrayLike< HTMLElement >
+): void {
 	const entries = observers.get( calendar );
-	if ( entries ) {
+	if ( ! entries ) {
+		return;
+	}
+
+	if ( ! groups ) {
 		entries.forEach( function ( { observer } ) {
 			observer.disconnect();
 		} );
 		observers.delete( calendar );
+		return;
+	}
+
+	const wrappers = getWrappers( calendar, groups );
+	const remaining = entries.filter( function ( { observer, wrapper } ) {
+		if ( wrappers.includes( wrapper ) ) {
+			observer.disconnect();
+			return false;
+		}
+		return true;
+	} );
+	observers.set( calendar, remaining );
+}
+
+function getWrappers(
+	calendar: HTMLElement,
+	groups?: ArrayLike< HTMLElement >
+): HTMLElement[] {
+	if ( ! groups ) {
+		return Array.from(
+			calendar.querySelectorAll< HTMLElement >(
+				'.data-machine-events-wrapper'
+			)
+		);
 	}
+
+	return Array.from( groups )
+		.map( ( group ) =>
+			group.querySelector< HTMLElement >( '.data-machine-events-wrapper' )
+		)
+		.filter( ( wrapper ): wrapper is HTMLElement => wrapper !== null );
 }
 
-function hydrateAllPlaceholders( calendar: HTMLElement ): void {
-	const placeholders = calendar.querySelectorAll< HTMLElement >(
+function hydrateAllPlaceholders( root: HTMLElement ): void {
+	const placeholders = root.querySelectorAll< HTMLElement >(
 		'.data-machine-event-placeholder'
 	);
 	placeholders.forEach( hydratePlaceholder );
@@ -94,102 +150,11 @@ function hydratePlaceholder( placeholder: HTMLElement ): void {
 		return;
 	}
 
-	const displayVars: Partial< EventDisplayVars > = data.display_vars || {};
-	const formattedTimeDisplay = displayVars.formatted_time_display || '';
-	const performerName = displayVars.performer_name || '';
-	const showPerformer = displayVars.show_performer !== false;
-	const multiDayLabel = displayVars.multi_day_label || '';
-	const venueName = displayVars.venue_name || '';
-	const isoStartDate = displayVars.iso_start_date || '';
-	const ticketUrl = displayVars.ticket_url || '';
-	const showTicketLink = displayVars.show_ticket_link !== false;
-
-	const itemClasses = [ 'data-machine-event-item' ];
-	if ( displayVars.is_continuation ) {
-		itemClasses.push( 'data-machine-event-continuation' );
-	}
-	if ( displayVars.is_multi_day ) {
-		itemClasses.push( 'data-machine-event-multi-day' );
-	}
-
-	let timeHtml = '';
-	if ( formattedTimeDisplay ) {
-		timeHtml =
-			'<div class="data-machine-event-time">' +
-			'<span class="dashicons dashicons-clock"></span>' +
-			escapeHtml( formattedTimeDisplay );
-		if ( multiDayLabel ) {
-			timeHtml +=
-				'<span class="data-machine-event-multi-day-label">' +
-				escapeHtml( multiDayLabel ) +
-				'</span>';
-		}
-		timeHtml += '</div>';
-	}
-
-	let performerHtml = '';
-	if ( showPerformer && performerName ) {
-		performerHtml =
-			'<div class="data-machine-event-performer">' +
-			'<span class="dashicons dashicons-admin-users"></span>' +
-			escapeHtml( performerName ) +
-			'</div>';
-	}
-
-	const html =
-		'<div class="data-machine-event-link">' +
-		( data.badges_html || '' ) +
-		'<h4 class="data-machine-event-title">' +
-		'<a href="' +
-		escapeAttr( data.permalink ) +
-		'">' +
-		escapeHtml( data.title ) +
-		'</a>' +
-		'</h4>' +
-		'<div class="data-machine-event-meta">' +
-		timeHtml +
-		performerHtml +
-		'<a href="' +
-		escapeAttr( data.permalink ) +
-		'" class="' +
-		escapeAttr(
-			data.button_classes || 'data-machine-more-info-button'
-		) +
-		'">More Info</a>' +
-		'</div>' +
-		'</div>';
-
-	placeholder.className = itemClasses.join( ' ' );
+	const attributes = getEventItemAttributes( data );
+	Object.keys( attributes ).forEach( function ( name ) {
+		placeholder.setAttribute( name, attributes[ name ] );
+	} );
 	placeholder.removeAttribute( 'data-event-json' );
-	placeholder.setAttribute( 'data-title', data.title );
-	placeholder.setAttribute( 'data-venue', venueName );
-	placeholder.setAttribute( 'data-performer', performerName );
-	placeholder.setAttribute( 'data-date', isoStartDate );
-	placeholder.setAttribute( 'data-ticket-url', ticketUrl );
-	placeholder.setAttribute(
-		'data-has-tickets',
-		showTicketLink && ticketUrl ? 'true' : 'false'
-	);
-	placeholder.innerHTML = html;
-}
-
-function escapeHtml( str: string ): string {
-	if ( ! str ) {
-		return '';
-	}
-	const div = document.createElement( 'div' );
-	div.textContent = str;
-	return div.innerHTML;
-}
-
-function escapeAttr( str: string ): string {
-	if ( ! str ) {
-		return '';
-	}
-	return str
-		.replace( /&/g, '&amp;' )
-		.replace( /"/g, '&quot;' )
-		.replace( /'/g, '&#39;' )
-		.replace( /</g, '&lt;' )
-		.replace( />/g, '&gt;' );
+	placeholder.innerHTML = renderEventItemInner( data );
+	applyTimeZone( placeholder );
 }
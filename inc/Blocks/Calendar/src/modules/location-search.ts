@@ -0,0 +1,538 @@
+/**
+ * Location filter: geocoding autocomplete, radius, and clear.
+ *
+ * Typing three or more characters in `.data-machine-events-location-search`
+ * lists matching places from the plugin's geocoding route (which caches
+ * Nominatim lookups server-side), following the same ARIA combobox pattern
+ * as the search typeahead. Picking a place writes its coordinates to the
+ * input's `data-geo-lat`/`data-geo-lng` (read by `buildParams()`), persists
+ * it as `StoredGeo`, and re-fetches; an events map on the page recenters on
+ * it. The clear button drops the place and the stored geo, and changing the
+ * radius re-fetches while a place is set.
+ *
+ * `applyLocation()` is shared with the other modules that set the geo
+ * filter (near me, presets, map sync) so the control always shows it.
+ */
+
+import { _n, sprintf } from '@wordpress/i18n';
+
+import { fetchPlaces, isAbortError, isRateLimitError } from './api-client';
+import { getFilterState } from './filter-state';
+import { escapeHtml, highlightMatch } from './event-renderer';
+
+import type { GeoContext, GeocodeResult } from '../types';
+
+// Public Nominatim forbids search-as-you-type clients; look up only once the
+// visitor pauses on a reasonably specific query.
+const MIN_QUERY_LENGTH = 4;
+const GEOCODE_DELAY = 1000;
+
+interface LocationSearchState {
+	input: HTMLInputElement;
+	listbox: HTMLElement;
+	status: HTMLElement | null;
+	results: GeocodeResult[];
+	activeIndex: number;
+	timeout: ReturnType< typeof setTimeout > | undefined;
+	documentClickHandler: ( e: Event ) => void;
+}
+
+const instances = new WeakMap< HTMLElement, LocationSearchState >();
+
+/**
+ * @param calendar       Calendar root element.
+ * @param onFilterChange Rebuild params from the UI and navigate.
+ */
+export function initLocationSearch(
+	calendar: HTMLElement,
+	onFilterChange: () => void
+): void {
+	if ( instances.has( calendar ) ) {
+		return;
+	}
+
+	const input = calendar.querySelector< HTMLInputElement >(
+		'.data-machine-events-location-search'
+	);
+	const listbox = calendar.querySelector< HTMLElement >(
+		'.data-machine-events-location-suggestions'
+	);
+	if ( ! input || ! listbox ) {
+		return;
+	}
+
+	input.setAttribute( 'role', 'combobox' );
+	input.setAttribute( 'aria-autocomplete', 'list' );
+	input.setAttribute( 'aria-expanded', 'false' );
+	input.setAttribute( 'aria-controls', listbox.id );
+
+	const state: LocationSearchState = {
+		input,
+		listbox,
+		status: calendar.querySelector< HTMLElement >(
+			'.data-machine-events-location-status'
+		),
+		results: [],
+		activeIndex: -1,
+		timeout: undefined,
+		documentClickHandler( e: Event ) {
+			const target = e.target as HTMLElement;
+			if (
+				! target.closest( '.data-machine-events-location-search-wrapper' )
+			) {
+				closeResults( state );
+			}
+		},
+	};
+
+	// Name the server-rendered place (from the URL) after the stored one.
+	syncLocationFromUrl( calendar );
+
+	input.addEventListener( 'input', function () {
+		clearTimeout( state.timeout );
+
+		const query = input.value.trim();
+
+		// Emptying the input drops the place, like the clear button.
+		if ( query === '' ) {
+			closeResults( state );
+			if ( input.dataset.geoLat ) {
+				clearLocation( calendar );
+				onFilterChange();
+			}
+			return;
+		}
+
+		if ( query.length < MIN_QUERY_LENGTH ) {
+			closeResults( state );
+			return;
+		}
+
+		state.timeout = setTimeout( function () {
+			loadPlaces( state, query );
+		}, GEOCODE_DELAY );
+	} );
+
+	input.addEventListener( 'keydown', function ( e: KeyboardEvent ) {
+		const open = ! listbox.hidden;
+
+		switch ( e.key ) {
+			case 'ArrowDown':
+			case 'ArrowUp':
+				if ( state.results.length === 0 ) {
+					return;
+				}
+				e.preventDefault();
+				if ( ! open ) {
+					openResults( state );
+				}
+				moveActive( state, e.key === 'ArrowDown' ? 1 : -1 );
+				break;
+
+			case 'Enter':
+				e.preventDefault();
+				if ( open ) {
+					pickPlace(
+						calendar,
+						state,
+						Math.max( state.activeIndex, 0 ),
+						onFilterChange
+					);
+				}
+				break;
+
+			case 'Escape':
+				if ( open ) {
+					e.preventDefault();
+					closeResults( state );
+				}
+				break;
+
+			case 'Tab':
+				closeResults( state );
+				break;
+		}
+	} );
+
+	// Keep focus in the input while a place is clicked.
+	listbox.addEventListener( 'mousedown', function ( e: MouseEvent ) {
+		e.preventDefault();
+	} );
+
+	listbox.addEventListener( 'click', function ( e: Event ) {
+		const option = ( e.target as HTMLElement ).closest< HTMLElement >(
+			'[role="option"]'
+		);
+		if ( option ) {
+			pickPlace(
+				calendar,
+				state,
+				parseInt( option.dataset.index || '-1', 10 ),
+				onFilterChange
+			);
+		}
+	} );
+
+	calendar
+		.querySelector( '.data-machine-events-location-clear' )
+		?.addEventListener( 'click', function () {
+			clearTimeout( state.timeout );
+			closeResults( state );
+			clearLocation( calendar );
+			input.focus();
+			onFilterChange();
+		} );
+
+	calendar
+		.querySelector( '.data-machine-events-radius-select' )
+		?.addEventListener( 'change', function () {
+			if ( ! input.dataset.geoLat || ! input.dataset.geoLng ) {
+				return;
+			}
+
+			const filterState = getFilterState( calendar );
+			filterState.saveGeoToStorage( {
+				...readLocation( calendar ),
+				label: filterState.getStoredGeo().label,
+			} );
+			onFilterChange();
+		} );
+
+	document.addEventListener( 'click', state.documentClickHandler );
+
+	instances.set( calendar, state );
+}
+
+export function destroyLocationSearch( calendar: HTMLElement ): void {
+	const state = instances.get( calendar );
+	if ( ! state ) {
+		return;
+	}
+
+	clearTimeout( state.timeout );
+	document.removeEventListener( 'click', state.documentClickHandler );
+
+	instances.delete( calendar );
+}
+
+/**
+ * Show a geo filter in the location control, or clear it with `null`.
+ *
+ * Without a label the input keeps its text, falling back to a generic
+ * "Selected area" when it has none.
+ */
+export function applyLocation(
+	calendar: HTMLElement,
+	geo: Pick< GeoContext, 'lat' | 'lng' > &
+		Partial< Pick< GeoContext, 'radius' > > | null,
+	label?: string
+): void {
+	const input = calendar.querySelector< HTMLInputElement >(
+		'.data-machine-events-location-search'
+	);
+	if ( ! input ) {
+		return;
+	}
+
+	const hasGeo = !! ( geo && geo.lat && geo.lng );
+
+	input.dataset.geoLat = hasGeo ? geo!.lat : '';
+	input.dataset.geoLng = hasGeo ? geo!.lng : '';
+
+	if ( ! hasGeo ) {
+		input.value = '';
+	} else if ( label !== undefined ) {
+		input.value = label;
+	} else if ( ! input.value ) {
+		input.value = input.dataset.areaLabel || '';
+	}
+
+	const radiusSelect = calendar.querySelector< HTMLSelectElement >(
+		'.data-machine-events-radius-select'
+	);
+	// Map-derived radii rarely match a listed choice; keep the select then.
+	const radius = geo?.radius ? String( geo.radius ) : '';
+	if (
+		radiusSelect &&
+		Array.from( radiusSelect.options ).some(
+			( option ) => option.value === radius
+		)
+	) {
+		radiusSelect.value = radius;
+	}
+
+	const clearButton = calendar.querySelector< HTMLElement >(
+		'.data-machine-events-location-clear'
+	);
+	if ( clearButton ) {
+		clearButton.hidden = ! hasGeo;
+	}
+}
+
+/**
+ * Reflect the URL's geo filter in the location control (back/forward).
+ */
+export function syncLocationFromUrl( calendar: HTMLElement ): void {
+	const params = getFilterState( calendar ).getUrlParams();
+	const lat = params.get( 'lat' ) || '';
+	const lng = params.get( 'lng' ) || '';
+
+	if ( ! lat || ! lng ) {
+		applyLocation( calendar, null );
+		return;
+	}
+
+	const stored = getFilterState( calendar ).getStoredGeo();
+	const label =
+		stored.lat === lat && stored.lng === lng && stored.label
+			? stored.label
+			: undefined;
+
+	applyLocation(
+		calendar,
+		{
+			lat,
+			lng,
+			radius: parseInt( params.get( 'radius' ) || '', 10 ) || undefined,
+		},
+		label
+	);
+}
+
+/* ------------------------------------------------------------------ */
+/*  Internal helpers                                                   */
+/* ------------------------------------------------------------------ */
+
+async function loadPlaces(
+	state: LocationSearchState,
+	query: string,
+	retried = false
+): Promise< void > {
+	try {
+		const data = await fetchPlaces( query, state.listbox );
+
+		// The visitor kept typing (or cleared the input) meanwhile.
+		if ( state.input.value.trim() !== query ) {
+			return;
+		}
+
+		state.results = data.success ? data.results : [];
+		renderResults( state, query );
+	} catch ( error ) {
+		if (
+			isAbortError( error ) ||
+			state.input.value.trim() !== query
+		) {
+			return;
+		}
+
+		state.results = [];
+		closeResults( state );
+
+		// Another search on the site just went to Nominatim; try once more.
+		if ( isRateLimitError( error ) ) {
+			if ( ! retried ) {
+				state.timeout = setTimeout( function () {
+					loadPlaces( state, query, true );
+				}, GEOCODE_DELAY );
+			} else {
+				announce( state, state.input.dataset.busyLabel || '' );
+			}
+			return;
+		}
+
+		console.error( 'Error looking up places:', error );
+		announce( state, state.input.dataset.errorLabel || '' );
+	}
+}
+
+function renderResults( state: LocationSearchState, query: string ): void {
+	const { listbox } = state;
+	state.activeIndex = -1;
+	state.input.removeAttribute( 'aria-activedescendant' );
+
+	if ( state.results.length === 0 ) {
+		listbox.innerHTML = '';
+		closeResults( state );
+		announce( state, state.input.dataset.noResultsLabel || '' );
+		return;
+	}
+
+	listbox.innerHTML = state.results
+		.map( function ( result, index ) {
+			const { name, detail } = splitPlaceName( result );
+			return (
+				'<div role="option" aria-selected="false" class="data-machine-events-location-option" id="' +
+				getOptionId( state, index ) +
+				'" data-index="' +
+				index +
+				'">' +
+				'<span class="data-machine-events-location-option-name">' +
+				highlightMatch( name, query ) +
+				'</span>' +
+				( detail
+					? '<span class="data-machine-events-location-option-detail">' +
+					  escapeHtml( detail ) +
+					  '</span>'
+					: '' ) +
+				'</div>'
+			);
+		} )
+		.join( '' );
+
+	openResults( state );
+	announce(
+		state,
+		sprintf(
+			/* translators: %d: number of places */
+			_n(
+				'%d place available',
+				'%d places available',
+				state.results.length,
+				'data-machine-events'
+			),
+			state.results.length
+		)
+	);
+}
+
+/**
+ * Split a Nominatim display name into the place and its surroundings.
+ */
+function splitPlaceName( result: GeocodeResult ): {
+	name: string;
+	detail: string;
+} {
+	const parts = result.display_name.split( ',' ).map( ( part ) =>
+		part.trim()
+	);
+	const name = result.name || parts[ 0 ] || '';
+	const detail = parts
+		.filter( ( part ) => part !== name )
+		.slice( 0, 3 )
+		.join( ', ' );
+
+	return { name, detail };
+}
+
+function getOptionId( state: LocationSearchState, index: number ): string {
+	return `${ state.listbox.id }-option-${ index }`;
+}
+
+function openResults( state: LocationSearchState ): void {
+	state.listbox.hidden = false;
+	state.input.setAttribute( 'aria-expanded', 'true' );
+}
+
+function closeResults( state: LocationSearchState ): void {
+	state.listbox.hidden = true;
+	state.input.setAttribute( 'aria-expanded', 'false' );
+	setActive( state, -1 );
+}
+
+function moveActive( state: LocationSearchState, step: number ): void {
+	const count = state.results.length;
+	const next =
+		state.activeIndex === -1 && step < 0
+			? count - 1
+			: ( state.activeIndex + step + count ) % count;
+
+	setActive( state, next );
+}
+
+function setActive( state: LocationSearchState, index: number ): void {
+	state.listbox
+		.querySelectorAll< HTMLElement >( '[role="option"]' )
+		.forEach( function ( option ) {
+			const active = option.dataset.index === String( index );
+			option.setAttribute( 'aria-selected', active ? 'true' : 'false' );
+			option.classList.toggle( 'is-active', active );
+			if ( active ) {
+				option.scrollIntoView( { block: 'nearest' } );
+			}
+		} );
+
+	state.activeIndex = index;
+
+	if ( index >= 0 ) {
+		state.input.setAttribute(
+			'aria-activedescendant',
+			getOptionId( state, index )
+		);
+	} else {
+		state.input.removeAttribute( 'aria-activedescendant' );
+	}
+}
+
+function pickPlace(
+	calendar: HTMLElement,
+	state: LocationSearchState,
+	index: number,
+	onFilterChange: () => void
+): void {
+	const result = state.results[ index ];
+	if ( ! result ) {
+		return;
+	}
+
+	clearTimeout( state.timeout );
+	closeResults( state );
+
+	const lat = parseFloat( result.lat );
+	const lng = parseFloat( result.lon );
+	if ( isNaN( lat ) || isNaN( lng ) ) {
+		return;
+	}
+
+	const label = splitPlaceName( result ).name;
+	applyLocation(
+		calendar,
+		{ lat: lat.toFixed( 6 ), lng: lng.toFixed( 6 ) },
+		label
+	);
+
+	getFilterState( calendar ).saveGeoToStorage( {
+		...readLocation( calendar ),
+		label,
+	} );
+
+	onFilterChange();
+
+	document.dispatchEvent(
+		new CustomEvent( 'data-machine-map-recenter', {
+			detail: { lat, lng },
+		} )
+	);
+}
+
+function clearLocation( calendar: HTMLElement ): void {
+	applyLocation( calendar, null );
+	getFilterState( calendar ).clearGeoStorage();
+}
+
+/**
+ * Geo context as the location control currently shows it.
+ */
+function readLocation( calendar: HTMLElement ): GeoContext {
+	const input = calendar.querySelector< HTMLInputElement >(
+		'.data-machine-events-location-search'
+	);
+	const radiusSelect = calendar.querySelector< HTMLSelectElement >(
+		'.data-machine-events-radius-select'
+	);
+
+	return {
+		lat: input?.dataset.geoLat || '',
+		lng: input?.dataset.geoLng || '',
+		radius: parseInt( radiusSelect?.value || '25', 10 ) || 25,
+		radius_unit:
+			( radiusSelect?.dataset.radiusUnit as GeoContext[ 'radius_unit' ] ) ||
+			'mi',
+	};
+}
+
+function announce( state: LocationSearchState, message: string ): void {
+	if ( state.status ) {
+		state.status.textContent = message;
+	}
+}
@@ -0,0 +1,93 @@
+/**
+ * Share the calendar's event filters with the events map.
+ *
+ * The map lists only venues with events matching the calendar's taxonomy,
+ * date, scope, and search filters, with matching event counts. Filters go
+ * out as `data-machine-map-set-filters` on init, after every change, and
+ * when a map that mounts later sends `data-machine-map-ready`.
+ *
+ * The venue filter is left out: clicking a marker filters the calendar to
+ * that venue (venue-link.ts), and the other markers must stay visible to
+ * pick another one. Geo params are left out too; the map's own viewport
+ * bounds its venues.
+ */
+
+import { getFilterState } from './filter-state';
+import { onCalendarEvent } from './calendar-events';
+
+import type {
+	CalendarFilterState,
+	MapEventFilters,
+	TaxFilters,
+} from '../types';
+
+const VENUE_TAXONOMY = 'venue';
+
+interface MapFiltersState {
+	readyHandler: () => void;
+	offChange: () => void;
+}
+
+const instances = new WeakMap< HTMLElement, MapFiltersState >();
+
+export function initMapFilters( calendar: HTMLElement ): void {
+	if ( instances.has( calendar ) ) {
+		return;
+	}
+
+	const state: MapFiltersState = {
+		readyHandler() {
+			broadcastFilters( getFilterState( calendar ).getState() );
+		},
+		offChange: onCalendarEvent( 'change', function ( detail ) {
+			if ( detail.calendar.element === calendar ) {
+				broadcastFilters( detail.calendar.state );
+			}
+		} ),
+	};
+
+	document.addEventListener( 'data-machine-map-ready', state.readyHandler );
+
+	instances.set( calendar, state );
+
+	// A map that is already mounted learns the filters now.
+	state.readyHandler();
+}
+
+export function destroyMapFilters( calendar: HTMLElement ): void {
+	const state = instances.get( calendar );
+	if ( ! state ) {
+		return;
+	}
+
+	document.removeEventListener( 'data-machine-map-ready', state.readyHandler );
+	state.offChange();
+
+	instances.delete( calendar );
+}
+
+function broadcastFilters( calendarState: CalendarFilterState ): void {
+	const taxFilter: TaxFilters = {};
+	Object.entries( calendarState.tax_filter ).forEach( function ( [
+		taxonomy,
+		termIds,
+	] ) {
+		if ( taxonomy !== VENUE_TAXONOMY ) {
+			taxFilter[ taxonomy ] = termIds;
+		}
+	} );
+
+	const filters: MapEventFilters = {
+		tax_filter: taxFilter,
+		date_start: calendarState.date_start,
+		date_end: calendarState.date_end,
+		scope: calendarState.scope,
+		event_search: calendarState.event_search,
+	};
+
+	document.dispatchEvent(
+		new CustomEvent( 'data-machine-map-set-filters', {
+			detail: { filters },
+		} )
+	);
+}
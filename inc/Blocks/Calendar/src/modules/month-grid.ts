@@ -0,0 +1,237 @@
+/**
+ * Month-grid view: list/grid toggle, month navigation, and "+N more" popovers.
+ *
+ * The grid itself is server-rendered (`templates/month-grid.php`) and swapped
+ * in by the regular calendar refresh; the REST route switches to the month
+ * layout when `view=grid` is requested. This module keeps the view/month
+ * state on the calendar root (`data-view`, `data-month`) so filter changes
+ * carry it along, and handles the grid's interactive controls.
+ */
+
+import { getRenderedQuery } from './calendar-refresh';
+
+import type { NavigateCallback } from './navigation';
+
+export type CalendarView = 'list' | 'grid';
+
+interface MonthGridState {
+	documentClickHandler: ( e: Event ) => void;
+	keydownHandler: ( e: KeyboardEvent ) => void;
+}
+
+const instances = new WeakMap< HTMLElement, MonthGridState >();
+
+export function initMonthGrid(
+	calendar: HTMLElement,
+	onNavigate: NavigateCallback
+): void {
+	if ( instances.has( calendar ) ) {
+		return;
+	}
+
+	calendar.addEventListener( 'click', function ( e: Event ) {
+		const target = e.target as HTMLElement;
+
+		const viewBtn = target.closest< HTMLElement >(
+			'.data-machine-events-view-btn'
+		);
+		if ( viewBtn ) {
+			handleViewClick( calendar, viewBtn, onNavigate );
+			return;
+		}
+
+		const monthBtn = target.closest< HTMLElement >(
+			'.data-machine-month-nav-btn'
+		);
+		if ( monthBtn ) {
+			handleMonthClick( calendar, monthBtn, onNavigate );
+			return;
+		}
+
+		const moreBtn = target.closest< HTMLButtonElement >(
+			'.data-machine-month-day-more'
+		);
+		if ( moreBtn ) {
+			togglePopover( calendar, moreBtn );
+			return;
+		}
+
+		if ( target.closest( '.data-machine-month-day-popover-close' ) ) {
+			closePopovers( calendar, true );
+		}
+	} );
+
+	const state: MonthGridState = {
+		documentClickHandler( e: Event ) {
+			const target = e.target as HTMLElement;
+			if (
+				! target.closest( '.data-machine-month-day-popover' ) &&
+				! target.closest( '.data-machine-month-day-more' )
+			) {
+				closePopovers( calendar, false );
+			}
+		},
+		keydownHandler( e: KeyboardEvent ) {
+			if ( e.key === 'Escape' ) {
+				closePopovers( calendar, true );
+			}
+		},
+	};
+
+	document.addEventListener( 'click', state.documentClickHandler );
+	document.addEventListener( 'keydown', state.keydownHandler );
+
+	instances.set( calendar, state );
+}
+
+export function destroyMonthGrid( calendar: HTMLElement ): void {
+	const state = instances.get( calendar );
+	if ( ! state ) {
+		return;
+	}
+
+	document.removeEventListener( 'click', state.documentClickHandler );
+	document.removeEventListener( 'keydown', state.keydownHandler );
+
+	instances.delete( calendar );
+}
+
+/**
+ * Get the view a calendar is currently showing.
+ */
+export function getCalendarView( calendar: HTMLElement ): CalendarView {
+	return calendar.dataset.view === 'grid' ? 'grid' : 'list';
+}
+
+/**
+ * Get the block's default view (the view used when the URL has no `view`).
+ */
+export function getDefaultView( calendar: HTMLElement ): CalendarView {
+	return calendar.dataset.defaultView === 'grid' ? 'grid' : 'list';
+}
+
+/**
+ * Mirror the view and month from request params onto the calendar root and
+ * the filter-bar toggle.
+ */
+export function applyCalendarView(
+	calendar: HTMLElement,
+	params: URLSearchParams
+): void {
+	const view: CalendarView =
+		( params.get( 'view' ) || getDefaultView( calendar ) ) === 'grid'
+			? 'grid'
+			: 'list';
+
+	calendar.dataset.view = view;
+
+	const month = params.get( 'month' );
+	if ( view === 'grid' && month ) {
+		calendar.dataset.month = month;
+	} else {
+		delete calendar.dataset.month;
+	}
+
+	calendar
+		.querySelectorAll< HTMLElement >( '.data-machine-events-view-btn' )
+		.forEach( function ( btn ) {
+			btn.setAttribute(
+				'aria-pressed',
+				btn.dataset.view === view ? 'true' : 'false'
+			);
+		} );
+}
+
+/* ------------------------------------------------------------------ */
+/*  Internal helpers                                                   */
+/* ------------------------------------------------------------------ */
+
+function handleViewClick(
+	calendar: HTMLElement,
+	button: HTMLElement,
+	onNavigate: NavigateCallback
+): void {
+	const view: CalendarView = button.dataset.view === 'grid' ? 'grid' : 'list';
+	if ( view === getCalendarView( calendar ) ) {
+		return;
+	}
+
+	const params = new URLSearchParams( getRenderedQuery( calendar ) );
+	params.delete( 'paged' );
+	params.delete( 'month' );
+
+	if ( view === getDefaultView( calendar ) ) {
+		params.delete( 'view' );
+	} else {
+		params.set( 'view', view );
+	}
+
+	onNavigate( params );
+}
+
+function handleMonthClick(
+	calendar: HTMLElement,
+	button: HTMLElement,
+	onNavigate: NavigateCallback
+): void {
+	const month = button.dataset.month;
+	if ( ! month ) {
+		return;
+	}
+
+	const params = new URLSearchParams( getRenderedQuery( calendar ) );
+	params.set( 'month', month );
+
+	onNavigate( params );
+}
+
+function togglePopover(
+	calendar: HTMLElement,
+	button: HTMLButtonElement
+): void {
+	const popoverId = button.getAttribute( 'aria-controls' );
+	const popover = popoverId ? document.getElementById( popoverId ) : null;
+	if ( ! popover ) {
+		return;
+	}
+
+	const isOpen = button.getAttribute( 'aria-expanded' ) === 'true';
+
+	closePopovers( calendar, false );
+
+	if ( isOpen ) {
+		return;
+	}
+
+	popover.hidden = false;
+	button.setAttribute( 'aria-expanded', 'true' );
+
+	popover
+		.querySelector< HTMLElement >( '.data-machine-month-day-popover-close' )
+		?.focus();
+}
+
+/**
+ * Close any open day popover, optionally returning focus to its trigger.
+ */
+function closePopovers( calendar: HTMLElement, restoreFocus: boolean ): void {
+	calendar
+		.querySelectorAll< HTMLButtonElement >(
+			'.data-machine-month-day-more[aria-expanded="true"]'
+		)
+		.forEach( function ( button ) {
+			const popoverId = button.getAttribute( 'aria-controls' );
+			const popover = popoverId
+				? document.getElementById( popoverId )
+				: null;
+
+			if ( popover ) {
+				popover.hidden = true;
+			}
+			button.setAttribute( 'aria-expanded', 'false' );
+
+			if ( restoreFocus ) {
+				button.focus();
+			}
+		} );
+}
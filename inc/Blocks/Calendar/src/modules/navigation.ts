@@ -1,77 +1,108 @@
 /**
  * Past/upcoming navigation and pagination link handling.
+ *
+ * Click handling is delegated to the calendar root so it survives the
+ * navigation and pagination fragments being swapped after a REST refresh.
  */
 
+import { getRenderedQuery } from './calendar-refresh';
+import { getFilterState } from './filter-state';
+
+import type { RefreshOptions } from './calendar-refresh';
+
+export type NavigateCallback = (
+	params: URLSearchParams,
+	options?: RefreshOptions
+) => void;
+
 export function initNavigation(
 	calendar: HTMLElement,
-	onNavigate: ( params: URLSearchParams ) => void
+	onNavigate: NavigateCallback
 ): void {
-	initPastUpcomingButtons( calendar, onNavigate );
-	initPaginationLinks( calendar, onNavigate );
+	calendar.addEventListener( 'click', function ( e: Event ) {
+		const target = e.target as HTMLElement;
+
+		if ( handlePastUpcomingClick( calendar, e, target, onNavigate ) ) {
+			return;
+		}
+
+		handlePaginationClick( calendar, e, target, onNavigate );
+	} );
 }
 
-function initPastUpcomingButtons(
+function handlePastUpcomingClick(
 	calendar: HTMLElement,
-	onNavigate: ( params: URLSearchParams ) => void
-): void {
-	const navContainer = calendar.querySelector< HTMLElement >(
-		'.data-machine-events-past-navigation'
-	);
-	if ( ! navContainer ) {
-		return;
+	e: Event,
+	target: HTMLElement,
+	onNavigate: NavigateCallback
+): boolean {
+	if ( ! target.closest( '.data-machine-events-past-navigation' ) ) {
+		return false;
 	}
 
-	navContainer.addEventListener( 'click', function ( e: Event ) {
-		const target = e.target as HTMLElement;
-		const pastBtn = target.closest( '.data-machine-events-past-btn' );
-		const upcomingBtn = target.closest(
-			'.data-machine-events-upcoming-btn'
-		);
-
-		if ( pastBtn || upcomingBtn ) {
-			e.preventDefault();
-
-			const params = new URLSearchParams( window.location.search );
-			params.delete( 'paged' );
-
-			if ( pastBtn ) {
-				params.set( 'past', '1' );
-			} else {
-				params.delete( 'past' );
-			}
-
-			if ( onNavigate ) {
-				onNavigate( params );
-			}
-		}
-	} );
+	const pastBtn = target.closest( '.data-machine-events-past-btn' );
+	const upcomingBtn = target.closest( '.data-machine-events-upcoming-btn' );
+
+	if ( ! pastBtn && ! upcomingBtn ) {
+		return false;
+	}
+
+	e.preventDefault();
+
+	const params = getFilterState( calendar ).getUrlParams();
+	params.delete( 'paged' );
+
+	if ( pastBtn ) {
+		params.set( 'past', '1' );
+	} else {
+		params.delete( 'past' );
+	}
+
+	if ( onNavigate ) {
+		onNavigate( params, { scrollToTop: true } );
+	}
+
+	return true;
 }
 
-function initPaginationLinks(
+function handlePaginationClick(
 	calendar: HTMLElement,
-	onNavigate: ( params: URLSearchParams ) => void
-): void {
-	const paginationContainer = calendar.querySelector< HTMLElement >(
-		'.data-machine-events-pagination'
-	);
-	if ( ! paginationContainer ) {
-		return;
+	e: Event,
+	target: HTMLElement,
+	onNavigate: NavigateCallback
+): boolean {
+	if ( ! target.closest( '.data-machine-events-pagination' ) ) {
+		return false;
 	}
 
-	paginationContainer.addEventListener( 'click', function ( e: Event ) {
-		const target = e.target as HTMLElement;
-		const link = target.closest< HTMLAnchorElement >( 'a' );
-		if ( ! link ) {
-			return;
-		}
+	const link = target.closest< HTMLAnchorElement >( 'a' );
+	if ( ! link ) {
+		return false;
+	}
 
-		e.preventDefault();
+	e.preventDefault();
 
-		const url = new URL( link.href );
-		const params = new URLSearchParams( url.search );
+	// Only the page number comes from the link: it also carries every other
+	// calendar's params, and this one's sit under its URL prefix.
+	const url = new URL( link.href );
+	const page =
+		parseInt(
+			url.searchParams.get(
+				getFilterState( calendar ).getUrlPrefix() + 'paged'
+			) || '1',
+			10
+		) || 1;
 
-		if ( onNavigate ) {
-			onNavigate( params );
-		}
-	} );
+	const params = new URLSearchParams( getRenderedQuery( calendar ) );
+	if ( page > 1 ) {
+		params.set( 'paged', String( page ) );
+	} else {
+		params.delete( 'paged' );
+	}
+
+	if ( onNavigate ) {
+		onNavigate( params, { scrollToTop: true } );
+	}
+
+	return true;
 }
@@ -0,0 +1,175 @@
+/**
+ * "Near me" control in the calendar filter bar.
+ *
+ * Asks the browser for the visitor's position (`navigator.geolocation`),
+ * rounds it to about 100 m, remembers it through FilterStateManager, and
+ * re-fetches the calendar with `lat`/`lng`/`radius`. An events map on the
+ * page is asked to follow (`data-machine-map-recenter`) and to mark the
+ * position (`data-machine-map-set-user-location`).
+ *
+ * The position only leaves the browser as params of the calendar's own REST
+ * route; it is never reverse-geocoded or sent to third parties. Denied,
+ * unavailable, and timed-out lookups show a message next to the button.
+ */
+
+import { getFilterState } from './filter-state';
+import { getDatePicker } from './date-picker';
+import { applyLocation } from './location-search';
+
+import type { GeoContext } from '../types';
+
+const COORDINATE_PRECISION = 3;
+const GEOLOCATION_OPTIONS: PositionOptions = {
+	enableHighAccuracy: false,
+	timeout: 10000,
+	maximumAge: 5 * 60 * 1000,
+};
+
+const initialized = new WeakSet< HTMLElement >();
+
+/**
+ * @param calendar   Calendar root element.
+ * @param onNavigate Navigate to params with the visitor's position applied.
+ */
+export function initNearMe(
+	calendar: HTMLElement,
+	onNavigate: ( params: URLSearchParams ) => void
+): void {
+	if ( initialized.has( calendar ) ) {
+		return;
+	}
+
+	const button = calendar.querySelector< HTMLButtonElement >(
+		'.data-machine-events-near-me'
+	);
+	// Geolocation needs a secure context; without it the control stays hidden.
+	if ( ! button || ! window.isSecureContext || ! navigator.geolocation ) {
+		return;
+	}
+
+	button.hidden = false;
+
+	button.addEventListener( 'click', function () {
+		if ( button.getAttribute( 'aria-busy' ) === 'true' ) {
+			return;
+		}
+
+		button.setAttribute( 'aria-busy', 'true' );
+		setStatus( calendar, button.dataset.locatingLabel || '' );
+
+		navigator.geolocation.getCurrentPosition(
+			function ( position ) {
+				button.removeAttribute( 'aria-busy' );
+				applyPosition( calendar, button, position, onNavigate );
+			},
+			function ( error ) {
+				button.removeAttribute( 'aria-busy' );
+				setStatus( calendar, getErrorMessage( button, error ), true );
+			},
+			GEOLOCATION_OPTIONS
+		);
+	} );
+
+	initialized.add( calendar );
+}
+
+/* ------------------------------------------------------------------ */
+/*  Internal helpers                                                   */
+/* ------------------------------------------------------------------ */
+
+function applyPosition(
+	calendar: HTMLElement,
+	button: HTMLButtonElement,
+	position: GeolocationPosition,
+	onNavigate: ( params: URLSearchParams ) => void
+): void {
+	const filterState = getFilterState( calendar );
+	const label = button.dataset.locatedLabel || '';
+
+	const geo: GeoContext = {
+		lat: position.coords.latitude.toFixed( COORDINATE_PRECISION ),
+		lng: position.coords.longitude.toFixed( COORDINATE_PRECISION ),
+		...getRadius( calendar ),
+	};
+
+	filterState.saveGeoToStorage( { ...geo, label } );
+
+	// Let the location control carry the position forward.
+	applyLocation( calendar, geo, label );
+
+	const params = filterState.buildParams( getDatePicker( calendar ) );
+	params.set( 'lat', geo.lat );
+	params.set( 'lng', geo.lng );
+	params.set( 'radius', String( geo.radius ) );
+	params.set( 'radius_unit', geo.radius_unit );
+
+	setStatus( calendar, button.dataset.successLabel || '' );
+	onNavigate( params );
+
+	const detail = {
+		lat: parseFloat( geo.lat ),
+		lng: parseFloat( geo.lng ),
+	};
+	document.dispatchEvent(
+		new CustomEvent( 'data-machine-map-set-user-location', { detail } )
+	);
+	document.dispatchEvent(
+		new CustomEvent( 'data-machine-map-recenter', { detail } )
+	);
+}
+
+/**
+ * Radius from the radius select when there is one, else the current geo
+ * context (URL, block attributes, or the last stored location).
+ */
+function getRadius(
+	calendar: HTMLElement
+): Pick< GeoContext, 'radius' | 'radius_unit' > {
+	const radiusSelect = calendar.querySelector< HTMLSelectElement >(
+		'.data-machine-events-radius-select'
+	);
+	if ( radiusSelect ) {
+		return {
+			radius: parseInt( radiusSelect.value, 10 ) || 25,
+			radius_unit:
+				( radiusSelect.dataset.radiusUnit as GeoContext[ 'radius_unit' ] ) ||
+				'mi',
+		};
+	}
+
+	const current = getFilterState( calendar ).getGeoContext();
+	return {
+		radius: current.radius || 25,
+		radius_unit: current.radius_unit || 'mi',
+	};
+}
+
+function getErrorMessage(
+	button: HTMLButtonElement,
+	error: GeolocationPositionError
+): string {
+	switch ( error.code ) {
+		case error.PERMISSION_DENIED:
+			return button.dataset.errorDenied || '';
+		case error.TIMEOUT:
+			return button.dataset.errorTimeout || '';
+		default:
+			return button.dataset.errorUnavailable || '';
+	}
+}
+
+function setStatus(
+	calendar: HTMLElement,
+	message: string,
+	isError: boolean = false
+): void {
+	const status = calendar.querySelector< HTMLElement >(
+		'.data-machine-events-near-me-status'
+	);
+	if ( ! status ) {
+		return;
+	}
+
+	status.textContent = message;
+	status.classList.toggle( 'is-error', isError );
+}
@@ -0,0 +1,285 @@
+/**
+ * Public JavaScript API: `window.DataMachineEvents`.
+ *
+ * Lets themes and other plugins drive calendars without reading their
+ * markup or URL params:
+ *
+ *     const api = window.DataMachineEvents;
+ *     api.setFilters( 'data-machine-calendar-1', { scope: 'this-weekend' } );
+ *     api.setGeo( undefined, { lat: '30.267', lng: '-97.743', radius: 10 } );
+ *     const off = api.on( 'loaded', ( { calendar } ) => {
+ *         console.log( calendar.id, calendar.state.tax_filter );
+ *     } );
+ *
+ * Methods act on one calendar (its `data-instance-id` or root element) or,
+ * without a target, on every calendar on the page. Filter changes go
+ * through the same path as the filter bar: the URL, history, controls, and
+ * presets stay in sync. Events are described in calendar-events.ts.
+ */
+
+import { getFilterState } from './filter-state';
+import { getRenderedQuery, startRefresh } from './calendar-refresh';
+import { clearCalendarCache } from './api-client';
+import {
+	getCalendarHandle,
+	onCalendarEvent,
+	offCalendarEvent,
+} from './calendar-events';
+
+import type {
+	CalendarFilterUpdate,
+	CalendarTarget,
+	DataMachineEventsApi,
+	GeoContext,
+} from '../types';
+
+declare global {
+	interface Window {
+		DataMachineEvents?: DataMachineEventsApi;
+	}
+}
+
+export interface PublicApiHandlers {
+	/** Navigate a calendar to params (history entry plus in-place refresh). */
+	navigate: ( calendar: HTMLElement, params: URLSearchParams ) => void;
+	/** Reflect the URL in a calendar's filter controls. */
+	syncControls: ( calendar: HTMLElement ) => void;
+}
+
+/**
+ * Install `window.DataMachineEvents` (once per page).
+ */
+export function initPublicApi( handlers: PublicApiHandlers ): void {
+	if ( window.DataMachineEvents ) {
+		return;
+	}
+
+	function setFilters(
+		target: CalendarTarget,
+		filters: CalendarFilterUpdate,
+		options: { replace?: boolean } = {}
+	): void {
+		resolveCalendars( target ).forEach( function ( calendar ) {
+			const current = new URLSearchParams( getRenderedQuery( calendar ) );
+			const params = applyFilterUpdate(
+				calendar,
+				options.replace ? new URLSearchParams() : current,
+				filters
+			);
+
+			if ( params.toString() === current.toString() ) {
+				return;
+			}
+
+			handlers.navigate( calendar, params );
+			handlers.syncControls( calendar );
+		} );
+	}
+
+	window.DataMachineEvents = {
+		getCalendars() {
+			return resolveCalendars( undefined ).map( function ( calendar ) {
+				return getCalendarHandle(
+					calendar,
+					new URLSearchParams( getRenderedQuery( calendar ) )
+				);
+			} );
+		},
+
+		setFilters,
+
+		setGeo( target: CalendarTarget, geo: Partial< GeoContext > | null ) {
+			const hasGeo = !! ( geo && geo.lat && geo.lng );
+
+			// Remember the location like the filter bar's own controls do.
+			resolveCalendars( target ).forEach( function ( calendar ) {
+				const filterState = getFilterState( calendar );
+				if ( hasGeo && geo ) {
+					filterState.saveGeoToStorage( {
+						lat: String( geo.lat ),
+						lng: String( geo.lng ),
+						radius: geo.radius || 25,
+						radius_unit: geo.radius_unit || 'mi',
+						label: geo.label || '',
+					} );
+				} else {
+					filterState.clearGeoStorage();
+				}
+			} );
+
+			setFilters( target, { geo: hasGeo ? geo : null } );
+
+			if ( hasGeo && geo ) {
+				document.dispatchEvent(
+					new CustomEvent( 'data-machine-map-recenter', {
+						detail: {
+							lat: parseFloat( String( geo.lat ) ),
+							lng: parseFloat( String( geo.lng ) ),
+						},
+					} )
+				);
+			}
+		},
+
+		refresh( target?: CalendarTarget ) {
+			clearCalendarCache();
+
+			resolveCalendars( target ).forEach( function ( calendar ) {
+				startRefresh(
+					calendar,
+					new URLSearchParams( getRenderedQuery( calendar ) ),
+					{ history: 'none' }
+				);
+			} );
+		},
+
+		on: onCalendarEvent,
+		off: offCalendarEvent,
+	};
+}
+
+/* ------------------------------------------------------------------ */
+/*  Internal helpers                                                   */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Initialized calendars matching a target (all of them without one).
+ */
+function resolveCalendars( target: CalendarTarget ): HTMLElement[] {
+	const calendars = Array.from(
+		document.querySelectorAll< HTMLElement >(
+			'.data-machine-events-calendar[data-dm-initialized="true"]'
+		)
+	);
+
+	if ( target === undefined ) {
+		return calendars;
+	}
+
+	return calendars.filter( ( calendar ) =>
+		typeof target === 'string'
+			? calendar.dataset.instanceId === target
+			: calendar === target
+	);
+}
+
+/**
+ * Apply a filter update to a calendar's params. Any change starts over on
+ * the first page.
+ */
+function applyFilterUpdate(
+	calendar: HTMLElement,
+	current: URLSearchParams,
+	filters: CalendarFilterUpdate
+): URLSearchParams {
+	const params = new URLSearchParams( current );
+	params.delete( 'paged' );
+
+	setOrDelete( params, 'event_search', filters.event_search );
+
+	// Scope and a date range are mutually exclusive, as in the filter bar.
+	if ( filters.scope !== undefined ) {
+		setOrDelete( params, 'scope', filters.scope );
+		if ( filters.scope ) {
+			params.delete( 'date_start' );
+			params.delete( 'date_end' );
+		}
+	}
+	setOrDelete( params, 'date_start', filters.date_start );
+	setOrDelete( params, 'date_end', filters.date_end );
+	if ( filters.date_start || filters.date_end ) {
+		params.delete( 'scope' );
+	}
+
+	// Clearing the scope switches a block default scope off.
+	if (
+		filters.scope === '' &&
+		calendar.dataset.scope &&
+		! params.has( 'date_start' ) &&
+		! params.has( 'date_end' )
+	) {
+		params.set( 'scope', 'current' );
+	}
+
+	if ( filters.past !== undefined ) {
+		setOrDelete( params, 'past', filters.past ? '1' : '' );
+	}
+
+	if ( filters.tax_filter !== undefined ) {
+		Array.from( params.keys() )
+			.filter( ( key ) => key.startsWith( 'tax_filter[' ) )
+			.forEach( ( key ) => params.delete( key ) );
+
+		Object.entries( filters.tax_filter ).forEach(
+			( [ taxonomy, termIds ] ) => {
+				termIds.forEach( ( termId ) => {
+					params.append(
+						`tax_filter[${ taxonomy }][]`,
+						String( termId )
+					);
+				} );
+			}
+		);
+	}
+
+	if ( filters.geo !== undefined ) {
+		const geo = filters.geo;
+		if ( geo && geo.lat && geo.lng ) {
+			params.set( 'lat', String( geo.lat ) );
+			params.set( 'lng', String( geo.lng ) );
+			params.set(
+				'radius',
+				String( geo.radius || params.get( 'radius' ) || 25 )
+			);
+			params.set(
+				'radius_unit',
+				geo.radius_unit || params.get( 'radius_unit' ) || 'mi'
+			);
+		} else {
+			[ 'lat', 'lng', 'radius', 'radius_unit' ].forEach( ( key ) =>
+				params.delete( key )
+			);
+		}
+	}
+
+	// The URL omits the view when it matches the block default.
+	if ( filters.view !== undefined ) {
+		setOrDelete(
+			params,
+			'view',
+			filters.view === ( calendar.dataset.defaultView || 'list' )
+				? ''
+				: filters.view
+		);
+	}
+	setOrDelete( params, 'month', filters.month );
+	if ( filters.view === 'list' ) {
+		params.delete( 'month' );
+	}
+
+	if ( filters.saved !== undefined ) {
+		setOrDelete( params, 'saved', filters.saved ? '1' : '' );
+	}
+
+	return params;
+}
+
+/**
+ * Set a param to a value, or drop it for an empty value. `undefined`
+ * leaves the param alone.
+ */
+function setOrDelete(
+	params: URLSearchParams,
+	key: string,
+	value: string | undefined
+): void {
+	if ( value === undefined ) {
+		return;
+	}
+
+	if ( value ) {
+		params.set( key, value );
+	} else {
+		params.delete( key );
+	}
+}
@@ -0,0 +1,84 @@
+/**
+ * In-memory LRU cache for REST responses.
+ *
+ * Entries are fresh for `ttl` ms, then served as stale (for
+ * stale-while-revalidate) until `maxAge` ms, after which they are dropped.
+ * Map insertion order doubles as recency order: reads re-insert the entry,
+ * and the oldest key is evicted once `maxEntries` is exceeded.
+ */
+
+export interface CacheHit< T > {
+	data: T;
+	stale: boolean;
+}
+
+interface CacheEntry< T > {
+	data: T;
+	storedAt: number;
+}
+
+export class ResponseCache< T > {
+	private entries = new Map< string, CacheEntry< T > >();
+
+	constructor(
+		private maxEntries = 20,
+		private ttl = 30 * 1000,
+		private maxAge = 5 * 60 * 1000
+	) {}
+
+	get( key: string ): CacheHit< T > | null {
+		const entry = this.entries.get( key );
+		if ( ! entry ) {
+			return null;
+		}
+
+		const age = Date.now() - entry.storedAt;
+		if ( age > this.maxAge ) {
+			this.entries.delete( key );
+			return null;
+		}
+
+		// Mark as most recently used.
+		this.entries.delete( key );
+		this.entries.set( key, entry );
+
+		return { data: entry.data, stale: age > this.ttl };
+	}
+
+	set( key: string, data: T ): void {
+		this.entries.delete( key );
+		this.entries.set( key, { data, storedAt: Date.now() } );
+
+		while ( this.entries.size > this.maxEntries ) {
+			const oldest = this.entries.keys().next().value;
+			if ( oldest === undefined ) {
+				break;
+			}
+			this.entries.delete( oldest );
+		}
+	}
+
+	clear(): void {
+		this.entries.clear();
+	}
+}
+
+/**
+ * Build a cache key from params, independent of param order.
+ *
+ * Empty values are dropped so `?a=&b=1` and `?b=1` share an entry.
+ */
+export function normalizeParams( params: URLSearchParams ): string {
+	const entries = Array.from( params.entries() ).filter(
+		( [ , value ] ) => value !== ''
+	);
+
+	entries.sort( ( a, b ) => {
+		if ( a[ 0 ] !== b[ 0 ] ) {
+			return a[ 0 ] < b[ 0 ] ? -1 : 1;
+		}
+		return a[ 1 ] < b[ 1 ] ? -1 : a[ 1 ] > b[ 1 ] ? 1 : 0;
+	} );
+
+	return new URLSearchParams( entries ).toString();
+}
@@ -0,0 +1,383 @@
+/**
+ * Saved events ("My shows").
+ *
+ * Each card's add-to-calendar cluster carries a save toggle
+ * (`templates/add-to-calendar.php`). Saved events are kept in localStorage
+ * by FilterStateManager together with their end time, so events that are
+ * over drop off the list by themselves. The filter bar's "Saved" button
+ * narrows the calendar to the saved list (`saved=1` in the URL, sent to the
+ * REST API as `event_ids`), shows how many events are saved, and offers the
+ * list as a shareable link, a calendar subscription, or an .ics download.
+ *
+ * Toggles stay in sync across re-renders (MutationObserver), every calendar
+ * on the page, and other tabs (`storage` event).
+ */
+
+import { getFilterState, SAVED_STORAGE_KEY } from './filter-state';
+
+/**
+ * Window event dispatched whenever the saved list changes.
+ */
+const CHANGE_EVENT = 'data-machine-saved-events-changed';
+
+interface SavedEventsState {
+	observer: MutationObserver | null;
+	copyTimeout: ReturnType< typeof setTimeout > | undefined;
+	changeHandler: () => void;
+	storageHandler: ( e: StorageEvent ) => void;
+	documentClickHandler: ( e: Event ) => void;
+	keydownHandler: ( e: KeyboardEvent ) => void;
+}
+
+const instances = new WeakMap< HTMLElement, SavedEventsState >();
+
+/**
+ * @param calendar          Calendar root element.
+ * @param onFilterChange    Rebuild params from the UI and navigate.
+ * @param onSavedListChange Re-fetch the current view (saved filter active).
+ */
+export function initSavedEvents(
+	calendar: HTMLElement,
+	onFilterChange: () => void,
+	onSavedListChange: () => void
+): void {
+	if ( instances.has( calendar ) ) {
+		return;
+	}
+
+	calendar.classList.add( 'data-machine-events-saving' );
+
+	const group = calendar.querySelector< HTMLElement >(
+		'.data-machine-events-saved'
+	);
+	if ( group ) {
+		group.hidden = false;
+	}
+
+	const state: SavedEventsState = {
+		observer: null,
+		copyTimeout: undefined,
+		changeHandler() {
+			syncSavedEvents( calendar );
+			if ( isSavedFilterActive( calendar ) ) {
+				onSavedListChange();
+			}
+		},
+		storageHandler( e: StorageEvent ) {
+			if ( e.key === null || e.key === SAVED_STORAGE_KEY ) {
+				state.changeHandler();
+			}
+		},
+		documentClickHandler( e: Event ) {
+			const target = e.target as HTMLElement;
+			if ( ! target.closest( '.data-machine-events-saved-share' ) ) {
+				closeShareMenu( calendar, false );
+			}
+		},
+		keydownHandler( e: KeyboardEvent ) {
+			if ( e.key === 'Escape' ) {
+				closeShareMenu( calendar, true );
+			}
+		},
+	};
+
+	calendar.addEventListener( 'click', function ( e: Event ) {
+		const target = e.target as HTMLElement;
+
+		const saveButton = target.closest< HTMLElement >(
+			'.data-machine-event-save'
+		);
+		if ( saveButton ) {
+			toggleSaved( calendar, saveButton );
+			return;
+		}
+
+		const savedToggle = target.closest< HTMLElement >(
+			'.data-machine-events-saved-toggle'
+		);
+		if ( savedToggle ) {
+			savedToggle.setAttribute(
+				'aria-pressed',
+				isSavedFilterActive( calendar ) ? 'false' : 'true'
+			);
+			onFilterChange();
+			return;
+		}
+
+		const sharedClear = target.closest(
+			'.data-machine-events-shared-clear'
+		);
+		if ( sharedClear ) {
+			const sharedList = sharedClear.closest< HTMLElement >(
+				'.data-machine-events-shared-list'
+			);
+			if ( sharedList ) {
+				sharedList.hidden = true;
+			}
+			onFilterChange();
+			return;
+		}
+
+		const copyButton = target.closest< HTMLButtonElement >(
+			'.data-machine-events-saved-copy'
+		);
+		if ( copyButton ) {
+			copyShareLink( calendar, copyButton, state );
+			return;
+		}
+
+		const shareLink = target.closest(
+			'.data-machine-events-saved-subscribe, .data-machine-events-saved-ics'
+		);
+		if ( shareLink && shareLink.getAttribute( 'aria-disabled' ) === 'true' ) {
+			e.preventDefault();
+		}
+	} );
+
+	window.addEventListener( CHANGE_EVENT, state.changeHandler );
+	window.addEventListener( 'storage', state.storageHandler );
+	document.addEventListener( 'click', state.documentClickHandler );
+	document.addEventListener( 'keydown', state.keydownHandler );
+
+	const content = calendar.querySelector(
+		'.data-machine-events-content'
+	);
+	if ( content && typeof MutationObserver !== 'undefined' ) {
+		state.observer = new MutationObserver( function () {
+			syncSaveButtons( calendar, getSavedIds( calendar ) );
+		} );
+		state.observer.observe( content, { childList: true, subtree: true } );
+	}
+
+	instances.set( calendar, state );
+
+	syncSavedEvents( calendar );
+}
+
+export function destroySavedEvents( calendar: HTMLElement ): void {
+	const state = instances.get( calendar );
+	if ( ! state ) {
+		return;
+	}
+
+	window.removeEventListener( CHANGE_EVENT, state.changeHandler );
+	window.removeEventListener( 'storage', state.storageHandler );
+	document.removeEventListener( 'click', state.documentClickHandler );
+	document.removeEventListener( 'keydown', state.keydownHandler );
+	state.observer?.disconnect();
+	clearTimeout( state.copyTimeout );
+
+	instances.delete( calendar );
+}
+
+/**
+ * Reflect URL state in the "Saved" toggle and the shared-list chip.
+ */
+export function syncSavedControlsFromUrl( calendar: HTMLElement ): void {
+	const filterState = getFilterState( calendar );
+
+	calendar
+		.querySelector( '.data-machine-events-saved-toggle' )
+		?.setAttribute(
+			'aria-pressed',
+			filterState.isSavedOnly() ? 'true' : 'false'
+		);
+
+	const sharedList = calendar.querySelector< HTMLElement >(
+		'.data-machine-events-shared-list'
+	);
+	if ( ! sharedList ) {
+		return;
+	}
+
+	const sharedIds = filterState.getSharedEventIds();
+	sharedList.dataset.eventIds = sharedIds.join( ',' );
+	sharedList.hidden = sharedIds.length === 0;
+
+	const count = sharedList.querySelector(
+		'.data-machine-events-shared-count'
+	);
+	if ( count ) {
+		count.textContent = String( sharedIds.length );
+	}
+}
+
+/* ------------------------------------------------------------------ */
+/*  Internal helpers                                                   */
+/* ------------------------------------------------------------------ */
+
+function getSavedIds( calendar: HTMLElement ): Set< number > {
+	return new Set(
+		getFilterState( calendar )
+			.getSavedEvents()
+			.map( ( event ) => event.id )
+	);
+}
+
+function isSavedFilterActive( calendar: HTMLElement ): boolean {
+	return (
+		calendar
+			.querySelector( '.data-machine-events-saved-toggle' )
+			?.getAttribute( 'aria-pressed' ) === 'true'
+	);
+}
+
+/**
+ * Add or remove the button's event from the saved list.
+ */
+function toggleSaved( calendar: HTMLElement, button: HTMLElement ): void {
+	const id = parseInt( button.dataset.eventId || '0', 10 );
+	if ( ! id ) {
+		return;
+	}
+
+	const filterState = getFilterState( calendar );
+	const saved = filterState.getSavedEvents();
+	const index = saved.findIndex( ( event ) => event.id === id );
+
+	if ( index === -1 ) {
+		saved.push( { id, end: button.dataset.eventEnd || '' } );
+	} else {
+		saved.splice( index, 1 );
+	}
+
+	filterState.saveSavedEvents( saved );
+
+	// Every calendar on the page listens, including this one.
+	window.dispatchEvent( new CustomEvent( CHANGE_EVENT ) );
+}
+
+function syncSaveButtons( calendar: HTMLElement, savedIds: Set< number > ): void {
+	calendar
+		.querySelectorAll< HTMLElement >( '.data-machine-event-save' )
+		.forEach( function ( button ) {
+			const saved = savedIds.has(
+				parseInt( button.dataset.eventId || '0', 10 )
+			);
+			const pressed = saved ? 'true' : 'false';
+			if ( button.getAttribute( 'aria-pressed' ) === pressed ) {
+				return;
+			}
+
+			button.setAttribute( 'aria-pressed', pressed );
+
+			const icon = button.querySelector( '.dashicons' );
+			icon?.classList.toggle( 'dashicons-star-filled', saved );
+			icon?.classList.toggle( 'dashicons-star-empty', ! saved );
+		} );
+}
+
+/**
+ * Mirror the saved list onto the card toggles, the count badge, and the
+ * share links.
+ */
+function syncSavedEvents( calendar: HTMLElement ): void {
+	const savedIds = getSavedIds( calendar );
+
+	syncSaveButtons( calendar, savedIds );
+
+	const count = calendar.querySelector( '.data-machine-events-saved-count' );
+	if ( count ) {
+		count.textContent = String( savedIds.size );
+	}
+
+	const group = calendar.querySelector< HTMLElement >(
+		'.data-machine-events-saved'
+	);
+	if ( ! group ) {
+		return;
+	}
+
+	const copyButton = group.querySelector< HTMLButtonElement >(
+		'.data-machine-events-saved-copy'
+	);
+	if ( copyButton ) {
+		copyButton.disabled = savedIds.size === 0;
+	}
+
+	const icsLink = group.querySelector< HTMLAnchorElement >(
+		'.data-machine-events-saved-ics'
+	);
+	const subscribeLink = group.querySelector< HTMLAnchorElement >(
+		'.data-machine-events-saved-subscribe'
+	);
+
+	if ( savedIds.size === 0 ) {
+		[ icsLink, subscribeLink ].forEach( function ( link ) {
+			if ( link ) {
+				link.href = '#';
+				link.setAttribute( 'aria-disabled', 'true' );
+			}
+		} );
+		return;
+	}
+
+	const url = new URL( group.dataset.icsUrl || '', window.location.href );
+	savedIds.forEach( function ( id ) {
+		url.searchParams.append( 'event_ids[]', String( id ) );
+	} );
+
+	if ( icsLink ) {
+		icsLink.href = url.toString();
+		icsLink.setAttribute( 'aria-disabled', 'false' );
+	}
+
+	// webcal:// hands the same feed to the visitor's calendar app as a subscription.
+	if ( subscribeLink ) {
+		subscribeLink.href = url.toString().replace( /^https?:/, 'webcal:' );
+		subscribeLink.setAttribute( 'aria-disabled', 'false' );
+	}
+}
+
+/**
+ * Copy a link to this page showing only the saved events.
+ */
+function copyShareLink(
+	calendar: HTMLElement,
+	button: HTMLButtonElement,
+	state: SavedEventsState
+): void {
+	const savedIds = Array.from( getSavedIds( calendar ) );
+	if ( savedIds.length === 0 ) {
+		return;
+	}
+
+	const shareUrl = getFilterState( calendar ).getShareUrl(
+		new URLSearchParams( { event_ids: savedIds.join( ',' ) } )
+	);
+
+	if ( ! navigator.clipboard ) {
+		window.prompt( button.textContent?.trim() || '', shareUrl );
+		return;
+	}
+
+	navigator.clipboard
+		.writeText( shareUrl )
+		.then( function () {
+			const label = button.dataset.label || button.textContent?.trim() || '';
+			button.dataset.label = label;
+			button.textContent = button.dataset.copiedLabel || label;
+
+			clearTimeout( state.copyTimeout );
+			state.copyTimeout = setTimeout( function () {
+				button.textContent = label;
+			}, 2000 );
+		} )
+		.catch( function () {
+			window.prompt( button.textContent?.trim() || '', shareUrl );
+		} );
+}
+
+function closeShareMenu( calendar: HTMLElement, restoreFocus: boolean ): void {
+	const menu = calendar.querySelector< HTMLDetailsElement >(
+		'.data-machine-events-saved-share[open]'
+	);
+	if ( ! menu ) {
+		return;
+	}
+
+	menu.open = false;
+	if ( restoreFocus ) {
+		menu.querySelector< HTMLElement >( 'summary' )?.focus();
+	}
+}
@@ -0,0 +1,132 @@
+/**
+ * Quick time-scope chips (today, tonight, this weekend, this week).
+ *
+ * A chip sets the `scope` URL param, which ScopeResolver turns into a date
+ * range on the server. Chips and the date picker are mutually exclusive:
+ * choosing one clears the other. Counts come from the filters endpoint
+ * (`context=scopes`) under the active taxonomy, archive, and geo filters and
+ * are refreshed after every calendar refresh.
+ */
+
+import { fetchFilters, isAbortError } from './api-client';
+import { getFilterState } from './filter-state';
+import { setDatePickerRange } from './date-picker';
+
+const initialized = new WeakSet< HTMLElement >();
+
+export function initScopeChips(
+	calendar: HTMLElement,
+	onChange: () => void
+): void {
+	if ( initialized.has( calendar ) ) {
+		return;
+	}
+
+	calendar.addEventListener( 'click', function ( e: Event ) {
+		const chip = ( e.target as HTMLElement ).closest< HTMLElement >(
+			'.data-machine-events-scope-chip'
+		);
+		if ( ! chip ) {
+			return;
+		}
+
+		const wasActive = chip.getAttribute( 'aria-pressed' ) === 'true';
+		clearScopeChips( calendar );
+
+		if ( ! wasActive ) {
+			chip.setAttribute( 'aria-pressed', 'true' );
+			setDatePickerRange( calendar, '', '' );
+		}
+
+		onChange();
+	} );
+
+	initialized.add( calendar );
+
+	updateScopeCounts( calendar );
+}
+
+/**
+ * Release every chip (a date range was picked instead).
+ */
+export function clearScopeChips( calendar: HTMLElement ): void {
+	calendar
+		.querySelectorAll( '.data-machine-events-scope-chip' )
+		.forEach( function ( chip ) {
+			chip.setAttribute( 'aria-pressed', 'false' );
+		} );
+}
+
+/**
+ * Reflect the URL scope (or the block default) in the chips.
+ */
+export function syncScopeChipsFromUrl( calendar: HTMLElement ): void {
+	const params = getFilterState( calendar ).getUrlParams();
+	const hasDates = params.has( 'date_start' ) || params.has( 'date_end' );
+	const scope = hasDates
+		? ''
+		: params.get( 'scope' ) ?? ( calendar.dataset.scope || '' );
+
+	calendar
+		.querySelectorAll< HTMLElement >( '.data-machine-events-scope-chip' )
+		.forEach( function ( chip ) {
+			chip.setAttribute(
+				'aria-pressed',
+				chip.dataset.scope === scope ? 'true' : 'false'
+			);
+		} );
+}
+
+/**
+ * Fetch per-scope event counts for the active filters and show them.
+ */
+export async function updateScopeCounts( calendar: HTMLElement ): Promise< void > {
+	const container = calendar.querySelector< HTMLElement >(
+		'.data-machine-events-scope-chips'
+	);
+	if ( ! container ) {
+		return;
+	}
+
+	const filterState = getFilterState( calendar );
+
+	try {
+		const data = await fetchFilters(
+			filterState.getTaxFilters(),
+			{},
+			filterState.getArchiveContext(),
+			filterState.getGeoContext(),
+			container,
+			'scopes',
+			filterState.getSearchQuery()
+		);
+
+		if ( ! data.success || ! data.scope_counts ) {
+			return;
+		}
+
+		const counts = data.scope_counts;
+		container
+			.querySelectorAll< HTMLElement >( '.data-machine-events-scope-chip' )
+			.forEach( function ( chip ) {
+				const count = chip.querySelector< HTMLElement >(
+					'.data-machine-events-scope-count'
+				);
+				const value = counts[ chip.dataset.scope || '' ];
+				if ( ! count || value === undefined ) {
+					return;
+				}
+
+				count.textContent = String( value );
+				count.hidden = false;
+				chip.classList.toggle(
+					'data-machine-events-scope-chip-empty',
+					value === 0
+				);
+			} );
+	} catch ( error ) {
+		if ( ! isAbortError( error ) ) {
+			console.error( 'Error fetching scope counts:', error );
+		}
+	}
+}
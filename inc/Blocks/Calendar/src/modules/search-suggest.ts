@@ -0,0 +1,426 @@
+/**
+ * Search typeahead for the calendar search input.
+ *
+ * While the visitor types, matching taxonomy terms (venues, promoters,
+ * genres, ...) and upcoming event titles are fetched from the suggest
+ * endpoint and listed under the input, following the ARIA combobox pattern:
+ * focus stays in the input, arrow keys move `aria-activedescendant` through
+ * the options, Enter picks, Escape closes. Picking a term applies it as a
+ * `tax_filter` (and drops the free text that found it); picking an event
+ * opens it. Enter with no active option runs the free-text search at once.
+ */
+
+import { __, _n, sprintf } from '@wordpress/i18n';
+
+import { fetchSuggestions, isAbortError } from './api-client';
+import { getFilterState } from './filter-state';
+import { getDatePicker } from './date-picker';
+import { escapeHtml, highlightMatch } from './event-renderer';
+
+import type { EventSuggestion, TermSuggestion } from '../types';
+
+const MIN_QUERY_LENGTH = 2;
+const SUGGEST_DELAY = 200;
+
+type SuggestionOption =
+	| { type: 'term'; term: TermSuggestion }
+	| { type: 'event'; event: EventSuggestion };
+
+interface SearchSuggestCallbacks {
+	/** Run the free-text search now. */
+	onSearch: () => void;
+	/** Navigate to params with a picked term applied. */
+	onTermPick: ( params: URLSearchParams ) => void;
+}
+
+interface SearchSuggestState {
+	input: HTMLInputElement;
+	listbox: HTMLElement;
+	status: HTMLElement | null;
+	options: SuggestionOption[];
+	activeIndex: number;
+	timeout: ReturnType< typeof setTimeout > | undefined;
+	documentClickHandler: ( e: Event ) => void;
+}
+
+const instances = new WeakMap< HTMLElement, SearchSuggestState >();
+
+export function initSearchSuggest(
+	calendar: HTMLElement,
+	input: HTMLInputElement,
+	callbacks: SearchSuggestCallbacks
+): void {
+	if ( instances.has( calendar ) ) {
+		return;
+	}
+
+	const listbox = calendar.querySelector< HTMLElement >(
+		'.data-machine-events-search-suggestions'
+	);
+	if ( ! listbox ) {
+		return;
+	}
+
+	input.setAttribute( 'role', 'combobox' );
+	input.setAttribute( 'aria-autocomplete', 'list' );
+	input.setAttribute( 'aria-expanded', 'false' );
+	input.setAttribute( 'aria-controls', listbox.id );
+	input.setAttribute( 'autocomplete', 'off' );
+
+	const state: SearchSuggestState = {
+		input,
+		listbox,
+		status: calendar.querySelector< HTMLElement >(
+			'.data-machine-events-search-status'
+		),
+		options: [],
+		activeIndex: -1,
+		timeout: undefined,
+		documentClickHandler( e: Event ) {
+			const target = e.target as HTMLElement;
+			if ( ! target.closest( '.data-machine-events-search' ) ) {
+				closeSuggestions( state );
+			}
+		},
+	};
+
+	input.addEventListener( 'input', function () {
+		clearTimeout( state.timeout );
+
+		const query = input.value.trim();
+		if ( query.length < MIN_QUERY_LENGTH ) {
+			closeSuggestions( state );
+			return;
+		}
+
+		state.timeout = setTimeout( function () {
+			loadSuggestions( calendar, state, query );
+		}, SUGGEST_DELAY );
+	} );
+
+	input.addEventListener( 'keydown', function ( e: KeyboardEvent ) {
+		const open = ! listbox.hidden;
+
+		switch ( e.key ) {
+			case 'ArrowDown':
+			case 'ArrowUp':
+				if ( state.options.length === 0 ) {
+					return;
+				}
+				e.preventDefault();
+				if ( ! open ) {
+					openSuggestions( state );
+				}
+				moveActive( state, e.key === 'ArrowDown' ? 1 : -1 );
+				break;
+
+			case 'Enter':
+				e.preventDefault();
+				if ( open && state.activeIndex >= 0 ) {
+					pickOption( calendar, state, state.activeIndex, callbacks );
+					return;
+				}
+				clearTimeout( state.timeout );
+				closeSuggestions( state );
+				callbacks.onSearch();
+				break;
+
+			case 'Escape':
+				if ( open ) {
+					e.preventDefault();
+					closeSuggestions( state );
+				}
+				break;
+
+			case 'Tab':
+				closeSuggestions( state );
+				break;
+		}
+	} );
+
+	// Keep focus in the input while an option is clicked.
+	listbox.addEventListener( 'mousedown', function ( e: MouseEvent ) {
+		e.preventDefault();
+	} );
+
+	listbox.addEventListener( 'click', function ( e: Event ) {
+		const option = ( e.target as HTMLElement ).closest< HTMLElement >(
+			'[role="option"]'
+		);
+		if ( option ) {
+			pickOption(
+				calendar,
+				state,
+				parseInt( option.dataset.index || '-1', 10 ),
+				callbacks
+			);
+		}
+	} );
+
+	document.addEventListener( 'click', state.documentClickHandler );
+
+	instances.set( calendar, state );
+}
+
+export function destroySearchSuggest( calendar: HTMLElement ): void {
+	const state = instances.get( calendar );
+	if ( ! state ) {
+		return;
+	}
+
+	clearTimeout( state.timeout );
+	document.removeEventListener( 'click', state.documentClickHandler );
+
+	instances.delete( calendar );
+}
+
+/* ------------------------------------------------------------------ */
+/*  Internal helpers                                                   */
+/* ------------------------------------------------------------------ */
+
+async function loadSuggestions(
+	calendar: HTMLElement,
+	state: SearchSuggestState,
+	query: string
+): Promise< void > {
+	try {
+		const data = await fetchSuggestions(
+			query,
+			getFilterState( calendar ).getArchiveContext(),
+			state.listbox
+		);
+
+		// The visitor kept typing (or cleared the input) meanwhile.
+		if ( ! data.success || state.input.value.trim() !== query ) {
+			return;
+		}
+
+		state.options = [
+			...data.terms.map(
+				( term ): SuggestionOption => ( { type: 'term', term } )
+			),
+			...data.events.map(
+				( event ): SuggestionOption => ( { type: 'event', event } )
+			),
+		];
+
+		renderSuggestions( state, query );
+	} catch ( error ) {
+		if ( ! isAbortError( error ) ) {
+			console.error( 'Error fetching search suggestions:', error );
+		}
+	}
+}
+
+/**
+ * Render the options, grouped under their taxonomy (or "Events") label.
+ */
+function renderSuggestions( state: SearchSuggestState, query: string ): void {
+	const { listbox } = state;
+	state.activeIndex = -1;
+	state.input.removeAttribute( 'aria-activedescendant' );
+
+	if ( state.options.length === 0 ) {
+		listbox.innerHTML = '';
+		closeSuggestions( state );
+		announce( state, __( 'No suggestions', 'data-machine-events' ) );
+		return;
+	}
+
+	let html = '';
+	let currentGroup = '';
+
+	state.options.forEach( function ( option, index ) {
+		const group =
+			option.type === 'term' ? option.term.taxonomy : 'events';
+
+		if ( group !== currentGroup ) {
+			if ( currentGroup ) {
+				html += '</div>';
+			}
+			currentGroup = group;
+
+			const label =
+				option.type === 'term'
+					? option.term.taxonomy_label
+					: __( 'Events', 'data-machine-events' );
+			const labelId = `${ listbox.id }-group-${ group }`;
+
+			html +=
+				'<div role="group" class="data-machine-events-suggestion-group" aria-labelledby="' +
+				labelId +
+				'">' +
+				'<div role="presentation" class="data-machine-events-suggestion-group-label" id="' +
+				labelId +
+				'">' +
+				escapeHtml( label ) +
+				'</div>';
+		}
+
+		const name =
+			option.type === 'term' ? option.term.name : option.event.title;
+		const meta =
+			option.type === 'term'
+				? sprintf(
+						/* translators: %d: number of upcoming events for a term */
+						_n(
+							'%d event',
+							'%d events',
+							option.term.event_count,
+							'data-machine-events'
+						),
+						option.term.event_count
+				  )
+				: option.event.date;
+
+		html +=
+			'<div role="option" aria-selected="false" class="data-machine-events-suggestion data-machine-events-suggestion-' +
+			option.type +
+			'" id="' +
+			getOptionId( state, index ) +
+			'" data-index="' +
+			index +
+			'">' +
+			'<span class="data-machine-events-suggestion-name">' +
+			highlightMatch( name, query ) +
+			'</span>' +
+			'<span class="data-machine-events-suggestion-meta">' +
+			escapeHtml( meta ) +
+			'</span>' +
+			'</div>';
+	} );
+
+	html += '</div>';
+	listbox.innerHTML = html;
+
+	openSuggestions( state );
+	announce(
+		state,
+		sprintf(
+			/* translators: %d: number of suggestions */
+			_n(
+				'%d suggestion available',
+				'%d suggestions available',
+				state.options.length,
+				'data-machine-events'
+			),
+			state.options.length
+		)
+	);
+}
+
+function getOptionId( state: SearchSuggestState, index: number ): string {
+	return `${ state.listbox.id }-option-${ index }`;
+}
+
+function openSuggestions( state: SearchSuggestState ): void {
+	state.listbox.hidden = false;
+	state.input.setAttribute( 'aria-expanded', 'true' );
+}
+
+function closeSuggestions( state: SearchSuggestState ): void {
+	state.listbox.hidden = true;
+	state.input.setAttribute( 'aria-expanded', 'false' );
+	setActive( state, -1 );
+}
+
+/**
+ * Move the active option by `step`, wrapping around either end.
+ */
+function moveActive( state: SearchSuggestState, step: number ): void {
+	const count = state.options.length;
+	const next =
+		state.activeIndex === -1 && step < 0
+			? count - 1
+			: ( state.activeIndex + step + count ) % count;
+
+	setActive( state, next );
+}
+
+function setActive( state: SearchSuggestState, index: number ): void {
+	state.listbox
+		.querySelectorAll< HTMLElement >( '[role="option"]' )
+		.forEach( function ( option ) {
+			const active = option.dataset.index === String( index );
+			option.setAttribute( 'aria-selected', active ? 'true' : 'false' );
+			option.classList.toggle( 'is-active', active );
+			if ( active ) {
+				option.scrollIntoView( { block: 'nearest' } );
+			}
+		} );
+
+	state.activeIndex = index;
+
+	if ( index >= 0 ) {
+		state.input.setAttribute(
+			'aria-activedescendant',
+			getOptionId( state, index )
+		);
+	} else {
+		state.input.removeAttribute( 'aria-activedescendant' );
+	}
+}
+
+function pickOption(
+	calendar: HTMLElement,
+	state: SearchSuggestState,
+	index: number,
+	callbacks: SearchSuggestCallbacks
+): void {
+	const option = state.options[ index ];
+	if ( ! option ) {
+		return;
+	}
+
+	clearTimeout( state.timeout );
+	closeSuggestions( state );
+
+	if ( option.type === 'event' ) {
+		window.location.assign( option.event.permalink );
+		return;
+	}
+
+	callbacks.onTermPick( applyTerm( calendar, state, option.term ) );
+}
+
+/**
+ * Swap the free text for the picked term's taxonomy filter.
+ */
+function applyTerm(
+	calendar: HTMLElement,
+	state: SearchSuggestState,
+	term: TermSuggestion
+): URLSearchParams {
+	state.input.value = '';
+
+	// Keep the filter modal (if loaded) in step with the new filter.
+	calendar
+		.querySelectorAll< HTMLInputElement >(
+			'.data-machine-taxonomy-modal input[type="checkbox"]'
+		)
+		.forEach( function ( checkbox ) {
+			if (
+				checkbox.dataset.taxonomy === term.taxonomy &&
+				checkbox.value === String( term.term_id )
+			) {
+				checkbox.checked = true;
+			}
+		} );
+
+	const params = getFilterState( calendar ).buildParams(
+		getDatePicker( calendar )
+	);
+
+	const key = `tax_filter[${ term.taxonomy }][]`;
+	if ( ! params.getAll( key ).includes( String( term.term_id ) ) ) {
+		params.append( key, String( term.term_id ) );
+	}
+
+	return params;
+}
+
+function announce( state: SearchSuggestState, message: string ): void {
+	if ( state.status ) {
+		state.status.textContent = message;
+	}
+}
@@ -0,0 +1,220 @@
+/**
+ * Venue time / my time toggle for event times.
+ *
+ * Cards are rendered in the venue's timezone. Their time elements carry
+ * the start (and end) instant as ISO 8601 with offset (`data-start`,
+ * `data-end`), so "my time" reformats them in the visitor's timezone with
+ * `Intl.DateTimeFormat`, and "venue time" restores the rendered text. The
+ * choice is a visitor preference shared by every calendar, like saved
+ * events.
+ */
+
+import type { TimeZoneMode } from '../types';
+
+export const TIME_ZONE_STORAGE_KEY = 'data_machine_events_time_zone';
+
+const TIME_SELECTOR =
+	'.data-machine-event-time[data-start], .data-machine-month-event-time[data-start]';
+
+const initialized = new WeakSet< HTMLElement >();
+
+/**
+ * Show the calendar's toggle and apply the stored mode to its cards.
+ *
+ * The toggle is rendered hidden: without JavaScript only venue time works.
+ */
+export function initTimeZoneToggle( calendar: HTMLElement ): void {
+	if ( initialized.has( calendar ) ) {
+		return;
+	}
+	initialized.add( calendar );
+
+	const toggle = calendar.querySelector< HTMLElement >(
+		'.data-machine-events-time-zone-toggle'
+	);
+	if ( toggle ) {
+		toggle.hidden = false;
+		syncToggle( toggle, getTimeZoneMode() );
+
+		toggle.addEventListener( 'click', function ( e: Event ) {
+			const button = ( e.target as HTMLElement ).closest< HTMLElement >(
+				'.data-machine-events-time-zone-btn'
+			);
+			if ( button ) {
+				setTimeZoneMode(
+					button.dataset.timeZoneMode === 'viewer' ? 'viewer' : 'venue'
+				);
+			}
+		} );
+	}
+
+	applyTimeZone( calendar );
+}
+
+/**
+ * Get the visitor's stored choice (default: venue time).
+ */
+export function getTimeZoneMode(): TimeZoneMode {
+	try {
+		return localStorage.getItem( TIME_ZONE_STORAGE_KEY ) === 'viewer'
+			? 'viewer'
+			: 'venue';
+	} catch {
+		// localStorage unavailable
+		return 'venue';
+	}
+}
+
+/**
+ * Store a choice and apply it to every calendar on the page.
+ */
+export function setTimeZoneMode( mode: TimeZoneMode ): void {
+	try {
+		if ( mode === 'viewer' ) {
+			localStorage.setItem( TIME_ZONE_STORAGE_KEY, mode );
+		} else {
+			localStorage.removeItem( TIME_ZONE_STORAGE_KEY );
+		}
+	} catch {
+		// localStorage unavailable
+	}
+
+	document
+		.querySelectorAll< HTMLElement >( '.data-machine-events-calendar' )
+		.forEach( function ( calendar ) {
+			const toggle = calendar.querySelector< HTMLElement >(
+				'.data-machine-events-time-zone-toggle'
+			);
+			if ( toggle ) {
+				syncToggle( toggle, mode );
+			}
+			applyTimeZone( calendar, mode );
+		} );
+}
+
+/**
+ * Show the event times inside `root` in the given (default: stored) mode.
+ *
+ * Runs on server-rendered cards and again on each hydrated or swapped-in
+ * card (see lazy-render.ts).
+ */
+export function applyTimeZone(
+	root: HTMLElement,
+	mode: TimeZoneMode = getTimeZoneMode()
+): void {
+	root.querySelectorAll< HTMLElement >( TIME_SELECTOR ).forEach(
+		function ( element ) {
+			updateTime( element, mode );
+		}
+	);
+}
+
+function syncToggle( toggle: HTMLElement, mode: TimeZoneMode ): void {
+	toggle
+		.querySelectorAll< HTMLElement >( '.data-machine-events-time-zone-btn' )
+		.forEach( function ( button ) {
+			button.setAttribute(
+				'aria-pressed',
+				button.dataset.timeZoneMode === mode ? 'true' : 'false'
+			);
+		} );
+}
+
+function updateTime( element: HTMLElement, mode: TimeZoneMode ): void {
+	// Month-grid chips are the time text themselves.
+	const text =
+		element.querySelector< HTMLElement >(
+			'.data-machine-event-time-text'
+		) || element;
+	const zone = element.querySelector< HTMLElement >(
+		'.data-machine-event-timezone'
+	);
+
+	// Remember the venue rendering before the first conversion.
+	if ( element.dataset.venueTime === undefined ) {
+		element.dataset.venueTime = text.textContent || '';
+		element.dataset.venueZone = zone?.textContent || '';
+		element.dataset.venueZoneName = zone?.title || '';
+	}
+
+	const viewerTime =
+		mode === 'viewer'
+			? formatViewerTime(
+					element.dataset.start || '',
+					element.dataset.end || ''
+			  )
+			: null;
+
+	if ( ! viewerTime ) {
+		text.textContent = element.dataset.venueTime;
+		if ( zone ) {
+			zone.textContent = element.dataset.venueZone || '';
+			zone.title = element.dataset.venueZoneName || '';
+		}
+		return;
+	}
+
+	text.textContent = viewerTime.time;
+	if ( zone ) {
+		zone.textContent = viewerTime.zone;
+		zone.title = viewerTime.zoneName;
+	}
+}
+
+/**
+ * Format a start (and optional end) instant in the visitor's timezone.
+ *
+ * Cards sit under the venue's date, so the weekday is added when the
+ * visitor's day differs from it.
+ */
+function formatViewerTime(
+	start: string,
+	end: string
+): { time: string; zone: string; zoneName: string } | null {
+	const startDate = new Date( start );
+	if ( isNaN( startDate.getTime() ) ) {
+		return null;
+	}
+
+	const endDate = end ? new Date( end ) : null;
+	const locale = document.documentElement.lang || undefined;
+	const options: Intl.DateTimeFormatOptions = {
+		hour: 'numeric',
+		minute: '2-digit',
+	};
+
+	// The ISO string starts with the venue's local date.
+	if ( toLocalDateKey( startDate ) !== start.slice( 0, 10 ) ) {
+		options.weekday = 'short';
+	}
+
+	const formatter = new Intl.DateTimeFormat( locale, options ) as
+		Intl.DateTimeFormat & {
+			formatRange?: ( startDate: Date, endDate: Date ) => string;
+		};
+
+	let time = formatter.format( startDate );
+	if ( endDate && ! isNaN( endDate.getTime() ) ) {
+		time = formatter.formatRange
+			? formatter.formatRange( startDate, endDate )
+			: `${ time } - ${ formatter.format( endDate ) }`;
+	}
+
+	const zone =
+		new Intl.DateTimeFormat( locale, { timeZoneName: 'short' } )
+			.formatToParts( startDate )
+			.find( ( part ) => part.type === 'timeZoneName' )?.value || '';
+
+	return {
+		time,
+		zone,
+		zoneName: Intl.DateTimeFormat().resolvedOptions().timeZone || '',
+	};
+}
+
+function toLocalDateKey( date: Date ): string {
+	const month = String( date.getMonth() + 1 ).padStart( 2, '0' );
+	const day = String( date.getDate() ).padStart( 2, '0' );
+
+	return `${ date.getFullYear() }-${ month }-${ day }`;
+}
@@ -0,0 +1,192 @@
+/**
+ * Two-way linking between event cards and events map venue markers.
+ *
+ * Runs alongside geo sync when an events map is on the page, and talks to
+ * it through the same document custom events:
+ *
+ * - `data-machine-map-highlight-venue` (calendar → map): hovering or
+ *   focusing a card highlights its venue's marker and opens its popup;
+ *   `venueId: null` clears the highlight.
+ * - `data-machine-map-venue-selected` (map → calendar): clicking a venue
+ *   marker filters the calendar to that venue (`tax_filter[venue][]`), shown
+ *   as a chip in the active-filter strip. Clicking it again clears it.
+ * - `data-machine-map-select-venues` (calendar → map): the venues the
+ *   calendar is filtered to, sent on init and after every change so the
+ *   map marks them.
+ * - `data-machine-map-ready` (map → calendar): a map that mounts after the
+ *   calendar asks for the current selection.
+ */
+
+import { getFilterState } from './filter-state';
+import { getDatePicker } from './date-picker';
+import { onCalendarEvent } from './calendar-events';
+
+const VENUE_TAXONOMY = 'venue';
+const VENUE_FILTER_KEY = `tax_filter[${ VENUE_TAXONOMY }][]`;
+const CARD_SELECTOR = '.data-machine-event-item[data-venue-id]';
+
+interface VenueSelectedDetail {
+	venueId: number;
+}
+
+interface VenueLinkState {
+	hoveredVenueId: number | null;
+	selectedHandler: ( e: Event ) => void;
+	readyHandler: () => void;
+	offChange: () => void;
+	cardHandlers: Record< string, ( e: Event ) => void >;
+}
+
+const instances = new WeakMap< HTMLElement, VenueLinkState >();
+
+export function initVenueLink(
+	calendar: HTMLElement,
+	onNavigate: ( params: URLSearchParams ) => void
+): void {
+	if ( instances.has( calendar ) ) {
+		return;
+	}
+
+	const state: VenueLinkState = {
+		hoveredVenueId: null,
+		selectedHandler( e: Event ) {
+			const detail = ( e as CustomEvent< VenueSelectedDetail > ).detail;
+			if ( detail?.venueId ) {
+				onNavigate( toggleVenue( calendar, detail.venueId ) );
+			}
+		},
+		readyHandler() {
+			broadcastSelection( calendar );
+		},
+		offChange: onCalendarEvent( 'change', function ( detail ) {
+			if ( detail.calendar.element === calendar ) {
+				broadcastSelection(
+					calendar,
+					detail.calendar.state.tax_filter[ VENUE_TAXONOMY ] || []
+				);
+			}
+		} ),
+		cardHandlers: {},
+	};
+
+	const enter = function ( e: Event ): void {
+		const card = ( e.target as HTMLElement ).closest< HTMLElement >(
+			CARD_SELECTOR
+		);
+		if ( card ) {
+			highlightVenue(
+				state,
+				parseInt( card.dataset.venueId || '0', 10 ) || null
+			);
+		}
+	};
+
+	const leave = function ( e: Event ): void {
+		const card = ( e.target as HTMLElement ).closest( CARD_SELECTOR );
+		const next = ( e as MouseEvent | FocusEvent )
+			.relatedTarget as Node | null;
+		if ( card && ! ( next && card.contains( next ) ) ) {
+			highlightVenue( state, null );
+		}
+	};
+
+	state.cardHandlers = {
+		mouseover: enter,
+		focusin: enter,
+		mouseout: leave,
+		focusout: leave,
+	};
+
+	Object.entries( state.cardHandlers ).forEach( function ( [ type, handler ] ) {
+		calendar.addEventListener( type, handler );
+	} );
+
+	document.addEventListener(
+		'data-machine-map-venue-selected',
+		state.selectedHandler
+	);
+	document.addEventListener( 'data-machine-map-ready', state.readyHandler );
+
+	instances.set( calendar, state );
+
+	// A map that is already mounted learns the selection now.
+	broadcastSelection( calendar );
+}
+
+export function destroyVenueLink( calendar: HTMLElement ): void {
+	const state = instances.get( calendar );
+	if ( ! state ) {
+		return;
+	}
+
+	Object.entries( state.cardHandlers ).forEach( function ( [ type, handler ] ) {
+		calendar.removeEventListener( type, handler );
+	} );
+
+	document.removeEventListener(
+		'data-machine-map-venue-selected',
+		state.selectedHandler
+	);
+	document.removeEventListener( 'data-machine-map-ready', state.readyHandler );
+	state.offChange();
+
+	instances.delete( calendar );
+}
+
+function highlightVenue( state: VenueLinkState, venueId: number | null ): void {
+	if ( state.hoveredVenueId === venueId ) {
+		return;
+	}
+	state.hoveredVenueId = venueId;
+
+	document.dispatchEvent(
+		new CustomEvent( 'data-machine-map-highlight-venue', {
+			detail: { venueId },
+		} )
+	);
+}
+
+function broadcastSelection(
+	calendar: HTMLElement,
+	venueIds: number[] = getFilterState( calendar ).getTaxFilters()[
+		VENUE_TAXONOMY
+	] || []
+): void {
+	document.dispatchEvent(
+		new CustomEvent( 'data-machine-map-select-venues', {
+			detail: { venueIds },
+		} )
+	);
+}
+
+/**
+ * Params that filter the calendar to one venue, replacing any other venue
+ * filter, or drop it when it is already the only one.
+ */
+function toggleVenue( calendar: HTMLElement, venueId: number ): URLSearchParams {
+	const params = getFilterState( calendar ).buildParams(
+		getDatePicker( calendar )
+	);
+
+	const current = params.getAll( VENUE_FILTER_KEY );
+	const clear = current.length === 1 && current[ 0 ] === String( venueId );
+
+	params.delete( VENUE_FILTER_KEY );
+	if ( ! clear ) {
+		params.append( VENUE_FILTER_KEY, String( venueId ) );
+	}
+
+	// Keep the filter modal (if loaded) in step with the new filter.
+	calendar
+		.querySelectorAll< HTMLInputElement >(
+			'.data-machine-taxonomy-modal input[type="checkbox"]:not([data-locked="true"])'
+		)
+		.forEach( function ( checkbox ) {
+			if ( checkbox.dataset.taxonomy === VENUE_TAXONOMY ) {
+				checkbox.checked =
+					! clear && checkbox.value === String( venueId );
+			}
+		} );
+
+	return params;
+}
@@ -22,6 +22,22 @@ export interface StoredGeo extends GeoContext {
 	label: string;
 }
 
+/**
+ * Named filter preset. `query` holds only the filter params (search, dates
+ * or scope, taxonomy filters, geo) so applying it keeps the current view.
+ */
+export interface FilterPreset {
+	id: string;
+	name: string;
+	query: string;
+}
+
+/** Saved event in localStorage; `end` (ISO 8601) drives pruning. */
+export interface SavedEvent {
+	id: number;
+	end: string;
+}
+
 /* ------------------------------------------------------------------ */
 /*  Date                                                               */
 /* ------------------------------------------------------------------ */
@@ -32,6 +48,18 @@ export interface DateContext {
 	past: string;
 }
 
+/** Whether event times show in the venue's or the visitor's timezone. */
+export type TimeZoneMode = 'venue' | 'viewer';
+
+/** The date input's `data-picker-config` (see Date_Picker.php). */
+export interface DatePickerConfig {
+	locale?: Record<string, unknown>;
+	altFormat?: string;
+	/** Quick-range labels keyed by preset slug. */
+	presets?: Record<string, string>;
+	presetsLabel?: string;
+}
+
 /* ------------------------------------------------------------------ */
 /*  Archive                                                            */
 /* ------------------------------------------------------------------ */
@@ -40,6 +68,8 @@ export interface ArchiveContext {
 	taxonomy: string;
 	term_id: number;
 	term_name: string;
+	/** Block pre-filters (fixed terms and area) as a query string. */
+	fixed_query?: string;
 }
 
 /* ------------------------------------------------------------------ */
@@ -59,6 +89,8 @@ export interface TaxonomyTerm {
 
 export interface FlatTaxonomyTerm extends TaxonomyTerm {
 	level: number;
+	/** Ancestor term IDs, root first. */
+	ancestors: number[];
 }
 
 export interface TaxonomyData {
@@ -70,17 +102,38 @@ export interface TaxonomyData {
 /*  REST API responses                                                 */
 /* ------------------------------------------------------------------ */
 
+export interface CalendarPagination {
+	html: string;
+	current_page?: number;
+	max_pages?: number;
+	total_events?: number;
+}
+
 export interface CalendarResponse {
 	success: boolean;
 	html: string;
-	pagination: { html: string } | null;
+	pagination: CalendarPagination | null;
 	counter: string | null;
 	navigation: { html: string } | null;
+	/** Active-filter chip strip (`templates/active-filters.php`). */
+	active_filters?: string | null;
+	month?: CalendarMonth;
+}
+
+export interface CalendarMonth {
+	current: string;
+	prev: string;
+	next: string;
+	label: string;
+	grid_start: string;
+	grid_end: string;
 }
 
 export interface FilterResponse {
 	success: boolean;
 	taxonomies: Record<string, TaxonomyData>;
+	/** Event counts per time scope (`context=scopes` only). */
+	scope_counts?: Record<string, number>;
 	archive_context?: ArchiveContext;
 	geo_context?: {
 		active: boolean;
@@ -88,6 +141,53 @@ export interface FilterResponse {
 	};
 }
 
+export interface DayCountsResponse {
+	success: boolean;
+	date_start: string;
+	date_end: string;
+	/** Event counts keyed by date (Y-m-d); days without events are omitted. */
+	counts: Record<string, number>;
+}
+
+/* ------------------------------------------------------------------ */
+/*  Search suggestions                                                 */
+/* ------------------------------------------------------------------ */
+
+export interface TermSuggestion {
+	taxonomy: string;
+	taxonomy_label: string;
+	term_id: number;
+	name: string;
+	event_count: number;
+}
+
+export interface EventSuggestion {
+	id: number;
+	title: string;
+	permalink: string;
+	date: string;
+}
+
+export interface SuggestResponse {
+	success: boolean;
+	query: string;
+	terms: TermSuggestion[];
+	events: EventSuggestion[];
+}
+
+/** Place from the geocoding endpoint (Nominatim search result). */
+export interface GeocodeResult {
+	lat: string;
+	lon: string;
+	display_name: string;
+	name?: string;
+}
+
+export interface GeocodeResponse {
+	success: boolean;
+	results: GeocodeResult[];
+}
+
 /* ------------------------------------------------------------------ */
 /*  Lazy render — event placeholder JSON payload                       */
 /* ------------------------------------------------------------------ */
@@ -98,7 +198,15 @@ export interface EventDisplayVars {
 	show_performer: boolean;
 	multi_day_label: string;
 	venue_name: string;
+	/** Venue term ID, 0 without a venue. Links the card to its map marker. */
+	venue_id?: number;
+	/** Start instant with the venue's offset (ISO 8601). */
 	iso_start_date: string;
+	/** End instant when the card shows an end time, else ''. */
+	iso_end_date?: string;
+	/** Venue timezone name, or '' when the card shows no clock time. */
+	timezone?: string;
+	timezone_abbr?: string;
 	ticket_url: string;
 	show_ticket_link: boolean;
 	is_continuation?: boolean;
@@ -106,11 +214,148 @@ export interface EventDisplayVars {
 }
 
 export interface EventPlaceholderData {
+	id?: number;
 	title: string;
 	permalink: string;
 	badges_html: string;
 	button_classes: string;
+	more_info_label?: string;
+	add_to_calendar_html?: string;
 	display_vars?: EventDisplayVars;
+	event_data?: Record<string, unknown>;
+	display_context?: Record<string, unknown>;
+}
+
+/* ------------------------------------------------------------------ */
+/*  JSON calendar response (format=json)                               */
+/* ------------------------------------------------------------------ */
+
+/** Event payload, as built by EventRenderer::build_event_payload(). */
+export interface EventPayload extends EventPlaceholderData {
+	id: number;
+	more_info_label: string;
+	display_vars: EventDisplayVars;
+	event_data: Record<string, unknown>;
+	display_context: Record<string, unknown>;
+}
+
+/** Date group, as built by EventRenderer::build_date_groups_payload(). */
+export interface DateGroupPayload {
+	date: string;
+	day_of_week: string;
+	formatted_date_label: string;
+	events_count: number;
+	events_count_label: string;
+	gap_days: number;
+	gap_label: string;
+	events: EventPayload[];
+}
+
+export interface CalendarJsonResponse {
+	success: boolean;
+	format: 'json';
+	date_groups: DateGroupPayload[];
+	pagination?: {
+		current_page: number;
+		max_pages: number;
+		total_events: number;
+	};
+	navigation?: {
+		past_count: number;
+		future_count: number;
+		show_past: boolean;
+	};
+	month?: CalendarMonth;
+}
+
+/* ------------------------------------------------------------------ */
+/*  Public API (window.DataMachineEvents)                              */
+/* ------------------------------------------------------------------ */
+
+/** Filters a calendar is showing, parsed from its (unprefixed) params. */
+export interface CalendarFilterState {
+	event_search: string;
+	scope: string;
+	date_start: string;
+	date_end: string;
+	past: boolean;
+	tax_filter: TaxFilters;
+	/** Null when no geo filter is active. */
+	geo: GeoContext | null;
+	view: 'list' | 'grid';
+	month: string;
+	paged: number;
+	saved: boolean;
+	/** The params as a query string, without the calendar's URL prefix. */
+	query: string;
+}
+
+/**
+ * Event filters the calendar shares with the events map
+ * (`data-machine-map-set-filters`).
+ */
+export interface MapEventFilters {
+	tax_filter: TaxFilters;
+	date_start: string;
+	date_end: string;
+	scope: string;
+	event_search: string;
+}
+
+/**
+ * Filter changes for `setFilters()`. Omitted keys keep their value; empty
+ * values (and `geo: null`) clear the filter.
+ */
+export interface CalendarFilterUpdate {
+	event_search?: string;
+	scope?: string;
+	date_start?: string;
+	date_end?: string;
+	past?: boolean;
+	tax_filter?: TaxFilters;
+	geo?: Partial<GeoContext> | null;
+	view?: 'list' | 'grid';
+	month?: string;
+	saved?: boolean;
+}
+
+export interface CalendarHandle {
+	/** `data-instance-id` of the calendar root. */
+	id: string;
+	element: HTMLElement;
+	state: CalendarFilterState;
+}
+
+export type CalendarEventName = 'change' | 'loaded' | 'error';
+
+export interface CalendarEventDetail {
+	calendar: CalendarHandle;
+	/** REST response (`loaded` only). */
+	response?: CalendarResponse;
+}
+
+export type CalendarEventListener = ( detail: CalendarEventDetail ) => void;
+
+/** Calendar to act on: instance ID, root element, or every calendar. */
+export type CalendarTarget = string | HTMLElement | undefined;
+
+export interface DataMachineEventsApi {
+	getCalendars: () => CalendarHandle[];
+	setFilters: (
+		target: CalendarTarget,
+		filters: CalendarFilterUpdate,
+		options?: { replace?: boolean }
+	) => void;
+	setGeo: (
+		target: CalendarTarget,
+		geo: Partial<GeoContext> | null
+	) => void;
+	refresh: ( target?: CalendarTarget ) => void;
+	on: (
+		name: CalendarEventName,
+		listener: CalendarEventListener
+	) => () => void;
+	off: ( name: CalendarEventName, listener: CalendarEventListener ) => void;
 }
 
 /* ------------------------------------------------------------------ */
@@ -119,16 +364,65 @@ export interface EventPlaceholderData {
 
 export interface FlatpickrInstance {
 	selectedDates: Date[];
-	clear: () => void;
+	calendarContainer: HTMLElement;
+	/** Day cells of the visible month, including adjacent-month days. */
+	days?: HTMLElement;
+	clear: ( emitChangeEvent?: boolean ) => void;
+	close: () => void;
+	setDate: (
+		date: string | string[] | Date[],
+		triggerChange?: boolean
+	) => void;
 	destroy: () => void;
 }
 
+export interface FlatpickrDayElement extends HTMLElement {
+	dateObj: Date;
+}
+
 /* ------------------------------------------------------------------ */
 /*  Carousel observer tracking                                         */
 /* ------------------------------------------------------------------ */
 
 export interface CarouselObserverEntry {
-	observer: ResizeObserver;
+	observer: ResizeObserver | null;
 	wrapper: HTMLElement;
 	events: NodeListOf<HTMLElement>;
+	/** Remove the group's keyboard and scroll listeners. */
+	cleanup: () => void;
+}
+
+/* ------------------------------------------------------------------ */
+/*  Block attributes (editor)                                          */
+/* ------------------------------------------------------------------ */
+
+/** Site-defined preset from the `filterPresets` attribute. */
+export interface SitePreset {
+	label: string;
+	query: string;
+}
+
+/** Area a block is pinned to (`fixedGeo` attribute); empty for none. */
+export interface FixedGeo {
+	lat?: string;
+	lng?: string;
+	radius?: number;
+	radius_unit?: string;
+	label?: string;
+}
+
+export interface CalendarBlockAttributes {
+	defaultView: 'list' | 'grid';
+	showPastEvents: boolean;
+	showFilters: boolean;
+	showSearch: boolean;
+	showDateFilter: boolean;
+	showLocationFilter: boolean;
+	defaultDateRange: string;
+	paginationMode: 'pages' | 'load-more' | 'infinite';
+	fixedTaxFilter: TaxFilters;
+	fixedGeo: FixedGeo;
+	namespaceUrl: boolean;
+	urlNamespace: string;
+	filterPresets: SitePreset[];
 }
@@ -0,0 +1,65 @@
+<?php
+/**
+ * Active Filters Template
+ *
+ * Chip strip above the results with one removable chip per active taxonomy
+ * filter term, plus "Clear all" when more than one is active. Always renders
+ * its container so the client can swap it after in-place refreshes.
+ *
+ * @var array  $tax_filters      Active taxonomy filters [taxonomy => term_ids]
+ * @var string $archive_taxonomy Archive constraint taxonomy (its term is not removable)
+ * @var int    $archive_term_id  Archive constraint term ID
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+$tax_filters      = $tax_filters ?? array();
+$archive_taxonomy = $archive_taxonomy ?? '';
+$archive_term_id  = (int) ( $archive_term_id ?? 0 );
+
+$chips = array();
+foreach ( $tax_filters as $taxonomy_slug => $term_ids ) {
+	$taxonomy = get_taxonomy( $taxonomy_slug );
+	if ( ! $taxonomy ) {
+		continue;
+	}
+
+	foreach ( (array) $term_ids as $term_id ) {
+		$term_id = absint( $term_id );
+		if ( $taxonomy_slug === $archive_taxonomy && $term_id === $archive_term_id ) {
+			continue;
+		}
+
+		$term = get_term( $term_id, $taxonomy_slug );
+		if ( ! $term || is_wp_error( $term ) ) {
+			continue;
+		}
+
+		$chips[] = array(
+			'taxonomy'       => $taxonomy_slug,
+			'taxonomy_label' => $taxonomy->labels->singular_name,
+			'term_id'        => $term_id,
+			'name'           => $term->name,
+		);
+	}
+}
+?>
+
+<div class="data-machine-events-active-filters" aria-label="<?php esc_attr_e( 'Active filters', 'data-machine-events' ); ?>" role="group"<?php echo empty( $chips ) ? ' hidden' : ''; ?>>
+	<?php foreach ( $chips as $chip ) : ?>
+		<span class="data-machine-events-active-filter" data-taxonomy="<?php echo esc_attr( $chip['taxonomy'] ); ?>" data-term-id="<?php echo esc_attr( $chip['term_id'] ); ?>">
+			<span class="data-machine-events-active-filter-taxonomy"><?php echo esc_html( $chip['taxonomy_label'] ); ?>:</span>
+			<?php echo esc_html( $chip['name'] ); ?>
+			<button type="button" class="data-machine-events-active-filter-remove" aria-label="<?php echo esc_attr( sprintf( /* translators: %s: term name */ __( 'Remove filter: %s', 'data-machine-events' ), $chip['name'] ) ); ?>">
+				<span aria-hidden="true">&times;</span>
+			</button>
+		</span>
+	<?php endforeach; ?>
+	<?php if ( count( $chips ) > 1 ) : ?>
+		<button type="button" class="data-machine-events-active-filters-clear">
+			<?php esc_html_e( 'Clear all', 'data-machine-events' ); ?>
+		</button>
+	<?php endif; ?>
+</div>
@@ -0,0 +1,72 @@
+<?php
+/**
+ * Add to Calendar Template
+ *
+ * Renders the add-to-calendar menu for an event (.ics download, Google
+ * Calendar, Outlook). Uses a native details/summary disclosure so the menu
+ * works without JavaScript. Calendar cards also get a save toggle (shown
+ * once the calendar script runs, saved events live in localStorage) and a
+ * checkbox for multi-select .ics export.
+ *
+ * @var int    $event_id       Event post ID
+ * @var string $event_title    Event title (used in accessible labels)
+ * @var string $event_end      Event end (ISO 8601), used to prune saved events once over
+ * @var array  $calendar_links Links from CalendarExport::get_links()
+ * @var bool   $card_controls  Whether to render the save toggle and multi-select checkbox
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+if ( empty( $calendar_links ) ) {
+	return;
+}
+
+$card_controls = $card_controls ?? false;
+?>
+<div class="data-machine-add-to-calendar">
+	<?php if ( $card_controls ) : ?>
+		<button type="button" class="data-machine-event-save" data-event-id="<?php echo esc_attr( $event_id ); ?>" data-event-end="<?php echo esc_attr( $event_end ?? '' ); ?>" aria-pressed="false">
+			<span class="dashicons dashicons-star-empty" aria-hidden="true"></span>
+			<span class="screen-reader-text">
+				<?php
+				/* translators: %s: event title */
+				echo esc_html( sprintf( __( 'Save %s', 'data-machine-events' ), $event_title ) );
+				?>
+			</span>
+		</button>
+		<label class="data-machine-event-select">
+			<input type="checkbox" class="data-machine-event-select-input" value="<?php echo esc_attr( $event_id ); ?>">
+			<span class="screen-reader-text">
+				<?php
+				/* translators: %s: event title */
+				echo esc_html( sprintf( __( 'Select %s for export', 'data-machine-events' ), $event_title ) );
+				?>
+			</span>
+		</label>
+	<?php endif; ?>
+	<details class="data-machine-add-to-calendar-menu">
+		<summary class="data-machine-add-to-calendar-toggle">
+			<span class="dashicons dashicons-calendar-alt" aria-hidden="true"></span>
+			<span class="data-machine-add-to-calendar-label"><?php esc_html_e( 'Add to calendar', 'data-machine-events' ); ?></span>
+		</summary>
+		<ul class="data-machine-add-to-calendar-options">
+			<li>
+				<a href="<?php echo esc_url( $calendar_links['ics'] ); ?>" download>
+					<?php esc_html_e( 'Apple / iCal (.ics)', 'data-machine-events' ); ?>
+				</a>
+			</li>
+			<li>
+				<a href="<?php echo esc_url( $calendar_links['google'] ); ?>" target="_blank" rel="noopener">
+					<?php esc_html_e( 'Google Calendar', 'data-machine-events' ); ?>
+				</a>
+			</li>
+			<li>
+				<a href="<?php echo esc_url( $calendar_links['outlook'] ); ?>" target="_blank" rel="noopener">
+					<?php esc_html_e( 'Outlook', 'data-machine-events' ); ?>
+				</a>
+			</li>
+		</ul>
+	</details>
+</div>
@@ -14,10 +14,14 @@ if ( ! defined( 'ABSPATH' ) ) {
 }
 $formatted_time_display = $display_vars['formatted_time_display'] ?? '';
 $venue_name             = $display_vars['venue_name'] ?? '';
+$venue_id               = $display_vars['venue_id'] ?? 0;
 $performer_name         = $display_vars['performer_name'] ?? '';
 $price                  = $display_vars['price'] ?? '';
 $ticket_url             = $display_vars['ticket_url'] ?? '';
 $iso_start_date         = $display_vars['iso_start_date'] ?? '';
+$iso_end_date           = $display_vars['iso_end_date'] ?? '';
+$timezone               = $display_vars['timezone'] ?? '';
+$timezone_abbr          = $display_vars['timezone_abbr'] ?? '';
 
 $show_performer   = $display_vars['show_performer'] ?? true;
 $show_price       = $display_vars['show_price'] ?? true;
@@ -37,8 +41,12 @@ if ( $is_multi_day ) {
 ?>
 
 <div class="<?php echo esc_attr( implode( ' ', $item_classes ) ); ?>"
+	data-event-id="<?php echo esc_attr( $event_post->ID ); ?>"
 	data-title="<?php echo esc_attr( get_the_title() ); ?>"
 	data-venue="<?php echo esc_attr( $venue_name ); ?>"
+	<?php if ( $venue_id ) : ?>
+	data-venue-id="<?php echo esc_attr( $venue_id ); ?>"
+	<?php endif; ?>
 	data-performer="<?php echo esc_attr( $performer_name ); ?>"
 	data-date="<?php echo esc_attr( $iso_start_date ); ?>"
 	data-ticket-url="<?php echo esc_url( $ticket_url ); ?>"
@@ -56,9 +64,12 @@ if ( $is_multi_day ) {
 
 		<div class="data-machine-event-meta">
 			<?php if ( ! empty( $formatted_time_display ) ) : ?>
-				<div class="data-machine-event-time">
+				<div class="data-machine-event-time"<?php if ( ! empty( $timezone ) ) : ?> data-start="<?php echo esc_attr( $iso_start_date ); ?>" data-end="<?php echo esc_attr( $iso_end_date ); ?>"<?php endif; ?>>
 					<span class="dashicons dashicons-clock"></span>
-					<?php echo esc_html( $formatted_time_display ); ?>
+					<span class="data-machine-event-time-text"><?php echo esc_html( $formatted_time_display ); ?></span>
+					<?php if ( ! empty( $timezone ) ) : ?>
+						<abbr class="data-machine-event-timezone" title="<?php echo esc_attr( $timezone ); ?>"><?php echo esc_html( $timezone_abbr ); ?></abbr>
+					<?php endif; ?>
 					<?php if ( ! empty( $multi_day_label ) ) : ?>
 						<span class="data-machine-event-multi-day-label"><?php echo esc_html( $multi_day_label ); ?></span>
 					<?php endif; ?>
@@ -76,6 +87,8 @@ if ( $is_multi_day ) {
 				class="<?php echo esc_attr( implode( ' ', apply_filters( 'data_machine_events_more_info_button_classes', array( 'data-machine-more-info-button' ) ) ) ); ?>">
 				<?php esc_html_e( 'More Info', 'data-machine-events' ); ?>
 			</a>
+
+			<?php echo \DataMachineEvents\Blocks\Calendar\Display\EventRenderer::render_add_to_calendar( $event_post, $event_data ); ?>
 		</div>
 
 	</div>
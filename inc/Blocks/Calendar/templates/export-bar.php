@@ -0,0 +1,30 @@
+<?php
+/**
+ * Export Bar Template
+ *
+ * Multi-select .ics export controls. Hidden until the calendar script
+ * initializes, since selection needs JavaScript; each card's own
+ * add-to-calendar menu works without it.
+ *
+ * @var string $ics_url Base URL of the .ics export endpoint
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+?>
+<div class="data-machine-events-export-bar" data-ics-url="<?php echo esc_url( $ics_url ); ?>" hidden>
+	<button type="button" class="data-machine-events-select-toggle" aria-pressed="false">
+		<span class="dashicons dashicons-calendar-alt" aria-hidden="true"></span>
+		<?php esc_html_e( 'Select events to add to your calendar', 'data-machine-events' ); ?>
+	</button>
+	<div class="data-machine-events-export-actions" hidden>
+		<a class="data-machine-events-export-ics" href="#" download aria-disabled="true">
+			<?php esc_html_e( 'Download .ics', 'data-machine-events' ); ?>
+			(<span class="data-machine-events-selection-count" aria-live="polite">0</span>)
+		</a>
+		<button type="button" class="data-machine-events-selection-clear">
+			<?php esc_html_e( 'Clear selection', 'data-machine-events' ); ?>
+		</button>
+	</div>
+</div>
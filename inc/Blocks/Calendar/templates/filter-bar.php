@@ -6,6 +6,19 @@
  *
  * @var array $attributes Block attributes
  * @var array $used_taxonomies Available taxonomies for filtering (future use)
+ * @var string $view Active calendar view: list or grid
+ * @var int[] $shared_event_ids Event IDs from a shared list link (empty when none)
+ * @var bool $saved_only Whether the "Saved" filter is active
+ * @var string $ics_url Base URL of the .ics export endpoint
+ * @var string $scope Active time scope (URL or block default)
+ * @var string $geo_lat Geo filter latitude from the URL
+ * @var string $geo_lng Geo filter longitude from the URL
+ * @var int $geo_radius Geo filter radius
+ * @var string $geo_radius_unit Geo filter radius unit (mi or km)
+ * @var string $fixed_query Block pre-filters as a query string (see Fixed_Filters)
+ *
+ * Site-defined filter presets come from the `filterPresets` block attribute
+ * (`[ { label, query } ]`); visitors' own presets are added client-side.
  */
 
 // Prevent direct access
@@ -21,6 +34,7 @@ if ( ! $show_search ) {
 
 $instance_id   = $instance_id ?? uniqid( 'data-machine-calendar-' );
 $search_id     = 'data-machine-events-search-' . $instance_id;
+$suggest_id    = 'data-machine-events-search-suggestions-' . $instance_id;
 $search_value  = isset( $search_query ) ? $search_query : '';
 $date_range_id = 'data-machine-events-date-range-' . $instance_id;
 $modal_id      = 'data-machine-taxonomy-filter-modal-' . $instance_id;
@@ -34,6 +48,67 @@ $has_archive_context = ! empty( $archive_context['taxonomy'] ) && ! empty( $arch
 
 $hide_filter_button_when_inactive = $hide_filter_button_when_inactive ?? false;
 $hide_filter_button_attr          = $hide_filter_button_when_inactive ? ' hidden data-hide-when-inactive="1"' : '';
+
+$view = $view ?? 'list';
+
+// Taxonomy filter button and modal; date range picker and quick-date chips.
+$show_filters     = $attributes['showFilters'] ?? true;
+$show_date_filter = $attributes['showDateFilter'] ?? true;
+$fixed_query      = $fixed_query ?? '';
+
+// Location filter: geocoded place search, radius, and "Near me".
+$show_location   = $attributes['showLocationFilter'] ?? true;
+$location_id     = 'data-machine-events-location-' . $instance_id;
+$radius_id       = 'data-machine-events-radius-' . $instance_id;
+$geo_lat         = $geo_lat ?? '';
+$geo_lng         = $geo_lng ?? '';
+$geo_radius      = (int) ( $geo_radius ?? 25 );
+$geo_radius_unit = 'km' === ( $geo_radius_unit ?? 'mi' ) ? 'km' : 'mi';
+
+/**
+ * Filter the radius choices of the calendar location filter.
+ *
+ * @param int[]  $options     Radius values.
+ * @param string $radius_unit 'mi' or 'km'.
+ */
+$radius_options = array_map( 'absint', (array) apply_filters( 'data_machine_events_calendar_radius_options', array( 5, 10, 25, 50, 100 ), $geo_radius_unit ) );
+if ( ! in_array( $geo_radius, $radius_options, true ) ) {
+	$radius_options[] = $geo_radius;
+	sort( $radius_options );
+}
+
+$shared_event_ids = $shared_event_ids ?? array();
+$saved_only       = $saved_only ?? false;
+
+// A picked date range overrides the scope, so no chip is active then.
+$active_scope  = ( empty( $date_start ) && empty( $date_end ) ) ? ( $scope ?? '' ) : '';
+$scope_options = array(
+	'today'        => __( 'Today', 'data-machine-events' ),
+	'tonight'      => __( 'Tonight', 'data-machine-events' ),
+	'this-weekend' => __( 'This weekend', 'data-machine-events' ),
+	'this-week'    => __( 'This week', 'data-machine-events' ),
+);
+
+// Presets only carry filter params; view, month, and paging stay as they are.
+$preset_select_id = 'data-machine-events-preset-select-' . $instance_id;
+$preset_keys      = array( 'event_search', 'date_start', 'date_end', 'past', 'scope', 'tax_filter', 'lat', 'lng', 'radius', 'radius_unit' );
+$site_presets     = array();
+foreach ( (array) ( $attributes['filterPresets'] ?? array() ) as $index => $preset ) {
+	$label = sanitize_text_field( $preset['label'] ?? '' );
+	if ( '' === $label ) {
+		continue;
+	}
+
+	$query_args = array();
+	wp_parse_str( ltrim( (string) ( $preset['query'] ?? '' ), '?' ), $query_args );
+	$query_args = array_intersect_key( $query_args, array_flip( $preset_keys ) );
+
+	$site_presets[] = array(
+		'id'    => 'site-' . $index,
+		'label' => $label,
+		'query' => http_build_query( $query_args ),
+	);
+}
 ?>
 
 <div class="data-machine-events-filter-bar">
@@ -47,13 +122,21 @@ $hide_filter_button_attr          = $hide_filter_button_when_inactive ? ' hidden
 			<button type="button" class="data-machine-events-search-btn">
 				<span class="dashicons dashicons-search"></span>
 			</button>
+			<div id="<?php echo esc_attr( $suggest_id ); ?>"
+					class="data-machine-events-search-suggestions"
+					role="listbox"
+					aria-label="<?php esc_attr_e( 'Search suggestions', 'data-machine-events' ); ?>"
+					hidden></div>
+			<div class="data-machine-events-search-status screen-reader-text" role="status" aria-live="polite"></div>
 		</div>
 		
+		<?php if ( $show_date_filter ) : ?>
 		<div class="data-machine-events-date-filter">
 			<div class="data-machine-events-date-range-wrapper">
 				<input type="text" 
 						id="<?php echo esc_attr( $date_range_id ); ?>"
 						class="data-machine-events-date-range-input" data-date-start="<?php echo esc_attr( $date_start ); ?>" data-date-end="<?php echo esc_attr( $date_end ); ?>" 
+						data-picker-config="<?php echo esc_attr( wp_json_encode( \DataMachineEvents\Blocks\Calendar\Date_Picker::get_config() ) ); ?>"
 						placeholder="<?php esc_html_e( 'Select date range...', 'data-machine-events' ); ?>" 
 						readonly />
 				<button type="button" 
@@ -63,7 +146,68 @@ $hide_filter_button_attr          = $hide_filter_button_when_inactive ? ' hidden
 				</button>
 			</div>
 		</div>
-		
+		<?php endif; ?>
+
+		<?php if ( $show_location ) : ?>
+		<div class="data-machine-events-location-filter">
+			<div class="data-machine-events-location-search-wrapper">
+				<label class="screen-reader-text" for="<?php echo esc_attr( $location_id ); ?>"><?php esc_html_e( 'Location', 'data-machine-events' ); ?></label>
+				<input type="text"
+						id="<?php echo esc_attr( $location_id ); ?>"
+						class="data-machine-events-location-search"
+						placeholder="<?php esc_attr_e( 'City or address...', 'data-machine-events' ); ?>"
+						autocomplete="off"
+						data-geo-lat="<?php echo esc_attr( $geo_lat ); ?>"
+						data-geo-lng="<?php echo esc_attr( $geo_lng ); ?>"
+						data-area-label="<?php esc_attr_e( 'Selected area', 'data-machine-events' ); ?>"
+						data-no-results-label="<?php esc_attr_e( 'No matching places', 'data-machine-events' ); ?>"
+						data-busy-label="<?php esc_attr_e( 'Place search is busy. Please try again in a moment.', 'data-machine-events' ); ?>"
+						data-error-label="<?php esc_attr_e( 'Could not look up places. Please try again.', 'data-machine-events' ); ?>">
+				<button type="button" class="data-machine-events-location-clear" aria-label="<?php esc_attr_e( 'Clear location', 'data-machine-events' ); ?>"<?php echo ( '' === $geo_lat || '' === $geo_lng ) ? ' hidden' : ''; ?>>
+					<span aria-hidden="true">&times;</span>
+				</button>
+				<div id="<?php echo esc_attr( $location_id . '-suggestions' ); ?>"
+						class="data-machine-events-location-suggestions"
+						role="listbox"
+						aria-label="<?php esc_attr_e( 'Places', 'data-machine-events' ); ?>"
+						hidden></div>
+				<div class="data-machine-events-location-status screen-reader-text" role="status" aria-live="polite"></div>
+			</div>
+			<label class="screen-reader-text" for="<?php echo esc_attr( $radius_id ); ?>"><?php esc_html_e( 'Distance', 'data-machine-events' ); ?></label>
+			<select id="<?php echo esc_attr( $radius_id ); ?>" class="data-machine-events-radius-select" data-radius-unit="<?php echo esc_attr( $geo_radius_unit ); ?>">
+				<?php foreach ( $radius_options as $radius_option ) : ?>
+					<option value="<?php echo esc_attr( $radius_option ); ?>"<?php selected( $radius_option, $geo_radius ); ?>>
+						<?php
+						echo esc_html(
+							'km' === $geo_radius_unit
+								/* translators: %d: distance in kilometers */
+								? sprintf( __( 'Within %d km', 'data-machine-events' ), $radius_option )
+								/* translators: %d: distance in miles */
+								: sprintf( __( 'Within %d mi', 'data-machine-events' ), $radius_option )
+						);
+						?>
+					</option>
+				<?php endforeach; ?>
+			</select>
+			<div class="data-machine-events-near-me-control">
+				<button type="button"
+						class="data-machine-events-near-me"
+						data-locating-label="<?php esc_attr_e( 'Finding your location…', 'data-machine-events' ); ?>"
+						data-located-label="<?php esc_attr_e( 'Your location', 'data-machine-events' ); ?>"
+						data-success-label="<?php esc_attr_e( 'Showing events near your location.', 'data-machine-events' ); ?>"
+						data-error-denied="<?php esc_attr_e( 'Location access was denied. Allow it in your browser settings to see events near you.', 'data-machine-events' ); ?>"
+						data-error-unavailable="<?php esc_attr_e( 'Your location is not available right now.', 'data-machine-events' ); ?>"
+						data-error-timeout="<?php esc_attr_e( 'Finding your location took too long. Please try again.', 'data-machine-events' ); ?>"
+						hidden>
+					<span class="dashicons dashicons-location" aria-hidden="true"></span>
+					<?php esc_html_e( 'Near me', 'data-machine-events' ); ?>
+				</button>
+				<span class="data-machine-events-near-me-status" role="status" aria-live="polite"></span>
+			</div>
+		</div>
+		<?php endif; ?>
+
+		<?php if ( $show_filters ) : ?>
 		<div class="data-machine-events-taxonomy-filter">
 			<button<?php echo $hide_filter_button_attr; ?> type="button" class="data-machine-events-filter-btn data-machine-taxonomy-modal-trigger<?php echo ( ! empty( $tax_filters ) ? ' data-machine-filters-active' : '' ); ?>" data-modal-id="<?php echo esc_attr( $modal_id ); ?>" aria-controls="<?php echo esc_attr( $modal_id ); ?>" aria-expanded="<?php echo ( ! empty( $tax_filters ) ? 'true' : 'false' ); ?>">
 				<span class="data-machine-filter-count" aria-hidden="true"><?php echo ( ! empty( $tax_filters ) ? array_sum( array_map( 'count', $tax_filters ) ) : '' ); ?></span>
@@ -71,14 +215,113 @@ $hide_filter_button_attr          = $hide_filter_button_when_inactive ? ' hidden
 				<?php esc_html_e( 'Filter', 'data-machine-events' ); ?>
 			</button>
 		</div>
+		<?php endif; ?>
+
+		<div class="data-machine-events-saved" data-ics-url="<?php echo esc_url( $ics_url ?? '' ); ?>" hidden>
+			<button type="button" class="data-machine-events-saved-toggle" aria-pressed="<?php echo $saved_only ? 'true' : 'false'; ?>">
+				<span class="dashicons dashicons-star-filled" aria-hidden="true"></span>
+				<?php esc_html_e( 'Saved', 'data-machine-events' ); ?>
+				<span class="data-machine-events-saved-count">0</span>
+			</button>
+			<details class="data-machine-events-saved-share">
+				<summary class="data-machine-events-saved-share-toggle" title="<?php esc_attr_e( 'Share saved events', 'data-machine-events' ); ?>">
+					<span class="dashicons dashicons-share" aria-hidden="true"></span>
+					<span class="screen-reader-text"><?php esc_html_e( 'Share saved events', 'data-machine-events' ); ?></span>
+				</summary>
+				<ul class="data-machine-events-saved-share-options">
+					<li>
+						<button type="button" class="data-machine-events-saved-copy" data-copied-label="<?php esc_attr_e( 'Link copied', 'data-machine-events' ); ?>">
+							<?php esc_html_e( 'Copy shareable link', 'data-machine-events' ); ?>
+						</button>
+					</li>
+					<li>
+						<a class="data-machine-events-saved-subscribe" href="#" aria-disabled="true">
+							<?php esc_html_e( 'Subscribe in calendar app', 'data-machine-events' ); ?>
+						</a>
+					</li>
+					<li>
+						<a class="data-machine-events-saved-ics" href="#" download aria-disabled="true">
+							<?php esc_html_e( 'Download .ics', 'data-machine-events' ); ?>
+						</a>
+					</li>
+				</ul>
+			</details>
+		</div>
+
+		<div class="data-machine-events-shared-list" data-event-ids="<?php echo esc_attr( implode( ',', $shared_event_ids ) ); ?>"<?php echo empty( $shared_event_ids ) ? ' hidden' : ''; ?>>
+			<span class="dashicons dashicons-share" aria-hidden="true"></span>
+			<?php esc_html_e( 'Shared list', 'data-machine-events' ); ?>
+			(<span class="data-machine-events-shared-count"><?php echo esc_html( count( $shared_event_ids ) ); ?></span>)
+			<button type="button" class="data-machine-events-shared-clear" aria-label="<?php esc_attr_e( 'Show all events', 'data-machine-events' ); ?>">
+				<span aria-hidden="true">&times;</span>
+			</button>
+		</div>
+
+		<div class="data-machine-events-time-zone-toggle" role="group" aria-label="<?php esc_attr_e( 'Show event times in', 'data-machine-events' ); ?>" hidden>
+			<button type="button" class="data-machine-events-time-zone-btn" data-time-zone-mode="venue" aria-pressed="true">
+				<?php esc_html_e( 'Venue time', 'data-machine-events' ); ?>
+			</button>
+			<button type="button" class="data-machine-events-time-zone-btn" data-time-zone-mode="viewer" aria-pressed="false">
+				<?php esc_html_e( 'My time', 'data-machine-events' ); ?>
+			</button>
+		</div>
+
+		<div class="data-machine-events-view-toggle" role="group" aria-label="<?php esc_attr_e( 'Calendar view', 'data-machine-events' ); ?>">
+			<button type="button" class="data-machine-events-view-btn" data-view="list" aria-pressed="<?php echo 'list' === $view ? 'true' : 'false'; ?>" title="<?php esc_attr_e( 'List view', 'data-machine-events' ); ?>">
+				<span class="dashicons dashicons-list-view" aria-hidden="true"></span>
+				<span class="screen-reader-text"><?php esc_html_e( 'List view', 'data-machine-events' ); ?></span>
+			</button>
+			<button type="button" class="data-machine-events-view-btn" data-view="grid" aria-pressed="<?php echo 'grid' === $view ? 'true' : 'false'; ?>" title="<?php esc_attr_e( 'Month view', 'data-machine-events' ); ?>">
+				<span class="dashicons dashicons-calendar-alt" aria-hidden="true"></span>
+				<span class="screen-reader-text"><?php esc_html_e( 'Month view', 'data-machine-events' ); ?></span>
+			</button>
+		</div>
+	</div>
+
+	<?php if ( $show_date_filter ) : ?>
+	<div class="data-machine-events-scope-chips" role="group" aria-label="<?php esc_attr_e( 'Quick dates', 'data-machine-events' ); ?>">
+		<?php foreach ( $scope_options as $scope_key => $scope_label ) : ?>
+			<button type="button" class="data-machine-events-scope-chip" data-scope="<?php echo esc_attr( $scope_key ); ?>" aria-pressed="<?php echo $scope_key === $active_scope ? 'true' : 'false'; ?>">
+				<?php echo esc_html( $scope_label ); ?>
+				<span class="data-machine-events-scope-count" hidden></span>
+			</button>
+		<?php endforeach; ?>
+	</div>
+	<?php endif; ?>
+
+	<div class="data-machine-events-presets" data-save-prompt="<?php esc_attr_e( 'Name this search', 'data-machine-events' ); ?>" data-delete-confirm="<?php esc_attr_e( 'Delete this saved search?', 'data-machine-events' ); ?>" hidden>
+		<label class="screen-reader-text" for="<?php echo esc_attr( $preset_select_id ); ?>"><?php esc_html_e( 'Saved searches', 'data-machine-events' ); ?></label>
+		<select id="<?php echo esc_attr( $preset_select_id ); ?>" class="data-machine-events-preset-select">
+			<option value=""><?php esc_html_e( 'Saved searches', 'data-machine-events' ); ?></option>
+			<?php if ( ! empty( $site_presets ) ) : ?>
+				<optgroup label="<?php esc_attr_e( 'Suggested', 'data-machine-events' ); ?>" class="data-machine-events-preset-site-group">
+					<?php foreach ( $site_presets as $site_preset ) : ?>
+						<option value="<?php echo esc_attr( $site_preset['id'] ); ?>" data-query="<?php echo esc_attr( $site_preset['query'] ); ?>"><?php echo esc_html( $site_preset['label'] ); ?></option>
+					<?php endforeach; ?>
+				</optgroup>
+			<?php endif; ?>
+			<optgroup label="<?php esc_attr_e( 'My searches', 'data-machine-events' ); ?>" class="data-machine-events-preset-user-group" hidden></optgroup>
+		</select>
+		<button type="button" class="data-machine-events-preset-save">
+			<span class="dashicons dashicons-plus-alt2" aria-hidden="true"></span>
+			<?php esc_html_e( 'Save search', 'data-machine-events' ); ?>
+		</button>
+		<button type="button" class="data-machine-events-preset-copy" data-copied-label="<?php esc_attr_e( 'Link copied', 'data-machine-events' ); ?>" hidden>
+			<?php esc_html_e( 'Copy link', 'data-machine-events' ); ?>
+		</button>
+		<button type="button" class="data-machine-events-preset-delete" hidden>
+			<span class="dashicons dashicons-trash" aria-hidden="true"></span>
+			<span class="screen-reader-text"><?php esc_html_e( 'Delete saved search', 'data-machine-events' ); ?></span>
+		</button>
 	</div>
 	
+	<?php if ( $show_filters ) : ?>
 	<!-- Taxonomy Filter Modal -->
 	<div id="<?php echo esc_attr( $modal_id ); ?>" class="data-machine-taxonomy-modal" aria-labelledby="<?php echo esc_attr( $modal_id . '-title' ); ?>"
 	<?php
 	if ( $has_archive_context ) :
 		?>
-		data-archive-taxonomy="<?php echo esc_attr( $archive_context['taxonomy'] ); ?>" data-archive-term-id="<?php echo esc_attr( $archive_context['term_id'] ); ?>" data-archive-term-name="<?php echo esc_attr( $archive_context['term_name'] ); ?>"<?php endif; ?>>
+		data-archive-taxonomy="<?php echo esc_attr( $archive_context['taxonomy'] ); ?>" data-archive-term-id="<?php echo esc_attr( $archive_context['term_id'] ); ?>" data-archive-term-name="<?php echo esc_attr( $archive_context['term_name'] ); ?>"<?php endif; ?><?php echo '' !== $fixed_query ? ' data-fixed-query="' . esc_attr( $fixed_query ) . '"' : ''; ?>>
 		<div class="data-machine-taxonomy-modal-overlay"></div>
 		<div class="data-machine-taxonomy-modal-container">
 			<div class="data-machine-taxonomy-modal-header">
@@ -111,4 +354,5 @@ $hide_filter_button_attr          = $hide_filter_button_when_inactive ? ' hidden
 			</div>
 		</div>
 	</div>
+	<?php endif; ?>
 </div>
\ No newline at end of file
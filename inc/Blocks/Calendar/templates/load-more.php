@@ -0,0 +1,31 @@
+<?php
+/**
+ * Load More Template
+ *
+ * Renders the "Load more" control used by the load-more and infinite
+ * pagination modes. Hidden until the frontend enables it, so the classic
+ * pagination links remain the no-JS fallback.
+ *
+ * @var string $pagination_mode Pagination mode: load-more or infinite
+ */
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+$pagination_mode = $pagination_mode ?? 'pages';
+
+if ( 'pages' === $pagination_mode ) {
+	return;
+}
+?>
+
+<div class="data-machine-events-load-more" data-pagination-mode="<?php echo esc_attr( $pagination_mode ); ?>" hidden>
+	<?php if ( 'infinite' === $pagination_mode ) : ?>
+		<div class="data-machine-events-load-more-sentinel" aria-hidden="true"></div>
+	<?php endif; ?>
+	<button type="button" class="data-machine-events-load-more-btn">
+		<?php esc_html_e( 'Load more events', 'data-machine-events' ); ?>
+	</button>
+</div>
@@ -4,6 +4,9 @@
  *
  * Empty container for JS-populated taxonomy filter interface.
  * Filter data fetched via REST API /events/filters endpoint.
+ * The search box narrows terms across all taxonomies.
+ *
+ * @var string $modal_id Modal element ID (from filter-bar.php)
  *
  * @package DataMachineEvents\Blocks\Calendar
  */
@@ -14,9 +17,14 @@ if ( ! defined( 'ABSPATH' ) ) {
 ?>
 
 <div class="data-machine-taxonomy-filter-content" data-filters-endpoint="<?php echo esc_url( rest_url( 'datamachine/v1/events/filters' ) ); ?>">
+	<div class="data-machine-filter-search">
+		<label class="screen-reader-text" for="<?php echo esc_attr( $modal_id . '-search' ); ?>"><?php esc_html_e( 'Search all filters', 'data-machine-events' ); ?></label>
+		<input type="search" id="<?php echo esc_attr( $modal_id . '-search' ); ?>" class="data-machine-filter-search-input" placeholder="<?php esc_attr_e( 'Search filters...', 'data-machine-events' ); ?>" autocomplete="off">
+	</div>
 	<div class="data-machine-filter-loading">
 		<span class="data-machine-filter-spinner"></span>
 		<span><?php esc_html_e( 'Loading filters...', 'data-machine-events' ); ?></span>
 	</div>
 	<div class="data-machine-filter-taxonomies"></div>
+	<p class="data-machine-filter-no-matches" hidden><?php esc_html_e( 'No matching filters.', 'data-machine-events' ); ?></p>
 </div>
\ No newline at end of file
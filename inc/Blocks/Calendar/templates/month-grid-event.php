@@ -0,0 +1,72 @@
+<?php
+/**
+ * Month Grid Event Template
+ *
+ * Renders one event chip in a month-grid day cell or "+N more" popover.
+ * Multi-day events render one segment per day; only the first segment of
+ * each week row is a link, the rest are decorative bar continuations.
+ *
+ * @var array $event_item Event item with post, event_data, display_context, grid_context
+ * @var bool  $in_popover Whether the chip is rendered inside the day popover
+ */
+
+use DataMachineEvents\Blocks\Calendar\Grouping\DateGrouper;
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+$event_post      = $event_item['post'];
+$event_data      = $event_item['event_data'];
+$display_context = $event_item['display_context'] ?? array();
+$grid_context    = $event_item['grid_context'] ?? array();
+$in_popover      = $in_popover ?? false;
+
+$is_multi_day     = ! empty( $display_context['is_multi_day'] );
+$is_continuation  = ! empty( $display_context['is_continuation'] );
+$is_segment_start = $in_popover || ! $is_multi_day || ! empty( $grid_context['is_segment_start'] );
+
+$chip_classes = array( 'data-machine-month-event' );
+if ( $is_multi_day && ! $in_popover ) {
+	$chip_classes[] = 'is-multi-day';
+	if ( ! empty( $grid_context['is_segment_start'] ) ) {
+		$chip_classes[] = 'is-segment-start';
+	}
+	if ( ! empty( $grid_context['is_segment_end'] ) ) {
+		$chip_classes[] = 'is-segment-end';
+	}
+	if ( $is_continuation ) {
+		$chip_classes[] = 'is-continuation';
+	}
+	if ( empty( $display_context['is_end_day'] ) ) {
+		$chip_classes[] = 'is-continued';
+	}
+}
+
+$time_label = '';
+$time_iso   = '';
+if ( ! $is_continuation && ! empty( $event_data['startDate'] ) && ! empty( $event_data['startTime'] ) ) {
+	$start_datetime = new DateTime(
+		$event_data['startDate'] . ' ' . $event_data['startTime'],
+		DateGrouper::get_event_timezone( $event_data )
+	);
+	$time_label     = $start_datetime->format( 'g:i A' );
+	$time_iso       = $start_datetime->format( 'c' );
+}
+
+$event_title = get_the_title( $event_post );
+?>
+
+<li class="<?php echo esc_attr( implode( ' ', $chip_classes ) ); ?>" data-event-id="<?php echo esc_attr( $event_post->ID ); ?>"<?php echo $is_segment_start ? '' : ' aria-hidden="true"'; ?>>
+	<?php if ( $is_segment_start ) : ?>
+		<a href="<?php echo esc_url( get_permalink( $event_post ) ); ?>" class="data-machine-month-event-link" title="<?php echo esc_attr( $event_title ); ?>">
+			<?php if ( $time_label ) : ?>
+				<span class="data-machine-month-event-time" data-start="<?php echo esc_attr( $time_iso ); ?>"><?php echo esc_html( $time_label ); ?></span>
+			<?php endif; ?>
+			<span class="data-machine-month-event-title"><?php echo esc_html( $event_title ); ?></span>
+		</a>
+	<?php else : ?>
+		<span class="data-machine-month-event-bar"></span>
+	<?php endif; ?>
+</li>
@@ -0,0 +1,143 @@
+<?php
+/**
+ * Month Grid Template
+ *
+ * Renders the month-grid view: month navigation, weekday headings, and one
+ * cell per day with event chips. Days with more slots than fit in a cell
+ * get a "+N more" button that opens a popover listing every event.
+ *
+ * @var array  $weeks       Weeks from MonthGrid::build_weeks()
+ * @var array  $bounds      Month boundaries from MonthGrid::get_bounds()
+ * @var int    $event_count Number of events in the grid
+ * @var int    $max_slots   Visible slots per day cell
+ */
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+global $wp_locale;
+
+$grid_id       = uniqid( 'data-machine-month-grid-' );
+$month_label   = wp_date( 'F Y', $bounds['timestamp'] );
+$start_of_week = (int) get_option( 'start_of_week', 0 );
+$max_slots     = max( 1, (int) ( $max_slots ?? 3 ) );
+?>
+
+<div class="data-machine-month-grid" data-month="<?php echo esc_attr( $bounds['month'] ); ?>">
+	<div class="data-machine-month-grid-header">
+		<button type="button" class="data-machine-month-nav-btn data-machine-month-prev" data-month="<?php echo esc_attr( $bounds['prev_month'] ); ?>" aria-label="<?php esc_attr_e( 'Previous month', 'data-machine-events' ); ?>">
+			<span class="dashicons dashicons-arrow-left-alt2" aria-hidden="true"></span>
+		</button>
+		<h3 id="<?php echo esc_attr( $grid_id . '-title' ); ?>" class="data-machine-month-grid-title" aria-live="polite">
+			<?php echo esc_html( $month_label ); ?>
+		</h3>
+		<button type="button" class="data-machine-month-nav-btn data-machine-month-next" data-month="<?php echo esc_attr( $bounds['next_month'] ); ?>" aria-label="<?php esc_attr_e( 'Next month', 'data-machine-events' ); ?>">
+			<span class="dashicons dashicons-arrow-right-alt2" aria-hidden="true"></span>
+		</button>
+	</div>
+
+	<div class="data-machine-month-grid-table" role="grid" aria-labelledby="<?php echo esc_attr( $grid_id . '-title' ); ?>">
+		<div class="data-machine-month-grid-weekdays" role="row">
+			<?php
+			for ( $i = 0; $i < 7; $i++ ) :
+				$weekday = $wp_locale->get_weekday( ( $start_of_week + $i ) % 7 );
+				?>
+				<div class="data-machine-month-grid-weekday" role="columnheader">
+					<abbr title="<?php echo esc_attr( $weekday ); ?>"><?php echo esc_html( $wp_locale->get_weekday_abbrev( $weekday ) ); ?></abbr>
+				</div>
+			<?php endfor; ?>
+		</div>
+
+		<?php foreach ( $weeks as $week ) : ?>
+			<div class="data-machine-month-grid-week" role="row">
+				<?php
+				foreach ( $week as $day ) :
+					$day_classes = array( 'data-machine-month-day' );
+					if ( ! $day['in_month'] ) {
+						$day_classes[] = 'is-outside-month';
+					}
+					if ( $day['is_today'] ) {
+						$day_classes[] = 'is-today';
+					}
+					if ( $day['is_past'] ) {
+						$day_classes[] = 'is-past';
+					}
+
+					$slots         = $day['slots'];
+					$has_overflow  = count( $slots ) > $max_slots;
+					$visible_slots = $has_overflow ? array_slice( $slots, 0, $max_slots - 1 ) : $slots;
+					$hidden_count  = $day['event_count'] - count( array_filter( $visible_slots ) );
+					$day_label     = wp_date( get_option( 'date_format' ), strtotime( $day['date'] . ' 12:00:00' ) );
+					$popover_id    = $grid_id . '-' . $day['date'];
+					?>
+					<div class="<?php echo esc_attr( implode( ' ', $day_classes ) ); ?>" role="gridcell" data-date="<?php echo esc_attr( $day['date'] ); ?>" data-event-count="<?php echo esc_attr( $day['event_count'] ); ?>">
+						<span class="data-machine-month-day-number">
+							<span aria-hidden="true"><?php echo esc_html( $day['day_number'] ); ?></span>
+							<span class="screen-reader-text"><?php echo esc_html( $day_label ); ?></span>
+						</span>
+
+						<?php if ( ! empty( $visible_slots ) ) : ?>
+							<ul class="data-machine-month-day-events">
+								<?php foreach ( $visible_slots as $slot ) : ?>
+									<?php if ( null === $slot ) : ?>
+										<li class="data-machine-month-event-spacer" aria-hidden="true"></li>
+									<?php else : ?>
+										<?php
+										\DataMachineEvents\Blocks\Calendar\Template_Loader::include_template(
+											'month-grid-event',
+											array(
+												'event_item' => $slot,
+												'in_popover' => false,
+											)
+										);
+										?>
+									<?php endif; ?>
+								<?php endforeach; ?>
+							</ul>
+						<?php endif; ?>
+
+						<?php if ( $has_overflow && $hidden_count > 0 ) : ?>
+							<button type="button" class="data-machine-month-day-more" aria-expanded="false" aria-controls="<?php echo esc_attr( $popover_id ); ?>">
+								<?php
+								printf(
+									/* translators: %d: number of additional events */
+									esc_html__( '+%d more', 'data-machine-events' ),
+									(int) $hidden_count
+								);
+								?>
+							</button>
+
+							<div id="<?php echo esc_attr( $popover_id ); ?>" class="data-machine-month-day-popover" role="dialog" aria-label="<?php echo esc_attr( $day_label ); ?>" hidden>
+								<div class="data-machine-month-day-popover-header">
+									<span class="data-machine-month-day-popover-title"><?php echo esc_html( $day_label ); ?></span>
+									<button type="button" class="data-machine-month-day-popover-close" aria-label="<?php esc_attr_e( 'Close', 'data-machine-events' ); ?>">
+										<span aria-hidden="true">&times;</span>
+									</button>
+								</div>
+								<ul class="data-machine-month-day-popover-events">
+									<?php
+									foreach ( array_filter( $slots ) as $slot ) {
+										\DataMachineEvents\Blocks\Calendar\Template_Loader::include_template(
+											'month-grid-event',
+											array(
+												'event_item' => $slot,
+												'in_popover' => true,
+											)
+										);
+									}
+									?>
+								</ul>
+							</div>
+						<?php endif; ?>
+					</div>
+				<?php endforeach; ?>
+			</div>
+		<?php endforeach; ?>
+	</div>
+
+	<?php if ( empty( $event_count ) ) : ?>
+		<p class="data-machine-month-grid-empty"><?php esc_html_e( 'No events this month.', 'data-machine-events' ); ?></p>
+	<?php endif; ?>
+</div>
@@ -7,6 +7,7 @@
  * @var bool $show_past Whether currently showing past events
  * @var int $past_events_count Number of past events available
  * @var int $future_events_count Number of future events available
+ * @var string $url_prefix Query param prefix of a namespaced calendar
  */
 
 // Prevent direct access
@@ -14,14 +15,18 @@ if ( ! defined( 'ABSPATH' ) ) {
 	exit;
 }
 
-// Preserve all GET parameters except 'paged' and 'past'
+$url_prefix = $url_prefix ?? '';
+$paged_key  = $url_prefix . 'paged';
+$past_key   = $url_prefix . 'past';
+
+// Preserve all GET parameters (including other calendars') except this calendar's 'paged' and 'past'
 $get_params = isset( $_GET ) ? data_machine_events_sanitize_query_params( wp_unslash( $_GET ) ) : array();
-unset( $get_params['paged'] );
-unset( $get_params['past'] );
+unset( $get_params[ $paged_key ] );
+unset( $get_params[ $past_key ] );
 
 // Show Past Events button when viewing upcoming events and past events exist
 if ( ! $show_past && $past_events_count > 0 ) :
-	$past_url = add_query_arg( array_merge( $get_params, array( 'past' => '1' ) ) );
+	$past_url = add_query_arg( array_merge( $get_params, array( $past_key => '1' ) ) );
 	?>
 	<div class="data-machine-events-past-navigation">
 		<a href="<?php echo esc_url( $past_url ); ?>" class="data-machine-events-past-btn">
@@ -32,7 +37,7 @@ if ( ! $show_past && $past_events_count > 0 ) :
 	<?php
 	// Show Upcoming Events button when viewing past events and future events exist
 elseif ( $show_past && $future_events_count > 0 ) :
-	$upcoming_url = remove_query_arg( 'past', add_query_arg( $get_params ) );
+	$upcoming_url = remove_query_arg( $past_key, add_query_arg( $get_params ) );
 	?>
 	<div class="data-machine-events-past-navigation">
 		<a href="<?php echo esc_url( $upcoming_url ); ?>" class="data-machine-events-upcoming-btn">
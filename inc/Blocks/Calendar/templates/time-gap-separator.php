@@ -12,12 +12,7 @@ if ( ! defined( 'ABSPATH' ) ) {
 	exit;
 }
 
-$gap_text = '';
-if ( 2 == $gap_days ) {
-	$gap_text = __( '1 day later', 'data-machine-events' );
-} else {
-	$gap_text = sprintf( __( '%d days later', 'data-machine-events' ), $gap_days - 1 );
-}
+$gap_text = \DataMachineEvents\Blocks\Calendar\Display\EventRenderer::get_gap_label( (int) $gap_days );
 ?>
 
 <div class="data-machine-time-gap-separator">
@@ -16,6 +16,7 @@ if ( ! defined( 'ABSPATH' ) ) {
 use DataMachineEvents\Core\Venue_Taxonomy;
 use DataMachineEvents\Core\Promoter_Taxonomy;
 use DataMachineEvents\Core\EventSchemaProvider;
+use DataMachineEvents\Blocks\Calendar\Display\EventRenderer;
 
 $decode_unicode = function ( $str ) {
 	return html_entity_decode( preg_replace( '/\\\\u([0-9a-fA-F]{4})/', '&#x$1;', $str ), ENT_NOQUOTES, 'UTF-8' );
@@ -193,6 +194,12 @@ $event_schema     = EventSchemaProvider::generateSchemaOrg( $event_data, $venue_
 		<?php endif; ?>
 
 		<?php
+		$event_post = get_post( $post_id );
+		if ( $event_post ) {
+			// phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped within the add-to-calendar template
+			echo EventRenderer::render_add_to_calendar( $event_post, null, false );
+		}
+
 		/**
 		 * Action hook for additional event action buttons.
 		 *
@@ -232,16 +239,6 @@ $event_schema     = EventSchemaProvider::generateSchemaOrg( $event_data, $venue_
 						data-venue-address="<?php echo esc_attr( $address ); ?>"
 						data-map-type="<?php echo esc_attr( $map_display_type ); ?>"
 					></div>
-					<div class="venue-map-attribution">
-						<small>
-							<?php
-							printf(
-								esc_html__( 'Map data © %s contributors', 'data-machine-events' ),
-								'<a href="https://www.openstreetmap.org/copyright" target="_blank" rel="noopener">OpenStreetMap</a>'
-							);
-							?>
-						</small>
-					</div>
 				</div>
 				<?php
 			}
@@ -30,11 +30,18 @@ $height   = absint( $attributes['height'] ?? 400 );
 $zoom     = absint( $attributes['zoom'] ?? 12 );
 $map_type = sanitize_text_field( $attributes['mapType'] ?? 'osm-standard' );
 
+$cluster_markers  = (bool) ( $attributes['clusterMarkers'] ?? false );
+$cluster_radius   = absint( $attributes['clusterRadius'] ?? 60 );
+$cluster_max_zoom = absint( $attributes['clusterMaxZoom'] ?? 15 );
+
 // Override map type from plugin settings if available.
 if ( 'osm-standard' === $map_type && class_exists( 'DataMachineEvents\\Admin\\Settings_Page' ) ) {
 	$map_type = \DataMachineEvents\Admin\Settings_Page::get_map_display_type();
 }
 
+// Tile URLs and attribution come from the shared provider registry.
+wp_enqueue_script( \DataMachineEvents\Core\TileProviders::SCRIPT_HANDLE );
+
 // Build context for filters.
 $context = array(
 	'is_archive'  => is_archive(),
@@ -106,6 +113,11 @@ $summary = apply_filters( 'data_machine_events_map_summary', '', array(), $conte
 		data-taxonomy="<?php echo esc_attr( $context['taxonomy'] ); ?>"
 		data-term-id="<?php echo esc_attr( $context['term_id'] ); ?>"
 		data-rest-url="<?php echo esc_attr( $rest_url ); ?>"
+		<?php if ( $cluster_markers ) : ?>
+		data-cluster-markers="1"
+		data-cluster-radius="<?php echo esc_attr( $cluster_radius ); ?>"
+		data-cluster-max-zoom="<?php echo esc_attr( $cluster_max_zoom ); ?>"
+		<?php endif; ?>
 		<?php if ( $show_location_search ) : ?>
 		data-show-location-search="1"
 		data-geocode-url="<?php echo esc_attr( $geocode_rest_url ); ?>"
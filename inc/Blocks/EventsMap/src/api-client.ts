@@ -1,13 +1,26 @@
 /**
  * Events Map API Client
  *
- * Fetches venue data from the public REST endpoint.
+ * Fetches venue data and a venue's upcoming events from the public REST
+ * endpoints.
  *
  * @package DataMachineEvents
  * @since 0.5.0
  */
 
-import type { VenueListResponse, MapBounds } from './types';
+import type {
+	VenueListResponse,
+	VenueEventsResponse,
+	MapBounds,
+	MapEventFilters,
+} from './types';
+
+/** Events listed in a venue popup. */
+const VENUE_EVENTS_LIMIT = 3;
+
+/** Upcoming events per venue, kept for the page's lifetime. */
+const venueEventsCache = new Map<number, VenueEventsResponse>();
+const venueEventsRequests = new Map<number, Promise<VenueEventsResponse>>();
 
 interface FetchVenuesParams {
 	bounds?: MapBounds;
@@ -17,6 +30,7 @@ interface FetchVenuesParams {
 	radiusUnit?: 'mi' | 'km';
 	taxonomy?: string;
 	termId?: number;
+	filters?: MapEventFilters;
 }
 
 /**
@@ -66,6 +80,10 @@ export async function fetchVenues(
 		url.searchParams.set( 'term_id', String( params.termId ) );
 	}
 
+	if ( params.filters ) {
+		appendEventFilters( url.searchParams, params.filters );
+	}
+
 	const response = await fetch( url.toString(), {
 		headers: { Accept: 'application/json' },
 	} );
@@ -76,3 +94,84 @@ export async function fetchVenues(
 
 	return response.json() as Promise<VenueListResponse>;
 }
+
+/**
+ * Add a calendar's event filters as the calendar endpoint's params.
+ */
+function appendEventFilters(
+	searchParams: URLSearchParams,
+	filters: MapEventFilters,
+): void {
+	Object.entries( filters.tax_filter ).forEach( ( [ taxonomy, termIds ] ) => {
+		termIds.forEach( ( termId ) => {
+			searchParams.append( `tax_filter[${ taxonomy }][]`, String( termId ) );
+		} );
+	} );
+
+	( [ 'date_start', 'date_end', 'scope', 'event_search' ] as const ).forEach(
+		( key ) => {
+			if ( filters[ key ] ) {
+				searchParams.set( key, filters[ key ] );
+			}
+		},
+	);
+}
+
+/**
+ * A venue's upcoming events if they were already fetched.
+ */
+export function getCachedVenueEvents( venueId: number ): VenueEventsResponse | undefined {
+	return venueEventsCache.get( venueId );
+}
+
+/**
+ * Fetch a venue's next upcoming events (public endpoint, no nonce).
+ *
+ * Results are cached per venue and concurrent calls share one request. A
+ * failed request is not cached, so reopening the popup retries.
+ *
+ * @param restUrl Venue list REST URL (e.g. /wp-json/datamachine/v1/events/venues).
+ * @param venueId Venue term ID.
+ * @returns Promise resolving to the venue's upcoming events.
+ */
+export function fetchVenueEvents(
+	restUrl: string,
+	venueId: number,
+): Promise<VenueEventsResponse> {
+	const cached = venueEventsCache.get( venueId );
+	if ( cached ) {
+		return Promise.resolve( cached );
+	}
+
+	const pending = venueEventsRequests.get( venueId );
+	if ( pending ) {
+		return pending;
+	}
+
+	const url = new URL(
+		`${ restUrl.replace( /\/$/, '' ) }/${ venueId }/events`,
+		window.location.origin,
+	);
+	url.searchParams.set( 'limit', String( VENUE_EVENTS_LIMIT ) );
+
+	const request = fetch( url.toString(), {
+		headers: { Accept: 'application/json' },
+	} )
+		.then( ( response ) => {
+			if ( ! response.ok ) {
+				throw new Error( `Venue events fetch failed: ${ response.status } ${ response.statusText }` );
+			}
+			return response.json() as Promise<VenueEventsResponse>;
+		} )
+		.then( ( data ) => {
+			venueEventsCache.set( venueId, data );
+			return data;
+		} )
+		.finally( () => {
+			venueEventsRequests.delete( venueId );
+		} );
+
+	venueEventsRequests.set( venueId, request );
+
+	return request;
+}
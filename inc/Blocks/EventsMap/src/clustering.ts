@@ -0,0 +1,131 @@
+/**
+ * Events Map Venue Clustering
+ *
+ * Groups venues whose markers would overlap at the current zoom into one
+ * count bubble. Venues are clustered in screen space: the busiest venue
+ * seeds a cluster and every venue within the cluster radius (in pixels)
+ * joins it. Bubbles show the summed upcoming event count and grow with it.
+ *
+ * @package DataMachineEvents
+ */
+
+import L from 'leaflet';
+import { _n, sprintf } from '@wordpress/i18n';
+
+import type { Venue, VenueCluster } from './types';
+
+/** Bubble diameter bounds in pixels. */
+const MIN_BUBBLE_SIZE = 32;
+const MAX_BUBBLE_SIZE = 64;
+
+/**
+ * Group venues into clusters at the map's current zoom.
+ *
+ * Single-venue clusters are returned too; callers draw those as plain
+ * venue markers.
+ *
+ * @param map    Leaflet map used to project venues to pixels.
+ * @param venues Venues with coordinates.
+ * @param radius Cluster radius in pixels.
+ * @returns Clusters, busiest first.
+ */
+export function clusterVenues(
+	map: L.Map,
+	venues: Venue[],
+	radius: number,
+): VenueCluster[] {
+	const zoom = map.getZoom();
+	const points = venues
+		.filter( ( venue ) => venue.lat && venue.lon )
+		.sort( ( a, b ) => b.event_count - a.event_count )
+		.map( ( venue ) => ( {
+			venue,
+			point: map.project( [ venue.lat, venue.lon ], zoom ),
+		} ) );
+
+	const clusters: { seed: L.Point; members: typeof points }[] = [];
+
+	points.forEach( ( entry ) => {
+		const cluster = clusters.find(
+			( candidate ) => candidate.seed.distanceTo( entry.point ) <= radius,
+		);
+
+		if ( cluster ) {
+			cluster.members.push( entry );
+		} else {
+			clusters.push( { seed: entry.point, members: [ entry ] } );
+		}
+	} );
+
+	return clusters.map( ( { members } ) => {
+		const clusterVenueList = members.map( ( member ) => member.venue );
+
+		return {
+			venues: clusterVenueList,
+			lat:
+				clusterVenueList.reduce( ( sum, venue ) => sum + venue.lat, 0 ) /
+				clusterVenueList.length,
+			lon:
+				clusterVenueList.reduce( ( sum, venue ) => sum + venue.lon, 0 ) /
+				clusterVenueList.length,
+			eventCount: clusterVenueList.reduce(
+				( sum, venue ) => sum + venue.event_count,
+				0,
+			),
+		};
+	} );
+}
+
+/**
+ * Bounds covering every venue in a cluster.
+ */
+export function getClusterBounds( cluster: VenueCluster ): L.LatLngBounds {
+	return L.latLngBounds(
+		cluster.venues.map( ( venue ) => [ venue.lat, venue.lon ] as L.LatLngTuple ),
+	);
+}
+
+/**
+ * Describe a cluster for screen readers and the marker tooltip.
+ */
+export function getClusterLabel( cluster: VenueCluster ): string {
+	const venues = sprintf(
+		/* translators: %d: number of venues in a map cluster */
+		_n( '%d venue', '%d venues', cluster.venues.length, 'data-machine-events' ),
+		cluster.venues.length,
+	);
+	const events = sprintf(
+		/* translators: %d: number of upcoming events at the clustered venues */
+		_n(
+			'%d upcoming event',
+			'%d upcoming events',
+			cluster.eventCount,
+			'data-machine-events',
+		),
+		cluster.eventCount,
+	);
+
+	return `${ venues }, ${ events }`;
+}
+
+/**
+ * Count bubble sized by the summed event count.
+ *
+ * The diameter grows with the square root of the count, so a cluster with
+ * four times the events reads twice as wide, up to MAX_BUBBLE_SIZE.
+ */
+export function createClusterIcon( cluster: VenueCluster ): L.DivIcon {
+	const size = Math.round(
+		Math.min(
+			MAX_BUBBLE_SIZE,
+			MIN_BUBBLE_SIZE + Math.sqrt( cluster.eventCount ) * 3,
+		),
+	);
+
+	return L.divIcon( {
+		html: `<span class="venue-cluster-count">${ cluster.eventCount }</span>`,
+		className: 'venue-cluster-marker',
+		iconSize: [ size, size ],
+		iconAnchor: [ size / 2, size / 2 ],
+	} );
+}
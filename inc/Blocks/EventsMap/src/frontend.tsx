@@ -3,13 +3,16 @@
  *
  * React component rendered into the server-side container div.
  * Uses Leaflet via useRef/useEffect for map management, fetches venues
- * from the REST API, and emits custom events on bounds change.
+ * from the REST API, and emits custom events on bounds change. Venue
+ * markers and calendar event cards are linked through custom events too
+ * (see the calendar's modules/venue-link.ts).
  *
  * @package DataMachineEvents
  * @since 0.5.0
  */
 
 import { createRoot } from '@wordpress/element';
+import { __, _n, sprintf } from '@wordpress/i18n';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
 
@@ -20,13 +23,26 @@ import {
 	useCallback,
 } from '@wordpress/element';
 
-import { fetchVenues } from './api-client';
-import { TILE_URLS } from './types';
+import {
+	fetchVenues,
+	fetchVenueEvents,
+	getCachedVenueEvents,
+} from './api-client';
+import {
+	clusterVenues,
+	createClusterIcon,
+	getClusterBounds,
+	getClusterLabel,
+} from './clustering';
+import { FALLBACK_TILE_PROVIDER } from './types';
 import type {
 	Venue,
+	VenueEvent,
+	VenueEventsResponse,
 	MapProps,
 	MapType,
 	MapBounds,
+	MapEventFilters,
 	BoundsChangedEvent,
 } from './types';
 
@@ -45,7 +61,94 @@ function escapeHtml( text: string ): string {
 	return div.innerHTML;
 }
 
-function buildPopupHtml( venue: Venue ): string {
+function escapeAttr( text: string ): string {
+	return escapeHtml( text ).replace( /"/g, '&quot;' );
+}
+
+/** Upcoming events section of a popup: still loading, failed, or loaded. */
+type PopupEvents = VenueEventsResponse | 'loading' | 'error';
+
+/**
+ * Format a venue-local `Y-m-d H:i:s` start as shown at the venue.
+ */
+function formatEventDate( startDate: string ): string {
+	const [ date, time = '00:00:00' ] = startDate.split( ' ' );
+	const [ year, month, day ] = date.split( '-' ).map( Number );
+	const [ hour, minute ] = time.split( ':' ).map( Number );
+
+	const local = new Date( year, month - 1, day, hour, minute );
+	if ( isNaN( local.getTime() ) ) {
+		return '';
+	}
+
+	return new Intl.DateTimeFormat( document.documentElement.lang || undefined, {
+		weekday: 'short',
+		month: 'short',
+		day: 'numeric',
+		hour: 'numeric',
+		minute: '2-digit',
+	} ).format( local );
+}
+
+function buildEventHtml( event: VenueEvent ): string {
+	let html = '<li class="venue-popup-event">';
+	html += `<a href="${ escapeAttr( event.permalink ) }" class="venue-popup-event-title">${ escapeHtml( event.title ) }</a>`;
+
+	const date = event.start_date ? formatEventDate( event.start_date ) : '';
+	if ( date ) {
+		html += `<span class="venue-popup-event-date">${ escapeHtml( date ) }</span>`;
+	}
+
+	if ( event.ticket_url ) {
+		html += `<a href="${ escapeAttr( event.ticket_url ) }" class="venue-popup-event-tickets" target="_blank" rel="noopener">${ escapeHtml(
+			__( 'Tickets', 'data-machine-events' ),
+		) }</a>`;
+	}
+
+	html += '</li>';
+	return html;
+}
+
+function buildEventsHtml( events: PopupEvents ): string {
+	let html = '<div class="venue-popup-upcoming" aria-live="polite">';
+
+	if ( events === 'loading' ) {
+		html += `<span class="venue-popup-loading">${ escapeHtml(
+			__( 'Loading upcoming events...', 'data-machine-events' ),
+		) }</span>`;
+	} else if ( events === 'error' ) {
+		html += `<span class="venue-popup-empty">${ escapeHtml(
+			__( 'Could not load upcoming events.', 'data-machine-events' ),
+		) }</span>`;
+	} else if ( events.events.length === 0 ) {
+		html += `<span class="venue-popup-empty">${ escapeHtml(
+			__( 'No upcoming events', 'data-machine-events' ),
+		) }</span>`;
+	} else {
+		html += '<ul class="venue-popup-event-list">';
+		html += events.events.map( buildEventHtml ).join( '' );
+		html += '</ul>';
+
+		if ( events.venue.url ) {
+			const seeAll = sprintf(
+				/* translators: %d: number of upcoming events at the venue */
+				_n(
+					'See all %d event',
+					'See all %d events',
+					events.venue.total_events,
+					'data-machine-events',
+				),
+				events.venue.total_events,
+			);
+			html += `<a href="${ escapeAttr( events.venue.url ) }" class="venue-popup-see-all">${ escapeHtml( seeAll ) }</a>`;
+		}
+	}
+
+	html += '</div>';
+	return html;
+}
+
+function buildPopupHtml( venue: Venue, events?: PopupEvents ): string {
 	let html = '<div class="venue-popup">';
 
 	if ( venue.url ) {
@@ -55,17 +158,57 @@ function buildPopupHtml( venue: Venue ): string {
 	}
 
 	if ( venue.event_count > 0 ) {
-		html += `<span class="venue-popup-events">${ venue.event_count } upcoming event${ venue.event_count !== 1 ? 's' : '' }</span>`;
+		const eventCount = sprintf(
+			/* translators: %d: number of upcoming events at the venue */
+			_n(
+				'%d upcoming event',
+				'%d upcoming events',
+				venue.event_count,
+				'data-machine-events',
+			),
+			venue.event_count,
+		);
+		html += `<span class="venue-popup-events">${ escapeHtml( eventCount ) }</span>`;
 	}
 
 	if ( venue.address ) {
 		html += `<span class="venue-popup-address">${ escapeHtml( venue.address ) }</span>`;
 	}
 
+	if ( events ) {
+		html += buildEventsHtml( events );
+	}
+
 	html += '</div>';
 	return html;
 }
 
+/**
+ * Fill an open venue popup with the venue's upcoming events, showing a
+ * loading state until the (per-venue cached) request resolves.
+ */
+function loadPopupEvents( popup: L.Popup, venue: Venue, restUrl: string ): void {
+	if ( ! restUrl || venue.event_count === 0 ) {
+		return;
+	}
+
+	const cached = getCachedVenueEvents( venue.term_id );
+	if ( cached ) {
+		popup.setContent( buildPopupHtml( venue, cached ) );
+		return;
+	}
+
+	popup.setContent( buildPopupHtml( venue, 'loading' ) );
+
+	fetchVenueEvents( restUrl, venue.term_id )
+		.then( ( data ) => popup.setContent( buildPopupHtml( venue, data ) ) )
+		.catch( ( err ) => {
+			// eslint-disable-next-line no-console
+			console.error( 'Events map: failed to fetch venue events', err );
+			popup.setContent( buildPopupHtml( venue, 'error' ) );
+		} );
+}
+
 function createVenueIcon(): L.DivIcon {
 	return L.divIcon( {
 		html: '<span style="font-size: 28px; line-height: 1; display: block;">📍</span>',
@@ -76,6 +219,15 @@ function createVenueIcon(): L.DivIcon {
 	} );
 }
 
+function buildUserLocationPopupHtml(): string {
+	return `<div class="venue-popup"><span class="venue-popup-name">${ escapeHtml(
+		__( 'You are here', 'data-machine-events' ),
+	) }</span></div>`;
+}
+
+/** Offset of a popup opened at a venue's position, matching bound popups. */
+const VENUE_POPUP_OFFSET: L.PointExpression = [ 0, -21 ];
+
 function createUserLocationIcon(): L.DivIcon {
 	return L.divIcon( {
 		html: '<span class="user-location-dot"></span>',
@@ -112,6 +264,19 @@ function dispatchBoundsChanged( map: L.Map ): void {
 	);
 }
 
+/** Whether a calendar's filters narrow the venues at all. */
+function hasEventFilters( filters: MapEventFilters ): boolean {
+	return (
+		Object.values( filters.tax_filter ).some( ( ids ) => ids.length > 0 ) ||
+		!! (
+			filters.date_start ||
+			filters.date_end ||
+			filters.scope ||
+			filters.event_search
+		)
+	);
+}
+
 /* ---------- debounce ---------- */
 
 function debounce<T extends ( ...args: unknown[] ) => void>(
@@ -144,7 +309,7 @@ function LocationSearch( {
 	const [ loading, setLoading ] = useState( false );
 	const [ error, setError ] = useState( '' );
 	const [ placeholder, setPlaceholder ] = useState(
-		'Enter a city or address...',
+		__( 'Enter a city or address...', 'data-machine-events' ),
 	);
 
 	const handleSubmit = useCallback(
@@ -165,6 +330,17 @@ function LocationSearch( {
 					headers: { Accept: 'application/json' },
 				} );
 
+				// Another place search on the site just went upstream.
+				if ( response.status === 429 ) {
+					setError(
+						__(
+							'Location search is busy. Please try again in a moment.',
+							'data-machine-events',
+						),
+					);
+					return;
+				}
+
 				if ( ! response.ok ) {
 					throw new Error( 'Geocoding request failed' );
 				}
@@ -177,7 +353,10 @@ function LocationSearch( {
 					data.results.length === 0
 				) {
 					setError(
-						'Location not found. Try a different city or address.',
+						__(
+							'Location not found. Try a different city or address.',
+							'data-machine-events',
+						),
 					);
 					return;
 				}
@@ -197,7 +376,10 @@ function LocationSearch( {
 				onLocationFound( lat, lng, label );
 			} catch {
 				setError(
-					'Could not look up that location. Please try again.',
+					__(
+						'Could not look up that location. Please try again.',
+						'data-machine-events',
+					),
 				);
 			} finally {
 				setLoading( false );
@@ -212,13 +394,13 @@ function LocationSearch( {
 				className="data-machine-events-map-location-form"
 				onSubmit={ handleSubmit }
 				role="search"
-				aria-label="Change location"
+				aria-label={ __( 'Change location', 'data-machine-events' ) }
 			>
 				<input
 					type="text"
 					className="data-machine-events-map-location-input"
 					placeholder={ placeholder }
-					aria-label="City or address"
+					aria-label={ __( 'City or address', 'data-machine-events' ) }
 					autoComplete="off"
 					value={ query }
 					onChange={ ( e ) => setQuery( e.target.value ) }
@@ -227,10 +409,10 @@ function LocationSearch( {
 				<button
 					type="submit"
 					className="data-machine-events-map-location-btn"
-					aria-label="Search location"
+					aria-label={ __( 'Search location', 'data-machine-events' ) }
 					disabled={ loading || ! query.trim() }
 				>
-					{ loading ? '...' : 'Go' }
+					{ loading ? '...' : __( 'Go', 'data-machine-events' ) }
 				</button>
 			</form>
 			{ error && (
@@ -242,6 +424,100 @@ function LocationSearch( {
 	);
 }
 
+/* ---------- Near me control ---------- */
+
+/** Round shared coordinates to about 100 m. */
+const COORDINATE_PRECISION = 3;
+
+function canUseGeolocation(): boolean {
+	return window.isSecureContext && 'geolocation' in navigator;
+}
+
+function getGeolocationError( error: GeolocationPositionError ): string {
+	switch ( error.code ) {
+		case error.PERMISSION_DENIED:
+			return __(
+				'Location access was denied. Allow it in your browser settings to see events near you.',
+				'data-machine-events',
+			);
+		case error.TIMEOUT:
+			return __(
+				'Finding your location took too long. Please try again.',
+				'data-machine-events',
+			);
+		default:
+			return __(
+				'Your location is not available right now.',
+				'data-machine-events',
+			);
+	}
+}
+
+/**
+ * Centers the map on the visitor's position. The position stays in the
+ * browser: the map recenters, and a calendar on the page picks up the new
+ * bounds through geo-sync.
+ */
+function NearMeButton( {
+	onLocated,
+}: {
+	onLocated: ( lat: number, lng: number ) => void;
+} ): JSX.Element | null {
+	const [ locating, setLocating ] = useState( false );
+	const [ error, setError ] = useState( '' );
+
+	const handleClick = useCallback( () => {
+		setLocating( true );
+		setError( '' );
+
+		navigator.geolocation.getCurrentPosition(
+			( position ) => {
+				setLocating( false );
+				onLocated(
+					parseFloat(
+						position.coords.latitude.toFixed( COORDINATE_PRECISION ),
+					),
+					parseFloat(
+						position.coords.longitude.toFixed( COORDINATE_PRECISION ),
+					),
+				);
+			},
+			( err ) => {
+				setLocating( false );
+				setError( getGeolocationError( err ) );
+			},
+			{ enableHighAccuracy: false, timeout: 10000, maximumAge: 300000 },
+		);
+	}, [ onLocated ] );
+
+	if ( ! canUseGeolocation() ) {
+		return null;
+	}
+
+	return (
+		<div className="data-machine-events-map-near-me">
+			<button
+				type="button"
+				className="data-machine-events-map-near-me-btn"
+				onClick={ handleClick }
+				disabled={ locating }
+				aria-busy={ locating }
+			>
+				{ locating
+					? __( 'Locating...', 'data-machine-events' )
+					: __( 'Near me', 'data-machine-events' ) }
+			</button>
+			<span
+				className="data-machine-events-map-near-me-error"
+				role="status"
+				aria-live="polite"
+			>
+				{ error }
+			</span>
+		</div>
+	);
+}
+
 /* ---------- React component ---------- */
 
 function EventsMap( props: MapProps ): JSX.Element | null {
@@ -261,10 +537,24 @@ function EventsMap( props: MapProps ): JSX.Element | null {
 		nonce,
 		showLocationSearch,
 		geocodeUrl,
+		clusterMarkers,
+		clusterRadius,
+		clusterMaxZoom,
 	} = props;
 
 	const mapRef = useRef<L.Map | null>( null );
 	const markersRef = useRef<L.Marker[]>( [] );
+	// Marker showing each venue: its own, or the cluster it is in.
+	const venueMarkersRef = useRef<
+		Map<number, { marker: L.Marker; venue: Venue | null }>
+	>( new Map() );
+	const highlightedVenueRef = useRef<number | null>( null );
+	const highlightPopupRef = useRef<L.Popup | null>( null );
+	// Event filters shared by a calendar on the page, and their query key.
+	const eventFiltersRef = useRef<MapEventFilters | null>( null );
+	const eventFiltersKeyRef = useRef( '' );
+	// Only the latest venue request may replace the markers.
+	const venueRequestRef = useRef( 0 );
 	const userMarkerRef = useRef<L.Marker | null>( null );
 	const containerRef = useRef<HTMLDivElement | null>( null );
 	const gestureOverlayRef = useRef<HTMLDivElement | null>( null );
@@ -274,6 +564,10 @@ function EventsMap( props: MapProps ): JSX.Element | null {
 
 	const [ venues, setVenues ] = useState<Venue[]>( initialVenues );
 	const [ loading, setLoading ] = useState( false );
+	// Bumped on zoom so clusters are rebuilt for the new scale.
+	const [ mapZoom, setMapZoom ] = useState( zoom );
+	// Venues a calendar on the page is filtered to.
+	const [ selectedVenueIds, setSelectedVenueIds ] = useState<number[]>( [] );
 
 	const hasCenter = centerLat !== null && centerLon !== null;
 	const hasUserLocation = userLat !== null && userLon !== null;
@@ -283,19 +577,26 @@ function EventsMap( props: MapProps ): JSX.Element | null {
 		async ( bounds?: MapBounds ) => {
 			if ( ! restUrl ) return;
 
+			const request = ++venueRequestRef.current;
+
 			setLoading( true );
 			try {
 				const result = await fetchVenues( restUrl, nonce, {
 					bounds,
 					taxonomy: taxonomy || undefined,
 					termId: termId || undefined,
+					filters: eventFiltersRef.current || undefined,
 				} );
-				setVenues( result.venues );
+				if ( request === venueRequestRef.current ) {
+					setVenues( result.venues );
+				}
 			} catch ( err ) {
 				// eslint-disable-next-line no-console
 				console.error( 'Events map: failed to fetch venues', err );
 			} finally {
-				setLoading( false );
+				if ( request === venueRequestRef.current ) {
+					setLoading( false );
+				}
 			}
 		},
 		[ restUrl, nonce, taxonomy, termId ],
@@ -383,11 +684,13 @@ function EventsMap( props: MapProps ): JSX.Element | null {
 			map.on( 'mouseout', () => map.scrollWheelZoom.disable() );
 		}
 
-		// Tile layer.
-		const tileUrl = TILE_URLS[ mapType ] || TILE_URLS[ 'osm-standard' ];
-		L.tileLayer( tileUrl, {
-			attribution: '',
-			maxZoom: 18,
+		// Tile layer from the shared provider registry.
+		const tileProvider =
+			window.dataMachineEventsTileProviders?.getProvider( mapType ) ||
+			FALLBACK_TILE_PROVIDER;
+		L.tileLayer( tileProvider.url, {
+			attribution: tileProvider.attribution,
+			maxZoom: tileProvider.maxZoom,
 			minZoom: 8,
 		} ).addTo( map );
 
@@ -395,6 +698,7 @@ function EventsMap( props: MapProps ): JSX.Element | null {
 
 		// Fetch venues on pan/zoom and dispatch bounds-changed events.
 		map.on( 'moveend', () => debouncedFetch( map ) );
+		map.on( 'zoomend', () => setMapZoom( map.getZoom() ) );
 
 		// Force a resize check after mount.
 		setTimeout( () => map.invalidateSize(), 100 );
@@ -463,9 +767,7 @@ function EventsMap( props: MapProps ): JSX.Element | null {
 			const icon = createUserLocationIcon();
 			const marker = L.marker( [ detail.lat, detail.lng ], { icon } )
 				.addTo( map )
-				.bindPopup(
-					'<div class="venue-popup"><span class="venue-popup-name">You are here</span></div>',
-				);
+				.bindPopup( buildUserLocationPopupHtml() );
 
 			userMarkerRef.current = marker;
 		};
@@ -487,25 +789,96 @@ function EventsMap( props: MapProps ): JSX.Element | null {
 		const map = mapRef.current;
 		if ( ! map ) return;
 
+		// A popup panned into view refetches venues; reopen it after the rebuild.
+		let openVenueId: number | null = null;
+		venueMarkersRef.current.forEach( ( { marker, venue }, venueId ) => {
+			if ( venue && marker.isPopupOpen() ) {
+				openVenueId = venueId;
+			}
+		} );
+
 		// Clear existing venue markers.
 		markersRef.current.forEach( ( m ) => map.removeLayer( m ) );
 		markersRef.current = [];
+		venueMarkersRef.current.clear();
 
 		const icon = createVenueIcon();
 		const newMarkers: L.Marker[] = [];
 
-		venues.forEach( ( venue ) => {
-			if ( ! venue.lat || ! venue.lon ) return;
-
+		const addVenueMarker = ( venue: Venue ) => {
 			const marker = L.marker( [ venue.lat, venue.lon ], { icon } )
 				.addTo( map )
 				.bindPopup( buildPopupHtml( venue ) );
 
+			marker.on( 'popupopen', ( e: L.PopupEvent ) => {
+				loadPopupEvents( e.popup, venue, restUrl );
+			} );
+
+			// Filter calendars on the page to this venue.
+			marker.on( 'click', () => {
+				document.dispatchEvent(
+					new CustomEvent( 'data-machine-map-venue-selected', {
+						detail: { venueId: venue.term_id },
+					} ),
+				);
+			} );
+
 			newMarkers.push( marker );
-		} );
+			venueMarkersRef.current.set( venue.term_id, { marker, venue } );
+		};
+
+		if ( clusterMarkers && map.getZoom() < clusterMaxZoom ) {
+			clusterVenues( map, venues, clusterRadius ).forEach( ( cluster ) => {
+				if ( cluster.venues.length === 1 ) {
+					addVenueMarker( cluster.venues[ 0 ] );
+					return;
+				}
+
+				const marker = L.marker( [ cluster.lat, cluster.lon ], {
+					icon: createClusterIcon( cluster ),
+					title: getClusterLabel( cluster ),
+				} ).addTo( map );
+
+				// Zoom to the venues; at clusterMaxZoom they are shown apart.
+				marker.on( 'click', () => {
+					map.fitBounds( getClusterBounds( cluster ).pad( 0.2 ), {
+						maxZoom: clusterMaxZoom,
+					} );
+				} );
+
+				newMarkers.push( marker );
+				cluster.venues.forEach( ( venue ) => {
+					venueMarkersRef.current.set( venue.term_id, {
+						marker,
+						venue: null,
+					} );
+				} );
+			} );
+		} else {
+			venues.forEach( ( venue ) => {
+				if ( ! venue.lat || ! venue.lon ) return;
+				addVenueMarker( venue );
+			} );
+		}
 
 		markersRef.current = newMarkers;
 
+		markSelectedVenues( selectedVenueIds );
+
+		if ( openVenueId ) {
+			const reopened = venueMarkersRef.current.get( openVenueId );
+			if ( reopened?.venue ) {
+				reopened.marker.openPopup();
+			}
+		}
+
+		if ( highlightedVenueRef.current ) {
+			venueMarkersRef.current
+				.get( highlightedVenueRef.current )
+				?.marker.getElement()
+				?.classList.add( 'is-highlighted' );
+		}
+
 		// Fit bounds on first load when we have a user location or
 		// initial venues (before the user has interacted with the map).
 		if ( initialVenues.length > 0 ) {
@@ -527,7 +900,132 @@ function EventsMap( props: MapProps ): JSX.Element | null {
 			}
 		}
 		// eslint-disable-next-line react-hooks/exhaustive-deps
-	}, [ venues ] );
+	}, [ venues, mapZoom ] );
+
+	/* --- mark the venues calendars are filtered to --- */
+	const markSelectedVenues = ( venueIds: number[] ) => {
+		// A cluster is marked when any of its venues is selected.
+		const selected = new Set(
+			venueIds.map( ( venueId ) => venueMarkersRef.current.get( venueId )?.marker ),
+		);
+
+		venueMarkersRef.current.forEach( ( { marker } ) => {
+			marker
+				.getElement()
+				?.classList.toggle( 'is-selected', selected.has( marker ) );
+		} );
+	};
+
+	useEffect( () => {
+		markSelectedVenues( selectedVenueIds );
+		// eslint-disable-next-line react-hooks/exhaustive-deps
+	}, [ selectedVenueIds ] );
+
+	/* --- link venue markers with calendar event cards --- */
+	useEffect( () => {
+		const highlightHandler = ( e: Event ) => {
+			const map = mapRef.current;
+			if ( ! map ) return;
+
+			const { venueId } = ( e as CustomEvent< {
+				venueId: number | null;
+			} > ).detail || { venueId: null };
+
+			if ( highlightedVenueRef.current ) {
+				venueMarkersRef.current
+					.get( highlightedVenueRef.current )
+					?.marker.getElement()
+					?.classList.remove( 'is-highlighted' );
+			}
+			if ( highlightPopupRef.current ) {
+				map.closePopup( highlightPopupRef.current );
+				highlightPopupRef.current = null;
+			}
+
+			highlightedVenueRef.current = venueId;
+
+			const entry = venueId ? venueMarkersRef.current.get( venueId ) : null;
+			if ( ! entry ) return;
+
+			entry.marker.getElement()?.classList.add( 'is-highlighted' );
+
+			// Clustered venues only light up their bubble. The popup must not
+			// pan the map: that would move the bounds and refetch the calendar.
+			if ( entry.venue ) {
+				highlightPopupRef.current = L.popup( {
+					autoPan: false,
+					closeButton: false,
+					offset: VENUE_POPUP_OFFSET,
+				} )
+					.setLatLng( [ entry.venue.lat, entry.venue.lon ] )
+					.setContent( buildPopupHtml( entry.venue ) )
+					.openOn( map );
+
+				loadPopupEvents( highlightPopupRef.current, entry.venue, restUrl );
+			}
+		};
+
+		const selectHandler = ( e: Event ) => {
+			const detail = ( e as CustomEvent< { venueIds: number[] } > ).detail;
+			setSelectedVenueIds( detail?.venueIds || [] );
+		};
+
+		// Refetch the venues in view under the calendar's new filters. The
+		// bounds did not change, so the calendar is not told to refetch.
+		const filtersHandler = ( e: Event ) => {
+			const detail = ( e as CustomEvent< {
+				filters: MapEventFilters;
+			} > ).detail;
+			if ( ! detail?.filters ) return;
+
+			const key = JSON.stringify( detail.filters );
+			if ( key === eventFiltersKeyRef.current ) return;
+
+			const isFirst = eventFiltersKeyRef.current === '';
+			eventFiltersRef.current = detail.filters;
+			eventFiltersKeyRef.current = key;
+
+			const map = mapRef.current;
+			// Unfiltered calendars leave the first load as it is.
+			if ( ! map || ( isFirst && ! hasEventFilters( detail.filters ) ) ) {
+				return;
+			}
+
+			loadVenues( getBoundsFromMap( map ) );
+		};
+
+		document.addEventListener(
+			'data-machine-map-highlight-venue',
+			highlightHandler,
+		);
+		document.addEventListener(
+			'data-machine-map-select-venues',
+			selectHandler,
+		);
+		document.addEventListener(
+			'data-machine-map-set-filters',
+			filtersHandler,
+		);
+
+		// A calendar that initialized first answers with its selection and
+		// filters.
+		document.dispatchEvent( new CustomEvent( 'data-machine-map-ready' ) );
+
+		return () => {
+			document.removeEventListener(
+				'data-machine-map-highlight-venue',
+				highlightHandler,
+			);
+			document.removeEventListener(
+				'data-machine-map-select-venues',
+				selectHandler,
+			);
+			document.removeEventListener(
+				'data-machine-map-set-filters',
+				filtersHandler,
+			);
+		};
+	}, [] );
 
 	/* --- user location marker --- */
 	useEffect( () => {
@@ -541,9 +1039,7 @@ function EventsMap( props: MapProps ): JSX.Element | null {
 		const icon = createUserLocationIcon();
 		const marker = L.marker( [ userLat!, userLon! ], { icon } )
 			.addTo( map )
-			.bindPopup(
-				'<div class="venue-popup"><span class="venue-popup-name">You are here</span></div>',
-			);
+			.bindPopup( buildUserLocationPopupHtml() );
 
 		userMarkerRef.current = marker;
 
@@ -573,6 +1069,16 @@ function EventsMap( props: MapProps ): JSX.Element | null {
 		[],
 	);
 
+	/* --- handle "Near me" result --- */
+	const handleNearMe = useCallback( ( lat: number, lng: number ) => {
+		document.dispatchEvent(
+			new CustomEvent( 'data-machine-map-set-user-location', {
+				detail: { lat, lng },
+			} ),
+		);
+		mapRef.current?.setView( [ lat, lng ], 12 );
+	}, [] );
+
 	return (
 		<>
 			<div className="data-machine-events-map-container">
@@ -581,7 +1087,7 @@ function EventsMap( props: MapProps ): JSX.Element | null {
 					ref={ containerRef }
 					className="data-machine-events-map"
 					style={ { height: `${ height }px` } }
-					aria-label="Events map"
+					aria-label={ __( 'Events map', 'data-machine-events' ) }
 					role="application"
 				/>
 				<div
@@ -589,8 +1095,9 @@ function EventsMap( props: MapProps ): JSX.Element | null {
 					className="data-machine-events-map-gesture-overlay"
 					aria-hidden="true"
 				>
-					Use two fingers to move the map
+					{ __( 'Use two fingers to move the map', 'data-machine-events' ) }
 				</div>
+				<NearMeButton onLocated={ handleNearMe } />
 			</div>
 			{ showLocationSearch && geocodeUrl && (
 				<LocationSearch
@@ -629,6 +1136,9 @@ function parseMapProps( container: HTMLElement ): MapProps {
 		nonce: data.nonce || '',
 		showLocationSearch: data.showLocationSearch === '1',
 		geocodeUrl: data.geocodeUrl || '',
+		clusterMarkers: data.clusterMarkers === '1',
+		clusterRadius: parseInt( data.clusterRadius || '60', 10 ),
+		clusterMaxZoom: parseInt( data.clusterMaxZoom || '15', 10 ),
 	};
 }
 
@@ -2,7 +2,7 @@
  * Events Map Block Registration
  *
  * Server-side rendered block — editor shows a placeholder preview
- * with InspectorControls for height, zoom, map style, and dynamic mode.
+ * with InspectorControls for height, zoom, map style, and marker clustering.
  *
  * @package DataMachineEvents
  * @since 0.5.0
@@ -18,6 +18,7 @@ import {
 	PanelBody,
 	RangeControl,
 	SelectControl,
+	ToggleControl,
 } from '@wordpress/components';
 
 import type { MapAttributes, MapType } from './types';
@@ -33,11 +34,19 @@ const MAP_STYLE_OPTIONS: { label: string; value: MapType }[] = [
 	{ label: 'CartoDB Voyager', value: 'carto-voyager' },
 	{ label: 'CartoDB Dark', value: 'carto-dark' },
 	{ label: 'Humanitarian', value: 'humanitarian' },
+	{ label: 'Custom Tile Server', value: 'custom' },
 ];
 
 registerBlockType<MapAttributes>( 'data-machine-events/events-map', {
 	edit: function Edit( { attributes, setAttributes }: EditProps ) {
-		const { height, zoom, mapType } = attributes;
+		const {
+			height,
+			zoom,
+			mapType,
+			clusterMarkers,
+			clusterRadius,
+			clusterMaxZoom,
+		} = attributes;
 		const blockProps = useBlockProps( {
 			className: 'data-machine-events-map-block',
 		} );
@@ -77,6 +86,62 @@ registerBlockType<MapAttributes>( 'data-machine-events/events-map', {
 						}
 					/>
 					</PanelBody>
+					<PanelBody
+						title={ __( 'Clustering', 'data-machine-events' ) }
+						initialOpen={ false }
+					>
+						<ToggleControl
+							label={ __(
+								'Cluster Nearby Venues',
+								'data-machine-events',
+							) }
+							help={ __(
+								'Overlapping venues show as one bubble sized by their upcoming events. Click a bubble to zoom in.',
+								'data-machine-events',
+							) }
+							checked={ clusterMarkers }
+							onChange={ ( value: boolean ) =>
+								setAttributes( { clusterMarkers: value } )
+							}
+						/>
+						{ clusterMarkers && (
+							<>
+								<RangeControl
+									label={ __(
+										'Cluster Radius (px)',
+										'data-machine-events',
+									) }
+									help={ __(
+										'Venues closer than this on screen are grouped.',
+										'data-machine-events',
+									) }
+									value={ clusterRadius }
+									onChange={ ( value ) =>
+										setAttributes( { clusterRadius: value } )
+									}
+									min={ 20 }
+									max={ 120 }
+									step={ 10 }
+								/>
+								<RangeControl
+									label={ __(
+										'Show Every Venue From Zoom',
+										'data-machine-events',
+									) }
+									help={ __(
+										'Clusters break apart at this zoom level and closer.',
+										'data-machine-events',
+									) }
+									value={ clusterMaxZoom }
+									onChange={ ( value ) =>
+										setAttributes( { clusterMaxZoom: value } )
+									}
+									min={ 8 }
+									max={ 18 }
+								/>
+							</>
+						) }
+					</PanelBody>
 				</InspectorControls>
 
 				<div { ...blockProps }>
@@ -22,6 +22,45 @@ export interface Venue {
 	distance?: number;
 }
 
+/**
+ * Upcoming event listed in a venue popup.
+ */
+export interface VenueEvent {
+	id: number;
+	title: string;
+	permalink: string;
+	/** Venue-local start, `Y-m-d H:i:s`. */
+	start_date: string | null;
+	end_date: string | null;
+	ticket_url: string;
+}
+
+/**
+ * Response shape from GET /datamachine/v1/events/venues/{id}/events.
+ */
+export interface VenueEventsResponse {
+	success: boolean;
+	venue: {
+		term_id: number;
+		name: string;
+		url: string;
+		/** Upcoming events at the venue, not just the listed ones. */
+		total_events: number;
+	};
+	events: VenueEvent[];
+}
+
+/**
+ * Venues whose markers overlap at the current zoom, drawn as one bubble.
+ */
+export interface VenueCluster {
+	venues: Venue[];
+	lat: number;
+	lon: number;
+	/** Summed upcoming event count of the venues. */
+	eventCount: number;
+}
+
 /**
  * Response shape from GET /datamachine/v1/events/venues.
  */
@@ -33,14 +72,15 @@ export interface VenueListResponse {
 }
 
 /**
- * Map tile provider configuration.
+ * Built-in map tile providers, plus the custom tile server from settings.
  */
 export type MapType =
 	| 'osm-standard'
 	| 'carto-positron'
 	| 'carto-voyager'
 	| 'carto-dark'
-	| 'humanitarian';
+	| 'humanitarian'
+	| 'custom';
 
 /**
  * Block attributes stored in block.json.
@@ -49,6 +89,9 @@ export interface MapAttributes {
 	height: number;
 	zoom: number;
 	mapType: MapType;
+	clusterMarkers: boolean;
+	clusterRadius: number;
+	clusterMaxZoom: number;
 }
 
 /**
@@ -70,6 +113,10 @@ export interface MapProps {
 	nonce: string;
 	showLocationSearch: boolean;
 	geocodeUrl: string;
+	clusterMarkers: boolean;
+	clusterRadius: number;
+	/** Zoom level from which every venue gets its own marker. */
+	clusterMaxZoom: number;
 }
 
 /**
@@ -82,6 +129,19 @@ export interface MapBounds {
 	neLng: number;
 }
 
+/**
+ * Event filters shared by a calendar on the page
+ * (`data-machine-map-set-filters`). Venues without matching events are
+ * left off the map.
+ */
+export interface MapEventFilters {
+	tax_filter: Record<string, number[]>;
+	date_start: string;
+	date_end: string;
+	scope: string;
+	event_search: string;
+}
+
 /**
  * Custom event dispatched when map bounds change.
  */
@@ -92,12 +152,39 @@ export interface BoundsChangedEvent {
 }
 
 /**
- * Tile URL templates keyed by MapType.
+ * Tile layer from the shared provider registry (assets/js/tile-providers.js).
+ */
+export interface TileProvider {
+	name: string;
+	/** Leaflet URL template. */
+	url: string;
+	/** Attribution HTML. */
+	attribution: string;
+	maxZoom: number;
+}
+
+/**
+ * Registry exposed by assets/js/tile-providers.js.
+ */
+export interface TileProviderRegistry {
+	getProviders: () => Record<string, TileProvider>;
+	getProvider: ( mapType: string ) => TileProvider | null;
+}
+
+declare global {
+	interface Window {
+		dataMachineEventsTileProviders?: TileProviderRegistry;
+	}
+}
+
+/**
+ * Used when the registry script is missing (e.g. markup rendered outside
+ * the block's render callback).
  */
-export const TILE_URLS: Record<MapType, string> = {
-	'osm-standard': 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
-	'carto-positron': 'https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}.png',
-	'carto-voyager': 'https://{s}.basemaps.cartocdn.com/rastertiles/voyager/{z}/{x}/{y}.png',
-	'carto-dark': 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}.png',
-	'humanitarian': 'https://{s}.tile.openstreetmap.fr/hot/{z}/{x}/{y}.png',
+export const FALLBACK_TILE_PROVIDER: TileProvider = {
+	name: 'OpenStreetMap Standard',
+	url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+	attribution:
+		'&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+	maxZoom: 19,
 };
@@ -0,0 +1,337 @@
+<?php
+/**
+ * Calendar Export
+ *
+ * Builds "add to calendar" data for events: iCalendar (.ics) documents,
+ * Google Calendar and Outlook links. Times come from the hydrated event
+ * datetime (post meta) in the event's venue timezone and are exported as
+ * UTC instants so every calendar client places them correctly.
+ *
+ * @package DataMachineEvents\Core
+ * @since   0.15.0
+ */
+
+namespace DataMachineEvents\Core;
+
+use DateInterval;
+use DateTime;
+use DateTimeZone;
+use DataMachineEvents\Blocks\Calendar\Data\EventHydrator;
+use DataMachineEvents\Blocks\Calendar\Grouping\DateGrouper;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+class CalendarExport {
+
+	/**
+	 * Maximum number of events exported in a single .ics file.
+	 */
+	const MAX_EVENTS = 100;
+
+	/**
+	 * Default event length when no end time is stored (matches meta-storage.php).
+	 */
+	const DEFAULT_DURATION = 'PT3H';
+
+	/**
+	 * Build export details for an event.
+	 *
+	 * @param \WP_Post   $post       Event post.
+	 * @param array|null $event_data Hydrated event data (parsed from the post when null).
+	 * @return array|null Export details or null when the event has no start date.
+	 */
+	public static function get_event_details( \WP_Post $post, ?array $event_data = null ): ?array {
+		if ( null === $event_data ) {
+			$event_data = EventHydrator::parse_event_data( $post );
+		}
+
+		if ( empty( $event_data['startDate'] ) ) {
+			return null;
+		}
+
+		$timezone   = DateGrouper::get_event_timezone( $event_data );
+		$start_time = $event_data['startTime'] ?? '';
+		$end_date   = $event_data['endDate'] ?? '';
+		$end_time   = $event_data['endTime'] ?? '';
+		$all_day    = ! empty( $event_data['allDay'] ) || '' === $start_time;
+
+		try {
+			$start = new DateTime( $event_data['startDate'] . ' ' . ( $all_day ? '00:00:00' : $start_time ), $timezone );
+
+			if ( $all_day ) {
+				// All-day end dates are exclusive in iCalendar and Google Calendar.
+				$end = new DateTime( ( $end_date ? $end_date : $event_data['startDate'] ) . ' 00:00:00', $timezone );
+				$end->modify( '+1 day' );
+			} elseif ( $end_date && $end_time ) {
+				$end = new DateTime( $end_date . ' ' . $end_time, $timezone );
+			} elseif ( $end_date && $end_date !== $event_data['startDate'] ) {
+				$end = new DateTime( $end_date . ' 23:59:59', $timezone );
+			} else {
+				$end = ( clone $start )->add( new DateInterval( self::DEFAULT_DURATION ) );
+			}
+		} catch ( \Exception $e ) {
+			return null;
+		}
+
+		if ( $end <= $start ) {
+			$end = ( clone $start )->add( new DateInterval( self::DEFAULT_DURATION ) );
+		}
+
+		$location = array_filter(
+			array(
+				$event_data['venue'] ?? '',
+				$event_data['address'] ?? '',
+			)
+		);
+
+		$details = array(
+			'id'          => $post->ID,
+			'title'       => html_entity_decode( get_the_title( $post ), ENT_QUOTES, 'UTF-8' ),
+			// Manual excerpt only: generating one renders the post content, which
+			// would recurse into the Event Details block that renders these links.
+			'description' => html_entity_decode( wp_strip_all_tags( $post->post_excerpt ), ENT_QUOTES, 'UTF-8' ),
+			'location'    => implode( ', ', array_unique( $location ) ),
+			'url'         => get_permalink( $post ),
+			'start'       => $start,
+			'end'         => $end,
+			'all_day'     => $all_day,
+			'timezone'    => $timezone->getName(),
+		);
+
+		/**
+		 * Filter the event details used for .ics, Google, and Outlook exports.
+		 *
+		 * @param array    $details    Export details (title, description, location, url, start, end, all_day, timezone).
+		 * @param \WP_Post $post       Event post.
+		 * @param array    $event_data Hydrated event data.
+		 */
+		return apply_filters( 'data_machine_events_calendar_export_event', $details, $post, $event_data );
+	}
+
+	/**
+	 * Build the add-to-calendar links for an event.
+	 *
+	 * @param \WP_Post   $post       Event post.
+	 * @param array|null $event_data Hydrated event data (parsed from the post when null).
+	 * @return array Links keyed by ics, google, outlook (empty when the event has no date).
+	 */
+	public static function get_links( \WP_Post $post, ?array $event_data = null ): array {
+		$details = self::get_event_details( $post, $event_data );
+		if ( ! $details ) {
+			return array();
+		}
+
+		return self::get_links_for_details( $details );
+	}
+
+	/**
+	 * Build the add-to-calendar links from already computed export details.
+	 *
+	 * @param array $details Export details from get_event_details().
+	 * @return array Links keyed by ics, google, outlook.
+	 */
+	public static function get_links_for_details( array $details ): array {
+		return array(
+			'ics'     => self::get_ics_url( array( $details['id'] ) ),
+			'google'  => self::get_google_url( $details ),
+			'outlook' => self::get_outlook_url( $details ),
+		);
+	}
+
+	/**
+	 * Get the REST URL that downloads an .ics file for the given events.
+	 *
+	 * @param int[] $event_ids Event post IDs.
+	 * @return string Download URL.
+	 */
+	public static function get_ics_url( array $event_ids ): string {
+		return add_query_arg(
+			array( 'event_ids' => array_values( array_map( 'absint', $event_ids ) ) ),
+			rest_url( 'datamachine/v1/events/ics' )
+		);
+	}
+
+	/**
+	 * Build a Google Calendar "create event" link.
+	 *
+	 * @param array $details Export details from get_event_details().
+	 * @return string Google Calendar URL.
+	 */
+	public static function get_google_url( array $details ): string {
+		if ( $details['all_day'] ) {
+			$dates = $details['start']->format( 'Ymd' ) . '/' . $details['end']->format( 'Ymd' );
+		} else {
+			$dates = self::format_utc( $details['start'] ) . '/' . self::format_utc( $details['end'] );
+		}
+
+		return 'https://calendar.google.com/calendar/render?' . http_build_query(
+			array(
+				'action'   => 'TEMPLATE',
+				'text'     => $details['title'],
+				'dates'    => $dates,
+				'ctz'      => $details['timezone'],
+				'details'  => self::get_description_with_url( $details ),
+				'location' => $details['location'],
+			),
+			'',
+			'&',
+			PHP_QUERY_RFC3986
+		);
+	}
+
+	/**
+	 * Build an Outlook.com "compose event" link.
+	 *
+	 * @param array $details Export details from get_event_details().
+	 * @return string Outlook URL.
+	 */
+	public static function get_outlook_url( array $details ): string {
+		$args = array(
+			'path'     => '/calendar/action/compose',
+			'rru'      => 'addevent',
+			'subject'  => $details['title'],
+			'body'     => self::get_description_with_url( $details ),
+			'location' => $details['location'],
+		);
+
+		if ( $details['all_day'] ) {
+			$args['allday']  = 'true';
+			$args['startdt'] = $details['start']->format( 'Y-m-d' );
+			$args['enddt']   = $details['end']->format( 'Y-m-d' );
+		} else {
+			$args['startdt'] = $details['start']->format( 'c' );
+			$args['enddt']   = $details['end']->format( 'c' );
+		}
+
+		return 'https://outlook.live.com/calendar/0/deeplink/compose?' . http_build_query( $args, '', '&', PHP_QUERY_RFC3986 );
+	}
+
+	/**
+	 * Build an iCalendar document with one VEVENT per event.
+	 *
+	 * Posts that are not published events, or have no start date, are skipped.
+	 *
+	 * @param int[] $event_ids Event post IDs.
+	 * @return array{ics: string, event_ids: int[]} Document and the IDs of exported events.
+	 */
+	public static function build_ics( array $event_ids ): array {
+		$event_ids = array_slice( array_unique( array_filter( array_map( 'absint', $event_ids ) ) ), 0, self::MAX_EVENTS );
+		$host      = wp_parse_url( home_url(), PHP_URL_HOST );
+		$stamp     = self::format_utc( new DateTime( 'now', new DateTimeZone( 'UTC' ) ) );
+
+		$lines = array(
+			'BEGIN:VCALENDAR',
+			'VERSION:2.0',
+			'PRODID:-//Data Machine Events//EN',
+			'CALSCALE:GREGORIAN',
+			'METHOD:PUBLISH',
+		);
+
+		$exported = array();
+		foreach ( $event_ids as $event_id ) {
+			$post = get_post( $event_id );
+			if ( ! $post || Event_Post_Type::POST_TYPE !== $post->post_type || 'publish' !== $post->post_status ) {
+				continue;
+			}
+
+			$details = self::get_event_details( $post );
+			if ( ! $details ) {
+				continue;
+			}
+
+			$lines[] = 'BEGIN:VEVENT';
+			$lines[] = 'UID:event-' . $post->ID . '@' . $host;
+			$lines[] = 'DTSTAMP:' . $stamp;
+
+			if ( $details['all_day'] ) {
+				$lines[] = 'DTSTART;VALUE=DATE:' . $details['start']->format( 'Ymd' );
+				$lines[] = 'DTEND;VALUE=DATE:' . $details['end']->format( 'Ymd' );
+			} else {
+				$lines[] = 'DTSTART:' . self::format_utc( $details['start'] );
+				$lines[] = 'DTEND:' . self::format_utc( $details['end'] );
+			}
+
+			$lines[] = 'SUMMARY:' . self::escape_text( $details['title'] );
+			if ( $details['description'] ) {
+				$lines[] = 'DESCRIPTION:' . self::escape_text( $details['description'] );
+			}
+			if ( $details['location'] ) {
+				$lines[] = 'LOCATION:' . self::escape_text( $details['location'] );
+			}
+			$lines[] = 'URL:' . $details['url'];
+			$lines[] = 'END:VEVENT';
+
+			$exported[] = $post->ID;
+		}
+
+		$lines[] = 'END:VCALENDAR';
+
+		return array(
+			'ics'       => implode( "\r\n", array_map( array( self::class, 'fold_line' ), $lines ) ) . "\r\n",
+			'event_ids' => $exported,
+		);
+	}
+
+	/**
+	 * Format a datetime as an iCalendar UTC timestamp.
+	 *
+	 * @param DateTime $datetime Datetime in any timezone.
+	 * @return string Timestamp such as 20260101T200000Z.
+	 */
+	private static function format_utc( DateTime $datetime ): string {
+		$utc = clone $datetime;
+		$utc->setTimezone( new DateTimeZone( 'UTC' ) );
+		return $utc->format( 'Ymd\THis\Z' );
+	}
+
+	/**
+	 * Append the event permalink to its description.
+	 *
+	 * @param array $details Export details.
+	 * @return string Description text.
+	 */
+	private static function get_description_with_url( array $details ): string {
+		return trim( $details['description'] . "\n\n" . $details['url'] );
+	}
+
+	/**
+	 * Escape a TEXT value per RFC 5545 section 3.3.11.
+	 *
+	 * @param string $text Raw text.
+	 * @return string Escaped text.
+	 */
+	private static function escape_text( string $text ): string {
+		$text = str_replace( array( '\\', ';', ',' ), array( '\\\\', '\\;', '\\,' ), $text );
+		return str_replace( array( "\r\n", "\r", "\n" ), '\\n', $text );
+	}
+
+	/**
+	 * Fold a content line at 75 octets per RFC 5545 section 3.1.
+	 *
+	 * @param string $line Unfolded line.
+	 * @return string Folded line.
+	 */
+	private static function fold_line( string $line ): string {
+		if ( strlen( $line ) <= 75 ) {
+			return $line;
+		}
+
+		$folded = '';
+		$chunk  = '';
+		$limit  = 75;
+
+		// Split between characters so multibyte sequences are never broken.
+		foreach ( preg_split( '//u', $line, -1, PREG_SPLIT_NO_EMPTY ) as $char ) {
+			if ( strlen( $chunk ) + strlen( $char ) > $limit ) {
+				$folded .= $chunk . "\r\n ";
+				$chunk   = '';
+				$limit   = 74;
+			}
+			$chunk .= $char;
+		}
+
+		return $folded . $chunk;
+	}
+}
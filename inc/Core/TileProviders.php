@@ -0,0 +1,193 @@
+<?php
+/**
+ * Map tile provider registry.
+ *
+ * Single list of tile layers shared by the Events Map block and the Event
+ * Details venue map. Built-in providers can be extended or replaced with
+ * the `data_machine_events_map_tile_layers` filter, and the settings page
+ * adds a `custom` provider for a self-hosted or keyed tile server. The list
+ * reaches the browser through the `data-machine-events-tile-providers`
+ * script, where the `dataMachineEvents.tileProviders` JS filter applies.
+ *
+ * @package DataMachineEvents\Core
+ */
+
+namespace DataMachineEvents\Core;
+
+use DataMachineEvents\Admin\Settings_Page;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+class TileProviders {
+
+	const SCRIPT_HANDLE = 'data-machine-events-tile-providers';
+
+	const DEFAULT_PROVIDER = 'osm-standard';
+
+	const CUSTOM_PROVIDER = 'custom';
+
+	/** Highest zoom any tile server is trusted to serve. */
+	const MAX_ZOOM_LIMIT = 22;
+
+	/**
+	 * Built-in tile layers keyed by map type.
+	 *
+	 * @return array<string, array{name: string, url: string, attribution: string, max_zoom: int}>
+	 */
+	public static function get_builtin_providers(): array {
+		$osm   = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+		$carto = $osm . ' &copy; <a href="https://carto.com/attributions">CARTO</a>';
+
+		return array(
+			'osm-standard'   => array(
+				'name'        => __( 'OpenStreetMap Standard', 'data-machine-events' ),
+				'url'         => 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+				'attribution' => $osm,
+				'max_zoom'    => 19,
+			),
+			'carto-positron' => array(
+				'name'        => __( 'CartoDB Positron (Light)', 'data-machine-events' ),
+				'url'         => 'https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}.png',
+				'attribution' => $carto,
+				'max_zoom'    => 20,
+			),
+			'carto-voyager'  => array(
+				'name'        => __( 'CartoDB Voyager', 'data-machine-events' ),
+				'url'         => 'https://{s}.basemaps.cartocdn.com/rastertiles/voyager/{z}/{x}/{y}.png',
+				'attribution' => $carto,
+				'max_zoom'    => 20,
+			),
+			'carto-dark'     => array(
+				'name'        => __( 'CartoDB Dark Matter', 'data-machine-events' ),
+				'url'         => 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}.png',
+				'attribution' => $carto,
+				'max_zoom'    => 20,
+			),
+			'humanitarian'   => array(
+				'name'        => __( 'Humanitarian (High Contrast)', 'data-machine-events' ),
+				'url'         => 'https://{s}.tile.openstreetmap.fr/hot/{z}/{x}/{y}.png',
+				'attribution' => $osm . ', tiles style by <a href="https://www.hotosm.org/">Humanitarian OpenStreetMap Team</a> hosted by <a href="https://openstreetmap.fr/">OpenStreetMap France</a>',
+				'max_zoom'    => 19,
+			),
+		);
+	}
+
+	/**
+	 * Every available tile layer: built-ins, the custom tile server from
+	 * settings (when a URL template is set), and filtered additions.
+	 *
+	 * `{apikey}` in a URL template is replaced with the API key setting.
+	 *
+	 * @return array<string, array{name: string, url: string, attribution: string, max_zoom: int}>
+	 */
+	public static function get_providers(): array {
+		$providers = self::get_builtin_providers();
+
+		$custom_url = Settings_Page::get_setting( 'tile_custom_url', '' );
+		if ( ! empty( $custom_url ) ) {
+			$providers[ self::CUSTOM_PROVIDER ] = array(
+				'name'        => __( 'Custom Tile Server', 'data-machine-events' ),
+				'url'         => $custom_url,
+				'attribution' => Settings_Page::get_setting( 'tile_custom_attribution', '' ),
+				'max_zoom'    => (int) Settings_Page::get_setting( 'tile_custom_max_zoom', 19 ),
+			);
+		}
+
+		/**
+		 * Filter the map tile layers.
+		 *
+		 * Add a layer to offer it on the settings page and in the Events Map
+		 * block, or replace a built-in one (e.g. to self-host OpenStreetMap
+		 * tiles under the `osm-standard` key).
+		 *
+		 * @param array $providers Layers keyed by map type, each with `name`, `url`
+		 *                         (Leaflet URL template), `attribution` (HTML), and
+		 *                         `max_zoom`.
+		 */
+		$providers = apply_filters( 'data_machine_events_map_tile_layers', $providers );
+
+		$api_key = Settings_Page::get_setting( 'tile_api_key', '' );
+		$valid   = array();
+
+		foreach ( $providers as $id => $provider ) {
+			if ( ! is_array( $provider ) || empty( $provider['url'] ) ) {
+				continue;
+			}
+
+			$valid[ sanitize_key( $id ) ] = array(
+				'name'        => (string) ( $provider['name'] ?? $id ),
+				'url'         => str_replace( '{apikey}', rawurlencode( (string) $api_key ), (string) $provider['url'] ),
+				'attribution' => (string) ( $provider['attribution'] ?? '' ),
+				'max_zoom'    => min( self::MAX_ZOOM_LIMIT, max( 1, (int) ( $provider['max_zoom'] ?? 19 ) ) ),
+			);
+		}
+
+		return $valid;
+	}
+
+	/**
+	 * Map types that can be picked in settings.
+	 *
+	 * The custom type is always allowed so it can be chosen while its URL
+	 * template is being saved.
+	 *
+	 * @return string[]
+	 */
+	public static function get_provider_ids(): array {
+		return array_values( array_unique( array_merge( array_keys( self::get_providers() ), array( self::CUSTOM_PROVIDER ) ) ) );
+	}
+
+	/**
+	 * Check whether a URL template can be handed to Leaflet.
+	 *
+	 * @param string $url URL template.
+	 * @return bool True for http(s) URLs with {z}, {x}, and {y} placeholders.
+	 */
+	public static function is_valid_url_template( string $url ): bool {
+		if ( ! preg_match( '#^https?://#i', $url ) ) {
+			return false;
+		}
+
+		foreach ( array( '{z}', '{x}', '{y}' ) as $placeholder ) {
+			if ( false === strpos( $url, $placeholder ) ) {
+				return false;
+			}
+		}
+
+		return true;
+	}
+
+	/**
+	 * Register the browser-side registry used by both map scripts.
+	 */
+	public static function register_script(): void {
+		wp_register_script(
+			self::SCRIPT_HANDLE,
+			DATA_MACHINE_EVENTS_PLUGIN_URL . 'assets/js/tile-providers.js',
+			array( 'wp-hooks' ),
+			filemtime( DATA_MACHINE_EVENTS_PLUGIN_DIR . 'assets/js/tile-providers.js' ),
+			true
+		);
+
+		$providers = array();
+		foreach ( self::get_providers() as $id => $provider ) {
+			$providers[ $id ] = array(
+				'name'        => $provider['name'],
+				'url'         => $provider['url'],
+				'attribution' => $provider['attribution'],
+				'maxZoom'     => $provider['max_zoom'],
+			);
+		}
+
+		wp_localize_script(
+			self::SCRIPT_HANDLE,
+			'dataMachineEventsTiles',
+			array(
+				'providers'       => $providers,
+				'defaultProvider' => Settings_Page::get_map_display_type(),
+			)
+		);
+	}
+}
@@ -14,17 +14,24 @@ if ( ! defined( 'ABSPATH' ) ) {
 }
 
 use DataMachineEvents\Admin\Settings_Page;
+use DataMachineEvents\Core\TileProviders;
 
 // Get current settings using centralized defaults from Settings_Page
 $settings = array(
-	'include_in_archives'  => Settings_Page::get_setting( 'include_in_archives' ),
-	'include_in_search'    => Settings_Page::get_setting( 'include_in_search' ),
-	'main_events_page_url' => Settings_Page::get_setting( 'main_events_page_url' ),
-	'map_display_type'     => Settings_Page::get_setting( 'map_display_type' ),
-	'geonames_username'    => Settings_Page::get_setting( 'geonames_username' ),
-	'next_day_cutoff'      => Settings_Page::get_setting( 'next_day_cutoff' ),
+	'include_in_archives'     => Settings_Page::get_setting( 'include_in_archives' ),
+	'include_in_search'       => Settings_Page::get_setting( 'include_in_search' ),
+	'main_events_page_url'    => Settings_Page::get_setting( 'main_events_page_url' ),
+	'map_display_type'        => Settings_Page::get_setting( 'map_display_type' ),
+	'tile_custom_url'         => Settings_Page::get_setting( 'tile_custom_url' ),
+	'tile_custom_attribution' => Settings_Page::get_setting( 'tile_custom_attribution' ),
+	'tile_custom_max_zoom'    => Settings_Page::get_setting( 'tile_custom_max_zoom' ),
+	'tile_api_key'            => Settings_Page::get_setting( 'tile_api_key' ),
+	'geonames_username'       => Settings_Page::get_setting( 'geonames_username' ),
+	'next_day_cutoff'         => Settings_Page::get_setting( 'next_day_cutoff' ),
 );
 
+$tile_providers = TileProviders::get_providers();
+
 // Handle settings updates
 // phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Checking settings-updated flag set by WordPress core
 if ( isset( $_GET['settings-updated'] ) ) {
@@ -97,52 +104,23 @@ settings_errors( 'data_machine_events_messages' );
 
 		<!-- Map Display Settings -->
 		<h2><?php esc_html_e( 'Map Display Settings', 'data-machine-events' ); ?></h2>
-		<p class="description"><?php esc_html_e( 'Configure venue map appearance for Event Details blocks.', 'data-machine-events' ); ?></p>
+		<p class="description"><?php esc_html_e( 'Configure map tiles for Event Details venue maps and the Events Map block.', 'data-machine-events' ); ?></p>
 
 		<table class="form-table" role="presentation">
 			<tbody>
 				<tr>
 					<th scope="row"><?php esc_html_e( 'Map Display Type', 'data-machine-events' ); ?></th>
 					<td>
-						<label>
-							<input type="radio"
-									name="data_machine_events_settings[map_display_type]"
-									value="osm-standard"
-									<?php checked( isset( $settings['map_display_type'] ) ? $settings['map_display_type'] : 'osm-standard', 'osm-standard' ); ?> />
-							<?php esc_html_e( 'OpenStreetMap Standard', 'data-machine-events' ); ?>
-						</label>
-						<br><br>
-						<label>
-							<input type="radio"
-									name="data_machine_events_settings[map_display_type]"
-									value="carto-positron"
-									<?php checked( isset( $settings['map_display_type'] ) ? $settings['map_display_type'] : 'osm-standard', 'carto-positron' ); ?> />
-							<?php esc_html_e( 'CartoDB Positron (Light)', 'data-machine-events' ); ?>
-						</label>
-						<br><br>
-						<label>
-							<input type="radio"
-									name="data_machine_events_settings[map_display_type]"
-									value="carto-voyager"
-									<?php checked( isset( $settings['map_display_type'] ) ? $settings['map_display_type'] : 'osm-standard', 'carto-voyager' ); ?> />
-							<?php esc_html_e( 'CartoDB Voyager', 'data-machine-events' ); ?>
-						</label>
-						<br><br>
-						<label>
-							<input type="radio"
-									name="data_machine_events_settings[map_display_type]"
-									value="carto-dark"
-									<?php checked( isset( $settings['map_display_type'] ) ? $settings['map_display_type'] : 'osm-standard', 'carto-dark' ); ?> />
-							<?php esc_html_e( 'CartoDB Dark Matter', 'data-machine-events' ); ?>
-						</label>
-						<br><br>
-						<label>
-							<input type="radio"
-									name="data_machine_events_settings[map_display_type]"
-									value="humanitarian"
-									<?php checked( isset( $settings['map_display_type'] ) ? $settings['map_display_type'] : 'osm-standard', 'humanitarian' ); ?> />
-							<?php esc_html_e( 'Humanitarian (High Contrast)', 'data-machine-events' ); ?>
-						</label>
+						<?php foreach ( $tile_providers as $tile_provider_id => $tile_provider ) : ?>
+							<label>
+								<input type="radio"
+										name="data_machine_events_settings[map_display_type]"
+										value="<?php echo esc_attr( $tile_provider_id ); ?>"
+										<?php checked( isset( $settings['map_display_type'] ) ? $settings['map_display_type'] : 'osm-standard', $tile_provider_id ); ?> />
+								<?php echo esc_html( $tile_provider['name'] ); ?>
+							</label>
+							<br><br>
+						<?php endforeach; ?>
 						<p class="description">
 							<?php esc_html_e( '<strong>OpenStreetMap Standard:</strong> Traditional street map (current default)<br>', 'data-machine-events' ); ?>
 							<?php esc_html_e( '<strong>CartoDB Positron:</strong> Light, minimal design for clean appearance<br>', 'data-machine-events' ); ?>
@@ -152,6 +130,55 @@ settings_errors( 'data_machine_events_messages' );
 						</p>
 					</td>
 				</tr>
+
+				<tr>
+					<th scope="row"><?php esc_html_e( 'Custom Tile URL Template', 'data-machine-events' ); ?></th>
+					<td>
+						<input type="text"
+								name="data_machine_events_settings[tile_custom_url]"
+								value="<?php echo esc_attr( $settings['tile_custom_url'] ?? '' ); ?>"
+								placeholder="https://tiles.example.com/{z}/{x}/{y}.png?key={apikey}"
+								class="large-text code" />
+						<p class="description"><?php esc_html_e( 'Leaflet URL template for a self-hosted or commercial tile server. Must contain {z}, {x}, and {y}; {s} picks a subdomain and {apikey} is replaced with the API key below. Once saved, pick "Custom Tile Server" above. Leave empty to use the built-in styles only.', 'data-machine-events' ); ?></p>
+					</td>
+				</tr>
+
+				<tr>
+					<th scope="row"><?php esc_html_e( 'Custom Tile Attribution', 'data-machine-events' ); ?></th>
+					<td>
+						<input type="text"
+								name="data_machine_events_settings[tile_custom_attribution]"
+								value="<?php echo esc_attr( $settings['tile_custom_attribution'] ?? '' ); ?>"
+								placeholder="&amp;copy; &lt;a href=&quot;https://www.openstreetmap.org/copyright&quot;&gt;OpenStreetMap&lt;/a&gt; contributors"
+								class="large-text" />
+						<p class="description"><?php esc_html_e( 'Credit line shown in the map corner, as the tile and map data licenses require. Links are allowed.', 'data-machine-events' ); ?></p>
+					</td>
+				</tr>
+
+				<tr>
+					<th scope="row"><?php esc_html_e( 'Custom Tile Max Zoom', 'data-machine-events' ); ?></th>
+					<td>
+						<input type="number"
+								name="data_machine_events_settings[tile_custom_max_zoom]"
+								value="<?php echo esc_attr( $settings['tile_custom_max_zoom'] ?? 19 ); ?>"
+								min="1"
+								max="<?php echo esc_attr( TileProviders::MAX_ZOOM_LIMIT ); ?>"
+								class="small-text" />
+						<p class="description"><?php esc_html_e( 'Highest zoom level the tile server provides.', 'data-machine-events' ); ?></p>
+					</td>
+				</tr>
+
+				<tr>
+					<th scope="row"><?php esc_html_e( 'Tile API Key', 'data-machine-events' ); ?></th>
+					<td>
+						<input type="text"
+								name="data_machine_events_settings[tile_api_key]"
+								value="<?php echo esc_attr( $settings['tile_api_key'] ?? '' ); ?>"
+								autocomplete="off"
+								class="regular-text code" />
+						<p class="description"><?php esc_html_e( 'Optional. Replaces {apikey} in tile URL templates. Tile requests come from the browser, so the key is visible to visitors; restrict it to your domain with the tile provider.', 'data-machine-events' ); ?></p>
+					</td>
+				</tr>
 			</tbody>
 		</table>
 
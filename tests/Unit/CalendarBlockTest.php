@@ -12,7 +12,19 @@ namespace DataMachineEvents\Tests\Unit;
 
 use WP_UnitTestCase;
 use DataMachineEvents\Blocks\Calendar\Calendar;
+use DataMachineEvents\Blocks\Calendar\Date_Picker;
+use DataMachineEvents\Blocks\Calendar\Fixed_Filters;
 use DataMachineEvents\Blocks\Calendar\Pagination;
+use DataMachineEvents\Blocks\Calendar\Url_Namespace;
+use DataMachineEvents\Blocks\Calendar\Display\DisplayVars;
+use DataMachineEvents\Blocks\Calendar\Grouping\MonthGrid;
+use DataMachineEvents\Blocks\Calendar\Display\EventRenderer;
+use DataMachineEvents\Blocks\Calendar\Query\EventQueryBuilder;
+use DataMachineEvents\Blocks\Calendar\Query\ScopeResolver;
+use DataMachineEvents\Abilities\CalendarAbilities;
+use DataMachineEvents\Abilities\FilterAbilities;
+use const DataMachineEvents\Core\EVENT_DATETIME_META_KEY;
+use const DataMachineEvents\Core\EVENT_END_DATETIME_META_KEY;
 
 class CalendarBlockTest extends WP_UnitTestCase {
 
@@ -114,4 +126,511 @@ class CalendarBlockTest extends WP_UnitTestCase {
 
 		$this->assertFileExists( $template_path, 'No events template should exist' );
 	}
+
+	public function test_month_grid_template_exists() {
+		$template_path = DATA_MACHINE_EVENTS_PATH . 'inc/Blocks/Calendar/templates/month-grid.php';
+
+		$this->assertFileExists( $template_path, 'Month grid template should exist' );
+	}
+
+	public function test_active_filters_template_lists_terms() {
+		$term = wp_insert_term( 'Jazz Cellar', 'venue' );
+		if ( is_wp_error( $term ) ) {
+			$this->markTestSkipped( 'Venue taxonomy not registered' );
+		}
+
+		\DataMachineEvents\Blocks\Calendar\Template_Loader::init();
+		$html = \DataMachineEvents\Blocks\Calendar\Template_Loader::get_template(
+			'active-filters',
+			array( 'tax_filters' => array( 'venue' => array( $term['term_id'] ) ) )
+		);
+
+		$this->assertStringContainsString( 'Jazz Cellar', $html );
+		$this->assertStringContainsString( 'data-term-id="' . $term['term_id'] . '"', $html );
+		$this->assertStringNotContainsString( 'data-machine-events-active-filters-clear', $html );
+	}
+
+	public function test_active_filters_template_hidden_without_filters() {
+		\DataMachineEvents\Blocks\Calendar\Template_Loader::init();
+		$html = \DataMachineEvents\Blocks\Calendar\Template_Loader::get_template( 'active-filters', array( 'tax_filters' => array() ) );
+
+		$this->assertStringContainsString( 'data-machine-events-active-filters', $html );
+		$this->assertStringContainsString( ' hidden', $html );
+	}
+
+	public function test_filter_bar_renders_site_presets() {
+		\DataMachineEvents\Blocks\Calendar\Template_Loader::init();
+		$html = \DataMachineEvents\Blocks\Calendar\Template_Loader::get_template(
+			'filter-bar',
+			array(
+				'attributes' => array(
+					'filterPresets' => array(
+						array(
+							'label' => 'Free shows downtown',
+							'query' => '?tax_filter[price][]=7&lat=30.26&lng=-97.74&view=grid',
+						),
+						array( 'label' => '' ),
+					),
+				),
+				'date_start' => '',
+				'date_end'   => '',
+			)
+		);
+
+		$this->assertStringContainsString( 'data-machine-events-preset-select', $html );
+		$this->assertStringContainsString( 'Free shows downtown', $html );
+		$this->assertStringContainsString( 'lat=30.26', $html );
+		$this->assertStringNotContainsString( 'view=grid', $html );
+		$this->assertSame( 1, substr_count( $html, 'value="site-' ) );
+	}
+
+	public function test_filter_bar_renders_location_filter() {
+		\DataMachineEvents\Blocks\Calendar\Template_Loader::init();
+		$args = array(
+			'attributes'      => array(),
+			'date_start'      => '',
+			'date_end'        => '',
+			'geo_lat'         => '30.2672',
+			'geo_lng'         => '-97.7431',
+			'geo_radius'      => 15,
+			'geo_radius_unit' => 'km',
+		);
+		$html = \DataMachineEvents\Blocks\Calendar\Template_Loader::get_template( 'filter-bar', $args );
+
+		$this->assertStringContainsString( 'data-machine-events-location-search', $html );
+		$this->assertStringContainsString( 'data-geo-lat="30.2672"', $html );
+		$this->assertStringContainsString( 'data-radius-unit="km"', $html );
+		$this->assertMatchesRegularExpression( '/<option value="15" selected=\'selected\'>/', $html );
+
+		$args['attributes'] = array( 'showLocationFilter' => false );
+		$html               = \DataMachineEvents\Blocks\Calendar\Template_Loader::get_template( 'filter-bar', $args );
+
+		$this->assertStringNotContainsString( 'data-machine-events-location-search', $html );
+		$this->assertStringNotContainsString( 'data-machine-events-near-me', $html );
+	}
+
+	public function test_filter_bar_hides_disabled_controls() {
+		\DataMachineEvents\Blocks\Calendar\Template_Loader::init();
+		$args = array(
+			'attributes' => array(
+				'showDateFilter' => false,
+				'showFilters'    => false,
+			),
+			'date_start' => '',
+			'date_end'   => '',
+		);
+		$html = \DataMachineEvents\Blocks\Calendar\Template_Loader::get_template( 'filter-bar', $args );
+
+		$this->assertStringContainsString( 'data-machine-events-search-input', $html );
+		$this->assertStringNotContainsString( 'data-machine-events-date-range-input', $html );
+		$this->assertStringNotContainsString( 'data-machine-events-scope-chips', $html );
+		$this->assertStringNotContainsString( 'data-machine-taxonomy-modal-trigger', $html );
+		$this->assertStringNotContainsString( 'data-machine-taxonomy-modal"', $html );
+	}
+
+	public function test_fixed_filters_sanitize_attributes() {
+		$fixed = Fixed_Filters::from_attributes(
+			array(
+				'fixedTaxFilter' => array(
+					'venue'    => array( '12', 0, 'x' ),
+					'promoter' => array(),
+				),
+				'fixedGeo'       => array(
+					'lat'         => '30.2672',
+					'lng'         => '-97.7431',
+					'radius'      => '10',
+					'radius_unit' => 'km',
+					'label'       => 'Austin',
+				),
+			)
+		);
+
+		$this->assertSame( array( 'venue' => array( 12 ) ), $fixed['tax_filter'] );
+		$this->assertSame(
+			array(
+				'lat'         => 30.2672,
+				'lng'         => -97.7431,
+				'radius'      => 10,
+				'radius_unit' => 'km',
+			),
+			$fixed['geo']
+		);
+
+		$fixed = Fixed_Filters::from_attributes( array( 'fixedGeo' => array( 'lat' => '123', 'lng' => '0' ) ) );
+		$this->assertNull( $fixed['geo'] );
+		$this->assertSame( '', Fixed_Filters::to_query_string( $fixed ) );
+	}
+
+	public function test_fixed_filters_extend_base_constraint() {
+		$archive = array(
+			array(
+				'taxonomy' => 'promoter',
+				'field'    => 'term_id',
+				'terms'    => 7,
+			),
+		);
+
+		$this->assertNull( Fixed_Filters::merge_tax_query( null, Fixed_Filters::sanitize( array(), array() ) ) );
+
+		$tax_query = Fixed_Filters::merge_tax_query( $archive, Fixed_Filters::sanitize( array( 'venue' => array( 12, 13 ) ), array() ) );
+		$this->assertCount( 2, $tax_query );
+		$this->assertSame( 'venue', $tax_query[1]['taxonomy'] );
+		$this->assertSame( array( 12, 13 ), $tax_query[1]['terms'] );
+
+		$query = Fixed_Filters::to_query_string( Fixed_Filters::sanitize( array( 'venue' => array( 12 ) ), array() ) );
+		wp_parse_str( $query, $params );
+		$this->assertEquals( array( 'venue' => array( 12 ) ), $params['fixed_tax_filter'] );
+	}
+
+	public function test_url_namespace_prefix_from_attributes() {
+		$this->assertSame( '', Url_Namespace::get_prefix( array(), 'data-machine-calendar-2' ) );
+		$this->assertSame( 'cal2_', Url_Namespace::get_prefix( array( 'namespaceUrl' => true ), 'data-machine-calendar-2' ) );
+		$this->assertSame(
+			'this-week_',
+			Url_Namespace::get_prefix(
+				array(
+					'namespaceUrl' => true,
+					'urlNamespace' => 'This-Week',
+				),
+				'data-machine-calendar-2'
+			)
+		);
+	}
+
+	public function test_url_namespace_reads_only_own_params() {
+		$_GET = array(
+			'event_search'      => 'jazz',
+			'cal2_event_search' => 'blues',
+			'cal2_tax_filter'   => array( 'venue' => array( '3' ) ),
+			'cal2_utm_source'   => 'mail',
+		);
+
+		$this->assertSame(
+			array(
+				'event_search' => 'blues',
+				'tax_filter'   => array( 'venue' => array( '3' ) ),
+			),
+			Url_Namespace::get_params( 'cal2_' )
+		);
+		$this->assertSame( array( 'event_search' => 'jazz' ), Url_Namespace::get_params() );
+
+		$_GET = array();
+	}
+
+	public function test_pagination_links_use_url_prefix() {
+		$_GET = array( 'event_search' => 'jazz' );
+
+		$html = Pagination::render_pagination( 1, 3, false, 'cal2_' );
+
+		$this->assertStringContainsString( 'cal2_paged=2', $html );
+		$this->assertStringContainsString( 'event_search=jazz', $html );
+
+		$_GET = array();
+	}
+
+	public function test_month_grid_bounds_pad_to_whole_weeks() {
+		update_option( 'start_of_week', 1 );
+
+		// October 2026 starts on a Thursday and ends on a Saturday.
+		$bounds = MonthGrid::get_bounds( '2026-10' );
+
+		$this->assertEquals( '2026-10-01', $bounds['month_start'] );
+		$this->assertEquals( '2026-10-31', $bounds['month_end'] );
+		$this->assertEquals( '2026-09-28', $bounds['grid_start'] );
+		$this->assertEquals( '2026-11-01', $bounds['grid_end'] );
+		$this->assertEquals( '2026-09', $bounds['prev_month'] );
+		$this->assertEquals( '2026-11', $bounds['next_month'] );
+	}
+
+	public function test_month_grid_normalizes_invalid_month() {
+		$this->assertEquals( current_time( 'Y-m' ), MonthGrid::normalize_month( '2026-13' ) );
+		$this->assertEquals( current_time( 'Y-m' ), MonthGrid::normalize_month( 'October' ) );
+		$this->assertEquals( '2026-02', MonthGrid::normalize_month( '2026-02' ) );
+	}
+
+	public function test_month_grid_keeps_multi_day_lane_across_week() {
+		update_option( 'start_of_week', 1 );
+
+		$bounds   = MonthGrid::get_bounds( '2026-10' );
+		$festival = (object) array( 'ID' => 10 );
+		$concert  = (object) array( 'ID' => 20 );
+
+		$span_item = function ( $date, $is_start, $is_end ) use ( $festival ) {
+			return array(
+				'post'            => $festival,
+				'event_data'      => array(),
+				'display_context' => array(
+					'is_multi_day' => true,
+					'is_start_day' => $is_start,
+					'is_end_day'   => $is_end,
+					'display_date' => $date,
+				),
+			);
+		};
+
+		$date_groups = array(
+			'2026-10-06' => array(
+				'events' => array(
+					array(
+						'post'            => $concert,
+						'event_data'      => array(),
+						'display_context' => array( 'is_multi_day' => false ),
+					),
+				),
+			),
+			'2026-10-07' => array( 'events' => array( $span_item( '2026-10-07', true, false ) ) ),
+			'2026-10-08' => array( 'events' => array( $span_item( '2026-10-08', false, true ) ) ),
+		);
+
+		$weeks = MonthGrid::build_weeks( $date_groups, $bounds );
+
+		// Week of Oct 5 (Mon) is the second row.
+		$week = $weeks[1];
+
+		$this->assertEquals( '2026-10-05', $week[0]['date'] );
+		$this->assertSame( 20, $week[1]['slots'][0]['post']->ID );
+		$this->assertSame( 10, $week[2]['slots'][0]['post']->ID );
+		$this->assertSame( 10, $week[3]['slots'][0]['post']->ID );
+		$this->assertTrue( $week[2]['slots'][0]['grid_context']['is_segment_start'] );
+		$this->assertTrue( $week[3]['slots'][0]['grid_context']['is_segment_end'] );
+		$this->assertEquals( 1, $week[3]['event_count'] );
+	}
+
+	public function test_gap_label_counts_days_between_dates() {
+		$this->assertEquals( '1 day later', EventRenderer::get_gap_label( 2 ) );
+		$this->assertEquals( '3 days later', EventRenderer::get_gap_label( 4 ) );
+	}
+
+	public function test_date_groups_payload_mirrors_templates() {
+		$event_id = self::factory()->post->create(
+			array(
+				'post_type'   => 'data_machine_events',
+				'post_title'  => 'Payload Show',
+				'post_status' => 'publish',
+			)
+		);
+
+		$date_groups = array(
+			'2026-10-09' => array(
+				'date_obj' => new \DateTime( '2026-10-09' ),
+				'events'   => array(
+					array(
+						'post'            => get_post( $event_id ),
+						'event_data'      => array(),
+						'display_context' => array(),
+					),
+				),
+			),
+		);
+
+		$payload = EventRenderer::build_date_groups_payload( $date_groups, array( '2026-10-09' => 3 ), true );
+
+		$this->assertCount( 1, $payload );
+		$this->assertEquals( '2026-10-09', $payload[0]['date'] );
+		$this->assertEquals( 'friday', $payload[0]['day_of_week'] );
+		$this->assertEquals( 'Friday, October 9th', $payload[0]['formatted_date_label'] );
+		$this->assertEquals( '1 event', $payload[0]['events_count_label'] );
+		$this->assertEquals( 3, $payload[0]['gap_days'] );
+		$this->assertEquals( '2 days later', $payload[0]['gap_label'] );
+
+		$event = $payload[0]['events'][0];
+		$this->assertEquals( $event_id, $event['id'] );
+		$this->assertEquals( 'Payload Show', $event['title'] );
+		$this->assertArrayHasKey( 'display_vars', $event );
+		$this->assertEquals( 'More Info', $event['more_info_label'] );
+	}
+
+	public function test_query_args_restrict_to_event_ids() {
+		$args = EventQueryBuilder::build_query_args( array( 'event_ids' => array( '12', 34, 0 ) ) );
+
+		$this->assertEquals( array( 12, 34 ), $args['post__in'] );
+	}
+
+	public function test_query_args_empty_event_ids_match_nothing() {
+		$args = EventQueryBuilder::build_query_args( array( 'event_ids' => array() ) );
+		$this->assertEquals( array( 0 ), $args['post__in'] );
+
+		$args = EventQueryBuilder::build_query_args( array() );
+		$this->assertArrayNotHasKey( 'post__in', $args );
+	}
+
+	public function test_scopes_context_returns_count_per_scope() {
+		$abilities = new FilterAbilities();
+		$result    = $abilities->executeGetFilterOptions( array( 'context' => 'scopes' ) );
+
+		$this->assertTrue( $result['success'] );
+		$this->assertSame( array(), $result['taxonomies'] );
+		$this->assertEquals( ScopeResolver::VALID_SCOPES, array_keys( $result['scope_counts'] ) );
+		$this->assertContainsOnly( 'int', $result['scope_counts'] );
+	}
+
+	public function test_scope_counts_apply_event_search() {
+		$title   = 'Scopesearch' . wp_rand();
+		$post_id = wp_insert_post(
+			array(
+				'post_title'  => $title,
+				'post_type'   => 'data_machine_events',
+				'post_status' => 'publish',
+			)
+		);
+		$start = current_time( 'Y-m-d' ) . ' 23:59:00';
+		update_post_meta( $post_id, EVENT_DATETIME_META_KEY, $start );
+		update_post_meta( $post_id, EVENT_END_DATETIME_META_KEY, $start );
+
+		$abilities = new FilterAbilities();
+		$matching  = $abilities->executeGetFilterOptions(
+			array(
+				'context'      => 'scopes',
+				'event_search' => $title,
+			)
+		);
+		$missing   = $abilities->executeGetFilterOptions(
+			array(
+				'context'      => 'scopes',
+				'event_search' => $title . 'nomatch',
+			)
+		);
+
+		$this->assertSame( 1, $matching['scope_counts']['today'] );
+		$this->assertSame( 0, $missing['scope_counts']['today'] );
+	}
+
+	public function test_search_suggestions_require_two_characters() {
+		$abilities = new FilterAbilities();
+		$result    = $abilities->executeGetSearchSuggestions( array( 'query' => 'a' ) );
+
+		$this->assertTrue( $result['success'] );
+		$this->assertSame( array(), $result['terms'] );
+		$this->assertSame( array(), $result['events'] );
+	}
+
+	public function test_search_suggestions_return_terms_and_events() {
+		$query    = 'Suggestjazz' . wp_rand();
+		$upcoming = wp_insert_term( $query . ' Hall', 'venue' );
+		$past     = wp_insert_term( $query . ' Club', 'venue' );
+
+		$events = array(
+			array( $query . ' Night', '+3 days', $upcoming ),
+			array( 'Past Gig', '-3 days', $past ),
+		);
+		$ids    = array();
+		foreach ( $events as list( $title, $offset, $venue ) ) {
+			$post_id = wp_insert_post(
+				array(
+					'post_title'  => $title,
+					'post_type'   => 'data_machine_events',
+					'post_status' => 'publish',
+				)
+			);
+			$start = gmdate( 'Y-m-d H:i:s', strtotime( $offset ) );
+			update_post_meta( $post_id, EVENT_DATETIME_META_KEY, $start );
+			update_post_meta( $post_id, EVENT_END_DATETIME_META_KEY, $start );
+			wp_set_object_terms( $post_id, array( $venue['term_id'] ), 'venue' );
+			$ids[] = $post_id;
+		}
+
+		$abilities = new FilterAbilities();
+		$result    = $abilities->executeGetSearchSuggestions( array( 'query' => $query ) );
+
+		$this->assertTrue( $result['success'] );
+		$this->assertSame( $query, $result['query'] );
+
+		$terms = array_column( $result['terms'], 'event_count', 'term_id' );
+		$this->assertSame( array( $upcoming['term_id'] => 1 ), $terms );
+		$this->assertSame( 'venue', $result['terms'][0]['taxonomy'] );
+		$this->assertSame( array( $ids[0] ), array_column( $result['events'], 'id' ) );
+	}
+
+	public function test_date_picker_converts_site_date_format() {
+		$this->assertSame( 'F j, Y', Date_Picker::get_display_format( 'F j, Y' ) );
+		$this->assertSame( 'J F Y', Date_Picker::get_display_format( 'jS F Y' ) );
+		$this->assertSame( 'd.m.Y', Date_Picker::get_display_format( 'd.m.Y g:i' ) );
+		$this->assertSame( 'Y. F j.', Date_Picker::get_display_format( 'Y. F j.' ) );
+		$this->assertSame( 'F j, Y', Date_Picker::get_display_format( 'g:i a' ) );
+	}
+
+	public function test_date_picker_config_follows_site_locale() {
+		update_option( 'start_of_week', 1 );
+
+		$config = Date_Picker::get_config();
+
+		$this->assertSame( 1, $config['locale']['firstDayOfWeek'] );
+		$this->assertCount( 7, $config['locale']['weekdays']['longhand'] );
+		$this->assertSame( 'Sunday', $config['locale']['weekdays']['longhand'][0] );
+		$this->assertCount( 12, $config['locale']['months']['shorthand'] );
+		$this->assertSame( array( 'this-weekend', 'next-7-days', 'next-30-days', 'this-month' ), array_keys( $config['presets'] ) );
+	}
+
+	public function test_day_counts_stay_within_window() {
+		$abilities = new CalendarAbilities();
+		$result    = $abilities->executeGetDayCounts(
+			array(
+				'date_start' => '2030-01-01',
+				'date_end'   => '2030-12-31',
+			)
+		);
+
+		$this->assertSame( '2030-01-01', $result['date_start'] );
+		$this->assertSame( '2030-04-03', $result['date_end'] );
+		$this->assertContainsOnly( 'int', $result['counts'] );
+		foreach ( array_keys( $result['counts'] ) as $date ) {
+			$this->assertGreaterThanOrEqual( '2030-01-01', $date );
+			$this->assertLessThanOrEqual( '2030-04-03', $date );
+		}
+
+		$invalid = $abilities->executeGetDayCounts(
+			array(
+				'date_start' => '2030-02-30',
+				'date_end'   => '2030-03-01',
+			)
+		);
+		$this->assertSame( array(), $invalid['counts'] );
+	}
+
+	public function test_display_vars_carry_iso_instants_and_timezone() {
+		$vars = DisplayVars::build(
+			array(
+				'startDate'     => '2030-06-14',
+				'startTime'     => '19:30:00',
+				'endDate'       => '2030-06-14',
+				'endTime'       => '22:00:00',
+				'venueTimezone' => 'America/Chicago',
+			)
+		);
+
+		$this->assertSame( '2030-06-14T19:30:00-05:00', $vars['iso_start_date'] );
+		$this->assertSame( '2030-06-14T22:00:00-05:00', $vars['iso_end_date'] );
+		$this->assertSame( 'America/Chicago', $vars['timezone'] );
+		$this->assertSame( 'CDT', $vars['timezone_abbr'] );
+
+		// The 23:59 sentinel is not a displayed end time.
+		$vars = DisplayVars::build(
+			array(
+				'startDate'     => '2030-06-14',
+				'startTime'     => '19:30:00',
+				'endDate'       => '2030-06-14',
+				'endTime'       => '23:59:59',
+				'venueTimezone' => 'America/Chicago',
+			)
+		);
+		$this->assertSame( '', $vars['iso_end_date'] );
+
+		// Dates without a clock time are not converted.
+		$vars = DisplayVars::build( array( 'startDate' => '2030-06-14' ) );
+		$this->assertSame( '', $vars['timezone'] );
+	}
+
+	public function test_display_vars_carry_venue_id() {
+		$vars = DisplayVars::build(
+			array(
+				'startDate' => '2030-06-14',
+				'venue'     => 'Jazz Cellar',
+				'venueId'   => 42,
+			)
+		);
+		$this->assertSame( 42, $vars['venue_id'] );
+
+		$vars = DisplayVars::build( array( 'startDate' => '2030-06-14' ) );
+		$this->assertSame( 0, $vars['venue_id'] );
+	}
 }
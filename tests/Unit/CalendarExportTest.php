@@ -0,0 +1,166 @@
+<?php
+/**
+ * CalendarExport Tests
+ *
+ * Tests for .ics, Google Calendar, and Outlook event exports.
+ *
+ * @package DataMachineEvents\Tests\Unit
+ * @since 0.15.0
+ */
+
+namespace DataMachineEvents\Tests\Unit;
+
+use WP_UnitTestCase;
+use DataMachineEvents\Core\CalendarExport;
+use DataMachineEvents\Core\Event_Post_Type;
+
+class CalendarExportTest extends WP_UnitTestCase {
+
+	public function setUp(): void {
+		parent::setUp();
+
+		if ( ! post_type_exists( 'data_machine_events' ) ) {
+			Event_Post_Type::register();
+		}
+	}
+
+	private function create_event( string $title, array $attrs ): int {
+		return wp_insert_post(
+			array(
+				'post_title'   => $title,
+				'post_type'    => 'data_machine_events',
+				'post_status'  => 'publish',
+				'post_content' => '<!-- wp:data-machine-events/event-details ' . wp_json_encode( $attrs ) . ' /-->',
+			)
+		);
+	}
+
+	public function test_timed_event_converts_venue_time_to_utc() {
+		$post = get_post( $this->create_event( 'Timed Show', array() ) );
+
+		$details = CalendarExport::get_event_details(
+			$post,
+			array(
+				'startDate'     => '2026-07-04',
+				'startTime'     => '20:00:00',
+				'endDate'       => '2026-07-04',
+				'endTime'       => '23:00:00',
+				'venueTimezone' => 'America/Chicago',
+			)
+		);
+
+		$this->assertFalse( $details['all_day'] );
+		$this->assertEquals( 'America/Chicago', $details['timezone'] );
+
+		$google = CalendarExport::get_google_url( $details );
+		$this->assertStringContainsString( 'dates=20260705T010000Z%2F20260705T040000Z', $google );
+		$this->assertStringContainsString( 'ctz=America%2FChicago', $google );
+
+		$outlook = CalendarExport::get_outlook_url( $details );
+		$this->assertStringContainsString( 'startdt=2026-07-04T20%3A00%3A00-05%3A00', $outlook );
+	}
+
+	public function test_event_without_end_defaults_to_three_hours() {
+		$post = get_post( $this->create_event( 'Open Ended', array() ) );
+
+		$details = CalendarExport::get_event_details(
+			$post,
+			array(
+				'startDate'     => '2026-07-04',
+				'startTime'     => '19:30:00',
+				'venueTimezone' => 'UTC',
+			)
+		);
+
+		$this->assertEquals( '2026-07-04 22:30', $details['end']->format( 'Y-m-d H:i' ) );
+	}
+
+	public function test_event_without_start_time_is_all_day() {
+		$post = get_post( $this->create_event( 'Festival', array() ) );
+
+		$details = CalendarExport::get_event_details(
+			$post,
+			array(
+				'startDate' => '2026-08-01',
+				'endDate'   => '2026-08-03',
+			)
+		);
+
+		$this->assertTrue( $details['all_day'] );
+
+		// iCalendar all-day end dates are exclusive.
+		$this->assertEquals( '2026-08-04', $details['end']->format( 'Y-m-d' ) );
+	}
+
+	public function test_midnight_event_is_not_all_day() {
+		$post = get_post(
+			$this->create_event(
+				'Midnight Set',
+				array(
+					'startDate' => '2026-09-05',
+					'startTime' => '00:00:00',
+				)
+			)
+		);
+
+		$details = CalendarExport::get_event_details( $post );
+
+		$this->assertFalse( $details['all_day'] );
+		$this->assertEquals( '2026-09-05 00:00', $details['start']->format( 'Y-m-d H:i' ) );
+	}
+
+	public function test_event_block_without_start_time_is_all_day() {
+		$post = get_post( $this->create_event( 'Street Fair', array( 'startDate' => '2026-09-05' ) ) );
+
+		$details = CalendarExport::get_event_details( $post );
+
+		$this->assertTrue( $details['all_day'] );
+	}
+
+	public function test_build_ics_contains_one_vevent_per_event() {
+		$first  = $this->create_event(
+			'First, Show',
+			array(
+				'startDate' => '2026-09-01',
+				'startTime' => '20:00',
+			)
+		);
+		$second = $this->create_event(
+			'Second Show',
+			array(
+				'startDate' => '2026-09-02',
+				'startTime' => '21:00',
+			)
+		);
+		$draft  = wp_insert_post(
+			array(
+				'post_title'  => 'Draft Show',
+				'post_type'   => 'data_machine_events',
+				'post_status' => 'draft',
+			)
+		);
+
+		$export = CalendarExport::build_ics( array( $first, $second, $draft ) );
+
+		$this->assertEquals( array( $first, $second ), $export['event_ids'] );
+		$this->assertEquals( 2, substr_count( $export['ics'], 'BEGIN:VEVENT' ) );
+		$this->assertStringStartsWith( "BEGIN:VCALENDAR\r\n", $export['ics'] );
+		$this->assertStringContainsString( 'SUMMARY:First\\, Show', $export['ics'] );
+	}
+
+	public function test_long_lines_are_folded() {
+		$long = $this->create_event(
+			str_repeat( 'Very Long Event Title ', 10 ),
+			array(
+				'startDate' => '2026-09-01',
+				'startTime' => '20:00',
+			)
+		);
+
+		$export = CalendarExport::build_ics( array( $long ) );
+
+		foreach ( explode( "\r\n", $export['ics'] ) as $line ) {
+			$this->assertLessThanOrEqual( 75, strlen( $line ) );
+		}
+	}
+}
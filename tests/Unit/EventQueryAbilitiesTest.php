@@ -14,6 +14,8 @@ use WP_UnitTestCase;
 use DataMachineEvents\Abilities\EventQueryAbilities;
 use DataMachineEvents\Core\Event_Post_Type;
 use DataMachineEvents\Core\Venue_Taxonomy;
+use const DataMachineEvents\Core\EVENT_DATETIME_META_KEY;
+use const DataMachineEvents\Core\EVENT_END_DATETIME_META_KEY;
 
 class EventQueryAbilitiesTest extends WP_UnitTestCase {
 
@@ -154,6 +156,73 @@ class EventQueryAbilitiesTest extends WP_UnitTestCase {
 		wp_delete_term( $venue_id, 'venue' );
 	}
 
+	public function test_get_venue_events_upcoming_skips_past_and_sorts_ascending() {
+		$venue_term = wp_insert_term( 'Upcoming Test Venue ' . uniqid(), 'venue' );
+		$venue_id   = $venue_term['term_id'];
+
+		$dates = array(
+			'past'  => gmdate( 'Y-m-d H:i:s', strtotime( '-2 days' ) ),
+			'later' => gmdate( 'Y-m-d H:i:s', strtotime( '+9 days' ) ),
+			'soon'  => gmdate( 'Y-m-d H:i:s', strtotime( '+2 days' ) ),
+		);
+		$post_ids = array();
+
+		foreach ( $dates as $label => $datetime ) {
+			$post_id = wp_insert_post(
+				array(
+					'post_title'  => ucfirst( $label ) . ' Event ' . uniqid(),
+					'post_type'   => 'data_machine_events',
+					'post_status' => 'publish',
+				)
+			);
+			update_post_meta( $post_id, EVENT_DATETIME_META_KEY, $datetime );
+			update_post_meta( $post_id, EVENT_END_DATETIME_META_KEY, $datetime );
+			wp_set_object_terms( $post_id, array( $venue_id ), 'venue' );
+			$post_ids[ $label ] = $post_id;
+		}
+		wp_update_post(
+			array(
+				'ID'           => $post_ids['soon'],
+				'post_content' => '<!-- wp:data-machine-events/event-details {"ticketUrl":"https://tickets.example.com/soon"} /-->',
+			)
+		);
+		wp_update_post(
+			array(
+				'ID'           => $post_ids['later'],
+				'post_content' => '<!-- wp:data-machine-events/event-details {"ticketUrl":"https://tickets.example.com/later","showTicketLink":false} /-->',
+			)
+		);
+
+		$result = $this->abilities->executeGetVenueEvents(
+			array(
+				'venue'    => $venue_id,
+				'limit'    => 1,
+				'upcoming' => true,
+			)
+		);
+
+		$this->assertCount( 1, $result['events'] );
+		$this->assertSame( $post_ids['soon'], $result['events'][0]['post_id'] );
+		$this->assertSame( 'https://tickets.example.com/soon', $result['events'][0]['ticket_url'] );
+		$this->assertSame( 2, $result['venue']['total_events'] );
+
+		$result = $this->abilities->executeGetVenueEvents(
+			array(
+				'venue'    => $venue_id,
+				'upcoming' => true,
+			)
+		);
+
+		$this->assertSame( $post_ids['later'], $result['events'][1]['post_id'] );
+		$this->assertSame( '', $result['events'][1]['ticket_url'] );
+
+		// Cleanup
+		foreach ( $post_ids as $post_id ) {
+			wp_delete_post( $post_id, true );
+		}
+		wp_delete_term( $venue_id, 'venue' );
+	}
+
 	public function test_get_venue_events_invalid_venue_returns_error() {
 		$result = $this->abilities->executeGetVenueEvents(
 			array(
@@ -146,6 +146,30 @@ class EventRestControllerTest extends WP_UnitTestCase {
 		$this->assertIsArray( $data );
 	}
 
+	public function test_calendar_endpoint_prefixes_navigation_links() {
+		$post_id = wp_insert_post(
+			array(
+				'post_title'  => 'REST Past Event ' . uniqid(),
+				'post_type'   => 'data_machine_events',
+				'post_status' => 'publish',
+			)
+		);
+		$start = date( 'Y-m-d H:i:s', strtotime( '-1 week' ) );
+		update_post_meta( $post_id, '_datamachine_event_datetime', $start );
+		update_post_meta( $post_id, '_datamachine_event_end_datetime', $start );
+
+		$request = new WP_REST_Request( 'GET', '/datamachine/v1/events/calendar' );
+		$request->set_param( 'url_prefix', 'Cal2_' );
+		$response = $this->server->dispatch( $request );
+
+		$this->assertEquals( 200, $response->get_status() );
+
+		$data = $response->get_data();
+		$this->assertStringContainsString( 'cal2_past=1', $data['navigation']['html'] );
+
+		wp_delete_post( $post_id, true );
+	}
+
 	public function test_filters_endpoint_returns_taxonomies() {
 		$request = new WP_REST_Request( 'GET', '/datamachine/v1/events/filters' );
 		$response = $this->server->dispatch( $request );
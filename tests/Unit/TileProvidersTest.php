@@ -0,0 +1,83 @@
+<?php
+/**
+ * TileProviders Tests
+ *
+ * Tests the map tile provider registry.
+ *
+ * @package DataMachineEvents\Tests\Unit
+ */
+
+namespace DataMachineEvents\Tests\Unit;
+
+use WP_UnitTestCase;
+use DataMachineEvents\Admin\Settings_Page;
+use DataMachineEvents\Core\TileProviders;
+
+class TileProvidersTest extends WP_UnitTestCase {
+
+	public function tearDown(): void {
+		delete_option( Settings_Page::OPTION_KEY );
+		remove_all_filters( 'data_machine_events_map_tile_layers' );
+
+		parent::tearDown();
+	}
+
+	public function test_builtin_providers_carry_attribution() {
+		$providers = TileProviders::get_providers();
+
+		$this->assertSame(
+			array( 'osm-standard', 'carto-positron', 'carto-voyager', 'carto-dark', 'humanitarian' ),
+			array_keys( $providers )
+		);
+		foreach ( $providers as $provider ) {
+			$this->assertStringContainsString( 'OpenStreetMap', $provider['attribution'] );
+			$this->assertGreaterThan( 0, $provider['max_zoom'] );
+		}
+	}
+
+	public function test_custom_provider_comes_from_settings() {
+		update_option(
+			Settings_Page::OPTION_KEY,
+			array(
+				'tile_custom_url'         => 'https://tiles.example.com/{z}/{x}/{y}.png?key={apikey}',
+				'tile_custom_attribution' => '&copy; Example Tiles',
+				'tile_custom_max_zoom'    => 30,
+				'tile_api_key'            => 'abc 123',
+			)
+		);
+
+		$custom = TileProviders::get_providers()[ TileProviders::CUSTOM_PROVIDER ];
+
+		$this->assertSame( 'https://tiles.example.com/{z}/{x}/{y}.png?key=abc%20123', $custom['url'] );
+		$this->assertSame( '&copy; Example Tiles', $custom['attribution'] );
+		$this->assertSame( TileProviders::MAX_ZOOM_LIMIT, $custom['max_zoom'] );
+	}
+
+	public function test_filter_adds_and_drops_providers() {
+		add_filter(
+			'data_machine_events_map_tile_layers',
+			function ( $providers ) {
+				$providers['self-hosted'] = array(
+					'name'        => 'Self Hosted',
+					'url'         => 'https://tiles.example.com/{z}/{x}/{y}.png',
+					'attribution' => 'Example',
+				);
+				$providers['broken']      = array( 'name' => 'No URL' );
+				return $providers;
+			}
+		);
+
+		$providers = TileProviders::get_providers();
+
+		$this->assertSame( 19, $providers['self-hosted']['max_zoom'] );
+		$this->assertArrayNotHasKey( 'broken', $providers );
+		$this->assertContains( 'self-hosted', TileProviders::get_provider_ids() );
+		$this->assertContains( TileProviders::CUSTOM_PROVIDER, TileProviders::get_provider_ids() );
+	}
+
+	public function test_url_template_needs_tile_placeholders() {
+		$this->assertTrue( TileProviders::is_valid_url_template( 'https://{s}.tiles.example.com/{z}/{x}/{y}.png' ) );
+		$this->assertFalse( TileProviders::is_valid_url_template( 'https://tiles.example.com/tiles.png' ) );
+		$this->assertFalse( TileProviders::is_valid_url_template( 'javascript:alert(1)//{z}/{x}/{y}' ) );
+	}
+}
@@ -0,0 +1,126 @@
+<?php
+/**
+ * VenueMapAbilities Tests
+ *
+ * Tests for the events map venue listing.
+ *
+ * @package DataMachineEvents\Tests\Unit
+ */
+
+namespace DataMachineEvents\Tests\Unit;
+
+use WP_UnitTestCase;
+use DataMachineEvents\Abilities\VenueMapAbilities;
+use DataMachineEvents\Core\Event_Post_Type;
+use DataMachineEvents\Core\Venue_Taxonomy;
+use const DataMachineEvents\Core\EVENT_DATETIME_META_KEY;
+use const DataMachineEvents\Core\EVENT_END_DATETIME_META_KEY;
+
+class VenueMapAbilitiesTest extends WP_UnitTestCase {
+
+	private VenueMapAbilities $abilities;
+
+	public function setUp(): void {
+		parent::setUp();
+
+		if ( ! post_type_exists( 'data_machine_events' ) ) {
+			Event_Post_Type::register();
+		}
+		if ( ! taxonomy_exists( 'venue' ) ) {
+			Venue_Taxonomy::register();
+		}
+
+		$this->abilities = new VenueMapAbilities();
+	}
+
+	private function create_venue( string $name, string $coordinates ): array {
+		$venue = wp_insert_term( $name . ' ' . uniqid(), 'venue' );
+		update_term_meta( $venue['term_id'], '_venue_coordinates', $coordinates );
+
+		return $venue;
+	}
+
+	private function create_event( array $venue, string $offset ): int {
+		$post_id = wp_insert_post(
+			array(
+				'post_title'  => 'Venue Filter Event ' . uniqid(),
+				'post_type'   => 'data_machine_events',
+				'post_status' => 'publish',
+			)
+		);
+		$start = gmdate( 'Y-m-d H:i:s', strtotime( $offset ) );
+		update_post_meta( $post_id, EVENT_DATETIME_META_KEY, $start );
+		update_post_meta( $post_id, EVENT_END_DATETIME_META_KEY, $start );
+		wp_set_object_terms( $post_id, array( $venue['term_id'] ), 'venue' );
+
+		return $post_id;
+	}
+
+	public function test_list_venues_counts_only_filtered_events() {
+		$jazz  = wp_insert_term( 'Venue Filter Jazz ' . uniqid(), 'category' );
+		$venue = $this->create_venue( 'Venue Filter Hall', '30.2672,-97.7431' );
+		$other = $this->create_venue( 'Venue Filter Club', '30.2700,-97.7400' );
+
+		$jazz_event = $this->create_event( $venue, '+3 days' );
+		$this->create_event( $venue, '+3 days' );
+		$this->create_event( $other, '+3 days' );
+		wp_set_object_terms( $jazz_event, array( $jazz['term_id'] ), 'category' );
+
+		$result = $this->abilities->executeListVenues(
+			array( 'tax_filter' => array( 'category' => array( $jazz['term_id'] ) ) )
+		);
+
+		$venues = array_column( $result['venues'], 'event_count', 'term_id' );
+		$this->assertSame( 1, $venues[ $venue['term_id'] ] );
+		$this->assertArrayNotHasKey( $other['term_id'], $venues );
+
+		$unfiltered = $this->abilities->executeListVenues( array() );
+		$venues     = array_column( $unfiltered['venues'], 'event_count', 'term_id' );
+		$this->assertSame( 2, $venues[ $venue['term_id'] ] );
+		$this->assertSame( 1, $venues[ $other['term_id'] ] );
+	}
+
+	public function test_list_venues_counts_only_upcoming_events_without_filters() {
+		$venue = $this->create_venue( 'Venue Upcoming Hall', '30.2672,-97.7431' );
+		$past  = $this->create_venue( 'Venue Upcoming Club', '30.2700,-97.7400' );
+
+		$this->create_event( $venue, '+3 days' );
+		$this->create_event( $venue, '-3 days' );
+		$this->create_event( $past, '-3 days' );
+
+		$result = $this->abilities->executeListVenues( array() );
+
+		$venues = array_column( $result['venues'], 'event_count', 'term_id' );
+		$this->assertSame( 1, $venues[ $venue['term_id'] ] );
+		$this->assertSame( 0, $venues[ $past['term_id'] ] );
+	}
+
+	public function test_list_venues_counts_only_events_in_date_range() {
+		$venue = $this->create_venue( 'Venue Range Hall', '30.2672,-97.7431' );
+		$later = $this->create_venue( 'Venue Range Club', '30.2700,-97.7400' );
+
+		$this->create_event( $venue, '+3 days' );
+		$this->create_event( $venue, '+40 days' );
+		$this->create_event( $later, '+40 days' );
+
+		$result = $this->abilities->executeListVenues(
+			array(
+				'date_start' => gmdate( 'Y-m-d', strtotime( '+1 day' ) ),
+				'date_end'   => gmdate( 'Y-m-d', strtotime( '+10 days' ) ),
+			)
+		);
+
+		$venues = array_column( $result['venues'], 'event_count', 'term_id' );
+		$this->assertSame( 1, $venues[ $venue['term_id'] ] );
+		$this->assertArrayNotHasKey( $later['term_id'], $venues );
+	}
+
+	public function test_list_venues_leaves_out_venues_outside_scope() {
+		$venue = $this->create_venue( 'Venue Scope Hall', '30.2672,-97.7431' );
+		$this->create_event( $venue, '+40 days' );
+
+		$result = $this->abilities->executeListVenues( array( 'scope' => 'today' ) );
+
+		$this->assertNotContains( $venue['term_id'], array_column( $result['venues'], 'term_id' ) );
+	}
+}